@@ -11,6 +11,39 @@ import crypto from "crypto";
 import fs from "fs";
 import path from "path";
 import os from "os";
+import { createLlmProvider, loadScriptFile } from "./lib/llm-providers.js";
+import { createResilientChat, createCircuitBreaker, fallbackModelsFromEnv } from "./lib/llm-failover.js";
+import { resolveModelSettings, buildToolConfig } from "./lib/model-settings.js";
+import { withContextWindow, createContextNotes, contextTokenBudget } from "./lib/context-window.js";
+import { KNOWLEDGE_TOOL_NAME, createKnowledgeStore, createKnowledgeRouter, knowledgeToolDeclaration, createCitationFilter, stripCitations } from "./lib/knowledge.js";
+import { createSttProvider } from "./lib/stt-providers.js";
+import { createTtsProvider, createTtsPipeline } from "./lib/tts.js";
+import {
+  SESSION_RESUME_GRACE_MS,
+  generateResumeToken,
+  verifyResumeToken,
+  saveSessionState,
+  loadSessionState,
+  scheduleDeferredReport,
+  cancelDeferredReport,
+  flushDeferredReports,
+} from "./lib/session-store.js";
+import { createTurnLog, loadTurns, buildTranscript, serializeTurns } from "./lib/turns.js";
+import { parseHttpTools, buildHttpToolHandlers, buildHttpToolFollowUpPrompt } from "./lib/http-tools.js";
+import { validateToolArgs, buildValidationErrorPayload, toModelSchema } from "./lib/tool-schema.js";
+import { getActiveKeys, getConversationKeys, getBotKeys, matchSharedSecret, matchHmacSignature, describeKeys } from "./lib/secrets.js";
+import { signWebhook } from "./lib/webhook-signing.js";
+import { createOutbox } from "./lib/outbox.js";
+import { requireAdmin } from "./lib/admin-auth.js";
+import { migrateBotConfig, systemPromptOptions } from "./lib/bot-config.js";
+import { createBotAdminRouter } from "./lib/bot-admin.js";
+import { createSessionEventHub } from "./lib/session-events.js";
+import { baseLanguage, toLocale, languageName, resolveBotLanguages, sttLanguageConfig } from "./lib/languages.js";
+import { renderSystemPrompt, DEFAULT_TEMPLATE_ID } from "./lib/prompt-templates.js";
+import { createPromptTemplateStore, createPromptTemplateRouter, promptHash } from "./lib/prompt-store.js";
+import { createTranslator, formatDateTime, defaultTimeZone } from "./lib/messages.js";
+import { resolveExperimentAssignment, applyVariantPromptTemplate, createExperimentTracker, recordBookingOutcome, createExperimentRouter } from "./lib/experiments.js";
+import { checkQuota, createUsageMeter, resolveBilledAccount, withUsageMetering } from "./lib/usage.js";
 
 /*──────────────────── CREDENCIALES GOOGLE CLOUD ───────────────────*/
 try {
@@ -41,22 +74,34 @@ app.use(cors({ origin: "*" }));
 expressWs(app);
 
 /*────────────────── ENV VARS Y CONFIGURACIÓN ───────────────────────*/
-// URLs y secretos de n8n y supervisión (por defecto, se puede sobrescribir por bot)
-const DEFAULT_N8N_REPORT_WEBHOOK_URL = "https://n8n.srv863010.hstgr.cloud/webhook/cbd9348c-7665-44a7-a2fc-eecbeb387b3c";
-const DEFAULT_N8N_SUPERVISOR_WEBHOOK_URL = "https://n8n.srv863010.hstgr.cloud/webhook/fc528e23-f551-4cb0-a247-62063b4e4b40";
-const SUPERVISOR_SECRET = "un_secreto_muy_largo_y_seguro_que_inventes";
-const CALCOM_WEBHOOK_SECRET = "otro_secreto_muy_largo_y_seguro_que_inventes";
+// URLs de n8n por defecto (se pueden sobrescribir por bot). Los secretos de
+// supervisor y Cal.com viven en BotSecrets / CreatorSecrets (ver lib/secrets.js).
+const DEFAULT_N8N_REPORT_WEBHOOK_URL = process.env.DEFAULT_N8N_REPORT_WEBHOOK_URL || "";
+const DEFAULT_N8N_SUPERVISOR_WEBHOOK_URL = process.env.DEFAULT_N8N_SUPERVISOR_WEBHOOK_URL || "";
 
 // Control de logging de herramientas (para debugging)
 const ENABLE_TOOL_EXECUTION_LOGGING = process.env.ENABLE_TOOL_EXECUTION_LOGGING !== "false";
+// Llamadas con argumentos inválidos admitidas por herramienta y turno de usuario (la última ya no se reintenta)
+const MAX_TOOL_ARG_REPAIRS = Number(process.env.MAX_TOOL_ARG_REPAIRS) || 2;
 console.log(`[CONFIG] Logging detallado de herramientas: ${ENABLE_TOOL_EXECUTION_LOGGING ? "HABILITADO" : "DESHABILITADO"}`);
 console.log(`[CONFIG] NOTA: Las herramientas se ejecutan DIRECTAMENTE como en el código original OpenAI`);
 
 // Mapa de conexiones activas para supervisión
 const activeConnections = new Map();
+// Observadores SSE de las conversaciones en curso (/sessions/:id/events)
+const sessionEvents = createSessionEventHub();
+
+// Durante el apagado no hay periodo de gracia: los informes se envían al cerrar el socket
+let isShuttingDown = false;
 
 /*──────────────────── INICIALIZACIÓN DE SERVICIOS ───────────────────*/
-let adminDb, speechClient, vertexAI, geminiModel, appCheck;
+let adminDb, speechClient, vertexAI, geminiModel, geminiModelName, appCheck, llmProvider, outbox, promptTemplates, knowledgeStore;
+
+// Proveedor LLM: "vertex" (por defecto) o "scripted" para ejecutar conversaciones
+// deterministas en local/CI sin credenciales de Vertex (guion en LLM_SCRIPT_FILE).
+const LLM_PROVIDER = (process.env.LLM_PROVIDER || "vertex").toLowerCase();
+// Estado de salud de cada modelo, compartido por todas las sesiones
+const modelBreaker = createCircuitBreaker();
 
 try {
   console.log("Inicializando servicios con credenciales configuradas...");
@@ -87,93 +132,111 @@ try {
   appCheck = firebaseApp.appCheck();
   console.log("✔️ Firebase Firestore y AppCheck inicializados.");
 
+  // Versiones publicadas de las plantillas del prompt (PromptTemplates)
+  promptTemplates = createPromptTemplateStore({ db: adminDb });
+  // Documentos de cada bot para consultar_base_conocimiento (KnowledgeBases)
+  knowledgeStore = createKnowledgeStore({ db: adminDb });
+
+  // Cada intento de entrega se firma con las claves "outbound" del bot (timestamp nuevo por intento)
+  outbox = createOutbox({
+    db: adminDb,
+    signRequest: async (entry) => {
+      const keys = entry.botId ? await getBotKeys(adminDb, entry.botId, "outbound") : [];
+      if (keys.length === 0) {
+        console.warn(`[OUTBOX] ${entry.kind} sin clave de firma para el bot ${entry.botId || "(desconocido)"}; se envía sin firmar.`);
+        return {};
+      }
+      return signWebhook({ id: `msg_${entry.id}`, body: entry.body, keys });
+    },
+  });
+
   speechClient = new SpeechClient();
   console.log("✔️ SpeechClient inicializado.");
 
-  const vertexProject = process.env.GOOGLE_PROJECT_ID || "botgpt-a284d";
-  const envVertexLocation = process.env.GOOGLE_LOCATION;
-  // Por defecto este proyecto trabaja con endpoint/global. Si existe una GOOGLE_LOCATION
-  // vieja (ej: "us-central1"), puede romper el flujo. Permitimos volver a habilitar
-  // regiones con VERTEX_REQUIRE_GLOBAL=false.
-  const requireGlobal = String(process.env.VERTEX_REQUIRE_GLOBAL || "true").toLowerCase() !== "false";
-  const envVertexLocationNorm = String(envVertexLocation || "").toLowerCase();
-  const vertexLocation =
-    requireGlobal
-      ? "global"
-      : (envVertexLocation || "global");
-  const vertexLocationNorm = String(vertexLocation).toLowerCase();
-
-  if (requireGlobal && envVertexLocation && envVertexLocationNorm !== "global") {
-    console.warn(
-      `[CONFIG] GOOGLE_LOCATION="${envVertexLocation}" ignorado; usando location="global". ` +
-        `Si necesitas usar región, define VERTEX_REQUIRE_GLOBAL=false.`
-    );
-  }
-  // IMPORTANTE: con location="global", el SDK arma por defecto el host como
-  // "global-aiplatform.googleapis.com" (regionalizado) y eso puede devolver HTML.
-  // Para global debemos usar el endpoint base sin prefijo regional.
-  const envApiEndpoint = process.env.VERTEX_API_ENDPOINT;
-  const forceEnvApiEndpoint = String(process.env.VERTEX_API_ENDPOINT_FORCE || "").toLowerCase() === "true";
-  const expectedRegionalHost = `${vertexLocationNorm}-aiplatform.googleapis.com`;
-  const defaultGlobalHost = "aiplatform.googleapis.com";
-
-  let vertexApiEndpoint;
-  if (envApiEndpoint) {
-    // Evita errores al reutilizar variables de entorno entre despliegues/regiones.
-    // Si el endpoint no corresponde con la location actual, lo ignoramos (salvo FORCE).
-    const envHost = String(envApiEndpoint).toLowerCase();
-    const isEnvGlobalHost = envHost === defaultGlobalHost;
-    const isEnvRegionalHostForLocation = envHost === expectedRegionalHost;
-
-    const isConsistent =
-      vertexLocationNorm === "global"
-        ? isEnvGlobalHost
-        : (isEnvRegionalHostForLocation || isEnvGlobalHost);
-
-    if (forceEnvApiEndpoint || isConsistent) {
-      vertexApiEndpoint = envApiEndpoint;
-    } else {
+  if (LLM_PROVIDER === "scripted") {
+    const scriptFile = process.env.LLM_SCRIPT_FILE;
+    if (!scriptFile) throw new Error("LLM_PROVIDER=scripted requiere LLM_SCRIPT_FILE.");
+    llmProvider = createLlmProvider("scripted", { script: loadScriptFile(scriptFile) });
+    console.log(`✔️ Proveedor LLM scripted inicializado con guion ${scriptFile}.`);
+  } else {
+    const vertexProject = process.env.GOOGLE_PROJECT_ID || "botgpt-a284d";
+    const envVertexLocation = process.env.GOOGLE_LOCATION;
+    // Por defecto este proyecto trabaja con endpoint/global. Si existe una GOOGLE_LOCATION
+    // vieja (ej: "us-central1"), puede romper el flujo. Permitimos volver a habilitar
+    // regiones con VERTEX_REQUIRE_GLOBAL=false.
+    const requireGlobal = String(process.env.VERTEX_REQUIRE_GLOBAL || "true").toLowerCase() !== "false";
+    const envVertexLocationNorm = String(envVertexLocation || "").toLowerCase();
+    const vertexLocation =
+      requireGlobal
+        ? "global"
+        : (envVertexLocation || "global");
+    const vertexLocationNorm = String(vertexLocation).toLowerCase();
+
+    if (requireGlobal && envVertexLocation && envVertexLocationNorm !== "global") {
       console.warn(
-        `[CONFIG] Ignorando VERTEX_API_ENDPOINT="${envApiEndpoint}" por inconsistencia con GOOGLE_LOCATION="${vertexLocation}". ` +
-          `Esperado: "${vertexLocationNorm === "global" ? defaultGlobalHost : expectedRegionalHost}". ` +
-          `Si quieres forzarlo, usa VERTEX_API_ENDPOINT_FORCE=true.`
+        `[CONFIG] GOOGLE_LOCATION="${envVertexLocation}" ignorado; usando location="global". ` +
+          `Si necesitas usar región, define VERTEX_REQUIRE_GLOBAL=false.`
       );
     }
-  }
+    // IMPORTANTE: con location="global", el SDK arma por defecto el host como
+    // "global-aiplatform.googleapis.com" (regionalizado) y eso puede devolver HTML.
+    // Para global debemos usar el endpoint base sin prefijo regional.
+    const envApiEndpoint = process.env.VERTEX_API_ENDPOINT;
+    const forceEnvApiEndpoint = String(process.env.VERTEX_API_ENDPOINT_FORCE || "").toLowerCase() === "true";
+    const expectedRegionalHost = `${vertexLocationNorm}-aiplatform.googleapis.com`;
+    const defaultGlobalHost = "aiplatform.googleapis.com";
+
+    let vertexApiEndpoint;
+    if (envApiEndpoint) {
+      // Evita errores al reutilizar variables de entorno entre despliegues/regiones.
+      // Si el endpoint no corresponde con la location actual, lo ignoramos (salvo FORCE).
+      const envHost = String(envApiEndpoint).toLowerCase();
+      const isEnvGlobalHost = envHost === defaultGlobalHost;
+      const isEnvRegionalHostForLocation = envHost === expectedRegionalHost;
+
+      const isConsistent =
+        vertexLocationNorm === "global"
+          ? isEnvGlobalHost
+          : (isEnvRegionalHostForLocation || isEnvGlobalHost);
+
+      if (forceEnvApiEndpoint || isConsistent) {
+        vertexApiEndpoint = envApiEndpoint;
+      } else {
+        console.warn(
+          `[CONFIG] Ignorando VERTEX_API_ENDPOINT="${envApiEndpoint}" por inconsistencia con GOOGLE_LOCATION="${vertexLocation}". ` +
+            `Esperado: "${vertexLocationNorm === "global" ? defaultGlobalHost : expectedRegionalHost}". ` +
+            `Si quieres forzarlo, usa VERTEX_API_ENDPOINT_FORCE=true.`
+        );
+      }
+    }
 
-  if (!vertexApiEndpoint && vertexLocationNorm === "global") {
-    vertexApiEndpoint = defaultGlobalHost;
-  }
+    if (!vertexApiEndpoint && vertexLocationNorm === "global") {
+      vertexApiEndpoint = defaultGlobalHost;
+    }
 
-  vertexAI = new VertexAI({
-    project: vertexProject,
-    location: vertexLocation,
-    ...(vertexApiEndpoint ? { apiEndpoint: vertexApiEndpoint } : {}),
-  });
+    vertexAI = new VertexAI({
+      project: vertexProject,
+      location: vertexLocation,
+      ...(vertexApiEndpoint ? { apiEndpoint: vertexApiEndpoint } : {}),
+    });
 
-  console.log(
-    `[CONFIG] VertexAI → project=${vertexProject} location=${vertexLocation}` +
-      (vertexApiEndpoint ? ` apiEndpoint=${vertexApiEndpoint}` : "")
-  );
+    console.log(
+      `[CONFIG] VertexAI → project=${vertexProject} location=${vertexLocation}` +
+        (vertexApiEndpoint ? ` apiEndpoint=${vertexApiEndpoint}` : "")
+    );
   
-  // Verificar que el modelo esté disponible
-  try {
-    geminiModel = vertexAI.getGenerativeModel({ model: "gemini-3-flash-preview" });
-    console.log("✔️ VertexAI (Gemini 3 Flash Preview) inicializado.");
-  } catch (modelError) {
-    console.warn("Modelo gemini-3-flash-preview no disponible, intentando con gemini-2.5-flash...");
-    try {
-      geminiModel = vertexAI.getGenerativeModel({ model: "gemini-2.5-flash" });
-      console.log("✔️ VertexAI (Gemini 2.5 Flash) inicializado.");
-    } catch (fallback25Error) {
-      console.warn("Modelo gemini-2.5-flash no disponible, intentando con gemini-pro...");
-      try {
-        geminiModel = vertexAI.getGenerativeModel({ model: "gemini-pro" });
-        console.log("✔️ VertexAI (Gemini Pro) inicializado.");
-      } catch (fallbackError) {
-        throw new Error(`No se pudo inicializar ningún modelo de Gemini: ${fallbackError.message}`);
-      }
-    }
+    // getGenerativeModel no llama a la API: la disponibilidad real se comprueba en
+    // cada petición, con reintentos y modelos de reserva (lib/llm-failover.js)
+    geminiModelName = process.env.GEMINI_MODEL || "gemini-3-flash-preview";
+    geminiModel = vertexAI.getGenerativeModel({ model: geminiModelName });
+    console.log(`✔️ VertexAI (${geminiModelName}) inicializado. Modelos de reserva: ${fallbackModelsFromEnv().join(", ") || "ninguno"}.`);
+
+    llmProvider = createLlmProvider(LLM_PROVIDER, {
+      model: geminiModel,
+      modelName: geminiModelName,
+      // Modelos pedidos por conversación (variantes de experimentos)
+      getModel: (name) => vertexAI.getGenerativeModel({ model: name }),
+    });
   }
 
   console.log("✅ Todos los servicios se inicializaron correctamente.");
@@ -188,12 +251,8 @@ const WS_OPEN = 1;
 const safeSend = (ws, data) => {
   try { if (ws.readyState === WS_OPEN) ws.send(JSON.stringify(data)); } catch (_) {}
 };
-const normalizeLang = (lang) => {
-  if (!lang) return "es-ES";
-  const s = String(lang).toLowerCase();
-  if (s.startsWith("en")) return "en-US";
-  if (s.startsWith("es")) return "es-ES";
-  return lang;
+const safeSendBinary = (ws, buf) => {
+  try { if (ws.readyState === WS_OPEN) ws.send(buf, { binary: true }); } catch (_) {}
 };
 
 /*────────────────── UTILIDADES GEMINI Y HERRAMIENTAS ──────────────────*/
@@ -210,12 +269,26 @@ function toVertexFunctionDeclarations(tools = []) {
       description: t.description || "",
       parameters: {
         type: "object",
-        properties: t.parameters?.properties || {},
+        properties: toModelSchema(t.parameters || {}).properties || {},
         required: t.parameters?.required || []
       }
     }));
 }
 
+// Normaliza los args de un functionCall (objeto o string JSON)
+function parseFunctionCallArgs(functionCall) {
+  const raw = functionCall?.args;
+  if (raw && typeof raw === "object") return raw;
+  if (typeof raw === "string") {
+    try {
+      return JSON.parse(raw);
+    } catch (parseError) {
+      console.warn("[TOOLS] No se pudieron parsear los argumentos como JSON:", raw);
+    }
+  }
+  return {};
+}
+
 /**
  * Construye los handlers de herramientas para la conexión actual.
  * Cada WebSocket de cliente tendrá su propio juego de handlers con
@@ -268,33 +341,33 @@ function buildToolHandlers(n8nWebhookUrl, getContext) {
         return { status: "success", http_status: 200, response: "Duplicate suppressed (idempotent)" };
       }
 
-      // Llamada a n8n con dedupeKey
+      // Llamada a n8n con dedupeKey: se persiste en el outbox y se intenta entregar ya;
+      // si n8n no responde, el worker la reintenta y el modelo lo comunica como "en cola"
       try {
         console.log(`[TOOL] Enviando petición a n8n...`);
         console.log(`[TOOL] URL del webhook de herramientas: ${n8nWebhookUrl}`);
         console.log(`[TOOL] Payload:`, JSON.stringify({ orden, conversationId, botId, fullConversation, dedupeKey }, null, 2));
-        
-        const resp = await fetch(n8nWebhookUrl, {
-          method: "POST",
-          headers: {
-            "Content-Type": "application/json",
-            "X-Dedupe-Key": dedupeKey
-          },
-          body: JSON.stringify({ orden, conversationId, botId, fullConversation, dedupeKey }),
-          timeout: 15000,
-        });
 
-        console.log(`[TOOL] Respuesta de n8n - Status: ${resp.status}`);
-        console.log(`[TOOL] Headers de respuesta:`, Object.fromEntries(resp.headers.entries()));
+        const { id: outboxId } = await outbox.enqueue({
+          url: n8nWebhookUrl,
+          body: { orden, conversationId, botId, fullConversation, dedupeKey },
+          headers: { "X-Dedupe-Key": dedupeKey },
+          kind: "tool",
+          conversationId,
+          botId,
+          idempotencyKey: dedupeKey,
+          timeoutMs: 15000,
+        });
+        const delivery = await outbox.deliverNow(outboxId);
 
-        const body = await resp.text();
-        console.log(`[TOOL] Cuerpo de respuesta de n8n:`, body);
+        console.log(`[TOOL] Respuesta de n8n - Status: ${delivery.status ?? "(sin respuesta)"}`);
+        console.log(`[TOOL] Cuerpo de respuesta de n8n:`, delivery.body);
 
-        const result = {
-          status: resp.ok ? "success" : "error",
-          http_status: resp.status,
-          response: body,
-        };
+        const result = delivery.delivered
+          ? { status: "success", http_status: delivery.status, response: delivery.body }
+          : delivery.dead
+          ? { status: "error", http_status: delivery.status, response: delivery.body, message: delivery.error }
+          : { status: "queued", http_status: delivery.status, message: "n8n no respondió; la orden quedó en cola y se reintentará automáticamente." };
         
         console.log(`[TOOL] Resultado final de ejecutar_orden_n8n:`, JSON.stringify(result, null, 2));
         return result;
@@ -307,173 +380,24 @@ function buildToolHandlers(n8nWebhookUrl, getContext) {
   };
 }
 
-function makeStandardSystemPrompt(botData, opts = {}) {
-  const lang = (botData.language?.toLowerCase() === "en") ? "en" : "es";
-  const hasN8n = !!opts?.hasN8n;
-  const hasBooking = !!opts?.hasBooking;
-  const hasNavigation = !!opts?.hasNavigation;
-  const navigationMap = opts?.navigationMap || {};
-  const persona = botData.Variable1 || (lang === "en" ? "a helpful virtual assistant" : "un asistente virtual útil");
-  const firstLine = botData.Variable5 ? (lang === "en"
-    ? `\nYour FIRST sentence must be EXACTLY: "${botData.Variable5}".`
-    : `\nTu PRIMERA frase debe ser EXACTAMENTE: "${botData.Variable5}".`) : "";
-  const specific = botData.Variable2 ? `\n\n${lang === "en" ? "### TASK-SPECIFIC INSTRUCTIONS" : "### INSTRUCCIONES ESPECÍFICAS DE LA TAREA"}\n${botData.Variable2}` : "";
-  const accionesDesc = botData.accionesDescription || "";
-  
-  // Construir instrucciones de navegación si está habilitado
-  let navigationInstructions = "";
-  if (hasNavigation && Object.keys(navigationMap).length > 0) {
-    // Formato simplificado: { "etiqueta": "descripción" }
-    const sectionsList = Object.entries(navigationMap)
-      .map(([tag, description]) => `- "${tag}": ${description}`)
-      .join("\n");
-    
-    navigationInstructions = (lang === "en") ? `
-### WEB NAVIGATION
-You can move the user's view to different sections of the webpage using the \`navegar_web\` tool. This is useful when you want to visually show them something while you explain.
-
-Available sections:
-${sectionsList}
-
-IMPORTANT RULES:
-1. **Navigation complements, never replaces your verbal response.** If the user asks a question whose answer is on the web, you MUST answer verbally AND navigate to show them visually.
-2. **If the user just asks to be taken somewhere** (e.g., "take me to pricing"), briefly confirm ("Sure, taking you to the pricing section") and navigate.
-3. **Do NOT say anything about the navigation after it's done.** Just continue naturally.
-
-Examples:
-- User: "What are your prices?" → You explain the prices verbally AND call navegar_web to show the pricing section.
-- User: "Show me the services" → You say "Of course, here are our services" AND call navegar_web to navigate there.
-` : `
-### NAVEGACIÓN WEB
-Tienes la capacidad de mover la vista del usuario a diferentes secciones de la página web usando la herramienta \`navegar_web\`. Esto es útil cuando quieras mostrarle visualmente algo mientras le explicas.
-
-Secciones disponibles:
-${sectionsList}
-
-REGLAS IMPORTANTES:
-1. **La navegación complementa, nunca sustituye tu respuesta verbal.** Si el usuario hace una pregunta cuya respuesta está en la web, DEBES responder verbalmente Y además navegar para mostrárselo visualmente.
-2. **Si el usuario solo pide que le lleves a algún sitio** (ej: "llévame a precios"), confirma brevemente ("Perfecto, te llevo a la sección de precios") y navega.
-3. **NO digas nada sobre la navegación después de realizarla.** Simplemente continúa de forma natural.
-
-Ejemplos:
-- Usuario: "¿Cuáles son sus precios?" → Explicas los precios verbalmente Y llamas a navegar_web para mostrar la sección de precios.
-- Usuario: "Muéstrame los servicios" → Dices "Por supuesto, aquí tienes nuestros servicios" Y llamas a navegar_web para navegar allí.
-`;
-  }
-
-  const core = (lang === "en") ? `
-You are ${persona} for customer service. Be concise, direct and friendly. Always prioritize accuracy and ask only for what's strictly necessary to complete the task.
-
-### Input Modality Notes
-- If the user's message was typed, it will arrive preceded by "(Mensaje Escrito)". Treat it as **written** and reliable.
-- Otherwise, assume it came by **voice** and may contain transcription errors.
-
-### Data Policy (very important)
-- **Email must be typed** by the user in the chat. If an email is dictated by voice, kindly ask them to type it to avoid transcription errors.
-  - Example: "Got it. To make sure the email is 100% correct, could you please type it here?"
-- **Other data** (name, phone, short notes) can be confirmed verbally. Repeat back and confirm: "I have 612 345 678. Is that correct?"
-
-### Pragmatic Slot-Filling
-- Before calling any tool, quickly list (mentally) the minimum fields required for the action.
-- Only ask for strictly missing fields. Avoid long questionnaires.
-- If a non-critical field is missing, proceed and note it as pending.
-
-### Tool Execution Rules (CRITICAL)
-1) **One tool per turn.** Never call multiple tools at once. Wait for the tool's result before deciding next steps.
-2) **Announce & Act.** If you tell the user you're going to perform an action (save data, send email, open calendar), you MUST call the corresponding tool in the same turn.
-3) **Handle tool responses privately.** Tool output is for you, not to be pasted to the user. If something fails or data is missing, apologize briefly and request just the missing piece.
-
-${hasN8n ? `### External Tool: ejecutar_orden_n8n
-- You have ONE messenger tool: \`ejecutar_orden_n8n\`. It delivers your natural-language **order** to a backend (n8n) that executes it.
-- **Your job** is to craft a **clear, complete, self-contained order** with all required fields.
-- Actions available (summary from config): "${accionesDesc}"
-
-Good orders:
-- \`Save the contact for Laura Fields with email laura.f@email.com and phone 612345678 for a family-law consultation.\`
-- \`Send an email to j.perez@email.com with full information about the Business Retainer service.\`
-- \`Register a callback request for Mark Soler (mark.s@email.com) tomorrow morning.\`
-
-Bad orders:
-- \`Save client data.\` (unclear)
-- \`Send email.\` (no recipient/content)
-` : ""}
-
-${hasBooking ? `### Appointment Scheduling (Cal.com)
-- When the user asks to schedule or check availability, use \`abrir_modal_agendamiento\`.
-- Pass any known name, email (only if typed), and a short summary. Do not fabricate data.
-- **Time confirmation:** When booking completes, confirm the **exact date/time received from the system** (do NOT reinterpret timezones). Speak it in the user's locale.
-` : ""}
-
-${navigationInstructions}
-
-### Safety & Privacy
-- Never invent emails/phones.
-- Don't expose tool outputs verbatim to the user.
-- If unsure, ask a short clarifying question rather than guessing.
-
-### Corrections & Supervisor
-- If the system injects a correction, apologize briefly, fix the information/action, and continue smoothly.
-
-Be helpful, crisp, and get things done with minimal friction for the user.
-${firstLine}
-` : `
-Eres ${persona} para atención al cliente. Sé conciso, directo y amable. Prioriza siempre la exactitud y pide solo lo **estrictamente necesario** para completar la tarea.
-
-### Notas sobre la modalidad de entrada
-- Si el mensaje del usuario llega precedido por "(Mensaje Escrito)", trátalo como **escrito** y fiable.
-- En caso contrario, asume que vino por **voz** y puede contener errores de transcripción.
-
-### Política de Datos (muy importante)
-- **El email debe venir escrito** por el usuario en el chat. Si el email se dicta por voz, pídele amablemente que lo escriba para evitar errores.
-  - Ejemplo: "Perfecto. Para asegurarnos de que el correo sea 100% correcto, ¿puedes escribirlo aquí, por favor?"
-- **Otros datos** (nombre, teléfono, notas) pueden confirmarse verbalmente. Repite y confirma: "Tengo 612 345 678. ¿Es correcto?"
-
-### Slot-Filling pragmático
-- Antes de llamar a cualquier herramienta, lista mentalmente los campos mínimos requeridos para la acción.
-- Pide únicamente lo que falte de forma imprescindible. Evita interrogatorios largos.
-- Si falta un dato no crítico, continúa y anótalo como pendiente.
-
-### Reglas de uso de herramientas (CRÍTICO)
-1) **Una herramienta por turno.** No llames a varias a la vez. Espera la respuesta de la herramienta antes de decidir el siguiente paso.
-2) **Anuncia y Actúa.** Si dices que vas a hacer algo (guardar datos, enviar email, abrir calendario), DEBES llamar a la herramienta correspondiente en ese mismo turno.
-3) **Salida de herramienta = uso interno.** No pegues la salida técnica al usuario. Si falla o falta un dato, discúlpate brevemente y solicita solo lo que falte.
-
-${hasN8n ? `### Herramienta externa: ejecutar_orden_n8n
-- Dispones de UNA herramienta mensajera: \`ejecutar_orden_n8n\`. Envía tu **orden** en lenguaje natural a un backend (n8n) para que la ejecute.
-- **Tu trabajo** es redactar una **orden clara, completa y autosuficiente** con todos los campos requeridos.
-- Acciones disponibles (resumen de configuración): "${accionesDesc}"
-
-Órdenes correctas:
-- \`Guarda el contacto de Laura Campos con email laura.c@email.com y teléfono 612345678 para una consulta de derecho de familia.\`
-- \`Envía un email a j.perez@email.com con la información completa sobre el servicio de Igualas para empresas.\`
-- \`Registra una solicitud de llamada para Marcos Soler (marcos.s@email.com) mañana por la mañana.\`
-
-Órdenes incorrectas:
-- \`Guardar datos del cliente.\` (ambiguo)
-- \`Enviar email.\` (sin destinatario/contenido)
-` : ""}
-
-${hasBooking ? `### Agendado de citas (Cal.com)
-- Cuando el usuario quiera agendar o consultar disponibilidad, usa \`abrir_modal_agendamiento\`.
-- Pasa nombre, email (solo si está escrito) y un breve resumen si lo tienes. No inventes datos.
-- **Confirmación horaria:** Al confirmar, repite la **fecha/hora exacta que devuelve el sistema** (NO reinterpretes husos). Exprésala en español natural para el usuario.
-` : ""}
-
-${navigationInstructions}
-
-### Seguridad y Privacidad
-- No inventes emails/teléfonos.
-- No muestres salidas técnicas de herramientas al usuario.
-- Si hay duda, pregunta breve de aclaración en lugar de adivinar.
-
-### Correcciones y Supervisor
-- Si el sistema inyecta una corrección, discúlpate brevemente, corrige y continúa con fluidez. Si es una corrección por una herramienta mal ejecutada que puedes corregir, no te disculpas ni dices que estás corrigiendo nada, solo indicas que estás en proceso de realizar la acción y la vuelves a ejecutar correctamente según las indicaciones del supervisor.
-
-Sé resolutivo, claro y minimiza la fricción para el usuario. Y no olvides pedir los datos del cliente: empresa nombre email y a ser posible teléfono. Y muy importante que procure darte los datos por escrito para evitar errores de transcripción, como mínimo el mail que te lo pase por escrito a través del campo de mensajes
-${firstLine}
-`;
-
-  return core + specific;
+/**
+ * Prompt estándar del bot con su plantilla (versión publicada o fijada y
+ * secciones propias). `version` fuerza la versión registrada en la conversación.
+ * Devuelve { systemPrompt, promptTemplate } con lo necesario para trazarlo.
+ */
+async function makeStandardSystemPrompt(botData, opts = {}, { version = null } = {}) {
+  const template = await promptTemplates.resolve(botData, { language: opts.language || botData.language, version });
+  const systemPrompt = renderSystemPrompt(template, botData, opts);
+  return {
+    systemPrompt,
+    promptTemplate: {
+      id: template.templateId,
+      version: template.version,
+      language: template.templateLanguage,
+      overrides: template.overridden,
+      hash: promptHash(systemPrompt),
+    },
+  };
 }
 
 /**
@@ -490,30 +414,27 @@ async function triggerSupervisorWorkflow(data, supervisorWebhookUrl = null) {
   console.log(`[SUPERVISION] Disparando workflow para la conversación ${data.conversationId}...`);
   console.log(`[SUPERVISION] Datos del turno:`, JSON.stringify(data.currentTurn, null, 2));
 
-  try {
-    fetch(webhookUrl, {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify(data),
-      timeout: 10000,
-    }).then(response => {
-      if (response.ok) {
-        console.log(`[SUPERVISION] Workflow para ${data.conversationId} disparado con éxito (Status: ${response.status}).`);
-      } else {
-        console.error(`[SUPERVISION ERROR] El webhook respondió con estado ${response.status} para ${data.conversationId}.`);
-      }
-    }).catch(error => {
-      console.error(`[SUPERVISION ERROR] Fallo al contactar el webhook para ${data.conversationId}:`, error.message);
-    });
-  } catch (error) {
-    console.error(`[SUPERVISION FATAL] Error al iniciar el fetch para la supervisión:`, error.message);
-  }
+  // Persistido en el outbox; la entrega (y sus reintentos) va en segundo plano
+  outbox.send({
+    url: webhookUrl,
+    body: data,
+    kind: "supervisor",
+    conversationId: data.conversationId,
+    botId: data.botId,
+    timeoutMs: 10000,
+  }).then(({ id }) => {
+    console.log(`[SUPERVISION] Turno de ${data.conversationId} encolado (${id}).`);
+  }).catch((error) => {
+    console.error(`[SUPERVISION ERROR] No se pudo encolar el turno de ${data.conversationId}:`, error.message);
+  });
 }
 
 /**
  * Envía la transcripción final al webhook de n8n para generar informes.
+ * Si se pasan los turnos estructurados, viajan junto al transcript heredado.
+ * El informe pasa por el outbox: `idempotencyKey` identifica el cierre de sesión.
  */
-async function triggerReportWorkflow(convId, transcript, reportWebhookUrl = null) {
+async function triggerReportWorkflow(convId, transcript, reportWebhookUrl = null, turns = null, { botId = null, idempotencyKey = null } = {}) {
   const webhookUrl = reportWebhookUrl || DEFAULT_N8N_REPORT_WEBHOOK_URL;
   
   if (!webhookUrl) {
@@ -524,33 +445,37 @@ async function triggerReportWorkflow(convId, transcript, reportWebhookUrl = null
   console.log(`[N8N REPORT] Disparando workflow para la conversación ${convId}...`);
 
   try {
-    const response = await fetch(webhookUrl, {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({
+    const { id, duplicate } = await outbox.send({
+      url: webhookUrl,
+      body: {
         conversationId: convId,
         transcript: transcript.trim(),
-      }),
-      timeout: 5000,
+        ...(turns ? { turns } : {}),
+      },
+      kind: "report",
+      conversationId: convId,
+      botId,
+      idempotencyKey,
+      timeoutMs: 15000,
     });
-
-    if (response.ok) {
-      console.log(`[N8N REPORT] Workflow para ${convId} disparado con éxito.`);
-    } else {
-      console.error(`[N8N REPORT ERROR] El webhook respondió con estado ${response.status} para ${convId}.`);
-    }
+    console.log(`[N8N REPORT] Informe de ${convId} ${duplicate ? "ya estaba encolado" : "encolado"} (${id}).`);
   } catch (error) {
-    console.error(`[N8N REPORT ERROR] Fallo al contactar el webhook para ${convId}:`, error.message);
+    console.error(`[N8N REPORT ERROR] No se pudo encolar el informe de ${convId}:`, error.message);
   }
 }
 
 /*────────────────── WEBSOCKET /realtime-ws ──────────────────*/
 app.ws("/realtime-ws", (clientWs) => {
   console.log("[CLIENT CONNECTED]");
+  const connectedAt = new Date();
   
-  // Estado STT
-  let recognizeStream = null;
+  // Estado STT (el backend se elige por bot en start_conversation; Google por defecto)
+  let sttStream = null;
+  let sttProvider = null;
   let sttLanguageCode = "es-ES";
+
+  // Estado TTS (opcional por bot): si es null, el frontend pone la voz
+  let ttsPipeline = null;
   
   // Estado Gemini y conversación
   let geminiChat = null;
@@ -559,6 +484,15 @@ app.ws("/realtime-ws", (clientWs) => {
   // Estado de herramientas y supervisión
   let currentTools = [];
   let toolHandlers = {};
+  // Herramientas HTTP declaradas en el documento del bot (httpTools), por nombre
+  let httpToolDefinitions = {};
+  // Pasajes de la base de conocimiento devueltos en esta sesión (id → fuente), para resolver las citas
+  const knowledgePassages = new Map();
+  const rememberPassages = (passages = []) => {
+    for (const { id, title, source } of passages) knowledgePassages.set(id, { id, docId: id.split("#")[0], title: title || "", source: source || null });
+  };
+  // Pasajes citados en una respuesta: solo los que la herramienta devolvió de verdad
+  const citedPassages = (filter) => (filter ? filter.cited().map((id) => knowledgePassages.get(id)).filter(Boolean) : []);
   let isSupervised = false;
   let conversationId = null;
   let conversationCreated = false;
@@ -566,26 +500,46 @@ app.ws("/realtime-ws", (clientWs) => {
   let currentUserId = null;
   let currentCreadorBot = null;
   let currentFacturaADestinatario = false;
-  let fullConversationTranscript = "";
+  // Medición de uso y cuota de la cuenta facturada
+  let usageMeter = null;
+  let billedAccountId = null;
+  let quotaExceeded = false;
+  // Experimento A/B: { experimentId, variant } asignado a esta conversación y su medidor
+  let experimentAssignment = null;
+  let experimentTracker = null;
+  // Turnos estructurados (Conversations/{id}/Turns); el transcript heredado se deriva de ellos
+  const turnLog = createTurnLog({
+    db: adminDb,
+    now: () => admin.firestore.Timestamp.now(),
+    onAppend: (record) => {
+      if (!conversationId) return;
+      sessionEvents.publish(conversationId, { type: "turn", turn: serializeTurns([record])[0] });
+      experimentTracker?.recordTurn(record);
+    },
+  });
+  let userSpeechStartedAt = null;
   let currentUserTranscript = "";
   let currentUserInputSource = "voice";
   let isCorrecting = false;
 
   // Contexto interno (no se envía al frontend): útil para que el modelo
   // recuerde acciones silenciosas (ej: navegar_web) y confirmaciones determinísticas.
-  const internalContextNotes = [];
-  const pushInternalContext = (note) => {
-    const clean = String(note || "").trim();
-    if (!clean) return;
-    internalContextNotes.push(clean);
-    // Mantenerlo acotado para no inflar el prompt.
-    while (internalContextNotes.length > 15) internalContextNotes.shift();
-  };
+  // Acotado para no inflar el prompt: al pasar del máximo, las notas antiguas se
+  // resumen en una sola.
+  let summarizeContext = null; // (clave de instrucciones, texto) → resumen; se crea con el chat
+  const internalContextNotes = createContextNotes({
+    summarize: async (notes) => {
+      if (!summarizeContext) return null;
+      const summary = await summarizeContext("summary.notes", notes.map((n) => `- ${n}`).join("\n"));
+      return summary ? tr("context.notesSummary", { summary }) : null;
+    },
+  });
+  const pushInternalContext = (note) => internalContextNotes.push(note);
   const buildModelInputWithContext = (userText) => {
     const txt = (userText ?? "").toString();
     if (internalContextNotes.length === 0) return txt;
-    const ctx = internalContextNotes.map((n) => `- ${n}`).join("\n");
-    return `[Contexto interno del sistema: acciones recientes]\n${ctx}\n\n${txt}`;
+    const ctx = internalContextNotes.list().map((n) => `- ${n}`).join("\n");
+    return `${tr("context.header")}\n${ctx}\n\n${txt}`;
   };
   
   // Estado de deduplicación de reservas por conexión
@@ -600,78 +554,125 @@ app.ws("/realtime-ws", (clientWs) => {
   
   // Estados para deduplicación de herramientas
   const seenToolCalls = new Set();
+  // Política de llamadas por turno del modelo: "single" (una por turno) o "parallel"
+  let toolCallPolicy = "single";
+  // Frase de espera mientras se reintenta el modelo (failover.filler del bot)
+  let failoverFiller = false;
+  // Intentos con argumentos inválidos por herramienta (se reinicia con cada turno del usuario)
+  const toolRepairAttempts = new Map();
   let isPausedForUserAction = false;
+  // Relevo humano: { operator, startedAt, messages } mientras un operador responde en lugar de Gemini
+  let humanTakeover = null;
   
   // thought_signature para modelos con "thinking" (Gemini 2.5+)
   let currentThoughtSignature = null;
 
-  const sttIsActive = () =>
-    recognizeStream && !recognizeStream.writableEnded && !recognizeStream.destroyed;
+  // Sesión reanudable: identidad de este socket en activeConnections y si otro
+  // socket ha tomado el relevo de la conversación
+  const connectionOwner = Symbol("connection");
+  let sessionSuperseded = false;
+  let sessionPersistChain = Promise.resolve();
+
+  // Barge-in: respuesta del asistente en curso (se puede cancelar si el usuario habla)
+  let activeResponse = null;
+  let bargeInEnabled = true;
+  let bargeInMinChars = 3;
+
+  // Idioma actual de la sesión (código base). En bots multilingües cambia si el
+  // STT detecta que el usuario habla en otro de los idiomas del bot.
+  let sessionLanguage = "es";
+  let botLanguages = { primary: "es", supported: ["es"] };
+  // Textos del servidor en el idioma actual (lib/messages.js)
+  const tr = createTranslator(() => sessionLanguage);
+  // Zona horaria del bot para las fechas de reservas sin zona del asistente
+  let botTimeZone = null;
+  // Plantilla con la que se generó el prompt de sistema ({ id, version, language, overrides, hash })
+  let currentPromptTemplate = null;
+  // Modelo y parámetros de generación efectivos de la conversación
+  let currentModelSettings = null;
+
+  const sttIsActive = () => !!sttStream && sttStream.isActive();
+
+  // Todo lo que se envía al cliente se replica a los observadores de la sesión
+  const sendToClient = (payload) => {
+    safeSend(clientWs, payload);
+    if (conversationId) sessionEvents.publish(conversationId, payload);
+  };
 
   const endStt = (reason = "normal") => {
-    if (recognizeStream) {
-      try { recognizeStream.end(); } catch (_) {}
-      recognizeStream = null;
+    if (sttStream) {
+      try { sttStream.end(); } catch (_) {}
+      sttStream = null;
     }
     console.log(`[STT] Stream finalizado (${reason}).`);
   };
 
-  const startSttStream = (lang = "es-ES") => {
-    sttLanguageCode = normalizeLang(lang);
-
-    const request = {
-      config: {
-        encoding: "LINEAR16",
-        sampleRateHertz: 24000,
-        languageCode: sttLanguageCode,
-        model: "latest_long",
-        enableAutomaticPunctuation: true,
-        maxAlternatives: 1,
-      },
-      interimResults: true,
-    };
+  const startSttStream = (lang = sessionLanguage) => {
+    // El idioma actual como principal y el resto de idiomas del bot como alternativos
+    const { languageCode, alternativeLanguageCodes } = sttLanguageConfig(lang, botLanguages.supported);
+    sttLanguageCode = languageCode;
 
     endStt("restart");
 
-    recognizeStream = speechClient
-      .streamingRecognize(request)
-      .on("error", (err) => {
+    if (!sttProvider) sttProvider = createSttProvider({ provider: "google" }, { speechClient });
+
+    const stream = sttProvider.startStream({
+      languageCode: sttLanguageCode,
+      alternativeLanguageCodes,
+      onResult: onSpeechData,
+      onError: (err) => {
         console.error("[STT error]", err?.message || err);
-        safeSend(clientWs, { type: "error", message: `STT error: ${err.message || err}` });
-        endStt("error");
-      })
-      .on("data", onSpeechData)
-      .on("end", () => {
+        sendToClient({ type: "error", message: `STT error: ${err?.message || err}` });
+        if (sttStream === stream) endStt("error");
+      },
+      onEnd: () => {
         console.log("[STT] 'end' recibido.");
-        endStt("end_event");
-      });
+        if (sttStream === stream) endStt("end_event");
+      },
+    });
+    sttStream = stream;
 
-    console.log(`[STT] Stream iniciado con ${sttLanguageCode} (latest_long, 24kHz, interims).`);
+    const alternatives = alternativeLanguageCodes.length > 0 ? ` + ${alternativeLanguageCodes.join(", ")}` : "";
+    console.log(`[STT] Stream iniciado con ${sttLanguageCode}${alternatives} (${sttProvider.describe()}).`);
   };
 
+  /**
+   * Cambio de idioma a mitad de llamada: el STT pasa a escuchar el nuevo idioma
+   * como principal, la voz del servidor cambia de locale y el modelo recibe una
+   * nota para responder en él a partir del siguiente turno.
+   */
+  function switchSessionLanguage(lang, { source = "stt", restartStt = true } = {}) {
+    const previous = sessionLanguage;
+    if (lang === previous) return;
+    sessionLanguage = lang;
+    const languageCode = toLocale(lang);
+    console.log(`[LANG] Cambio de idioma ${previous} → ${lang} (${source}).`);
+
+    if (restartStt && sttIsActive()) startSttStream(lang);
+    ttsPipeline?.setLanguage(languageCode);
+    pushInternalContext(tr("context.languageChanged", { language: languageName(lang) }));
+    sendToClient({ type: "language_changed", language: lang, languageCode, previous, source });
+
+    if (conversationId && conversationCreated) {
+      persistSessionState();
+      adminDb.collection("Conversations").doc(conversationId).update({ Language: lang })
+        .catch((err) => console.warn(`[LANG] No se pudo guardar el idioma de ${conversationId}:`, err.message));
+    }
+  }
+
   // Helper para enviar assistant_final y persistir transcript
-  async function commitAssistantFinal(text, { supervise = true, clearUserTurn = true } = {}) {
+  async function commitAssistantFinal(text, { supervise = true, clearUserTurn = true, spoken = false, startedAt = null, source = "model", citations = [] } = {}) {
     const final = (text || "").trim();
     if (!final) return;
 
     // Emitir al cliente
-    safeSend(clientWs, { type: "assistant_final", text: final });
+    sendToClient({ type: "assistant_final", text: final, ...(citations.length > 0 ? { citations } : {}) });
+    // Textos que no pasaron por el stream (confirmaciones deterministas) se locutan enteros
+    if (ttsPipeline && !spoken) ttsPipeline.speak(final);
 
-    // Persistencia en transcript
-    fullConversationTranscript += `\nAI-BOT: ${final}`;
-    try {
-      if (conversationId && conversationCreated) {
-        await adminDb
-          .collection("Conversations")
-          .doc(conversationId)
-          .update({
-            BotTranscripcion: fullConversationTranscript,
-            Timestamp: admin.firestore.Timestamp.now(),
-          });
-      }
-    } catch (e) {
-      console.warn("[DB WARN] No se pudo guardar transcript:", e.message);
-    }
+    // Persistencia del turno
+    turnLog.append({ role: "assistant", source, text: final, startedAt, correction: isCorrecting, citations });
+    persistSessionState();
 
     // Supervisión opcional
     if (supervise && isSupervised && !isCorrecting) {
@@ -679,7 +680,7 @@ app.ws("/realtime-ws", (clientWs) => {
         {
           botId: currentBotId,
           conversationId,
-          fullConversation: fullConversationTranscript,
+          fullConversation: turnLog.transcript(),
           currentTurn: {
             userInput: currentUserTranscript,
             userInputSource: currentUserInputSource,
@@ -698,36 +699,360 @@ app.ws("/realtime-ws", (clientWs) => {
     }
   }
 
-  async function onSpeechData(data) {
+  /**
+   * Estado necesario para reanudar la sesión en otro socket (o en otra instancia).
+   */
+  async function exportSessionState() {
+    return {
+      history: geminiChat ? await geminiChat.getHistory() : [],
+      internalContextNotes: internalContextNotes.list(),
+      isPausedForUserAction,
+      lastBookingIdProcessed,
+      lastBookingStartISO,
+      humanTakeover,
+      language: sessionLanguage,
+      promptTemplate: currentPromptTemplate,
+      experiment: experimentAssignment ? { id: experimentAssignment.experimentId, variantId: experimentAssignment.variant.id } : null,
+    };
+  }
+
+  // Guarda una instantánea del estado; las escrituras se encadenan para no pisarse.
+  function persistSessionState() {
+    if (!conversationId || !conversationCreated || !geminiChat || sessionSuperseded) return sessionPersistChain;
+    const convId = conversationId;
+    sessionPersistChain = sessionPersistChain
+      .then(async () => saveSessionState(adminDb, convId, await exportSessionState(), admin.firestore.Timestamp.now()))
+      .catch((err) => console.warn("[SESSION] No se pudo guardar el estado de la sesión:", err.message));
+    return sessionPersistChain;
+  }
+
+  /**
+   * Estado de la sesión para /sessions (operaciones): quién, desde cuándo, qué
+   * está haciendo ahora y los últimos turnos.
+   */
+  function describeSession({ lastTurns = 10 } = {}) {
+    let state = "idle";
+    if (quotaExceeded) state = "ending";
+    else if (humanTakeover) state = "human";
+    else if (isPausedForUserAction) state = "paused_for_booking";
+    else if (isCorrecting) state = "correcting";
+    else if (activeResponse?.streaming) state = "responding";
+    else if (sttIsActive()) state = "listening";
+
+    return {
+      conversationId,
+      botId: currentBotId,
+      userId: currentUserId,
+      creatorId: currentCreadorBot,
+      startedAt: connectedAt.toISOString(),
+      connected: clientWs.readyState === WS_OPEN,
+      language: sessionLanguage,
+      supportedLanguages: botLanguages.supported,
+      promptTemplate: currentPromptTemplate,
+      experiment: experimentAssignment ? { id: experimentAssignment.experimentId, variantId: experimentAssignment.variant.id } : null,
+      model: geminiChat?.modelName || null,
+      modelSettings: currentModelSettings,
+      contextWindow: describeContextWindow(),
+      state,
+      stt: {
+        active: sttIsActive(),
+        languageCode: sttLanguageCode,
+        provider: sttProvider ? sttProvider.describe() : null,
+      },
+      pausedForUserAction: isPausedForUserAction,
+      correcting: isCorrecting,
+      responding: !!activeResponse?.streaming,
+      supervised: isSupervised,
+      humanTakeover: humanTakeover
+        ? { operator: humanTakeover.operator, startedAt: humanTakeover.startedAt, messages: humanTakeover.messages.length }
+        : null,
+      turnCount: turnLog.list().length,
+      lastTurns: lastTurns > 0 ? serializeTurns(turnLog.list().slice(-lastTurns)) : [],
+    };
+  }
+
+  // Registra la conexión para correcciones, reservas y reanudación
+  function registerActiveConnection() {
+    activeConnections.set(conversationId, {
+      owner: connectionOwner,
+      applyCorrection: (correction) => applyCorrection(correction),
+      resumeWithBookingData: (eventDetails) => resumeWithBookingData(eventDetails),
+      exportSessionState: () => exportSessionState(),
+      describe: (opts) => describeSession(opts),
+      isHumanMode: () => !!humanTakeover,
+      startHumanTakeover: (opts) => startHumanTakeover(opts),
+      sendHumanMessage: (text) => sendHumanMessage(text),
+      releaseHumanTakeover: (opts) => releaseHumanTakeover(opts),
+      // Otro socket ha reanudado esta conversación: este deja de ser el dueño
+      supersede: () => {
+        sessionSuperseded = true;
+        endStt("superseded");
+        try { clientWs.close(4000, "Sesión reanudada en otra conexión"); } catch (_) {}
+      },
+    });
+    console.log(`[CONN_MAP] Conexión para ${conversationId} registrada.`);
+  }
+
+  /**
+   * Valida un resume token y recupera el estado de la conversación a reanudar:
+   * del socket anterior si sigue vivo en esta instancia, o de Firestore.
+   * No toca la sesión anterior: eso lo hace claimResumedSession cuando la nueva
+   * ya está montada.
+   */
+  async function loadResumableSession(msg) {
+    const resumeConvId = msg.conversationId;
+    const fail = (message) => Object.assign(new Error(message), { code: "resume_failed" });
+    if (!resumeConvId) throw fail("Falta conversationId para reanudar la sesión.");
+
+    const convSnap = await adminDb.collection("Conversations").doc(resumeConvId).get();
+    if (!convSnap.exists) throw fail(`Conversación ${resumeConvId} no encontrada.`);
+    const conv = convSnap.data();
+    if (!verifyResumeToken(msg.resumeToken, conv.ResumeTokenHash)) throw fail("Resume token inválido.");
+    if (conv.RobotId !== currentBotId || conv.UserId !== currentUserId) {
+      throw fail("El resume token no corresponde a este bot o usuario.");
+    }
+    if (conv.SessionClosed === true) throw fail("La sesión ya se cerró. Inicia una conversación nueva.");
+
+    let state = null;
+    const previous = activeConnections.get(resumeConvId);
+    if (previous && previous.owner !== connectionOwner && typeof previous.exportSessionState === "function") {
+      state = await previous.exportSessionState();
+      console.log(`[SESSION] Estado de ${resumeConvId} tomado del socket anterior (misma instancia).`);
+    }
+    if (!state) state = await loadSessionState(adminDb, resumeConvId);
+
+    return {
+      conversationId: resumeConvId,
+      turns: await loadTurns(adminDb, resumeConvId),
+      state: state || { history: [], internalContextNotes: [], isPausedForUserAction: false },
+    };
+  }
+
+  /**
+   * Toma posesión de la conversación reanudada una vez montada la sesión nueva:
+   * cancela el informe diferido, marca la conversación como conectada y cierra
+   * el socket anterior si seguía vivo aquí. Si la actualización falla, el
+   * informe se vuelve a programar y la sesión anterior queda como estaba.
+   */
+  async function claimResumedSession(update) {
+    const pendingReport = cancelDeferredReport(conversationId);
+    if (pendingReport) {
+      console.log(`[SESSION] Informe diferido de ${conversationId} cancelado: el cliente ha vuelto.`);
+    }
+    try {
+      await adminDb.collection("Conversations").doc(conversationId).update(update);
+    } catch (err) {
+      if (pendingReport) {
+        scheduleDeferredReport(conversationId, pendingReport, SESSION_RESUME_GRACE_MS);
+        console.warn(`[SESSION] Reanudación de ${conversationId} fallida; informe diferido reprogramado.`);
+      }
+      throw err;
+    }
+    const previous = activeConnections.get(conversationId);
+    if (previous && previous.owner !== connectionOwner) previous.supersede();
+    registerActiveConnection();
+  }
+
+  // Arranca la medición de uso una vez conocida la conversación (nueva o reanudada)
+  function startUsageMeter(quota, { isNewConversation }) {
+    usageMeter = createUsageMeter({
+      db: adminDb,
+      conversationId,
+      botId: currentBotId,
+      creatorId: currentCreadorBot,
+      billedAccountId,
+      limits: quota.limits,
+      baseline: quota.used,
+      onQuotaExceeded: (metric) => endSessionForQuota(metric),
+    });
+    if (isNewConversation) usageMeter.addConversation();
+    usageMeter.start();
+
+    if (experimentAssignment) {
+      experimentTracker = createExperimentTracker({
+        db: adminDb,
+        botId: currentBotId,
+        experimentId: experimentAssignment.experimentId,
+        variantId: experimentAssignment.variant.id,
+        conversationId,
+      });
+      if (isNewConversation) experimentTracker.record("conversations");
+      experimentTracker.start();
+    }
+  }
+
+  /**
+   * Cuota agotada en plena sesión: se deja terminar la respuesta en curso, el
+   * asistente se despide y se cierra el socket. Mientras, se ignora la entrada.
+   */
+  async function endSessionForQuota(metric) {
+    if (quotaExceeded) return;
+    quotaExceeded = true;
+    endStt("quota_exceeded");
+
+    for (let i = 0; activeResponse && i < 50; i++) {
+      await new Promise((resolve) => setTimeout(resolve, 200));
+    }
+
+    const farewell = tr("quota.farewell");
+    await commitAssistantFinal(farewell, { supervise: false, source: "server" });
+    sendToClient({ type: "quota_exceeded", metric });
+
+    // Margen para que el cliente muestre/locute la despedida
+    setTimeout(() => {
+      try { clientWs.close(4002, "Cuota de uso agotada"); } catch (_) {}
+    }, 5000);
+  }
+
+  /**
+   * Relevo humano: un operador escribe las respuestas y Gemini queda en pausa.
+   * Lo que dice el usuario se sigue registrando en el transcript y en el historial.
+   */
+  function startHumanTakeover({ operator }) {
+    if (humanTakeover) return null;
+    cancelActiveResponse("human_takeover");
+    humanTakeover = { operator, startedAt: new Date().toISOString(), messages: [] };
+    experimentTracker?.record("humanTakeovers");
+    console.log(`[HUMAN] ${operator} toma el control de ${conversationId}. Gemini en pausa.`);
+
+    turnLog.append({ role: "supervisor", source: "server", text: tr("turn.humanTakeover", { operator }) });
+    sessionEvents.publish(conversationId, { type: "human_takeover", operator });
+    adminDb.collection("Conversations").doc(conversationId)
+      .update({ HumanTakeover: { active: true, operator, startedAt: humanTakeover.startedAt } })
+      .catch((err) => console.warn(`[HUMAN] No se pudo marcar el relevo en ${conversationId}:`, err.message));
+    persistSessionState();
+    return { ...humanTakeover };
+  }
+
+  // Mensaje del operador: llega al usuario como respuesta del asistente
+  async function sendHumanMessage(text) {
+    if (!humanTakeover) return false;
+    const clean = String(text || "").trim();
+    if (!clean) return false;
+    humanTakeover.messages.push(clean);
+    await geminiChat?.appendHistory([{ role: "model", parts: [{ text: clean }] }]);
+    await commitAssistantFinal(clean, { supervise: false, source: "human" });
+    console.log(`[HUMAN] Mensaje de ${humanTakeover.operator} enviado en ${conversationId}: "${clean.substring(0, 100)}"`);
+    return true;
+  }
+
+  /**
+   * Devuelve el control al modelo con un resumen de lo que dijo el operador
+   * (y el suyo propio, si lo envía) como contexto interno.
+   */
+  function releaseHumanTakeover({ operator, summary = "" }) {
+    if (!humanTakeover) return null;
+    const takeover = humanTakeover;
+    humanTakeover = null;
+
+    const said = takeover.messages.length > 0
+      ? takeover.messages.map((m) => `"${m}"`).join(" / ").slice(-2000)
+      : tr("context.humanSilent");
+    const note = tr("context.humanReleased", { operator: takeover.operator, said })
+      + (summary ? tr("context.humanSummary", { summary }) : "")
+      + tr("context.humanResume");
+    pushInternalContext(note);
+
+    turnLog.append({ role: "supervisor", source: "server", text: tr("turn.humanReleased", { operator }) });
+    sessionEvents.publish(conversationId, { type: "human_released", operator, messages: takeover.messages.length });
+    adminDb.collection("Conversations").doc(conversationId)
+      .update({ HumanTakeover: { active: false, operator: takeover.operator, startedAt: takeover.startedAt, releasedAt: new Date().toISOString(), messages: takeover.messages.length } })
+      .catch((err) => console.warn(`[HUMAN] No se pudo marcar el fin del relevo en ${conversationId}:`, err.message));
+    persistSessionState();
+    console.log(`[HUMAN] ${operator} devuelve el control de ${conversationId} (${takeover.messages.length} mensajes).`);
+    return { operator: takeover.operator, startedAt: takeover.startedAt, messages: takeover.messages.length, contextNote: note };
+  }
+
+  // Registra la respuesta que empieza a generarse para poder interrumpirla.
+  function beginAssistantResponse(speech) {
+    const response = {
+      id: crypto.randomUUID(),
+      text: "",
+      speech,
+      streaming: true,
+      aborted: false,
+      startedAt: admin.firestore.Timestamp.now(),
+    };
+    activeResponse = response;
+    return response;
+  }
+
+  function endAssistantResponse(response) {
+    response.streaming = false;
+    if (activeResponse === response) activeResponse = null;
+  }
+
+  /**
+   * Cancela la respuesta en curso (barge-in por voz/texto o response.cancel).
+   * El texto parcial queda marcado como interrumpido en el transcript y el
+   * modelo recibe una nota interna para saber hasta dónde llegó el usuario a oírle.
+   */
+  function cancelActiveResponse(reason) {
+    // El audio ya encolado se corta aunque el texto haya terminado de generarse
+    ttsPipeline?.abortAll();
+
+    const response = activeResponse;
+    if (!response || !response.streaming || response.aborted) return false;
+    response.aborted = true;
+    response.speech?.abort();
+
+    const partial = response.text.trim();
+    console.log(`[BARGE-IN] Respuesta ${response.id} interrumpida (${reason}). Parcial: "${partial.substring(0, 100)}"`);
+    sendToClient({ type: "assistant_interrupted", responseId: response.id, reason, partialText: partial });
+
+    if (partial) {
+      turnLog.append({ role: "assistant", source: "model", text: partial, startedAt: response.startedAt, interrupted: true, correction: isCorrecting });
+      pushInternalContext(tr("context.interrupted", { partial }));
+    } else {
+      pushInternalContext(tr("context.interruptedSilent"));
+    }
+    return true;
+  }
+
+  async function onSpeechData(result) {
     try {
-      const result = data.results?.[0];
       if (!result) return;
 
-      const transcript = result.alternatives?.[0]?.transcript || "";
+      const transcript = result.transcript || "";
       const isFinal = !!result.isFinal;
 
       if (transcript) {
-        safeSend(clientWs, { type: "transcript", text: transcript, isFinal });
+        sendToClient({ type: "transcript", text: transcript, isFinal });
+      }
+
+      // Inicio de la locución del usuario (para el timestamp del turno)
+      if (transcript && !userSpeechStartedAt) userSpeechStartedAt = admin.firestore.Timestamp.now();
+
+      // Barge-in: en cuanto el usuario empieza a hablar, el asistente se calla
+      if (bargeInEnabled && transcript.trim().length >= bargeInMinChars) {
+        cancelActiveResponse("user_speech");
       }
 
       if (isFinal) {
         const norm = transcript.trim().toLowerCase();
+        const speechStartedAt = userSpeechStartedAt;
+        userSpeechStartedAt = null;
         if (norm && norm !== lastFinalNorm) {
           lastFinalNorm = norm;
           currentUserTranscript = norm;
           currentUserInputSource = "voice";
-          
-          // Añadir a transcripción completa
-          const userTurnString = `\nUSUARIO (por voz): ${norm}`;
-          fullConversationTranscript += userTurnString;
-          
-          // Persistir en Firestore
-          if (conversationId && conversationCreated) {
-            adminDb.collection("Conversations").doc(conversationId)
-              .update({ BotTranscripcion: fullConversationTranscript })
-              .catch(err => console.error("[DB ERROR] Al guardar transcripción:", err));
+
+          // Bots multilingües: el STT informa del idioma reconocido
+          const detected = baseLanguage(result.languageCode);
+          if (detected && detected !== sessionLanguage && botLanguages.supported.includes(detected)) {
+            switchSessionLanguage(detected, { source: "stt" });
           }
           
+          // Registrar el turno del usuario
+          toolRepairAttempts.clear();
+          turnLog.append({
+            role: "user",
+            source: "voice",
+            text: norm,
+            startedAt: speechStartedAt,
+            sttConfidence: result.confidence,
+          });
+          
           await getGeminiResponse(norm);
         }
       }
@@ -736,104 +1061,126 @@ app.ws("/realtime-ws", (clientWs) => {
     }
   }
 
-  async function getGeminiResponse(userText) {
+  /**
+   * Turno del modelo en stream. Normalmente responde a un texto; con
+   * `functionResponse` ({ name, payload, thoughtSignature }) responde al
+   * resultado de una herramienta y puede volver a llamar a otra; con
+   * `functionResponses` (array) responde a varias llamadas del mismo turno.
+   */
+  async function getGeminiResponse(userText, { functionResponse = null, functionResponses = null, extraText = null } = {}) {
     if (!geminiChat) return;
 
+    // Relevo humano: el modelo no responde, pero su historial sigue la conversación
+    if (humanTakeover) {
+      if (functionResponses) {
+        await sendFunctionResponsesToGemini(functionResponses);
+      } else if (functionResponse) {
+        // Herramienta que terminó tras el relevo: se cierra la llamada sin hablar al usuario
+        await sendFunctionResponseToGemini(functionResponse.name, functionResponse.payload, { thoughtSignature: functionResponse.thoughtSignature });
+      } else if (userText) {
+        await geminiChat.appendHistory([{ role: "user", parts: [{ text: userText }] }]);
+      }
+      persistSessionState();
+      return;
+    }
+
     // 🚨 CRÍTICO: Si está pausado para acción de usuario, ignorar completamente (igual que OpenAI)
     if (isPausedForUserAction) {
       console.log("⏸️ [GEMINI] Conversación pausada para acción de usuario. Ignorando input.");
       return;
     }
+    if (quotaExceeded) {
+      console.log("[USAGE] Sesión finalizada por cuota agotada. Ignorando input.");
+      return;
+    }
 
     let fullText = "";
     let toolAlreadyHandledThisTurn = false;
     let pendingFunctionCall = null;
+    // Con toolCallPolicy "parallel" se recogen todas las llamadas del turno
+    const pendingFunctionCalls = [];
     let pendingThoughtSignature = null; // Para modelos con "thinking" (Gemini 2.5+)
+    const speech = ttsPipeline?.startUtterance() || null;
+    const response = beginAssistantResponse(speech);
+    // Las citas [[docId#n]] de la base de conocimiento no se muestran ni se locutan
+    const citationFilter = toolHandlers[KNOWLEDGE_TOOL_NAME] ? createCitationFilter() : null;
+    const emitText = (text) => {
+      if (!text) return;
+      fullText += text;
+      response.text = fullText;
+      sendToClient({ type: "assistant_delta", delta: text });
+      speech?.push(text);
+    };
+    const visibleText = () => (citationFilter ? stripCitations(fullText) : fullText);
 
     try {
-      const modelInput = buildModelInputWithContext(userText || " ");
-      const result = await geminiChat.sendMessageStream(modelInput);
-
-      let chunkIndex = 0;
-      for await (const chunk of result.stream) {
-        chunkIndex++;
-        
-        // Verificar que chunk existe y tiene candidates
-        if (!chunk || typeof chunk !== 'object') {
-          console.warn(`[GEMINI STREAM #${chunkIndex}] Chunk inválido:`, chunk);
-          continue;
+      const stream = functionResponses
+        ? geminiChat.sendFunctionResponses(functionResponses, { stream: true, extraText })
+        : functionResponse
+        ? geminiChat.sendFunctionResponse(functionResponse.name, functionResponse.payload, {
+            stream: true,
+            thoughtSignature: functionResponse.thoughtSignature || null,
+          })
+        : geminiChat.streamTurn(buildModelInputWithContext(userText || " "));
+
+      for await (const event of stream) {
+        if (response.aborted) break;
+
+        // Texto del asistente (delta)
+        if (event.type === "text") {
+          emitText(citationFilter ? citationFilter.push(event.text) : event.text);
         }
 
-        // Log detallado del chunk para debugging
-        console.log(`[GEMINI STREAM #${chunkIndex}] Chunk recibido:`, JSON.stringify(chunk, null, 2));
+        // Llamada a herramienta (functionCall)
+        // Nota: Los modelos 2.5 soportan parallel function calling; con la política
+        // "single" (por defecto) solo se atiende la primera llamada del turno
+        if (event.type === "function_call" && toolCallPolicy === "parallel") {
+          pendingFunctionCalls.push(event.functionCall);
+          if (!pendingFunctionCall) pendingFunctionCall = event.functionCall;
+          console.log(`[GEMINI] Function call #${pendingFunctionCalls.length} detectada (deferred):`, JSON.stringify(event.functionCall, null, 2));
+        } else if (event.type === "function_call" && !toolAlreadyHandledThisTurn) {
+          toolAlreadyHandledThisTurn = true;
+
+          // IMPORTANTE: no ejecutamos la tool inmediatamente.
+          // A veces el modelo emite el texto DESPUÉS del functionCall; si retornamos aquí,
+          // perderíamos ese texto y el usuario vería solo la navegación.
+          pendingFunctionCall = event.functionCall;
+          console.log("[GEMINI] Function call detectada (deferred):", JSON.stringify(pendingFunctionCall, null, 2));
+        }
 
-        // Verificar finishReason y blockedReason para debugging
-        if (chunk.finishReason) {
-          console.log(`[GEMINI STREAM #${chunkIndex}] Finish reason: ${chunk.finishReason}`);
+        // Capturar thought_signature para modelos con "thinking" (Gemini 2.5+)
+        // Esto es necesario para enviar el functionResponse correctamente
+        if (event.type === "thought_signature") {
+          pendingThoughtSignature = event.thoughtSignature;
         }
-        if (chunk.blockedReason) {
-          console.warn(`[GEMINI STREAM #${chunkIndex}] Blocked reason: ${chunk.blockedReason}`);
+        if (event.type === "function_call" && event.thoughtSignature) {
+          pendingThoughtSignature = event.thoughtSignature;
         }
-
-        const candidates = Array.isArray(chunk.candidates) ? chunk.candidates : [];
-        
-        for (const cand of candidates) {
-          // Verificar finishReason del candidato
-          if (cand.finishReason) {
-            console.log(`[GEMINI STREAM #${chunkIndex}] Candidate finish reason: ${cand.finishReason}`);
-          }
-          
-          // Verificar que el candidato tiene content y parts
-          if (!cand || !cand.content || !Array.isArray(cand.content.parts)) {
-            console.warn(`[GEMINI STREAM #${chunkIndex}] Candidato sin parts válidas:`, cand);
-            continue;
-          }
-
-          const parts = cand.content.parts;
-          console.log(`[GEMINI STREAM #${chunkIndex}] Parts count: ${parts.length}`);
-          
-          for (let partIdx = 0; partIdx < parts.length; partIdx++) {
-            const part = parts[partIdx];
-            console.log(`[GEMINI STREAM #${chunkIndex}] Part[${partIdx}] keys:`, Object.keys(part || {}));
-            
-            // Texto del asistente (delta)
-            if (part && typeof part.text === "string" && part.text.length > 0) {
-              console.log(`[GEMINI STREAM #${chunkIndex}] Part[${partIdx}] TEXT: "${part.text.substring(0, 100)}${part.text.length > 100 ? '...' : ''}"`);
-              fullText += part.text;
-              safeSend(clientWs, { type: "assistant_delta", delta: part.text });
-            }
-
-            // Llamada a herramienta (functionCall)
-            // Nota: Los modelos 2.5 soportan parallel function calling
-            // pero mantenemos política de "una por turno"
-            if (part && part.functionCall && !toolAlreadyHandledThisTurn) {
-              toolAlreadyHandledThisTurn = true;
-              console.log(`[GEMINI STREAM #${chunkIndex}] Part[${partIdx}] FUNCTION_CALL detectado`);
-
-              // IMPORTANTE: no ejecutamos la tool inmediatamente.
-              // A veces el modelo emite el texto DESPUÉS del functionCall; si retornamos aquí,
-              // perderíamos ese texto y el usuario vería solo la navegación.
-              pendingFunctionCall = part.functionCall;
-              console.log("[GEMINI] Function call detectada (deferred):", JSON.stringify(pendingFunctionCall, null, 2));
-            }
-            
-            // Capturar thought_signature para modelos con "thinking" (Gemini 2.5+)
-            // Esto es necesario para enviar el functionResponse correctamente
-            if (part && part.thought && part.thoughtSignature) {
-              pendingThoughtSignature = part.thoughtSignature;
-              console.log(`[GEMINI STREAM #${chunkIndex}] Part[${partIdx}] THOUGHT_SIGNATURE capturado`);
-            }
-            // También puede venir como propiedad directa del functionCall
-            if (part && part.functionCall && part.functionCall.thoughtSignature) {
-              pendingThoughtSignature = part.functionCall.thoughtSignature;
-              console.log(`[GEMINI STREAM #${chunkIndex}] Part[${partIdx}] THOUGHT_SIGNATURE en functionCall capturado`);
-            }
-          }
+      }
+      if (citationFilter && !response.aborted) emitText(citationFilter.flush());
+      endAssistantResponse(response);
+
+      if (response.aborted) {
+        console.log(`[GEMINI STREAM END] Respuesta interrumpida por el usuario; no se confirma${pendingFunctionCall ? " ni se ejecuta la herramienta" : ""}.`);
+        // El historial del modelo ya tiene la functionCall: hay que cerrarla con una respuesta
+        if (pendingFunctionCalls.length > 1) {
+          await sendFunctionResponsesToGemini(pendingFunctionCalls.map((fc, i) => ({
+            name: fc.name,
+            payload: { status: "cancelled", message: tr("tool.cancelled") },
+            thoughtSignature: i === 0 ? pendingThoughtSignature : null,
+          })));
+        } else if (pendingFunctionCall) {
+          await sendFunctionResponseToGemini(
+            pendingFunctionCall.name,
+            { status: "cancelled", message: tr("tool.cancelled") },
+            { thoughtSignature: pendingThoughtSignature }
+          );
         }
+        return;
       }
       
       // Log resumen al final del stream
-      console.log(`[GEMINI STREAM END] Total chunks: ${chunkIndex}, fullText length: ${fullText.length}, hasFunctionCall: ${!!pendingFunctionCall}`);
+      console.log(`[GEMINI STREAM END] fullText length: ${fullText.length}, hasFunctionCall: ${!!pendingFunctionCall}`);
       if (fullText.trim()) {
         console.log(`[GEMINI STREAM END] fullText preview: "${fullText.substring(0, 200)}${fullText.length > 200 ? '...' : ''}"`);
       } else {
@@ -844,14 +1191,19 @@ app.ws("/realtime-ws", (clientWs) => {
       // Si hubo functionCall, primero emitimos el texto (si existe) y luego ejecutamos la tool.
       if (pendingFunctionCall) {
         const hadTextBeforeTool = !!fullText.trim();
+        speech?.finish();
         if (hadTextBeforeTool) {
-          await commitAssistantFinal(fullText, { supervise: false, clearUserTurn: false });
+          await commitAssistantFinal(visibleText(), { supervise: false, clearUserTurn: false, spoken: true, startedAt: response.startedAt, citations: citedPassages(citationFilter) });
           fullText = "";
         }
         // Guardar en variable global para uso en otros contextos
         currentThoughtSignature = pendingThoughtSignature;
         // Pasamos info de si hubo texto y el thoughtSignature para modelos con thinking
-        await handleFunctionCall(pendingFunctionCall, { hadTextBeforeTool, thoughtSignature: pendingThoughtSignature });
+        if (pendingFunctionCalls.length > 1) {
+          await handleParallelFunctionCalls(pendingFunctionCalls, { hadTextBeforeTool, thoughtSignature: pendingThoughtSignature });
+        } else {
+          await handleFunctionCall(pendingFunctionCall, { hadTextBeforeTool, thoughtSignature: pendingThoughtSignature });
+        }
         return;
       }
       
@@ -859,253 +1211,379 @@ app.ws("/realtime-ws", (clientWs) => {
       currentThoughtSignature = null;
 
       // Fin del stream sin tools → cierre normal con supervisión
-      await commitAssistantFinal(fullText, { supervise: true });
+      speech?.finish();
+      await commitAssistantFinal(visibleText(), { supervise: true, spoken: true, startedAt: response.startedAt, citations: citedPassages(citationFilter) });
     } catch (error) {
+      endAssistantResponse(response);
+      speech?.finish();
       console.error("[GEMINI API ERROR]", error);
-      safeSend(clientWs, { type: "error", message: `Error en la API de Gemini: ${error.message}` });
+      sendToClient({ type: "error", code: "llm_unavailable", message: `Error en la API de Gemini: ${error.message}` });
+      // Ni el modelo ni los de reserva respondieron: el usuario no se queda en silencio
+      if (!response.aborted) await commitAssistantFinal(tr("llm.unavailable"), { supervise: false, source: "server" });
     }
   }
 
-  async function handleFunctionCall(functionCall, { hadTextBeforeTool = false, thoughtSignature = null } = {}) {
-    try {
-      console.log("[TOOLS] Procesando function call:", JSON.stringify(functionCall, null, 2));
-      console.log("[TOOLS] hadTextBeforeTool:", hadTextBeforeTool);
-      console.log("[TOOLS] thoughtSignature:", thoughtSignature ? "(presente)" : "(no presente)");
-      
-      const name = functionCall.name;
-      let args = {};
-      
-      // Manejar diferentes formatos de argumentos
-      if (functionCall.args) {
-        if (typeof functionCall.args === "object" && functionCall.args !== null) {
-          args = functionCall.args;
-        } else if (typeof functionCall.args === "string") {
-          try {
-            args = JSON.parse(functionCall.args);
-          } catch (parseError) {
-            console.warn("[TOOLS] No se pudieron parsear los argumentos como JSON:", functionCall.arguments);
-            args = {};
-          }
-        }
-      }
+  /**
+   * Aviso antes de cada reintento del modelo: los observadores ven el cambio de
+   * modelo y, si el bot lo tiene activo, el usuario oye una frase de espera (una
+   * por turno, solo en respuestas en stream).
+   */
+  function onModelRetry({ attempt, model, nextModel, error, stream }) {
+    if (nextModel !== model && conversationId) {
+      sessionEvents.publish(conversationId, { type: "model_failover", from: model, to: nextModel, reason: error.message });
+    }
+    if (stream && attempt === 1 && failoverFiller && !humanTakeover) {
+      const text = tr("failover.filler");
+      sendToClient({ type: "assistant_filler", text });
+      ttsPipeline?.speak(text);
+    }
+  }
 
-      console.log("[TOOLS] Argumentos procesados:", JSON.stringify(args, null, 2));
+  // Tokens del prompt, compactaciones del historial y notas de contexto interno
+  function describeContextWindow() {
+    return {
+      history: geminiChat?.contextStats?.() || null,
+      notes: internalContextNotes.stats(),
+    };
+  }
 
-      // Dedupe
-      const key = `${name}::${JSON.stringify(args)}`;
-      if (seenToolCalls.has(key)) {
-        console.log("[TOOLS] Llamada duplicada ignorada:", key);
-        return;
-      }
-      seenToolCalls.add(key);
+  /**
+   * Tras resumir el historial antiguo: los observadores lo ven y la conversación
+   * guarda las cifras (Conversations.ContextWindow) y el historial ya compactado.
+   */
+  function onContextCompacted({ summarizedContents, keptContents, tokensBefore, estimatedTokensAfter }) {
+    if (!conversationId || !conversationCreated) return;
+    sessionEvents.publish(conversationId, { type: "context_compacted", summarizedContents, keptContents, tokensBefore, estimatedTokensAfter });
+    adminDb.collection("Conversations").doc(conversationId).update({ ContextWindow: describeContextWindow() })
+      .catch((err) => console.warn(`[CONTEXT] No se pudo registrar la compactación de ${conversationId}:`, err.message));
+    persistSessionState();
+  }
 
-      // Detectar tipo de acción para el frontend
-      let actionType = "generic";
-      let actionDetails = {};
-      
-      if (name === "ejecutar_orden_n8n" && args.orden) {
-        const ordenLower = args.orden.toLowerCase();
-        if (ordenLower.includes("email") || ordenLower.includes("correo") || ordenLower.includes("enviar mail") || ordenLower.includes("envía mail") || ordenLower.includes("enviar un email") || ordenLower.includes("envía un email")) {
-          actionType = "send_email";
-          // Intentar extraer el destinatario del email de la orden
-          const emailMatch = args.orden.match(/[\w.-]+@[\w.-]+\.\w+/);
-          actionDetails = {
-            recipient: emailMatch ? emailMatch[0] : null,
-            orderText: args.orden
-          };
-        } else if (ordenLower.includes("guardar") || ordenLower.includes("guarda") || ordenLower.includes("registra") || ordenLower.includes("save") || ordenLower.includes("contacto")) {
-          actionType = "save_data";
-          actionDetails = { orderText: args.orden };
-        } else if (ordenLower.includes("llamada") || ordenLower.includes("callback") || ordenLower.includes("contactar") || ordenLower.includes("llama")) {
-          actionType = "schedule_callback";
-          actionDetails = { orderText: args.orden };
-        }
-      } else if (name === "abrir_modal_agendamiento") {
-        actionType = "open_calendar";
-        actionDetails = { nombre: args.nombre, email: args.email };
-      } else if (name === "navegar_web") {
-        actionType = "navigate_web";
-        actionDetails = { target: args.seccion_tag };
+  /**
+   * Envía tool_execution_start con el tipo de acción detectado para el frontend.
+   */
+  function notifyToolExecutionStart(name, args) {
+    // Detectar tipo de acción para el frontend
+    let actionType = "generic";
+    let actionDetails = {};
+    
+    if (name === "ejecutar_orden_n8n" && args.orden) {
+      const ordenLower = args.orden.toLowerCase();
+      if (ordenLower.includes("email") || ordenLower.includes("correo") || ordenLower.includes("enviar mail") || ordenLower.includes("envía mail") || ordenLower.includes("enviar un email") || ordenLower.includes("envía un email")) {
+        actionType = "send_email";
+        // Intentar extraer el destinatario del email de la orden
+        const emailMatch = args.orden.match(/[\w.-]+@[\w.-]+\.\w+/);
+        actionDetails = {
+          recipient: emailMatch ? emailMatch[0] : null,
+          orderText: args.orden
+        };
+      } else if (ordenLower.includes("guardar") || ordenLower.includes("guarda") || ordenLower.includes("registra") || ordenLower.includes("save") || ordenLower.includes("contacto")) {
+        actionType = "save_data";
+        actionDetails = { orderText: args.orden };
+      } else if (ordenLower.includes("llamada") || ordenLower.includes("callback") || ordenLower.includes("contactar") || ordenLower.includes("llama")) {
+        actionType = "schedule_callback";
+        actionDetails = { orderText: args.orden };
       }
+    } else if (name === "abrir_modal_agendamiento") {
+      actionType = "open_calendar";
+      actionDetails = { nombre: args.nombre, email: args.email };
+    } else if (name === "navegar_web") {
+      actionType = "navigate_web";
+      actionDetails = { target: args.seccion_tag };
+    } else if (httpToolDefinitions[name]) {
+      actionType = httpToolDefinitions[name].actionType;
+    }
 
-      // Aviso al front con información enriquecida
-      // Nota: algunos frontends inyectan un mensaje tipo "te envío..." al iniciar una tool.
-      // Para `send_email` lo evitamos porque ya existe un anuncio pre-tool y una confirmación post-tool.
-      const suppressAutoAssistantMessage = actionType === "send_email";
-      const toolExecutionStartPayload = {
-        type: "tool_execution_start",
-        toolName: name,
-        actionType: actionType,
-        actionDetails: actionDetails,
-        // Backwards-compatible flags (por si el frontend no lee uiHints)
-        suppressAutoAssistantMessage,
-        uiHints: {
-          suppressAutoAssistantMessage
-        }
-      };
-      console.log("[TOOL_FLOW] tool_execution_start -> frontend:", JSON.stringify(toolExecutionStartPayload, null, 2));
-      safeSend(clientWs, toolExecutionStartPayload);
+    // Aviso al front con información enriquecida
+    // Nota: algunos frontends inyectan un mensaje tipo "te envío..." al iniciar una tool.
+    // Para `send_email` lo evitamos porque ya existe un anuncio pre-tool y una confirmación post-tool.
+    const suppressAutoAssistantMessage = actionType === "send_email";
+    const toolExecutionStartPayload = {
+      type: "tool_execution_start",
+      toolName: name,
+      actionType: actionType,
+      actionDetails: actionDetails,
+      // Backwards-compatible flags (por si el frontend no lee uiHints)
+      suppressAutoAssistantMessage,
+      uiHints: {
+        suppressAutoAssistantMessage
+      }
+    };
+    console.log("[TOOL_FLOW] tool_execution_start -> frontend:", JSON.stringify(toolExecutionStartPayload, null, 2));
+    sendToClient(toolExecutionStartPayload);
+  }
 
-      // EJECUTAR HERRAMIENTA DIRECTAMENTE (sin validación previa como en el código original)
-      console.log(`[TOOLS] Ejecutando herramienta directamente: ${name}`);
+  /**
+   * Ejecuta una llamada a herramienta: dedupe, validación de argumentos contra el
+   * esquema, ejecución, registro del turno y aviso al supervisor. Es común a las
+   * llamadas sueltas y a las paralelas, así ambas se comportan y se registran igual.
+   * Devuelve { name, args, result, followUp } (ver planToolFollowUp).
+   */
+  async function executeToolCall(functionCall, { hadTextBeforeTool = false } = {}) {
+    const name = functionCall.name;
+    const args = parseFunctionCallArgs(functionCall);
+    console.log(`[TOOLS] Argumentos procesados para ${name}:`, JSON.stringify(args, null, 2));
+
+    // Dedupe
+    const key = `${name}::${JSON.stringify(args)}`;
+    if (seenToolCalls.has(key)) {
+      console.log("[TOOLS] Llamada duplicada ignorada:", key);
+      const result = { status: "duplicate", message: tr("tool.duplicate") };
+      return { name, args, result, followUp: { mode: "skip", payload: result } };
+    }
+    seenToolCalls.add(key);
+
+    const recordToolTurn = (result, startedAt = null) => {
+      turnLog.append({
+        role: "tool",
+        source: "model",
+        text: "",
+        startedAt,
+        tool: { name, args, result },
+        correction: isCorrecting,
+      });
+      // Reporte al supervisor de este turno con herramienta
+      if (isSupervised && !isCorrecting) {
+        triggerSupervisorWorkflow({
+          botId: currentBotId,
+          conversationId,
+          fullConversation: turnLog.transcript(),
+          currentTurn: {
+            userInput: currentUserTranscript,
+            userInputSource: currentUserInputSource,
+            botResponse: null,
+            toolCall: { name, arguments: args, result }
+          }
+        }, currentSupervisorWebhook);
+      }
+    };
 
-      if (!toolHandlers[name]) {
-        const err = { status: "error", message: `La herramienta «${name}» no existe.` };
-        console.error(`[TOOL ERROR] Herramienta inexistente: ${name}`);
-        await sendFunctionResponseToGemini(name, err, { thoughtSignature });
-        safeSend(clientWs, { type: "tool_execution_end", toolName: name, success: false });
-        await streamFollowUpAfterTool();
-        return;
+    // Validación contra el esquema declarado: si falla, la herramienta no se ejecuta
+    // y el modelo recibe el error estructurado para corregir la llamada o preguntar
+    const declaredTool = currentTools.find((t) => t.name === name);
+    if (declaredTool && toolHandlers[name]) {
+      const validation = validateToolArgs(declaredTool.parameters, args, { language: sessionLanguage });
+      if (!validation.valid) {
+        const attempt = (toolRepairAttempts.get(name) || 0) + 1;
+        toolRepairAttempts.set(name, attempt);
+        const payload = buildValidationErrorPayload(name, validation.errors, { attempt, maxAttempts: MAX_TOOL_ARG_REPAIRS, language: sessionLanguage });
+        console.warn(`[TOOLS] Argumentos inválidos para ${name} (intento ${attempt}/${MAX_TOOL_ARG_REPAIRS}):`, JSON.stringify(validation.errors));
+        sendToClient({ type: "tool_validation_error", toolName: name, attempt, errors: validation.errors });
+        recordToolTurn(payload);
+        // El modelo puede repetir la llamada corregida (o idéntica, que contará como otro intento)
+        seenToolCalls.delete(key);
+        // En el último intento permitido el payload ya le dice que no reintente:
+        // se cierra la llamada sin pedir otro turno y el usuario oye la respuesta del catálogo
+        return {
+          name,
+          args,
+          result: payload,
+          followUp: attempt >= MAX_TOOL_ARG_REPAIRS
+            ? { mode: "close", payload, spokenText: tr("tool.invalidArgs") }
+            : { mode: "respond", payload },
+        };
       }
+      toolRepairAttempts.delete(name);
+    }
 
-      // Ejecuta herramienta real
-      console.log(`[TOOL EXECUTION] Iniciando ejecución de herramienta: ${name}`);
-      console.log(`[TOOL EXECUTION] Argumentos para ${name}:`, JSON.stringify(args, null, 2));
-      
-      const result = await toolHandlers[name](args, { toolCallId: crypto.randomUUID?.() || Date.now().toString() });
-      
-      console.log(`[TOOL EXECUTION] Resultado de ${name}:`, JSON.stringify(result, null, 2));
-      safeSend(clientWs, { type: "tool_execution_end", toolName: name, success: result?.status === "success" });
+    // Aviso al front con información enriquecida
+    notifyToolExecutionStart(name, args);
 
-      // Registrar acciones silenciosas / relevantes para el modelo.
-      if (name === "navegar_web" && args?.seccion_tag) {
-        pushInternalContext(`Navegación web realizada: seccion_tag="${args.seccion_tag}".`);
-      }
+    if (!toolHandlers[name]) {
+      const result = { status: "error", message: tr("tool.unknown", { name }) };
+      console.error(`[TOOL ERROR] Herramienta inexistente: ${name}`);
+      sendToClient({ type: "tool_execution_end", toolName: name, success: false });
+      recordToolTurn(result);
+      return { name, args, result, followUp: { mode: "failed", payload: result } };
+    }
 
-      // Herramientas completamente silenciosas: no envían nada a Gemini ni generan follow-up
-      // PERO: si el modelo no emitió texto antes, debemos pedir que responda
-      const silentToolsComplete = ["navegar_web"];
-      // Herramientas silenciosas parciales: envían a Gemini pero no generan follow-up adicional
-      const silentToolsNoFollowUp = ["abrir_modal_agendamiento"];
-      
-      // Herramientas de búsqueda: envían resultado como prompt a Gemini para que responda
-      const dataTools = ["search_properties"];
-
-      if (dataTools.includes(name)) {
-        const wasSuccessful = result?.status === "success";
-        let instruction;
-        if (wasSuccessful && result.count > 0) {
-          const propsSummary = result.properties.map((p, i) => {
-            const parts = [`${i+1}. **${p.type}** en ${p.city} (${p.province})`];
-            parts.push(`   Precio: ${p.price ? p.price.toLocaleString() + '€' : 'Consultar'} (${p.priceFreq || 'venta'})`);
-            parts.push(`   ${p.bedrooms || 0} habitaciones, ${p.bathrooms || 0} baños`);
-            if (p.surfaceBuilt) parts.push(`   Superficie construida: ${p.surfaceBuilt}m²`);
-            if (p.surfacePlot) parts.push(`   Parcela: ${p.surfacePlot}m²`);
-            if (p.pool) parts.push(`   Piscina: Sí`);
-            if (p.newBuild) parts.push(`   Obra nueva: Sí`);
-            if (p.ref) parts.push(`   Ref: ${p.ref}`);
-            if (p.description) parts.push(`   Descripción: ${p.description.substring(0, 500)}`);
-            if (p.features && p.features.length > 0) parts.push(`   Características: ${p.features.join(', ')}`);
-            return parts.join('\n');
-          }).join('\n\n');
-          instruction = `[RESULTADO DE BÚSQUEDA DE PROPIEDADES - ${result.count} encontradas]\n\n${propsSummary}\n\nPresenta estos resultados al usuario de forma natural y conversacional. Menciona los datos más relevantes: precio, ubicación, habitaciones, superficie y características destacadas. Si la propiedad tiene descripción interesante, comparte los detalles más útiles. No menciones imágenes ni URLs.`;
-        } else if (wasSuccessful && result.count === 0) {
-          instruction = `[BÚSQUEDA DE PROPIEDADES - 0 resultados]\nNo se encontraron propiedades con los filtros: ${JSON.stringify(result.filters)}\n\nInforma al usuario que no hay resultados y sugiere ampliar la búsqueda (mayor presupuesto, otra zona, menos filtros).`;
-        } else {
-          instruction = `[ERROR EN BÚSQUEDA DE PROPIEDADES: ${result?.message || 'No se pudieron buscar propiedades'}]\n\nDiscúlpate brevemente e invita al usuario a reformular su búsqueda.`;
-        }
-        console.log(`[TOOLS] Herramienta de datos "${name}" - enviando resultado a Gemini via prompt`);
-        await getGeminiResponse(instruction);
-      } else if (silentToolsComplete.includes(name)) {
-        if (hadTextBeforeTool) {
-          // El modelo ya dijo algo antes de la tool → silencio total OK
-          console.log(`[TOOLS] Herramienta silenciosa "${name}" - modelo ya habló, no se genera follow-up`);
-        } else {
-          // El modelo NO dijo nada → debemos pedir que responda
-          console.log(`[TOOLS] Herramienta silenciosa "${name}" - modelo NO habló, pidiendo respuesta`);
-          const wasSuccessful = result?.status === "success";
-          const followUpPrompt = wasSuccessful
-            ? `[SISTEMA: Acabas de navegar al usuario a la sección "${args?.seccion_tag || 'solicitada'}". Responde brevemente confirmando la navegación y/o explicando lo que puede ver allí.]`
-            : `[SISTEMA: Hubo un problema al navegar: ${result?.message || 'sección no encontrada'}. Discúlpate brevemente y ofrece alternativas.]`;
-          await getGeminiResponse(followUpPrompt);
-        }
-      } else if (silentToolsNoFollowUp.includes(name)) {
-        // Para herramientas silenciosas parciales, solo enviamos el resultado sin generar respuesta
-        await sendFunctionResponseToGemini(name, result, { streamResponse: false, thoughtSignature });
-        console.log(`[TOOLS] Herramienta silenciosa parcial "${name}" - resultado enviado sin follow-up`);
-      } else {
-        // Para ejecutar_orden_n8n y otras herramientas que necesitan confirmación:
-        // NO enviamos functionResponse separado, sino que incluimos el resultado en el prompt de confirmación
-        // Esto evita que Gemini genere una respuesta intermedia
-        
-        const wasSuccessful = result?.status === "success";
-        const actionLower = (args.orden || "").toLowerCase();
-
-        // ✅ Caso especial: envío de email -> confirmación determinística (evita el mensaje extra tipo "procedo...")
-        if (wasSuccessful && (actionLower.includes("email") || actionLower.includes("correo") || actionLower.includes("mail"))) {
-          const recipient = (args.orden || "").match(/[\w.-]+@[\w.-]+\.\w+/)?.[0];
-          const confirmationText = recipient
-            ? `¡Listo! Ya te envié el email con la información a ${recipient}. Revisa tu bandeja de entrada.`
-            : "¡Listo! Ya te envié el email con la información. Revisa tu bandeja de entrada.";
-
-          console.log(`[TOOL CONFIRMATION] Confirmación determinística de email para ${recipient || "(sin email detectado)"}`);
-          await commitAssistantFinal(confirmationText, { supervise: false });
-          pushInternalContext(
-            recipient
-              ? `Email enviado correctamente a ${recipient} (confirmación determinística del servidor).`
-              : "Email enviado correctamente (confirmación determinística del servidor)."
-          );
-        } else {
-          let confirmationInstruction = "";
+    // EJECUTAR HERRAMIENTA (los args ya pasaron la validación de esquema)
+    console.log(`[TOOL EXECUTION] Iniciando ejecución de herramienta: ${name}`);
+    const startedAt = admin.firestore.Timestamp.now();
+    usageMeter?.addToolCall(name);
+    let result;
+    try {
+      result = await toolHandlers[name](args, { toolCallId: crypto.randomUUID?.() || Date.now().toString() });
+    } catch (err) {
+      console.error(`[TOOL ERROR] ${name}:`, err);
+      result = { status: "error", message: err.message };
+    }
 
-          if (wasSuccessful) {
-            if (actionLower.includes("guardar") || actionLower.includes("guarda") || actionLower.includes("registra") || actionLower.includes("contacto")) {
-              confirmationInstruction = `[RESULTADO DE HERRAMIENTA "${name}": ÉXITO - Los datos fueron guardados]
+    console.log(`[TOOL EXECUTION] Resultado de ${name}:`, JSON.stringify(result, null, 2));
+    sendToClient({ type: "tool_execution_end", toolName: name, success: result?.status === "success" });
 
-Confirma brevemente que los datos YA se guardaron (1 frase).`;
-            } else if (actionLower.includes("llamada") || actionLower.includes("callback")) {
-              confirmationInstruction = `[RESULTADO DE HERRAMIENTA "${name}": ÉXITO - La solicitud fue registrada]
+    // Registrar acciones silenciosas / relevantes para el modelo.
+    if (name === "navegar_web" && args?.seccion_tag) {
+      pushInternalContext(tr("context.navigation", { tag: args.seccion_tag }));
+    }
 
-Confirma brevemente que la solicitud YA se registró (1 frase).`;
-            } else {
-              confirmationInstruction = `[RESULTADO DE HERRAMIENTA "${name}": ÉXITO]
+    // Registrar la ejecución de herramienta como turno propio
+    recordToolTurn(result, startedAt);
 
-Confirma brevemente que la acción YA se realizó (1 frase).`;
-            }
-          } else {
-            confirmationInstruction = `[RESULTADO DE HERRAMIENTA "${name}": ERROR - ${result?.message || 'Hubo un problema'}]
+    return { name, args, result, followUp: planToolFollowUp(name, args, result, { hadTextBeforeTool }) };
+  }
 
-Discúlpate brevemente por el error y ofrece ayuda.`;
-          }
+  /**
+   * Qué se hace con el resultado de una herramienta ya ejecutada:
+   *   mode "respond"  el resultado vuelve como functionResponse y el modelo responde
+   *        "prompt"   el modelo responde a `prompt` (con el resultado ya incluido)
+   *        "close"    se cierra la llamada sin respuesta; después, `prompt` o
+   *                   `spokenText` (catálogo) si los hay
+   *        "spoken"   el usuario oye `spokenText` sin pasar por el modelo
+   *        "silent"   nada: el modelo ya habló antes de la herramienta
+   *        "failed"   herramienta inexistente: se cierra con el error y se pide seguimiento
+   *        "skip"     llamada duplicada
+   * `payload` es lo que recibe el modelo como functionResponse.
+   */
+  function planToolFollowUp(name, args, result, { hadTextBeforeTool = false } = {}) {
+    const wasSuccessful = result?.status === "success";
+
+    // Herramientas completamente silenciosas: no envían nada a Gemini ni generan follow-up
+    // PERO: si el modelo no emitió texto antes, debemos pedir que responda
+    const silentToolsComplete = ["navegar_web"];
+    // Herramientas silenciosas parciales: envían a Gemini pero no generan follow-up adicional
+    const silentToolsNoFollowUp = ["abrir_modal_agendamiento"];
+    // Herramientas de búsqueda: envían resultado como prompt a Gemini para que responda
+    const dataTools = ["search_properties"];
+    const httpTool = httpToolDefinitions[name];
+
+    if (httpTool) {
+      // Herramientas HTTP declarativas: la política de follow-up viene de su definición
+      if (httpTool.followUp === "silent" && wasSuccessful) {
+        console.log(`[TOOLS] Herramienta HTTP silenciosa "${name}" - resultado enviado${hadTextBeforeTool ? " sin follow-up" : ""}`);
+        return { mode: "close", payload: result, prompt: hadTextBeforeTool ? null : buildHttpToolFollowUpPrompt(httpTool, result, sessionLanguage) };
+      }
+      console.log(`[TOOLS] Herramienta HTTP "${name}" (${httpTool.followUp}) - enviando resultado a Gemini via prompt`);
+      return { mode: "prompt", payload: result, prompt: buildHttpToolFollowUpPrompt(httpTool, result, sessionLanguage) };
+    }
 
-          // Generar respuesta de confirmación directamente, sin enviar functionResponse separado
-          console.log(`[TOOL CONFIRMATION] Generando confirmación directa para ${name}`);
-          await getGeminiResponse(confirmationInstruction);
-        }
+    if (name === KNOWLEDGE_TOOL_NAME) {
+      // Los pasajes vuelven como functionResponse: el modelo responde con ellos y cita sus IDs
+      return { mode: "respond", payload: result };
+    }
+
+    if (dataTools.includes(name)) {
+      let instruction;
+      if (wasSuccessful && result.count > 0) {
+        const propsSummary = result.properties.map((p, i) => {
+          const parts = [tr("search.heading", { index: i + 1, type: p.type, city: p.city, province: p.province })];
+          parts.push(tr("search.price", {
+            price: p.price ? p.price.toLocaleString(toLocale(sessionLanguage)) + '€' : tr("search.priceOnRequest"),
+            frequency: p.priceFreq || tr("search.sale"),
+          }));
+          parts.push(tr("search.rooms", { bedrooms: p.bedrooms || 0, bathrooms: p.bathrooms || 0 }));
+          if (p.surfaceBuilt) parts.push(tr("search.surfaceBuilt", { value: p.surfaceBuilt }));
+          if (p.surfacePlot) parts.push(tr("search.surfacePlot", { value: p.surfacePlot }));
+          if (p.pool) parts.push(tr("search.pool"));
+          if (p.newBuild) parts.push(tr("search.newBuild"));
+          if (p.ref) parts.push(tr("search.ref", { value: p.ref }));
+          if (p.description) parts.push(tr("search.description", { value: p.description.substring(0, 500) }));
+          if (p.features && p.features.length > 0) parts.push(tr("search.features", { value: p.features.join(', ') }));
+          return parts.join('\n');
+        }).join('\n\n');
+        instruction = tr("search.results", { count: result.count, summary: propsSummary });
+      } else if (wasSuccessful && result.count === 0) {
+        instruction = tr("search.empty", { filters: JSON.stringify(result.filters) });
+      } else {
+        instruction = tr("search.error", { error: result?.message || tr("search.defaultError") });
       }
+      console.log(`[TOOLS] Herramienta de datos "${name}" - enviando resultado a Gemini via prompt`);
+      return { mode: "prompt", payload: result, prompt: instruction };
+    }
+
+    if (silentToolsComplete.includes(name)) {
+      if (hadTextBeforeTool) {
+        // El modelo ya dijo algo antes de la tool → silencio total OK
+        console.log(`[TOOLS] Herramienta silenciosa "${name}" - modelo ya habló, no se genera follow-up`);
+        return { mode: "silent", payload: result };
+      }
+      // El modelo NO dijo nada → debemos pedir que responda
+      console.log(`[TOOLS] Herramienta silenciosa "${name}" - modelo NO habló, pidiendo respuesta`);
+      const followUpPrompt = wasSuccessful
+        ? tr("tool.navigation.ok", { section: args?.seccion_tag || tr("tool.navigation.defaultSection") })
+        : tr("tool.navigation.error", { error: result?.message || tr("tool.navigation.defaultError") });
+      return { mode: "prompt", payload: result, prompt: followUpPrompt };
+    }
+
+    if (silentToolsNoFollowUp.includes(name)) {
+      // Para herramientas silenciosas parciales, solo enviamos el resultado sin generar respuesta
+      console.log(`[TOOLS] Herramienta silenciosa parcial "${name}" - resultado enviado sin follow-up`);
+      return { mode: "close", payload: result, prompt: null };
+    }
 
-      // Actualizar transcript con ejecución de herramienta
-      const toolExecutionString = `\nEjecución De Herramienta Por Parte Del Agente: ${name}(${JSON.stringify(args)}) - Resultado: ${result?.status || 'unknown'}`;
-      fullConversationTranscript += toolExecutionString;
+    // Para ejecutar_orden_n8n y otras herramientas que necesitan confirmación:
+    // NO enviamos functionResponse separado, sino que incluimos el resultado en el prompt de confirmación
+    // Esto evita que Gemini genere una respuesta intermedia
+    const actionLower = (args.orden || "").toLowerCase();
+
+    // ✅ Caso especial: envío de email -> confirmación determinística (evita el mensaje extra tipo "procedo...")
+    if (wasSuccessful && (actionLower.includes("email") || actionLower.includes("correo") || actionLower.includes("mail"))) {
+      const recipient = (args.orden || "").match(/[\w.-]+@[\w.-]+\.\w+/)?.[0];
+      console.log(`[TOOL CONFIRMATION] Confirmación determinística de email para ${recipient || "(sin email detectado)"}`);
+      return {
+        mode: "spoken",
+        payload: result,
+        spokenText: recipient ? tr("email.sentTo", { recipient }) : tr("email.sent"),
+        contextNote: recipient ? tr("context.emailSentTo", { recipient }) : tr("context.emailSent"),
+      };
+    }
 
-      if (conversationId && conversationCreated) {
-        const convRef = adminDb.collection("Conversations").doc(conversationId);
-        convRef.update({ BotTranscripcion: fullConversationTranscript })
-          .catch(err => console.error("[DB ERROR] Al comitear transcript con tool:", err));
+    let confirmationInstruction = "";
+    if (wasSuccessful) {
+      if (actionLower.includes("guardar") || actionLower.includes("guarda") || actionLower.includes("registra") || actionLower.includes("contacto")) {
+        confirmationInstruction = tr("tool.result.saved", { name });
+      } else if (actionLower.includes("llamada") || actionLower.includes("callback")) {
+        confirmationInstruction = tr("tool.result.callback", { name });
+      } else {
+        confirmationInstruction = tr("tool.result.success", { name });
       }
+    } else if (result?.status === "queued") {
+      confirmationInstruction = tr("tool.result.queued", { name, message: result.message });
+    } else {
+      confirmationInstruction = tr("tool.result.error", { name, message: result?.message || tr("tool.defaultError") });
+    }
+    // Generar respuesta de confirmación directamente, sin enviar functionResponse separado
+    console.log(`[TOOL CONFIRMATION] Generando confirmación directa para ${name}`);
+    return { mode: "prompt", payload: result, prompt: confirmationInstruction };
+  }
 
-      // Reporte al supervisor de este turno con herramienta
-      if (isSupervised && !isCorrecting) {
-        triggerSupervisorWorkflow({
-          botId: currentBotId,
-          conversationId,
-          fullConversation: fullConversationTranscript,
-          currentTurn: {
-            userInput: currentUserTranscript,
-            userInputSource: currentUserInputSource,
-            botResponse: null,
-            toolCall: { name, arguments: args, result }
-          }
-        }, currentSupervisorWebhook);
+  async function handleFunctionCall(functionCall, { hadTextBeforeTool = false, thoughtSignature = null } = {}) {
+    try {
+      console.log("[TOOLS] Procesando function call:", JSON.stringify(functionCall, null, 2));
+      console.log("[TOOLS] hadTextBeforeTool:", hadTextBeforeTool);
+      console.log("[TOOLS] thoughtSignature:", thoughtSignature ? "(presente)" : "(no presente)");
+
+      const call = await executeToolCall(functionCall, { hadTextBeforeTool });
+      const { name, followUp } = call;
+      const { mode, payload, prompt = null } = followUp;
+
+      if (mode === "skip") return call;
+      if (mode === "respond") {
+        await getGeminiResponse("", { functionResponse: { name, payload, thoughtSignature } });
+      } else if (mode === "prompt") {
+        await getGeminiResponse(prompt);
+      } else if (mode === "close") {
+        await sendFunctionResponseToGemini(name, payload, { streamResponse: false, thoughtSignature });
+        if (prompt) await getGeminiResponse(prompt);
+        if (followUp.spokenText) await commitAssistantFinal(followUp.spokenText, { supervise: false, source: "server" });
+      } else if (mode === "spoken") {
+        await commitAssistantFinal(followUp.spokenText, { supervise: false, source: "server" });
+        if (followUp.contextNote) pushInternalContext(followUp.contextNote);
+      } else if (mode === "failed") {
+        await sendFunctionResponseToGemini(name, payload, { thoughtSignature });
+        await streamFollowUpAfterTool();
       }
 
-      // Limpieza para siguiente turno
-      currentUserTranscript = "";
-      isCorrecting = false;
+      // Limpieza para siguiente turno (una llamada a corregir sigue en el mismo turno)
+      if (followUp.payload?.status !== "invalid_arguments") {
+        currentUserTranscript = "";
+        isCorrecting = false;
+      }
+      return call;
 
     } catch (err) {
       console.error("[TOOL-FLOW ERROR]", err);
-      safeSend(clientWs, { type: "tool_execution_end", toolName: functionCall?.name || "herramienta", success: false });
+      sendToClient({ type: "tool_execution_end", toolName: functionCall?.name || "herramienta", success: false });
       await sendFunctionResponseToGemini(functionCall?.name || "unknown_tool", { status: "error", message: err.message }, { thoughtSignature });
       await streamFollowUpAfterTool();
     } finally {
@@ -1116,50 +1594,116 @@ Discúlpate brevemente por el error y ofrece ayuda.`;
     }
   }
 
+  /**
+   * Varias llamadas en un mismo turno (toolCallPolicy "parallel"). Las llamadas a
+   * herramientas distintas se ejecutan a la vez; las repetidas de una misma
+   * herramienta, en orden; y abrir_modal_agendamiento, al final porque pausa la
+   * conversación. Cada llamada pasa por executeToolCall, como las sueltas. Todos
+   * los resultados vuelven al modelo en un único mensaje multi-part, en el orden
+   * de las llamadas, junto con las instrucciones de seguimiento de cada una; el
+   * modelo solo responde si alguna de ellas lo pide.
+   */
+  async function handleParallelFunctionCalls(functionCalls, { hadTextBeforeTool = false, thoughtSignature = null } = {}) {
+    const names = functionCalls.map((fc) => fc.name);
+    console.log(`[TOOLS] ${functionCalls.length} llamadas en paralelo:`, names);
+
+    const results = new Array(functionCalls.length);
+    const runOne = async (functionCall, index) => {
+      results[index] = await executeToolCall(functionCall, { hadTextBeforeTool });
+    };
+    let responsesSent = false;
+
+    try {
+      // Grupos por herramienta: en paralelo entre grupos, en serie dentro de cada uno
+      const groups = new Map();
+      const deferred = [];
+      functionCalls.forEach((fc, index) => {
+        if (fc.name === "abrir_modal_agendamiento") return deferred.push(index);
+        if (!groups.has(fc.name)) groups.set(fc.name, []);
+        groups.get(fc.name).push(index);
+      });
+      await Promise.all([...groups.values()].map(async (indexes) => {
+        for (const index of indexes) await runOne(functionCalls[index], index);
+      }));
+      for (const index of deferred) await runOne(functionCalls[index], index);
+
+      const responses = results.map((entry, i) => ({
+        name: entry.name,
+        payload: entry.followUp.payload,
+        thoughtSignature: i === 0 ? thoughtSignature : null,
+      }));
+      // Mismo seguimiento que en llamadas sueltas, pero en un único turno del modelo
+      const prompts = results.map(({ followUp }) => followUp.prompt).filter(Boolean);
+      const spokenTexts = results.map(({ followUp }) => followUp.spokenText).filter(Boolean);
+      const respond = prompts.length > 0 || results.some(({ followUp }) => followUp.mode === "respond" || followUp.mode === "failed");
+      for (const { followUp } of results) {
+        if (followUp.contextNote) pushInternalContext(followUp.contextNote);
+      }
+
+      if (isPausedForUserAction || !respond) {
+        // Se abrió el calendario (sin follow-up hasta que el usuario vuelva) o ninguna
+        // llamada pide respuesta del modelo: solo se cierran las llamadas
+        responsesSent = true;
+        await sendFunctionResponsesToGemini(responses);
+        console.log(`[TOOLS] Resultados enviados sin follow-up${isPausedForUserAction ? ": conversación pausada para acción de usuario" : ""}.`);
+        if (!isPausedForUserAction) {
+          for (const text of spokenTexts) await commitAssistantFinal(text, { supervise: false, source: "server" });
+        }
+        return;
+      }
+      for (const text of spokenTexts) await commitAssistantFinal(text, { supervise: false, clearUserTurn: false, source: "server" });
+      responsesSent = true;
+      await getGeminiResponse("", { functionResponses: responses, extraText: prompts.join("\n\n") || null });
+    } catch (err) {
+      console.error("[TOOL-FLOW ERROR] (paralelo)", err);
+      sendToClient({ type: "error", message: tr("tool.parallelError", { error: err.message }) });
+      // Como en las llamadas sueltas: el historial del modelo no puede quedar con
+      // llamadas sin respuesta. Las ya ejecutadas llevan su resultado; el resto, el error.
+      if (!responsesSent) {
+        await sendFunctionResponsesToGemini(functionCalls.map((fc, i) => ({
+          name: fc.name,
+          payload: results[i]?.followUp.payload ?? { status: "error", message: err.message },
+          thoughtSignature: i === 0 ? thoughtSignature : null,
+        })));
+        await streamFollowUpAfterTool();
+      }
+    } finally {
+      seenToolCalls.clear();
+      currentThoughtSignature = null;
+    }
+  }
+
+  // Cierra varias llamadas de un mismo turno sin pedir respuesta en stream
+  async function sendFunctionResponsesToGemini(responses) {
+    try {
+      await geminiChat.sendFunctionResponses(responses);
+      console.log(`[TOOLS] ${responses.length} respuestas de herramienta enviadas a Gemini en un mensaje.`);
+    } catch (error) {
+      console.error("[TOOLS] Error enviando respuestas múltiples a Gemini:", error);
+    }
+  }
+
   async function sendFunctionResponseToGemini(name, payload, options = {}) {
     const { streamResponse = false, confirmationPrompt = null, thoughtSignature = null } = options;
     try {
-      // Formato correcto para Vertex AI Gemini según documentación actual
-      const functionResponseObj = {
-        name: name,
-        response: {
-          name: name,
-          content: payload
-        }
-      };
-      
-      // Para modelos con "thinking" (Gemini 2.5+), incluir thought_signature si existe
       if (thoughtSignature) {
-        functionResponseObj.thoughtSignature = thoughtSignature;
         console.log(`[TOOLS] Incluyendo thought_signature en functionResponse para ${name}`);
       }
-      
-      const functionResponseParts = [{
-        functionResponse: functionResponseObj
-      }];
-      
-      // Si hay un prompt de confirmación, agregarlo como texto adicional
-      // Esto hace que Gemini reciba el resultado Y las instrucciones de cómo responder en un solo mensaje
-      if (confirmationPrompt) {
-        functionResponseParts.push({ text: confirmationPrompt });
-      }
-      
-      if (streamResponse) {
-        // Enviar y hacer stream de la respuesta de Gemini
-        const result = await geminiChat.sendMessageStream(functionResponseParts);
-        console.log(`[TOOLS] Respuesta enviada a Gemini para herramienta ${name} (con stream)`);
-        return result;
-      } else {
-        // Solo enviar, sin procesar respuesta (se manejará después)
-        const result = await geminiChat.sendMessage(functionResponseParts);
-        console.log(`[TOOLS] Respuesta enviada a Gemini para herramienta ${name}`);
-        return result;
-      }
+
+      // Si hay un prompt de confirmación, se envía como texto adicional en el mismo mensaje:
+      // Gemini recibe el resultado Y las instrucciones de cómo responder a la vez.
+      const result = await geminiChat.sendFunctionResponse(name, payload, {
+        stream: streamResponse,
+        thoughtSignature,
+        extraText: confirmationPrompt
+      });
+      console.log(`[TOOLS] Respuesta enviada a Gemini para herramienta ${name}${streamResponse ? " (con stream)" : ""}`);
+      return result;
     } catch (error) {
       console.error("[TOOLS] Error enviando respuesta a Gemini:", error);
       // Fallback: enviar como mensaje de texto simple
       try {
-        const fallbackMessage = `El resultado de la herramienta ${name} fue: ${JSON.stringify(payload)}`;
+        const fallbackMessage = tr("tool.fallbackResult", { name, payload: JSON.stringify(payload) });
         await geminiChat.sendMessage([{text: fallbackMessage}]);
         console.log(`[TOOLS] Fallback exitoso para herramienta ${name}`);
       } catch (fallbackError) {
@@ -1187,125 +1731,285 @@ Discúlpate brevemente por el error y ofrece ayuda.`;
         const actionLower = (actionPerformed || "").toLowerCase();
         
         if (actionLower.includes("email") || actionLower.includes("correo") || actionLower.includes("mail")) {
-          promptMessage = `[SISTEMA: El email se envió correctamente. Da SOLO una confirmación breve de 1 frase como "Listo, el email ha sido enviado. Revisa tu bandeja de entrada." y si quieres pregunta si necesita algo más. NO repitas el contenido del email ni lo que ibas a enviar.]`;
+          promptMessage = tr("followUp.email");
         } else if (actionLower.includes("guardar") || actionLower.includes("guarda") || actionLower.includes("registra") || actionLower.includes("contacto")) {
-          promptMessage = `[SISTEMA: Los datos se guardaron correctamente. Da SOLO una confirmación breve de 1 frase y continúa.]`;
+          promptMessage = tr("followUp.saved");
         } else if (actionLower.includes("llamada") || actionLower.includes("callback")) {
-          promptMessage = `[SISTEMA: La solicitud de llamada se registró. Da SOLO una confirmación breve.]`;
+          promptMessage = tr("followUp.callback");
         } else {
-          promptMessage = `[SISTEMA: La acción se completó con éxito. Da una confirmación MUY BREVE (1 frase máximo).]`;
+          promptMessage = tr("followUp.success");
         }
       } else {
-        promptMessage = `[SISTEMA: Hubo un problema con la acción. Discúlpate brevemente y ofrece ayuda.]`;
+        promptMessage = tr("followUp.error");
+      }
+      
+      console.log(`[GEMINI FOLLOW] Enviando prompt: ${promptMessage}`);
+      
+      const speech = ttsPipeline?.startUtterance() || null;
+      const response = beginAssistantResponse(speech);
+      try {
+        for await (const event of geminiChat.streamTurn([{ text: promptMessage }])) {
+          if (response.aborted) break;
+          if (event.type === "text") {
+            followText += event.text;
+            response.text = followText;
+            sendToClient({ type: "assistant_delta", delta: event.text });
+            speech?.push(event.text);
+          }
+        }
+      } finally {
+        endAssistantResponse(response);
+        speech?.finish();
+      }
+      if (response.aborted) return;
+      
+      // Fin del stream post-tool → usar commitAssistantFinal para consistencia
+      await commitAssistantFinal(followText, { supervise: false, spoken: true, startedAt: response.startedAt });
+    } catch (error) {
+      console.error("[GEMINI FOLLOW ERROR]", error);
+      sendToClient({ type: "error", message: `Error en seguimiento post-tool: ${error.message}` });
+    }
+  }
+
+  // Último mensaje del asistente que sigue visible (no retirado)
+  const lastVisibleAssistantTurn = () =>
+    turnLog.list().reverse().find((t) => t.role === "assistant" && !t.retracted) || null;
+
+  // Retira un mensaje del asistente del cliente y del transcript (queda en Turns marcado)
+  function retractAssistantTurn(turn, reason, { replaced = false } = {}) {
+    ttsPipeline?.abortAll();
+    turnLog.update(turn.seq, { retracted: true });
+    sendToClient({ type: "assistant_retract", turnSeq: turn.seq, text: turn.text, reason: reason || null, replaced });
+  }
+
+  /**
+   * Sustituye en el historial del modelo el texto de la respuesta que corresponde
+   * a un turno del asistente (la más reciente con ese texto). Las llamadas a
+   * herramientas de esa respuesta se conservan. Devuelve false si ya no está en
+   * el historial (p. ej. se resumió).
+   */
+  async function rewriteAssistantHistory(turn, newText) {
+    const history = structuredClone(await geminiChat.getHistory());
+    const target = turn.text.trim();
+    for (let i = history.length - 1; i >= 0; i--) {
+      const content = history[i];
+      if (content.role !== "model") continue;
+      const text = (content.parts || []).filter((p) => typeof p?.text === "string" && !p.thought).map((p) => p.text).join("");
+      if (stripCitations(text).trim() !== target) continue;
+      const otherParts = content.parts.filter((p) => typeof p?.text !== "string");
+      history[i] = { ...content, parts: [{ text: newText }, ...otherParts] };
+      await geminiChat.replaceHistory(history);
+      return true;
+    }
+    console.warn(`[CORRECTION] La respuesta del turno #${turn.seq} ya no está en el historial del modelo.`);
+    return false;
+  }
+
+  /**
+   * Aplica una corrección del supervisor y devuelve el resultado cuando ya ha ocurrido:
+   *   append    → el modelo se disculpa y regenera (comportamiento clásico)
+   *   retract   → se retira el último mensaje del asistente (evento assistant_retract)
+   *   replace   → se sustituye por un texto aprobado por el supervisor, sin disculpa
+   *   redo_tool → se vuelve a ejecutar una herramienta con argumentos corregidos
+   * Si falla, se registra en el transcript y se devuelve status "failed".
+   */
+  async function applyCorrection({ mode = "append", message = "", replacementText = "", toolName = null, args = null }) {
+    if (!conversationId) {
+      console.warn('[CORRECTION] Se recibió corrección sin conversationId. Ignorada.');
+      return { mode, status: "no_conversation" };
+    }
+    console.log(`[CORRECTION] Aplicando corrección (${mode}) para ${conversationId}: "${message || replacementText}"`);
+
+    try {
+      return await runCorrection({ mode, message, replacementText, toolName, args });
+    } catch (err) {
+      console.error(`[CORRECTION] Error aplicando la corrección (${mode}) en ${conversationId}:`, err);
+      turnLog.append({ role: "supervisor", source: "server", text: tr("turn.correctionFailed", { mode, error: err.message }), correction: true });
+      return { mode, status: "failed", error: err.message };
+    } finally {
+      isCorrecting = false;
+    }
+  }
+
+  // Texto del turno del supervisor, con su nota si la hay (variante <key>Note del catálogo)
+  const supervisorNote = (key, note, vars = {}) => (note ? tr(`${key}Note`, { ...vars, note }) : tr(key, vars));
+
+  async function runCorrection({ mode, message, replacementText, toolName, args }) {
+    switch (mode) {
+      case "retract": {
+        const turn = lastVisibleAssistantTurn();
+        if (!turn) return { mode, status: "nothing_to_retract" };
+        turnLog.append({ role: "supervisor", source: "server", text: supervisorNote("turn.retracted", message), correction: true });
+        retractAssistantTurn(turn, message);
+        // El modelo deja de ver su respuesta como dicha
+        await rewriteAssistantHistory(turn, tr("correction.retractedHistory"));
+        pushInternalContext(tr("context.retracted", { text: turn.text, reason: message ? tr("context.retractedReason", { reason: message }) : "" }));
+        persistSessionState();
+        return { mode, status: "applied", retractedTurnSeq: turn.seq };
       }
-      
-      console.log(`[GEMINI FOLLOW] Enviando prompt: ${promptMessage}`);
-      
-      const follow = await geminiChat.sendMessageStream([{ text: promptMessage }]);
-      
-      for await (const chunk of follow.stream) {
-        // Verificar que chunk existe y tiene candidates
-        if (!chunk || typeof chunk !== 'object') {
-          console.warn("[GEMINI FOLLOW] Chunk inválido:", chunk);
-          continue;
-        }
 
-        // Verificar finishReason y blockedReason para debugging
-        if (chunk.finishReason) {
-          console.log(`[GEMINI FOLLOW] Finish reason: ${chunk.finishReason}`);
-        }
-        if (chunk.blockedReason) {
-          console.warn(`[GEMINI FOLLOW] Blocked reason: ${chunk.blockedReason}`);
+      case "replace": {
+        const turn = lastVisibleAssistantTurn();
+        if (!turn) return { mode, status: "nothing_to_replace" };
+        turnLog.append({ role: "supervisor", source: "server", text: supervisorNote("turn.replaced", message), correction: true });
+        retractAssistantTurn(turn, message, { replaced: true });
+        // El modelo ve el texto aprobado como su propia respuesta, en lugar de la retirada
+        if (!(await rewriteAssistantHistory(turn, replacementText))) {
+          await geminiChat.appendHistory([
+            { role: "user", parts: [{ text: tr("correction.replaced") }] },
+            { role: "model", parts: [{ text: replacementText }] },
+          ]);
         }
+        isCorrecting = true;
+        await commitAssistantFinal(replacementText, { supervise: false, source: "supervisor" });
+        return { mode, status: "applied", retractedTurnSeq: turn.seq, replacementTurnSeq: turnLog.list().at(-1)?.seq ?? null };
+      }
 
-        const candidates = Array.isArray(chunk.candidates) ? chunk.candidates : [];
-        
-        for (const cand of candidates) {
-          // Verificar finishReason del candidato
-          if (cand.finishReason) {
-            console.log(`[GEMINI FOLLOW] Candidate finish reason: ${cand.finishReason}`);
-          }
-          
-          // Verificar que el candidato tiene content y parts
-          if (!cand || !cand.content || !Array.isArray(cand.content.parts)) {
-            console.warn("[GEMINI FOLLOW] Candidato sin parts válidas:", cand);
-            continue;
-          }
+      case "redo_tool": {
+        const previous = turnLog.list().reverse().find((t) => t.role === "tool" && (!toolName || t.tool?.name === toolName));
+        const name = toolName || previous?.tool?.name || null;
+        if (!name || !toolHandlers[name]) return { mode, status: "tool_not_found", toolName: name };
+
+        const callArgs = args ?? previous?.tool?.args ?? {};
+        const declaredTool = currentTools.find((t) => t.name === name);
+        const validation = validateToolArgs(declaredTool?.parameters, callArgs);
+        if (!validation.valid) return { mode, status: "invalid_arguments", toolName: name, errors: validation.errors };
+
+        turnLog.append({ role: "supervisor", source: "server", text: supervisorNote("turn.redoTool", message, { name }), correction: true });
+        isCorrecting = true;
+        // La llamada entra en el historial como si la hubiera hecho el modelo, y se
+        // ejecuta por el mismo camino que cualquier otra (validación, registro y follow-up)
+        const functionCall = { name, args: callArgs };
+        await geminiChat.appendHistory([
+          { role: "user", parts: [{ text: tr("correction.redoTool", {
+            name,
+            args: JSON.stringify(callArgs),
+            guidance: message ? tr("correction.guidance", { message }) : "",
+          }) }] },
+          { role: "model", parts: [{ functionCall }] },
+        ]);
+        const call = await handleFunctionCall(functionCall);
+        if (!call) throw new Error(`No se pudo re-ejecutar ${name}.`);
+        console.log(`[CORRECTION] ${name} re-ejecutada (${call.result?.status || "unknown"}).`);
+        if (isPausedForUserAction) persistSessionState();
+        return { mode, status: "applied", toolName: name, args: callArgs, result: call.result };
+      }
 
-          const parts = cand.content.parts;
-          
-          for (const part of parts) {
-            if (part && typeof part.text === "string" && part.text.length > 0) {
-              followText += part.text;
-              safeSend(clientWs, { type: "assistant_delta", delta: part.text });
-            }
-          }
-        }
+      default: {
+        const seqBefore = turnLog.list().at(-1)?.seq ?? 0;
+        turnLog.append({ role: "supervisor", source: "server", text: message, correction: true });
+
+        // Marcamos flag para evitar doble supervisión inmediata
+        isCorrecting = true;
+        console.log('[FLAG] isCorrecting = true');
+
+        // Prompt de corrección para Gemini
+        const finalCorrectionPrompt = tr("correction.append", { message });
+
+        // Inyectamos mensaje de sistema y pedimos nueva respuesta
+        await geminiChat.sendMessage([{
+          text: finalCorrectionPrompt
+        }]);
+
+        await getGeminiResponse("");
+        console.log('[CORRECTION] Mensaje de corrección enviado a Gemini.');
+        const reply = turnLog.list().reverse().find((t) => t.seq > seqBefore && t.role === "assistant");
+        return { mode: "append", status: "applied", assistantText: reply?.text || null };
       }
-      
-      // Fin del stream post-tool → usar commitAssistantFinal para consistencia
-      await commitAssistantFinal(followText, { supervise: false });
-    } catch (error) {
-      console.error("[GEMINI FOLLOW ERROR]", error);
-      safeSend(clientWs, { type: "error", message: `Error en seguimiento post-tool: ${error.message}` });
     }
   }
 
   /**
-   * Aplica una corrección proveniente del supervisor.
+   * Reanuda la conversación con los datos de una reserva de Cal.com (webhook).
    */
-  async function applyCorrection(correctionMessage) {
+  async function resumeWithBookingData(eventDetails) {
     try {
-      if (!conversationId) {
-        console.warn('[CORRECTION] Se recibió corrección sin conversationId. Ignorada.');
+      console.log("🗓️ [BOOKING] Webhook Cal.com recibido → procesar");
+
+      const bookingId =
+        eventDetails?.id ||
+        eventDetails?.uid ||
+        eventDetails?.bookingId ||
+        eventDetails?.booking?.id ||
+        null;
+
+      const rawStartISO = eventDetails?.startTime || eventDetails?.start?.time || null;
+      const startISO = rawStartISO ? String(rawStartISO) : null;
+
+      // Ventanas de deduplicación
+      const now = Date.now();
+      const NEAR_WINDOW_MS = 5 * 60 * 1000; // ±5 minutos
+      const ANTI_DUP_MS = 10 * 1000;        // 10 segundos
+
+      if (bookingId && lastBookingIdProcessed && bookingId === lastBookingIdProcessed) {
+        console.log("🔁 [BOOKING] Duplicado por bookingId. Ignorado.");
         return;
       }
+      if (!bookingId && startISO && lastBookingStartISO) {
+        const t1 = new Date(startISO).getTime();
+        const t2 = new Date(lastBookingStartISO).getTime();
+        if (Math.abs(t1 - t2) <= NEAR_WINDOW_MS && (now - bookingAnnouncedTs) < ANTI_DUP_MS) {
+          console.log("🔁 [BOOKING] Duplicado por ventana temporal (sin id). Ignorado.");
+          return;
+        }
+      }
 
-      console.log(`[CORRECTION] Aplicando corrección para ${conversationId}: "${correctionMessage}"`);
-      const supervisorTurnString = `\nSUPERVISOR: ${correctionMessage}`;
-      fullConversationTranscript += supervisorTurnString;
+      // Fecha en la zona del asistente (Cal.com) o, si no viene, en la del bot
+      const title = eventDetails?.title || eventDetails?.eventType?.title || tr("booking.defaultTitle");
+      const when = formatDateTime(startISO, {
+        language: sessionLanguage,
+        timeZones: [eventDetails?.attendees?.[0]?.timeZone, eventDetails?.timeZone, botTimeZone],
+      });
 
-      // Persistimos de forma transaccional
-      const convDocRef = adminDb.collection('Conversations').doc(conversationId);
-      try {
-        await adminDb.runTransaction(async (tx) => {
-          const snap = await tx.get(convDocRef);
-          if (!snap.exists) throw new Error('Conversation doc no existe para corrección.');
-          const oldT = snap.data().BotTranscripcion || '';
-          tx.update(convDocRef, {
-            BotTranscripcion: oldT + supervisorTurnString,
-            Timestamp: admin.firestore.Timestamp.now(),
-          });
+      // Notificar al frontend PRIMERO para cerrar modal
+      if (clientWs && clientWs.readyState === 1) {
+        sendToClient({
+          type: "booking_completed",
+          details: {
+            startTime:   startISO,
+            endTime:     eventDetails?.endTime   || eventDetails?.end?.time   || null,
+            title,
+            inviteeName: eventDetails?.attendees?.[0]?.name  || eventDetails?.name  || "",
+            inviteeEmail:eventDetails?.attendees?.[0]?.email || eventDetails?.email || "",
+            timeZone:    when?.timeZone || botTimeZone || defaultTimeZone(),
+            processedByWebhook: true // Flag para indicar que fue procesado por webhook
+          }
         });
-        console.log(`[DB OK] Corrección guardada para ${conversationId}.`);
-      } catch (dbErr) {
-        console.error('[DB ERROR] Fallo guardando corrección:', dbErr);
+        console.log(`[BOOKING] ✅ Evento booking_completed enviado al frontend para cerrar modal.`);
+      } else {
+        console.error(`[BOOKING] ❌ No se pudo enviar booking_completed - WebSocket no disponible`);
       }
 
-      // Marcamos flag para evitar doble supervisión inmediata
-      isCorrecting = true;
-      console.log('[FLAG] isCorrecting = true');
-
-      // Prompt de corrección para Gemini
-      const finalCorrectionPrompt = `
-      INSTRUCCIÓN DE CORRECCIÓN URGENTE:
-      Tu respuesta anterior contenía un error que ha sido detectado por tu sistema de supervisión interno.
-      Tu tarea AHORA es generar una nueva respuesta al usuario donde hagas lo siguiente, en este orden:
-      1. Discúlpate amablemente por la confusión o el error en tu mensaje anterior. Puedes mencionar que tu sistema lo ha detectado para ser transparente.
-      2. Proporciona la información correcta o realiza la acción correcta basándote en la siguiente directiva de tu supervisor: "${correctionMessage}"
-      3. Continúa la conversación de forma natural después de haber corregido el error.
-      4. MUY IMPORTANTE: Todo lo anterior es solo para respuestas equivocadas y corregidas por el supervisor: Si el error corresponde a una ejecución incorrecta de una herramienta, no digas que estás corrigiendo nada, simplemente indica que estás en proceso de realizar la acción y vuelve a ejecutarla correctamente según las indicaciones del supervisor.
-    `;
-
-      // Inyectamos mensaje de sistema y pedimos nueva respuesta
+      // ⬅️ CAMBIO CRÍTICO: despausar ANTES de enviar a Gemini
+      if (isPausedForUserAction) {
+        isPausedForUserAction = false;
+        console.log("✅ [BOOKING] Conversación reanudada (estaba en pausa).");
+      } else {
+        console.log("ℹ️ [BOOKING] Conversación ya despausada; anuncio idempotente enviado.");
+      }
+
+      const systemText = when
+        ? tr("booking.confirmed", { title, date: when.text, timeZone: when.timeZone })
+        : tr("booking.confirmedNoDate");
+
+      console.log(`[BOOKING] 📝 Enviando mensaje de sistema a Gemini: ${systemText}`);
+
+      // CAMBIO CRÍTICO: Inyectar el contexto como un mensaje de sistema.
       await geminiChat.sendMessage([{
-        text: finalCorrectionPrompt
+        text: systemText
       }]);
-      
-      await getGeminiResponse("");
-      console.log('[CORRECTION] Mensaje de corrección enviado a Gemini.');
+
+      // CAMBIO CRÍTICO: Llamar a getGeminiResponse con un texto de activación para generar la respuesta.
+      console.log(`[BOOKING] 🤖 Generando respuesta de confirmación...`);
+      await getGeminiResponse(tr("booking.trigger"));
+
+      if (bookingId) lastBookingIdProcessed = bookingId;
+      if (startISO) lastBookingStartISO = startISO;
+      bookingAnnouncedTs = now;
+
+      console.log(`[BOOKING] Anunciado booking ${bookingId || "(sin id)"} inicio ${startISO || "(desconocido)"}.`);
     } catch (err) {
-      console.error('[CORRECTION FATAL] Error aplicando corrección:', err);
+      console.error("[RESUME ERROR]", err);
     }
   }
 
@@ -1314,7 +2018,10 @@ Discúlpate brevemente por el error y ofrece ayuda.`;
       if (Buffer.isBuffer(messageData)) {
         // Audio PCM16 mono 24 kHz del navegador
         if (sttIsActive()) {
-          try { recognizeStream.write(messageData); }
+          try {
+            sttStream.write(messageData);
+            usageMeter?.addAudioBytes(messageData.length, sttProvider?.sampleRateHertz);
+          }
           catch (e) { console.warn("[STT write] ignorado (stream inactivo):", e?.message); }
         }
         return;
@@ -1339,10 +2046,14 @@ Discúlpate brevemente por el error y ofrece ayuda.`;
             currentUserId = msg.interactingUserId;
             currentBotId = msg.botId;
             if (!currentUserId || !currentBotId) throw new Error("Faltan IDs de usuario o bot.");
+
+            // Reanudación de una conversación existente tras una caída del socket
+            const resumed = (msg.resumeToken && !conversationId) ? await loadResumableSession(msg) : null;
             
             const botSnap = await adminDb.collection("InteracBotGPT").doc(currentBotId).get();
             if (!botSnap.exists) throw new Error(`Bot ${currentBotId} no encontrado.`);
-            const botData = botSnap.data();
+            // Documentos anteriores al esquema versionado se interpretan ya migrados
+            const botData = migrateBotConfig(botSnap.data()).config;
 
             isSupervised = botData.supervised === true;
             console.log(`[CONFIG] Estado de supervisión para bot ${currentBotId}: ${isSupervised}`);
@@ -1356,12 +2067,67 @@ Discúlpate brevemente por el error y ofrece ayuda.`;
             
             console.log(`[CONFIG] Webhooks para bot ${currentBotId}:`);
             console.log(`[CONFIG] - N8N Herramientas: ${currentN8nWebhook || "No configurado"}`);
-            console.log(`[CONFIG] - N8N Supervisor: ${currentSupervisorWebhook}`);
-            console.log(`[CONFIG] - N8N Reports: ${currentReportWebhook}`);
+            console.log(`[CONFIG] - N8N Supervisor: ${currentSupervisorWebhook || "No configurado"}`);
+            console.log(`[CONFIG] - N8N Reports: ${currentReportWebhook || "No configurado"}`);
             
             const bookingUrl = botData.book?.calendlyUrl || null;
             const sistemaAgendado = botData.book?.sistemaAgendado === true;
             currentFacturaADestinatario = !!botData.facturaADestinatario;
+            botLanguages = resolveBotLanguages(botData);
+            sessionLanguage = botLanguages.primary;
+            botTimeZone = botData.timeZone || null;
+            if (botLanguages.supported.length > 1) {
+              console.log(`[CONFIG] Idiomas para bot ${currentBotId}: ${botLanguages.supported.join(", ")} (principal ${botLanguages.primary})`);
+            }
+
+            // Cuota del plan de la cuenta facturada (creador o destinatario)
+            billedAccountId = resolveBilledAccount({
+              creatorId: currentCreadorBot,
+              interactingUserId: currentUserId,
+              facturaADestinatario: currentFacturaADestinatario,
+            });
+            // Una reanudación continúa una conversación ya contada: no se rechaza aquí.
+            // Si la cuota se agota, el medidor cierra la sesión con la despedida habitual.
+            const quota = await checkQuota(adminDb, billedAccountId);
+            if (!quota.allowed && !resumed) {
+              console.warn(`[USAGE] Conversación rechazada: cuota de ${quota.exceeded} agotada para ${billedAccountId}.`);
+              throw Object.assign(new Error("Se ha alcanzado el límite de uso del plan."), { code: "quota_exceeded", metric: quota.exceeded });
+            }
+
+            // Backend de reconocimiento de voz del bot
+            try {
+              sttProvider = createSttProvider(botData.stt || { provider: "google" }, { speechClient });
+            } catch (sttErr) {
+              console.error(`[CONFIG] STT inválido para bot ${currentBotId}, usando Google:`, sttErr.message);
+              sttProvider = createSttProvider({ provider: "google" }, { speechClient });
+            }
+            console.log(`[CONFIG] STT para bot ${currentBotId}: ${sttProvider.describe()}`);
+
+            // Barge-in (activo por defecto): { enabled, minChars }
+            bargeInEnabled = botData.bargeIn?.enabled !== false;
+            bargeInMinChars = Number(botData.bargeIn?.minChars) || 3;
+
+            // Llamadas a herramientas por turno: "single" (por defecto) o "parallel"
+            toolCallPolicy = botData.toolCallPolicy === "parallel" ? "parallel" : "single";
+            console.log(`[CONFIG] Política de herramientas para bot ${currentBotId}: ${toolCallPolicy}`);
+            failoverFiller = botData.failover?.filler === true;
+
+            // Voz en servidor (opcional): audio binario + marcas de tiempo por el mismo socket
+            ttsPipeline = null;
+            if (botData.tts?.enabled === true) {
+              try {
+                ttsPipeline = createTtsPipeline({
+                  provider: createTtsProvider(botData.tts),
+                  config: botData.tts,
+                  languageCode: toLocale(sessionLanguage),
+                  sendJson: (payload) => sendToClient(payload),
+                  sendBinary: (buf) => safeSendBinary(clientWs, buf),
+                });
+                console.log(`[CONFIG] TTS en servidor para bot ${currentBotId}: ${botData.tts.provider || "google"} (${botData.tts.voice || "voz por defecto"}, ${botData.tts.format || "pcm"})`);
+              } catch (ttsErr) {
+                console.error(`[CONFIG] TTS inválido para bot ${currentBotId}, se desactiva:`, ttsErr.message);
+              }
+            }
 
             // Configurar herramientas
             currentTools = [];
@@ -1381,7 +2147,7 @@ Discúlpate brevemente por el error y ofrece ayuda.`;
               toolHandlers = buildToolHandlers(currentN8nWebhook, () => ({
                 conversationId: conversationId,
                 botId: currentBotId,
-                fullConversation: fullConversationTranscript
+                fullConversation: turnLog.transcript()
               }));
             }
 
@@ -1395,7 +2161,7 @@ Discúlpate brevemente por el error y ofrece ayuda.`;
                   type: "object",
                   properties: {
                     nombre: { type: "string", description: "Nombre completo del usuario que has recopilado." },
-                    email: { type: "string", description: "Email del usuario que has recopilado." },
+                    email: { type: "string", format: "email", description: "Email del usuario que has recopilado." },
                     resumen: { type: "string", description: "Un breve resumen del caso que ya conozcas." }
                   }
                 }
@@ -1415,10 +2181,11 @@ Discúlpate brevemente por el error y ofrece ayuda.`;
                   console.log(`[TOOL] URL final de Cal.com: ${finalUrl}`);
 
                   if (clientWs && clientWs.readyState === WS_OPEN) {
-                    safeSend(clientWs, { type: 'schedule_appointment_action', url: finalUrl });
+                    sendToClient({ type: 'schedule_appointment_action', url: finalUrl });
                     // 🚨 CRÍTICO: Establecer pausa EXACTAMENTE como en OpenAI
                     isPausedForUserAction = true;
                     console.log(`[TOOL_FLOW] Pausa iniciada para agendamiento. Backend espera.`);
+                    persistSessionState();
                     return { status: "success", message: "Modal de agendamiento solicitado." };
                   }
 
@@ -1452,6 +2219,7 @@ Discúlpate brevemente por el error y ofrece ayuda.`;
                   properties: {
                     seccion_tag: {
                       type: "string",
+                      enum: Object.keys(navigationMap),
                       description: "El identificador de la sección a la que navegar. Debe ser uno de los valores válidos del mapa de navegación."
                     }
                   },
@@ -1528,82 +2296,213 @@ Discúlpate brevemente por el error y ofrece ayuda.`;
               };
             }
 
-            // Configurar prompt del sistema
-            const lang = botData.language?.toLowerCase() === "en" ? "en" : "es";
-            const tieneN8n = !!currentN8nWebhook;
-            const systemPrompt = makeStandardSystemPrompt(botData, {
-              hasN8n: tieneN8n,
-              hasBooking: (sistemaAgendado && bookingUrl),
-              hasNavigation: hasNavigation,
-              navigationMap: navigationMap,
-              language: lang
+            // Base de conocimiento del bot: la herramienta solo se ofrece si hay documentos
+            const knowledgeConfig = botData.knowledge || {};
+            const knowledgeSummary = knowledgeConfig.enabled === false ? null : await knowledgeStore.summary(currentBotId).catch((err) => {
+              console.warn(`[KNOWLEDGE] No se pudo leer la base de conocimiento de ${currentBotId}:`, err.message);
+              return null;
+            });
+            if (knowledgeSummary?.chunkCount > 0) {
+              console.log(`[CONFIG] Base de conocimiento para bot ${currentBotId}: ${knowledgeSummary.documentCount} documentos, ${knowledgeSummary.chunkCount} pasajes.`);
+              currentTools.push(knowledgeToolDeclaration({ maxResults: knowledgeConfig.maxResults }));
+              toolHandlers[KNOWLEDGE_TOOL_NAME] = async ({ consulta, max_resultados }) => {
+                try {
+                  const passages = await knowledgeStore.search(currentBotId, consulta, { limit: max_resultados || knowledgeConfig.maxResults });
+                  console.log(`[TOOL ${KNOWLEDGE_TOOL_NAME}] "${consulta}": ${passages.map((p) => `${p.id} (${p.score})`).join(", ") || "sin resultados"}`);
+                  const payload = passages.map(({ id, title, heading, source, text }) => ({ id, title, heading, source, text }));
+                  rememberPassages(payload);
+                  return {
+                    status: "success",
+                    count: payload.length,
+                    passages: payload,
+                    instructions: payload.length > 0 ? tr("knowledge.cite", { example: payload[0].id }) : tr("knowledge.empty"),
+                  };
+                } catch (err) {
+                  console.error(`[TOOL ${KNOWLEDGE_TOOL_NAME} ERROR]`, err);
+                  return { status: "error", message: tr("knowledge.error", { error: err.message }) };
+                }
+              };
+            }
+
+            // Herramientas HTTP declarativas del bot (no pueden pisar las integradas)
+            const httpTools = parseHttpTools(botData.httpTools, {
+              reservedNames: currentTools.map((t) => t.name),
+              botId: currentBotId,
+            });
+            httpToolDefinitions = httpTools.definitions;
+            if (httpTools.tools.length > 0) {
+              currentTools.push(...httpTools.tools);
+              Object.assign(toolHandlers, buildHttpToolHandlers(httpToolDefinitions, () => ({
+                conversationId,
+                botId: currentBotId,
+                userId: currentUserId,
+              })));
+              console.log(`[CONFIG] Herramientas HTTP para bot ${currentBotId}:`, httpTools.tools.map((t) => t.name));
+            }
+
+            // Experimento A/B: variante estable por usuario (al reanudar, la de la conversación)
+            experimentAssignment = resolveExperimentAssignment(botData.experiment, {
+              subjectId: currentUserId,
+              resuming: !!resumed,
+              previous: resumed?.state.experiment,
             });
+            const variant = experimentAssignment?.variant || null;
+            if (variant) {
+              console.log(`[EXPERIMENT] Bot ${currentBotId}: experimento ${experimentAssignment.experimentId}, variante ${variant.id}${variant.model ? ` (modelo ${variant.model})` : ""}.`);
+            }
+            const promptBotData = applyVariantPromptTemplate(botData, variant);
+
+            // Configurar prompt del sistema (mismas opciones que la vista previa de /admin/bots).
+            // Al reanudar se mantiene la versión de plantilla con la que empezó la conversación.
+            const { systemPrompt, promptTemplate } = await makeStandardSystemPrompt(promptBotData, systemPromptOptions(botData), {
+              version: resumed?.state.promptTemplate?.id === (promptBotData.promptTemplate?.id || DEFAULT_TEMPLATE_ID) ? resumed.state.promptTemplate.version : null,
+            });
+            currentPromptTemplate = promptTemplate;
+            console.log(`[CONFIG] Plantilla de prompt para bot ${currentBotId}: ${promptTemplate.id} v${promptTemplate.version} (${promptTemplate.language}${promptTemplate.overrides.length > 0 ? `, secciones propias: ${promptTemplate.overrides.join(", ")}` : ""})`);
 
             // Iniciar chat de Gemini con herramientas
             const functionDeclarations = toVertexFunctionDeclarations(currentTools);
             
+            // Modelo y generación: valores del proceso < modelSettings del bot < variante
+            const modelSettings = resolveModelSettings(botData, variant);
             let chatConfig = {
-              systemInstruction: {
-                parts: [{ text: systemPrompt }]
-              }
+              systemInstruction: systemPrompt,
+              functionDeclarations: [],
+              history: resumed?.state.history || [],
+              model: modelSettings.model,
+              generationConfig: modelSettings.generationConfig,
+              safetySettings: modelSettings.safetySettings
             };
+            console.log(`[CONFIG] Modelo para bot ${currentBotId}: ${modelSettings.model || llmProvider.modelName}, generationConfig=${JSON.stringify(modelSettings.generationConfig)}, safetySettings=${modelSettings.safetySettings.length}`);
             
             if (functionDeclarations && functionDeclarations.length > 0) {
               // Declaraciones de herramientas
-              chatConfig.tools = [{
-                functionDeclarations: functionDeclarations
-              }];
-
-              // Permitir alternar el modo por ENV (AUTO por defecto)
-              const FUNCTION_CALL_MODE = (process.env.GEMINI_FUNCTION_CALL_MODE || 'AUTO').toUpperCase();
-              const allowedNames = functionDeclarations.map(f => f.name);
-
-              // Construcción correcta según documentación:
-              // - AUTO: NO se permite allowedFunctionNames
-              // - ANY : Puedes (opcionalmente) pasar allowedFunctionNames
-              if (FUNCTION_CALL_MODE === 'ANY') {
-                chatConfig.toolConfig = {
-                  functionCallingConfig: {
-                    mode: 'ANY',
-                    // puedes restringir a las funciones permitidas:
-                    allowedFunctionNames: allowedNames
-                  }
-                };
-                console.log(`[GEMINI] ToolConfig mode=ANY, allowed functions:`, allowedNames);
-              } else if (FUNCTION_CALL_MODE === 'NONE') {
-                chatConfig.toolConfig = {
-                  functionCallingConfig: { mode: 'NONE' }
-                };
-                console.log(`[GEMINI] ToolConfig mode=NONE (prohibidas las tools)`);
-              } else {
-                // AUTO (por defecto) → sin allowedFunctionNames
-                chatConfig.toolConfig = {
-                  functionCallingConfig: { mode: 'AUTO' }
-                };
-                console.log(`[GEMINI] ToolConfig mode=AUTO (sin allowedFunctionNames)`);
-              }
-
-              console.log(`[GEMINI] Inicializando chat con ${functionDeclarations.length} herramientas:`, allowedNames);
+              chatConfig.functionDeclarations = functionDeclarations;
+              chatConfig.toolConfig = buildToolConfig(modelSettings.functionCallingMode, functionDeclarations);
+              console.log(`[GEMINI] ToolConfig mode=${modelSettings.functionCallingMode}`);
+              console.log(`[GEMINI] Inicializando chat con ${functionDeclarations.length} herramientas:`, functionDeclarations.map(f => f.name));
             } else {
               console.log("[GEMINI] Inicializando chat sin herramientas");
             }
 
+            // Modelo del bot (o de la variante) y, detrás, los de reserva
+            const startResilientChat = (config) => createResilientChat({
+              provider: llmProvider,
+              chatConfig: config,
+              models: [config.model || llmProvider.modelName, ...(llmProvider.name === "scripted" ? [] : fallbackModelsFromEnv())],
+              breaker: modelBreaker,
+              onRetry: (info) => onModelRetry(info),
+            });
             try {
-              geminiChat = geminiModel.startChat(chatConfig);
-              console.log("[GEMINI] Chat inicializado correctamente");
+              geminiChat = startResilientChat(chatConfig);
+              console.log(`[GEMINI] Chat inicializado correctamente (proveedor: ${llmProvider.name}, modelo: ${geminiChat.modelName || "por defecto"})`);
             } catch (chatError) {
               console.error("[GEMINI] Error inicializando chat:", chatError);
               // Fallback: inicializar sin herramientas
-              geminiChat = geminiModel.startChat({
-                systemInstruction: {
-                  parts: [{ text: systemPrompt }]
-                }
-              });
+              geminiChat = startResilientChat({ systemInstruction: systemPrompt, history: chatConfig.history, model: chatConfig.model, generationConfig: chatConfig.generationConfig, safetySettings: chatConfig.safetySettings });
               console.log("[GEMINI] Chat inicializado en modo fallback (sin herramientas)");
             }
+            geminiChat = withUsageMetering(geminiChat, () => usageMeter);
+
+            // Resúmenes de la ventana de contexto: chat aparte, sin herramientas ni historial
+            summarizeContext = async (instructionsKey, text) => {
+              const summaryChat = withUsageMetering(
+                startResilientChat({ systemInstruction: tr(instructionsKey), model: chatConfig.model, generationConfig: { temperature: 0.2 } }),
+                () => usageMeter
+              );
+              const { text: summary } = await summaryChat.sendMessage(text);
+              return String(summary || "").trim();
+            };
+            // Pasado el presupuesto de tokens, los turnos antiguos se sustituyen por un resumen
+            const tokenBudget = contextTokenBudget(modelSettings.contextTokenBudget);
+            geminiChat = withContextWindow(geminiChat, {
+              tokenBudget,
+              summarize: (transcript) => summarizeContext("summary.history", transcript),
+              summaryTurns: (summary) => [
+                { role: "user", parts: [{ text: tr("context.summary", { summary }) }] },
+                { role: "model", parts: [{ text: tr("context.summaryAck") }] },
+              ],
+              onCompacted: (info) => onContextCompacted(info),
+            });
+            // Configuración efectiva, para auditoría en Conversations.ModelSettings
+            currentModelSettings = {
+              provider: llmProvider.name,
+              model: geminiChat.modelName || modelSettings.model || llmProvider.modelName || null,
+              generationConfig: modelSettings.generationConfig,
+              safetySettings: modelSettings.safetySettings,
+              functionCallingMode: chatConfig.toolConfig ? modelSettings.functionCallingMode : null,
+              fallbackModels: llmProvider.name === "scripted" ? [] : fallbackModelsFromEnv(),
+              contextTokenBudget: tokenBudget,
+            };
+
+            if (resumed) {
+              // Restaurar estado de la sesión anterior
+              conversationId = resumed.conversationId;
+              conversationCreated = true;
+              turnLog.attach(conversationId, resumed.turns);
+              // Pasajes consultados antes de la reanudación, para poder seguir citándolos
+              for (const turn of resumed.turns) {
+                if (turn.tool?.name !== KNOWLEDGE_TOOL_NAME) continue;
+                try { rememberPassages(JSON.parse(turn.tool.resultJson)?.passages); } catch (_) { /* resultado recortado */ }
+              }
+              internalContextNotes.replace(resumed.state.internalContextNotes);
+              isPausedForUserAction = resumed.state.isPausedForUserAction;
+              lastBookingIdProcessed = resumed.state.lastBookingIdProcessed || null;
+              lastBookingStartISO = resumed.state.lastBookingStartISO || null;
+              humanTakeover = resumed.state.humanTakeover || null;
+              // Idioma al que se hubiera cambiado antes de la caída
+              if (resumed.state.language && botLanguages.supported.includes(resumed.state.language)) {
+                sessionLanguage = resumed.state.language;
+                ttsPipeline?.setLanguage(toLocale(sessionLanguage));
+              }
+
+              try {
+                await claimResumedSession({
+                  ConnectionState: "connected",
+                  ResumedAt: admin.firestore.Timestamp.now(),
+                  ResumeCount: admin.firestore.FieldValue.increment(1),
+                  BilledAccountId: billedAccountId,
+                  PromptTemplate: currentPromptTemplate,
+                  ModelSettings: currentModelSettings,
+                });
+              } catch (err) {
+                // La conversación sigue siendo de la sesión anterior (o de su informe)
+                conversationId = null;
+                conversationCreated = false;
+                throw err;
+              }
+              startUsageMeter(quota, { isNewConversation: false });
+              console.log(`[SESSION] Conversación ${conversationId} reanudada (${resumed.state.history.length} mensajes de historial, pausada=${isPausedForUserAction}).`);
+
+              sendToClient({
+                type: "session_resumed",
+                conversationId,
+                isPausedForUserAction,
+                resumeGraceMs: SESSION_RESUME_GRACE_MS,
+              });
+              sendToClient({ type: "info", message: "Backend conectado y listo." });
+
+              // Si la reserva llegó mientras el socket estaba caído, la procesamos ahora
+              if (isPausedForUserAction) {
+                const pendingRef = adminDb.collection("Conversations").doc(conversationId)
+                  .collection("PendingBookingEvents").doc("latest");
+                const pendingSnap = await pendingRef.get();
+                const pending = pendingSnap.exists ? pendingSnap.data() : null;
+                if (pending && !pending.consumedAt && pending.bookingId !== lastBookingIdProcessed) {
+                  console.log(`[SESSION] Reserva pendiente encontrada al reanudar ${conversationId}. Procesando.`);
+                  await pendingRef.update({ consumedAt: admin.firestore.Timestamp.now() });
+                  await resumeWithBookingData({
+                    ...pending,
+                    attendees: [{ name: pending.inviteeName, email: pending.inviteeEmail, timeZone: pending.timeZone }],
+                  });
+                }
+              }
+              break;
+            }
 
             // Crear documento de conversación
             if (!conversationId) {
+              const resumeToken = generateResumeToken();
               const convRef = await adminDb.collection("Conversations").add({
                 RobotId: currentBotId,
                 StartTime: admin.firestore.Timestamp.now(),
@@ -1614,115 +2513,43 @@ Discúlpate brevemente por el error y ofrece ayuda.`;
                 UserEmail: msg.userEmail || "",
                 UserId: currentUserId,
                 CreadorBot: currentCreadorBot,
-                MinutosUsoConv: 0
+                MinutosUsoConv: 0,
+                BilledAccountId: billedAccountId,
+                ResumeTokenHash: resumeToken.hash,
+                Language: sessionLanguage,
+                PromptTemplate: currentPromptTemplate,
+                ModelSettings: currentModelSettings,
+                ...(experimentAssignment ? { Experiment: { id: experimentAssignment.experimentId, variantId: variant.id, model: geminiChat.modelName || null, outcomes: {} } } : {}),
+                ConnectionState: "connected"
               });
               conversationId = convRef.id;
               conversationCreated = true;
+              turnLog.attach(conversationId);
               console.log(`[DB] Conversación creada: ${conversationId}`);
 
-              // Registrar conexión para correcciones
-              activeConnections.set(conversationId, {
-                applyCorrection: (msg) => applyCorrection(msg),
-                resumeWithBookingData: async (eventDetails) => {
-                  try {
-                    console.log("🗓️ [BOOKING] Webhook Cal.com recibido → procesar");
-
-                    const bookingId =
-                      eventDetails?.id ||
-                      eventDetails?.uid ||
-                      eventDetails?.bookingId ||
-                      eventDetails?.booking?.id ||
-                      null;
-
-                    const rawStartISO = eventDetails?.startTime || eventDetails?.start?.time || null;
-                    const startISO = rawStartISO ? String(rawStartISO) : null;
-
-                    // Ventanas de deduplicación
-                    const now = Date.now();
-                    const NEAR_WINDOW_MS = 5 * 60 * 1000; // ±5 minutos
-                    const ANTI_DUP_MS = 10 * 1000;        // 10 segundos
-
-                    if (bookingId && lastBookingIdProcessed && bookingId === lastBookingIdProcessed) {
-                      console.log("🔁 [BOOKING] Duplicado por bookingId. Ignorado.");
-                      return;
-                    }
-                    if (!bookingId && startISO && lastBookingStartISO) {
-                      const t1 = new Date(startISO).getTime();
-                      const t2 = new Date(lastBookingStartISO).getTime();
-                      if (Math.abs(t1 - t2) <= NEAR_WINDOW_MS && (now - bookingAnnouncedTs) < ANTI_DUP_MS) {
-                        console.log("🔁 [BOOKING] Duplicado por ventana temporal (sin id). Ignorado.");
-                        return;
-                      }
-                    }
-
-                    // Notificar al frontend PRIMERO para cerrar modal
-                    if (clientWs && clientWs.readyState === 1) {
-                      safeSend(clientWs, {
-                        type: "booking_completed",
-                        details: {
-                          startTime:   startISO,
-                          endTime:     eventDetails?.endTime   || eventDetails?.end?.time   || null,
-                          title:       eventDetails?.title || eventDetails?.eventType?.title || "Tu cita",
-                          inviteeName: eventDetails?.attendees?.[0]?.name  || eventDetails?.name  || "",
-                          inviteeEmail:eventDetails?.attendees?.[0]?.email || eventDetails?.email || "",
-                          timeZone:    eventDetails?.timeZone || eventDetails?.attendees?.[0]?.timeZone || "Europe/Madrid",
-                          processedByWebhook: true // Flag para indicar que fue procesado por webhook
-                        }
-                      });
-                      console.log(`[BOOKING] ✅ Evento booking_completed enviado al frontend para cerrar modal.`);
-                    } else {
-                      console.error(`[BOOKING] ❌ No se pudo enviar booking_completed - WebSocket no disponible`);
-                    }
-
-                    // ⬅️ CAMBIO CRÍTICO: despausar ANTES de enviar a Gemini
-                    if (isPausedForUserAction) {
-                      isPausedForUserAction = false;
-                      console.log("✅ [BOOKING] Conversación reanudada (estaba en pausa).");
-                    } else {
-                      console.log("ℹ️ [BOOKING] Conversación ya despausada; anuncio idempotente enviado.");
-                    }
-
-                    const title = eventDetails?.title || eventDetails?.eventType?.title || "Tu cita";
-                    const startDate = startISO ? new Date(startISO) : null;
-                    const esES_Madrid = new Intl.DateTimeFormat('es-ES', {
-                      timeZone: 'Europe/Madrid',
-                      dateStyle: 'full',
-                      timeStyle: 'short'
-                    });
-                    const fechaLegible = startDate ? esES_Madrid.format(startDate) : null;
-
-                    const systemText = `INSTRUCCIÓN: El usuario acaba de agendar una cita con éxito.${fechaLegible ? ` Los detalles son: "${title}" para el ${fechaLegible}.` : ""}\n1) Confirma verbalmente la cita${fechaLegible ? " mencionando día y hora" : ""}.\n2) Indica que recibirá un email del sistema con el enlace a Google Meet para la videoconferencia y que le permite añadir la cita a su calendario.\n3) Pregunta si necesita algo más.`;
-
-                    console.log(`[BOOKING] 📝 Enviando mensaje de sistema a Gemini: ${systemText}`);
-                    
-                    // CAMBIO CRÍTICO: Inyectar el contexto como un mensaje de sistema.
-                    await geminiChat.sendMessage([{
-                      text: systemText
-                    }]);
-                    
-                    // CAMBIO CRÍTICO: Llamar a getGeminiResponse con un texto de activación para generar la respuesta.
-                    console.log(`[BOOKING] 🤖 Generando respuesta de confirmación...`);
-                    await getGeminiResponse("Ok, entendido. Procede a confirmar la cita al usuario.");
-
-                    if (bookingId) lastBookingIdProcessed = bookingId;
-                    if (startISO) lastBookingStartISO = startISO;
-                    bookingAnnouncedTs = now;
-
-                    console.log(`[BOOKING] Anunciado booking ${bookingId || "(sin id)"} inicio ${startISO || "(desconocido)"}.`);
-                  } catch (err) {
-                    console.error("[RESUME ERROR]", err);
-                  }
-                }
+              // Token para reanudar esta conversación si se cae el socket
+              sendToClient({
+                type: "session_info",
+                conversationId,
+                resumeToken: resumeToken.token,
+                resumeGraceMs: SESSION_RESUME_GRACE_MS,
               });
-              console.log(`[CONN_MAP] Conexión para ${conversationId} registrada.`);
+
+              registerActiveConnection();
+              startUsageMeter(quota, { isNewConversation: true });
             }
 
-            safeSend(clientWs, { type: "info", message: "Backend conectado y listo." });
+            sendToClient({ type: "info", message: "Backend conectado y listo." });
             await getGeminiResponse(""); // saludo inicial
 
           } catch (e) {
             console.error("[START_CONV ERROR]", e);
-            safeSend(clientWs, { type: "error", message: e.message });
+            sendToClient({
+              type: "error",
+              message: e.message,
+              ...(e.code ? { code: e.code } : {}),
+              ...(e.metric ? { metric: e.metric } : {}),
+            });
           }
           break;
         }
@@ -1730,6 +2557,7 @@ Discúlpate brevemente por el error y ofrece ayuda.`;
         case "user_action_pending":
           console.log("🛑 Pausando conversación - usuario en calendario");
           isPausedForUserAction = true;
+          persistSessionState();
           break;
 
         case "user_action_completed": {
@@ -1757,39 +2585,19 @@ Discúlpate brevemente por el error y ofrece ayuda.`;
           if (!userClosedWithoutBooking && msg.appointmentData) {
             // Usuario SÍ agendó una cita
             const startISO = msg.appointmentData.startTime || msg.appointmentData.start?.time || null;
-            const title = msg.appointmentData.eventName || msg.appointmentData.title || "Tu cita";
-            const fechaLegible = startISO
-              ? new Date(startISO).toLocaleString('es-ES', { dateStyle: 'full', timeStyle: 'short' })
-              : null;
-
-            systemText = fechaLegible
-              ? `INSTRUCCIÓN: El usuario acaba de agendar una cita con éxito. Detalles: "${title}" para el ${fechaLegible}.
-1) Confirma verbalmente la cita mencionando día y hora.
-2) Indica que recibirá un email con los detalles.
-3) Pregunta si necesita algo más.`
-              : `INSTRUCCIÓN: El usuario acaba de agendar una cita con éxito.
-1) Confirma verbalmente la cita.
-2) Indica que recibirá un email con los detalles.
-3) Pregunta si necesita algo más.`;
+            const title = msg.appointmentData.eventName || msg.appointmentData.title || tr("booking.defaultTitle");
+            const when = formatDateTime(startISO, {
+              language: sessionLanguage,
+              timeZones: [msg.appointmentData.attendees?.[0]?.timeZone, msg.appointmentData.timeZone, botTimeZone],
+            });
+
+            systemText = when
+              ? tr("booking.fallbackConfirmed", { title, date: when.text, timeZone: when.timeZone })
+              : tr("booking.fallbackConfirmedNoDate");
           } else {
             // Usuario cerró SIN agendar
             console.log(`[USER_ACTION] Usuario cerró la agenda sin agendar. Details: "${msg.details}"`);
-            systemText = `[EVENTO DEL SISTEMA: El frontend acaba de informar que el usuario CERRÓ la ventana de agendamiento SIN seleccionar ninguna cita. El mensaje del frontend fue: "${msg.details || 'Usuario cerró sin agendar.'}"]
-
-CONTEXTO: El usuario tenía abierta la ventana para agendar una cita pero la cerró sin elegir ningún horario. Esto puede ser porque:
-- Cambió de opinión
-- No encontró un horario que le convenga
-- Fue un error y quiere volver a intentarlo
-
-TU RESPUESTA DEBE:
-1) Reconocer amablemente que cerró la ventana (sin juzgar)
-2) Ofrecer que si quiere volver a ver los horarios, solo tiene que pedírtelo
-3) Dejar claro que no hay problema si prefiere hacerlo en otro momento
-4) Preguntar en qué más puedes ayudar
-
-EJEMPLO: "Veo que cerraste la ventana de agendado. Si fue un error o quieres volver a ver los horarios disponibles, solo dímelo. Si prefieres agendar en otro momento, no hay ningún problema. ¿Hay algo más en lo que pueda ayudarte?"
-
-⚠️ IMPORTANTE: NO llames a ninguna herramienta en esta respuesta. Solo responde con texto.`;
+            systemText = tr("booking.closed", { details: msg.details || tr("booking.closedDefault") });
           }
 
           // Inyectar y responder
@@ -1798,14 +2606,26 @@ EJEMPLO: "Veo que cerraste la ventana de agendado. Si fue un error o quieres vol
           
           // Usamos getGeminiResponse que maneja todo el flujo correctamente
           await geminiChat.sendMessage([{ text: systemText }]);
-          await getGeminiResponse("Responde al usuario según las instrucciones anteriores.");
+          await getGeminiResponse(tr("booking.respond"));
+
+          break;
+        }
 
+        case "response.cancel": {
+          const cancelled = cancelActiveResponse("client_cancel");
+          if (!cancelled) console.log("[BARGE-IN] response.cancel sin respuesta en curso. Ignorado.");
           break;
         }
 
         case "audio.start": {
-          const lang = normalizeLang(msg.languageCode || "es-ES");
-          startSttStream(lang);
+          // El idioma que pida el cliente se respeta si es uno de los del bot
+          const requested = baseLanguage(msg.languageCode);
+          if (requested && botLanguages.supported.includes(requested)) {
+            switchSessionLanguage(requested, { source: "client", restartStt: false });
+            startSttStream(msg.languageCode);
+          } else {
+            startSttStream(sessionLanguage);
+          }
           break;
         }
 
@@ -1819,20 +2639,16 @@ EJEMPLO: "Veo que cerraste la ventana de agendado. Si fue un error o quieres vol
             const originalUserText = msg.item.content[0].text;
             console.log(`[CLIENT MSG - TEXT] Recibido texto de usuario: "${originalUserText}"`);
             
+            // Un mensaje escrito también interrumpe al asistente
+            if (bargeInEnabled) cancelActiveResponse("user_text");
+
             currentUserTranscript = originalUserText;
             currentUserInputSource = 'text';
             console.log('[SOURCE] La entrada del usuario es por TEXTO.');
 
-            // Añadir a transcripción completa
-            const userTurnString = `\nUSUARIO (con texto): ${originalUserText}`;
-            fullConversationTranscript += userTurnString;
-            
-            // Persistir en Firestore inmediatamente
-            if (conversationId && conversationCreated) {
-              adminDb.collection("Conversations").doc(conversationId)
-                .update({ BotTranscripcion: fullConversationTranscript })
-                .catch(err => console.error("[DB ERROR] Al guardar texto del usuario:", err));
-            }
+            // Registrar el turno del usuario
+            toolRepairAttempts.clear();
+            turnLog.append({ role: "user", source: "text", text: originalUserText });
 
             // Prefijo para el contexto
             const prefixedText = `(Mensaje Escrito) ${originalUserText}`;
@@ -1848,24 +2664,14 @@ EJEMPLO: "Veo que cerraste la ventana de agendado. Si fue un error o quieres vol
           if (tourText && typeof tourText === "string" && tourText.trim()) {
             console.log(`[TOUR] Mensaje de tour recibido: "${tourText.substring(0, 50)}..."`);
             
-            // Añadir al transcript
-            fullConversationTranscript += `\nAI-BOT (Tour): ${tourText}`;
-            
-            // Persistir en Firestore
-            if (conversationId && conversationCreated) {
-              adminDb.collection("Conversations").doc(conversationId)
-                .update({ 
-                  BotTranscripcion: fullConversationTranscript,
-                  Timestamp: admin.firestore.Timestamp.now()
-                })
-                .catch(err => console.error("[DB ERROR] Al guardar mensaje de tour:", err));
-            }
+            // Registrar el turno del tour
+            turnLog.append({ role: "assistant", source: "tour", text: tourText });
             
             // Añadir al historial de Gemini como mensaje del modelo
             if (geminiChat) {
               try {
                 // Inyectar como mensaje del asistente en el historial
-                await geminiChat.sendMessage([{ text: `[Contexto: He dicho al usuario lo siguiente durante el tour] "${tourText}"` }]);
+                await geminiChat.sendMessage([{ text: tr("context.tour", { text: tourText }) }]);
                 console.log(`[TOUR] Mensaje añadido al historial de Gemini.`);
               } catch (err) {
                 console.error("[TOUR] Error añadiendo al historial de Gemini:", err);
@@ -1879,24 +2685,94 @@ EJEMPLO: "Veo que cerraste la ventana de agendado. Si fue un error o quieres vol
       }
     } catch (e) {
       console.error("[WS onmessage ERROR]", e);
-      safeSend(clientWs, { type: "error", message: e.message });
+      sendToClient({ type: "error", message: e.message });
     }
   });
 
-  clientWs.on("close", (code, reason) => {
+  clientWs.on("close", async (code, reason) => {
     console.log(`[CLIENT DISCONNECTED] - Código: ${code}, Razón: ${String(reason)}`);
     
-    if (conversationId && fullConversationTranscript.trim() !== "") {
-      triggerReportWorkflow(conversationId, fullConversationTranscript, currentReportWebhook);
-    } else {
+    endStt("client_close");
+    ttsPipeline?.abortAll();
+
+    // Último volcado de uso (incluye los minutos conectados de este socket)
+    if (usageMeter) {
+      await usageMeter.stop();
+      console.log(`[USAGE] Uso de ${conversationId} en esta conexión:`, JSON.stringify(usageMeter.totals()));
+    }
+    await experimentTracker?.stop();
+
+    // Otro socket reanudó esta conversación: ni informe ni limpieza, ya no es nuestra
+    const supersededLog = () => console.log(`[SESSION] Socket anterior de ${conversationId} cerrado tras la reanudación.`);
+    if (sessionSuperseded) return supersededLog();
+
+    if (!conversationId || !conversationCreated) {
       console.log("[REPORT] No se generará informe: no hubo conversación o ID.");
+      return;
     }
-    
-    endStt("client_close");
-    
-    if (conversationId && activeConnections.has(conversationId)) {
-      activeConnections.delete(conversationId);
-      console.log(`[CONN_MAP] Conexión para ${conversationId} eliminada.`);
+
+    // Guardamos el estado y retenemos el informe por si el cliente reanuda la sesión.
+    // La entrada de activeConnections se elimina: la reanudación, en esta instancia
+    // o en otra, recupera el estado guardado en Firestore.
+    const convId = conversationId;
+    const convRef = adminDb.collection("Conversations").doc(convId);
+    const disconnectId = crypto.randomUUID();
+    await persistSessionState();
+    try {
+      await convRef.update({
+        ConnectionState: "disconnected",
+        DisconnectedAt: admin.firestore.Timestamp.now(),
+        DisconnectId: disconnectId,
+        ContextWindow: describeContextWindow(),
+      });
+    } catch (e) {
+      console.warn(`[SESSION] No se pudo marcar ${convId} como desconectada:`, e.message);
+    }
+    if (sessionSuperseded) return supersededLog();
+
+    if (activeConnections.get(convId)?.owner === connectionOwner) {
+      activeConnections.delete(convId);
+      sessionEvents.end(convId, { conversationId: convId, reason: "disconnected", code });
+      console.log(`[CONN_MAP] Conexión para ${convId} eliminada.`);
+    }
+
+    const fireReport = async ({ shuttingDown = false } = {}) => {
+      const snap = await convRef.get();
+      const conv = snap.exists ? snap.data() : {};
+      // Si hubo reanudación (aquí o en otra instancia), este informe ya no aplica
+      if (conv.ConnectionState !== "disconnected" || conv.DisconnectId !== disconnectId) {
+        console.log(`[REPORT] Informe de ${convId} omitido: la sesión se reanudó.`);
+        return;
+      }
+      // En un apagado la sesión sigue siendo reanudable; si vuelve, habrá otro informe al final
+      if (!shuttingDown) {
+        await convRef.update({ SessionClosed: true, ConnectionState: "closed" });
+      }
+      // Los turnos de Firestore incluyen los de otras instancias si hubo reanudaciones
+      let turns = turnLog.list();
+      try {
+        turns = await loadTurns(adminDb, convId);
+      } catch (e) {
+        console.warn(`[REPORT] No se pudieron leer los turnos de ${convId}, se usan los de memoria:`, e.message);
+      }
+      const transcript = buildTranscript(turns);
+      // BotTranscripcion se materializa una sola vez al cerrar, con los turnos de todas las instancias
+      await convRef.update({ BotTranscripcion: transcript });
+      if (transcript.trim() !== "") {
+        await triggerReportWorkflow(convId, transcript, currentReportWebhook, serializeTurns(turns), {
+          botId: currentBotId,
+          idempotencyKey: `report:${convId}:${disconnectId}`,
+        });
+      } else {
+        console.log("[REPORT] No se generará informe: la conversación está vacía.");
+      }
+    };
+
+    if (isShuttingDown) {
+      fireReport({ shuttingDown: true }).catch((err) => console.error("[REPORT] Error en informe por apagado:", err));
+    } else {
+      console.log(`[SESSION] Informe de ${convId} retenido ${SESSION_RESUME_GRACE_MS} ms por si el cliente reanuda.`);
+      scheduleDeferredReport(convId, fireReport, SESSION_RESUME_GRACE_MS);
     }
   });
 
@@ -1908,73 +2784,54 @@ EJEMPLO: "Veo que cerraste la ventana de agendado. Si fue un error o quieres vol
 // Webhook para booking completado de Cal.com
 app.post("/webhook/booking-completed", express.raw({ type: "application/json" }), async (req, res) => {
   try {
-    // Verificación HMAC-SHA256 Cal.com
-    if (CALCOM_WEBHOOK_SECRET) {
-      const signatureHeader = req.headers["x-cal-signature-256"];
-      if (!signatureHeader) {
-        console.warn("[WEBHOOK CAL.COM] Petición sin firma.");
-        return res.status(400).send("Firma requerida.");
-      }
-      const hmac = crypto.createHmac("sha256", CALCOM_WEBHOOK_SECRET);
-      hmac.update(req.body);
-      const generatedSignature = hmac.digest("hex");
-      const receivedSignature = signatureHeader.replace("sha256=", "");
-      const a = Buffer.from(generatedSignature);
-      const b = Buffer.from(receivedSignature);
-      const ok = a.length === b.length && crypto.timingSafeEqual(a, b);
-      if (!ok) {
-        console.error("[WEBHOOK CAL.COM] Firma inválida.");
-        return res.status(401).send("Unauthorized");
-      }
-      console.log("[WEBHOOK CAL.COM] Firma verificada OK.");
-    }
-
-    // Parse
-    const payload = JSON.parse(req.body.toString());
-    console.log("[WEBHOOK CAL.COM] ===== WEBHOOK RECIBIDO =====");
-    console.log("[WEBHOOK CAL.COM] Headers:", JSON.stringify(req.headers, null, 2));
-    console.log("[WEBHOOK CAL.COM] Payload completo:", JSON.stringify(payload, null, 2));
-    console.log("[WEBHOOK CAL.COM] triggerEvent:", payload.triggerEvent);
-    
-    if (payload.triggerEvent !== "BOOKING_CREATED") {
-      console.log(`[WEBHOOK CAL.COM] ⚠️ Evento ${payload.triggerEvent} no es BOOKING_CREATED, ignorando.`);
-      return res.status(200).send("Evento no relevante, ignorado.");
+    // Parse: el secreto depende del bot de la conversación, así que el conversationId
+    // se extrae antes de la firma; nada del cuerpo se registra ni se usa hasta verificarla
+    let payload;
+    try {
+      payload = JSON.parse(req.body.toString());
+    } catch (_) {
+      console.warn("[WEBHOOK CAL.COM] Cuerpo no-JSON.");
+      return res.status(400).send("JSON inválido.");
     }
-    
-    console.log("[WEBHOOK CAL.COM] ✅ Evento BOOKING_CREATED detectado, procesando...");
 
     // conversationId desde metadata o booking question
     const p = payload.payload || {};
     const meta = p.metadata || {};
     const responses = p.responses || {};
-    
-    console.log("[WEBHOOK CAL.COM] 🔍 Buscando conversationId en:");
-    console.log("  - metadata:", JSON.stringify(meta, null, 2));
-    console.log("  - responses:", JSON.stringify(responses, null, 2));
-    
-    let conversationId =
+    const conversationId =
       meta.convoId ||
       responses?.convoId?.value ||
       (Array.isArray(responses)
         ? (responses.find(r => (r?.label || r?.name) === "convoId")?.value || null)
         : null);
 
-    console.log("[WEBHOOK CAL.COM] conversationId extraído:", conversationId);
+    // Verificación HMAC-SHA256 Cal.com con las claves activas del bot (o de su creador).
+    // Sin firma, sin conversación o con firma inválida la respuesta es la misma 401,
+    // para no revelar qué conversaciones existen
+    const signatureHeader = req.headers["x-cal-signature-256"];
+    const calcomKeys = signatureHeader && typeof conversationId === "string" && conversationId
+      ? await getConversationKeys(adminDb, conversationId, "calcom")
+      : { found: false, keys: [] };
+    const calcomKey = calcomKeys.found ? matchHmacSignature(calcomKeys.keys, req.body, signatureHeader) : null;
+    if (!calcomKey) {
+      console.warn(`[WEBHOOK CAL.COM] Rechazado (${conversationId || "sin conversationId"}): ${!signatureHeader ? "sin firma" : !calcomKeys.found ? "conversación desconocida" : "firma inválida"}.`);
+      return res.status(401).send("Unauthorized");
+    }
+    console.log(`[WEBHOOK CAL.COM] Firma verificada para ${conversationId} (clave ${calcomKey.scope}:${calcomKey.keyId}).`);
 
-    if (!conversationId) {
-      console.warn("[WEBHOOK CAL.COM] ❌ No se encontró conversationId en ningún lugar.");
-      return res.status(400).send("Faltan datos (conversationId).");
+    if (payload.triggerEvent !== "BOOKING_CREATED") {
+      console.log(`[WEBHOOK CAL.COM] ${conversationId}: evento ${payload.triggerEvent} ignorado.`);
+      return res.status(200).send("Evento no relevante, ignorado.");
     }
-    
-    console.log("[WEBHOOK CAL.COM] ✅ conversationId encontrado:", conversationId);
 
     // Datos compactos para persistir si hace falta
     const startISO = p.startTime || p.start?.time || null;
     const endISO = p.endTime || p.end?.time || null;
-    const title = p.title || p.eventType?.title || "Tu cita";
+    // Sin título ni zona: al reanudar se usan los del idioma y la zona del bot
+    const title = p.title || p.eventType?.title || null;
     const invitee = (p.attendees && p.attendees[0]) || {};
     const bookingId = p.id || p.uid || p.bookingId || (p.booking && p.booking.id) || null;
-    const timeZone = p.timeZone || invitee.timeZone || "Europe/Madrid";
+    const timeZone = invitee.timeZone || p.timeZone || null;
     const videoCallUrl = p.videoCallUrl || null;
 
     const bookingData = {
@@ -1989,11 +2846,12 @@ app.post("/webhook/booking-completed", express.raw({ type: "application/json" })
       savedAt: admin.firestore.Timestamp.now()
     };
 
+    // Resultado del experimento A/B de la conversación (si lo hay), una vez por reserva
+    recordBookingOutcome(adminDb, conversationId, bookingId)
+      .then((recorded) => recorded && console.log(`[EXPERIMENT] Reserva registrada en el experimento de ${conversationId}.`))
+      .catch((err) => console.warn(`[EXPERIMENT] No se pudo registrar la reserva de ${conversationId}:`, err.message));
+
     // Si hay conexión activa, reanudar por WS
-    console.log("[WEBHOOK CAL.COM] 🔍 Verificando conexiones activas...");
-    console.log("[WEBHOOK CAL.COM] Total conexiones activas:", activeConnections.size);
-    console.log("[WEBHOOK CAL.COM] IDs de conexiones activas:", Array.from(activeConnections.keys()));
-    
     const connection = activeConnections.get(conversationId);
     
     if (connection && typeof connection.resumeWithBookingData === "function") {
@@ -2003,13 +2861,10 @@ app.post("/webhook/booking-completed", express.raw({ type: "application/json" })
         console.log(`[WEBHOOK CAL.COM] ✅ Reanudación por WS exitosa para ${conversationId}`);
         return res.status(200).send("Conversación reanudada con éxito (WS).");
       } catch (err) {
-        console.error("[WEBHOOK CAL.COM] ❌ Error reanudando por WS, persistimos:", err);
+        console.error(`[WEBHOOK CAL.COM] ❌ Error reanudando ${conversationId} por WS, persistimos:`, err.message);
       }
     } else {
-      console.warn(`[WEBHOOK CAL.COM] ⚠️ Conversación ${conversationId} no activa o sin método resumeWithBookingData. Persistimos evento para reanudación diferida.`);
-      if (connection) {
-        console.log("[WEBHOOK CAL.COM] 🔍 Conexión existe pero no tiene método resumeWithBookingData:", Object.keys(connection));
-      }
+      console.log(`[WEBHOOK CAL.COM] Conversación ${conversationId} no activa. Persistimos evento para reanudación diferida.`);
     }
 
     // Persistir para el flujo user_action_completed (fallback antiguo)
@@ -2033,22 +2888,52 @@ app.post("/webhook/booking-completed", express.raw({ type: "application/json" })
   }
 });
 
+// Base de conocimiento de cada bot: antes del express.json() general, cuyo límite
+// (100 kB) se queda corto para los documentos
+app.use("/admin/bots/:botId/knowledge", requireAdmin, express.json({ limit: "5mb" }), createKnowledgeRouter({
+  db: adminDb,
+  store: knowledgeStore,
+}));
+
 // Aplicamos middleware express.json() para el resto de rutas POST
 app.use(express.json());
 
 // Endpoint para inyectar correcciones del supervisor
+const CORRECTION_MODES = ["append", "retract", "replace", "redo_tool"];
 app.post("/inject-correction", async (req, res) => {
   console.log("[INJECT] Petición de corrección recibida.");
 
-  const providedSecret = req.headers['x-supervisor-secret'];
-  if (!SUPERVISOR_SECRET || providedSecret !== SUPERVISOR_SECRET) {
-    return res.status(401).send("Unauthorized");
+  // mode: append (por defecto) | retract | replace (replacementText) | redo_tool (toolName?, args?)
+  const { conversationId, correctionMessage = "", mode = "append", replacementText = "", toolName = null, args = null } = req.body;
+  if (!conversationId || !CORRECTION_MODES.includes(mode)) {
+    return res.status(400).send("Bad Request: Missing conversationId or invalid mode.");
   }
-
-  const { conversationId, correctionMessage } = req.body;
-  if (!conversationId || !correctionMessage) {
+  if (mode === "append" && !correctionMessage) {
     return res.status(400).send("Bad Request: Missing conversationId or correctionMessage.");
   }
+  if (mode === "replace" && !String(replacementText).trim()) {
+    return res.status(400).send("Bad Request: Missing replacementText.");
+  }
+  if (mode === "redo_tool" && args !== null && (typeof args !== "object" || Array.isArray(args))) {
+    return res.status(400).send("Bad Request: args must be an object.");
+  }
+
+  // Secreto del supervisor del bot de la conversación (admite varias claves activas)
+  const providedSecret = req.headers['x-supervisor-secret'];
+  const providedKeyId = req.headers['x-supervisor-key-id'] || null;
+  let supervisorKeys;
+  try {
+    supervisorKeys = await getConversationKeys(adminDb, conversationId, "supervisor");
+  } catch (error) {
+    console.error(`[INJECT_FATAL] No se pudieron leer los secretos de ${conversationId}:`, error);
+    return res.status(500).send("Internal Server Error.");
+  }
+  const supervisorKey = matchSharedSecret(supervisorKeys.keys, providedSecret, providedKeyId);
+  if (!supervisorKey) {
+    console.warn(`[INJECT] Secreto rechazado para ${conversationId} (bot ${supervisorKeys.botId}, keyId recibido: ${providedKeyId || "ninguno"}). Claves activas: ${describeKeys(supervisorKeys.keys)}.`);
+    return res.status(401).send("Unauthorized");
+  }
+  console.log(`[INJECT] Secreto verificado (clave ${supervisorKey.scope}:${supervisorKey.keyId}).`);
 
   const connection = activeConnections.get(conversationId);
   if (!connection || !connection.applyCorrection) {
@@ -2056,32 +2941,223 @@ app.post("/inject-correction", async (req, res) => {
     return res.status(404).send("Not Found: Active conversation not found.");
   }
 
+  if (connection.isHumanMode?.()) {
+    console.warn(`[INJECT] ${conversationId} está en modo humano: corrección ignorada.`);
+    return res.status(409).send("Conflict: Conversation is under human control.");
+  }
+
   try {
-    connection.applyCorrection(correctionMessage);
-    res.status(200).send("Correction injected successfully.");
+    // Se responde cuando la corrección ya se ha aplicado, con su resultado
+    const outcome = await connection.applyCorrection({
+      mode,
+      message: String(correctionMessage),
+      replacementText: String(replacementText).trim(),
+      toolName,
+      args,
+    });
+    const status = outcome.status === "applied" ? 200
+      : outcome.status === "invalid_arguments" ? 422
+      : outcome.status === "failed" ? 500
+      : 409;
+    console.log(`[INJECT] Corrección ${mode} en ${conversationId}: ${outcome.status}.`);
+    res.status(status).json(outcome);
   } catch (error) {
     console.error(`[INJECT_FATAL] Error al aplicar corrección para ${conversationId}:`, error);
     res.status(500).send("Internal Server Error.");
   }
 });
 
+/*────────────────── SESIONES EN VIVO (OPERACIONES) ──────────────────*/
+// Protegidas con la credencial de supervisor (x-supervisor-secret y, opcional,
+// x-supervisor-key-id): cada clave solo ve las sesiones de los bots a los que
+// corresponde.
+async function matchSupervisorCredential(req, { botId, creatorId }) {
+  const keys = await getActiveKeys(adminDb, { botId, creatorId }, "supervisor");
+  return matchSharedSecret(keys, req.headers['x-supervisor-secret'], req.headers['x-supervisor-key-id'] || null);
+}
+
+// Sesión viva autorizada o respuesta de error ya enviada (null)
+async function authorizeLiveSession(req, res) {
+  const { conversationId } = req.params;
+  if (!req.headers['x-supervisor-secret']) {
+    res.status(401).json({ error: "unauthorized" });
+    return null;
+  }
+  const connection = activeConnections.get(conversationId);
+  if (!connection?.describe) {
+    // Sin sesión viva se comprueba igualmente la credencial para no revelar nada sin ella
+    const { keys } = await getConversationKeys(adminDb, conversationId, "supervisor");
+    const key = matchSharedSecret(keys, req.headers['x-supervisor-secret'], req.headers['x-supervisor-key-id'] || null);
+    res.status(key ? 404 : 401).json({ error: key ? "not_live" : "unauthorized" });
+    return null;
+  }
+  const { botId, creatorId } = connection.describe({ lastTurns: 0 });
+  if (!(await matchSupervisorCredential(req, { botId, creatorId }))) {
+    console.warn(`[SESSIONS] Credencial rechazada para ${conversationId} (bot ${botId}).`);
+    res.status(401).json({ error: "unauthorized" });
+    return null;
+  }
+  return connection;
+}
+
+app.get("/sessions", async (req, res) => {
+  if (!req.headers['x-supervisor-secret']) return res.status(401).json({ error: "unauthorized" });
+  try {
+    const items = [];
+    const authorizedScopes = new Map(); // "botId|creatorId" → boolean
+    for (const connection of activeConnections.values()) {
+      if (!connection.describe) continue;
+      const session = connection.describe({ lastTurns: Number(req.query.turns) || 0 });
+      if (req.query.botId && session.botId !== req.query.botId) continue;
+      const scope = `${session.botId}|${session.creatorId}`;
+      if (!authorizedScopes.has(scope)) {
+        authorizedScopes.set(scope, !!(await matchSupervisorCredential(req, session)));
+      }
+      if (authorizedScopes.get(scope)) items.push(session);
+    }
+    res.json({ items });
+  } catch (error) {
+    console.error("[SESSIONS] Error listando sesiones:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get("/sessions/:conversationId", async (req, res) => {
+  try {
+    const connection = await authorizeLiveSession(req, res);
+    if (!connection) return;
+    res.json(connection.describe({ lastTurns: Math.min(Number(req.query.turns) || 20, 200) }));
+  } catch (error) {
+    console.error(`[SESSIONS] Error leyendo ${req.params.conversationId}:`, error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Réplica en vivo (SSE) de transcripciones, respuestas y herramientas de una sesión
+app.get("/sessions/:conversationId/events", async (req, res) => {
+  try {
+    const connection = await authorizeLiveSession(req, res);
+    if (!connection) return;
+    const { conversationId } = req.params;
+    sessionEvents.subscribe(conversationId, req, res, connection.describe({ lastTurns: 10 }));
+    console.log(`[SESSIONS] Observador conectado a ${conversationId} (${sessionEvents.count(conversationId)} en total).`);
+  } catch (error) {
+    console.error(`[SESSIONS] Error abriendo el stream de ${req.params.conversationId}:`, error);
+    if (!res.headersSent) res.status(500).json({ error: error.message });
+  }
+});
+
+// Relevo humano: el operador toma la conversación, escribe y la devuelve al modelo
+const operatorOf = (req) => String(req.body?.operator || req.headers['x-supervisor-key-id'] || "operador").slice(0, 100);
+
+app.post("/sessions/:conversationId/takeover", async (req, res) => {
+  try {
+    const connection = await authorizeLiveSession(req, res);
+    if (!connection) return;
+    const takeover = connection.startHumanTakeover({ operator: operatorOf(req) });
+    if (!takeover) return res.status(409).json({ error: "already_in_human_mode" });
+    res.json({ conversationId: req.params.conversationId, humanTakeover: takeover });
+  } catch (error) {
+    console.error(`[HUMAN] Error en la toma de control de ${req.params.conversationId}:`, error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post("/sessions/:conversationId/human-message", async (req, res) => {
+  try {
+    const connection = await authorizeLiveSession(req, res);
+    if (!connection) return;
+    if (!connection.isHumanMode()) return res.status(409).json({ error: "not_in_human_mode" });
+    if (!String(req.body?.text || "").trim()) return res.status(400).json({ error: "missing_text" });
+    await connection.sendHumanMessage(req.body.text);
+    res.json({ sent: true });
+  } catch (error) {
+    console.error(`[HUMAN] Error enviando mensaje del operador en ${req.params.conversationId}:`, error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post("/sessions/:conversationId/release", async (req, res) => {
+  try {
+    const connection = await authorizeLiveSession(req, res);
+    if (!connection) return;
+    const released = connection.releaseHumanTakeover({ operator: operatorOf(req), summary: String(req.body?.summary || "").trim() });
+    if (!released) return res.status(409).json({ error: "not_in_human_mode" });
+    res.json({ conversationId: req.params.conversationId, released });
+  } catch (error) {
+    console.error(`[HUMAN] Error devolviendo el control de ${req.params.conversationId}:`, error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Outbox: inspección y reenvío de webhooks que agotaron los reintentos
+app.get("/outbox/dead-letters", requireAdmin, async (req, res) => {
+  try {
+    const items = await outbox.listDeadLetters({
+      limit: req.query.limit,
+      kind: req.query.kind || null,
+      conversationId: req.query.conversationId || null,
+      botId: req.query.botId || null,
+    });
+    // El cuerpo puede ser grande (informes): se devuelve solo un extracto
+    res.json({
+      items: items.map(({ body, ...rest }) => ({ ...rest, bodyPreview: String(body || "").slice(0, 500) })),
+    });
+  } catch (error) {
+    console.error("[OUTBOX] Error listando dead letters:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post("/outbox/dead-letters/:id/replay", requireAdmin, async (req, res) => {
+  try {
+    const result = await outbox.replayDeadLetter(req.params.id);
+    if (!result) return res.status(404).json({ error: "not_found" });
+    res.json({ id: req.params.id, ...result });
+  } catch (error) {
+    console.error(`[OUTBOX] Error reenviando ${req.params.id}:`, error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Administración de bots: CRUD validado, historial y vista previa del prompt
+app.use("/admin/bots/:botId/experiments", requireAdmin, createExperimentRouter({ db: adminDb }));
+app.use("/admin/bots", requireAdmin, createBotAdminRouter({
+  db: adminDb,
+  previewSystemPrompt: (botData) => makeStandardSystemPrompt(botData, systemPromptOptions(botData)),
+}));
+app.use("/admin/prompt-templates", requireAdmin, createPromptTemplateRouter({
+  db: adminDb,
+  store: promptTemplates,
+}));
+
 /*────────────────── ENDPOINTS HTTP Y ARRANQUE ──────────────────*/
+// Estado del circuit breaker de cada modelo
+app.get("/admin/llm", requireAdmin, (_, res) => {
+  res.json({ provider: llmProvider?.name || null, primaryModel: llmProvider?.modelName || null, fallbackModels: fallbackModelsFromEnv(), models: modelBreaker.describe() });
+});
+
 app.get("/ping", (_, res) => res.send("pong"));
 const PORT = process.env.PORT || 8080;
 
-const server = app.listen(PORT, () =>
-  console.log(`🚀 Backend realtime escuchando en puerto ${PORT}`)
-);
+const server = app.listen(PORT, () => {
+  console.log(`🚀 Backend realtime escuchando en puerto ${PORT}`);
+  outbox.start();
+});
 
 process.on("SIGTERM", () => {
   console.log("SIGTERM recibido. Cerrando conexiones...");
+  isShuttingDown = true;
   if (app.getWss) {
     app.getWss().clients.forEach((ws) => {
       if (ws.readyState === WS_OPEN)
         ws.close(1012, "Reinicio del servidor");
     });
   }
-  server.close(() => {
+  server.close(async () => {
+    // Los informes retenidos por el periodo de gracia no sobrevivirían al proceso
+    await flushDeferredReports();
+    outbox.stop();
     console.log("Servidor HTTP cerrado.");
     process.exit(0);
   });
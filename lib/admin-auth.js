@@ -0,0 +1,27 @@
+/*──────────────────── AUTENTICACIÓN DE ADMINISTRACIÓN ───────────────────*/
+// Endpoints internos (outbox, administración de bots...) protegidos con un token
+// de servicio en `Authorization: Bearer <ADMIN_API_TOKEN>`. Sin token configurado
+// los endpoints quedan cerrados.
+
+import crypto from "crypto";
+
+const safeEqual = (a, b) => {
+  const bufA = Buffer.from(String(a));
+  const bufB = Buffer.from(String(b));
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+};
+
+/**
+ * Middleware de Express. El token se lee en cada petición (dotenv se carga
+ * después de los imports).
+ */
+export function requireAdmin(req, res, next) {
+  const expected = process.env.ADMIN_API_TOKEN || "";
+  const header = String(req.headers.authorization || "");
+  const provided = header.startsWith("Bearer ") ? header.slice(7).trim() : "";
+  if (!expected || !provided || !safeEqual(provided, expected)) {
+    console.warn(`[ADMIN] Acceso denegado a ${req.method} ${req.path}.`);
+    return res.status(401).json({ error: "unauthorized" });
+  }
+  next();
+}
@@ -0,0 +1,252 @@
+/*──────────────────── API DE ADMINISTRACIÓN DE BOTS ───────────────────*/
+// CRUD de InteracBotGPT con validación (lib/bot-config.js) e historial de cambios:
+//
+//   GET    /admin/bots/schema                   → esquema y versión actuales
+//   POST   /admin/bots/preview-system-prompt    → { botId?, config? } → prompt generado
+//   GET    /admin/bots?userId=&limit=           → listado resumido
+//   POST   /admin/bots                          → { botId?, config } crea el bot
+//   GET    /admin/bots/:botId                   → config + validación del documento guardado
+//   PATCH  /admin/bots/:botId                   → { config, expectedVersion? }
+//   DELETE /admin/bots/:botId?expectedVersion=
+//   GET    /admin/bots/:botId/history?limit=
+//
+// PATCH reemplaza campos de primer nivel (un objeto como `book` se envía
+// completo) y null borra el campo. Con expectedVersion se rechaza (409) si otro
+// cambio se escribió antes. Cada escritura deja una entrada en
+// InteracBotGPT/{botId}/History con el autor (cabecera x-admin-actor) y los
+// cambios campo a campo; el historial sobrevive al borrado del bot.
+
+import express from "express";
+import admin from "firebase-admin";
+import {
+  BOT_SCHEMA_VERSION,
+  BOT_CONFIG_SCHEMA,
+  BOT_METADATA_FIELDS,
+  migrateBotConfig,
+  validateBotConfig,
+  systemPromptOptions,
+  diffBotConfig,
+} from "./bot-config.js";
+import { invalidateSecretsCache } from "./secrets.js";
+
+const BOTS = "InteracBotGPT";
+const HISTORY = "History";
+const BOT_ID_RE = /^[A-Za-z0-9_-]{1,128}$/;
+
+// Error con código HTTP, para salir de las transacciones
+const httpError = (status, error, extra = {}) => Object.assign(new Error(error), { status, body: { error, ...extra } });
+
+const stripMetadata = (config) =>
+  Object.fromEntries(Object.entries(config || {}).filter(([k]) => !BOT_METADATA_FIELDS.includes(k)));
+
+// Fusiona un PATCH: campos de primer nivel, null borra
+function applyPatch(stored, patch) {
+  const next = { ...stored };
+  for (const [field, value] of Object.entries(stripMetadata(patch))) {
+    if (value === null) delete next[field];
+    else next[field] = value;
+  }
+  return next;
+}
+
+const checkVersion = (current, expected) => {
+  if (expected === undefined || expected === null || expected === "") return;
+  if (Number(expected) !== (Number(current) || 0)) {
+    throw httpError(409, "version_conflict", { configVersion: Number(current) || 0 });
+  }
+};
+
+const sendError = (res, err, logPrefix) => {
+  if (err.status) return res.status(err.status).json(err.body);
+  console.error(`[BOT_ADMIN] ${logPrefix}:`, err);
+  return res.status(500).json({ error: err.message });
+};
+
+/**
+ * Router de administración. `previewSystemPrompt(botData)` resuelve el prompt
+ * exacto que generaría el arranque de la conversación: { systemPrompt, promptTemplate }.
+ */
+export function createBotAdminRouter({ db, previewSystemPrompt }) {
+  const router = express.Router();
+  const bots = () => db.collection(BOTS);
+  const actorOf = (req) => String(req.headers["x-admin-actor"] || "admin").slice(0, 200);
+
+  // Escribe el documento y su entrada de historial en la misma transacción
+  function writeWithHistory(tx, ref, { action, actor, before, after, configVersion }) {
+    const now = admin.firestore.Timestamp.now();
+    if (after) {
+      tx.set(ref, { ...after, schemaVersion: BOT_SCHEMA_VERSION, configVersion, updatedAt: now, updatedBy: actor, createdAt: before?.createdAt || now });
+    } else {
+      tx.delete(ref);
+    }
+    tx.create(ref.collection(HISTORY).doc(), {
+      action,
+      actor,
+      at: now,
+      configVersion,
+      schemaVersion: BOT_SCHEMA_VERSION,
+      migratedFrom: before ? migrateBotConfig(before).migratedFrom : null,
+      changes: diffBotConfig(before, after),
+    });
+  }
+
+  router.get("/schema", (_, res) => {
+    res.json({ schemaVersion: BOT_SCHEMA_VERSION, schema: BOT_CONFIG_SCHEMA });
+  });
+
+  router.post("/preview-system-prompt", async (req, res) => {
+    try {
+      const { botId = null, config = {} } = req.body || {};
+      let stored = {};
+      if (botId) {
+        const snap = await bots().doc(String(botId)).get();
+        if (!snap.exists) return res.status(404).json({ error: "not_found" });
+        stored = snap.data();
+      }
+      const merged = applyPatch(migrateBotConfig(stored).config, config);
+      const { systemPrompt, promptTemplate } = await previewSystemPrompt(merged);
+      res.json({
+        systemPrompt,
+        promptTemplate,
+        options: systemPromptOptions(merged),
+        validation: validateBotConfig(merged),
+      });
+    } catch (err) {
+      sendError(res, err, "Error generando la vista previa");
+    }
+  });
+
+  router.get("/", async (req, res) => {
+    try {
+      let query = bots();
+      if (req.query.userId) query = query.where("userId", "==", String(req.query.userId));
+      const snap = await query.limit(Math.min(Number(req.query.limit) || 50, 200)).get();
+      res.json({
+        items: snap.docs.map((d) => {
+          const data = d.data();
+          return {
+            id: d.id,
+            userId: data.userId || null,
+            persona: data.Variable1 || "",
+            language: data.language || null,
+            schemaVersion: Number(data.schemaVersion) || 0,
+            configVersion: Number(data.configVersion) || 0,
+            updatedAt: data.updatedAt || null,
+          };
+        }),
+      });
+    } catch (err) {
+      sendError(res, err, "Error listando bots");
+    }
+  });
+
+  router.post("/", async (req, res) => {
+    try {
+      const { botId = null, config } = req.body || {};
+      if (!config || typeof config !== "object") return res.status(400).json({ error: "missing_config" });
+      if (botId && !BOT_ID_RE.test(String(botId))) return res.status(400).json({ error: "invalid_bot_id" });
+
+      const next = stripMetadata(config);
+      const validation = validateBotConfig(next);
+      if (!validation.valid) return res.status(400).json({ error: "invalid_config", ...validation });
+
+      const ref = botId ? bots().doc(String(botId)) : bots().doc();
+      const actor = actorOf(req);
+      await db.runTransaction(async (tx) => {
+        const snap = await tx.get(ref);
+        if (snap.exists) throw httpError(409, "already_exists");
+        writeWithHistory(tx, ref, { action: "create", actor, before: null, after: next, configVersion: 1 });
+      });
+      console.log(`[BOT_ADMIN] Bot ${ref.id} creado por ${actor}.`);
+      res.status(201).json({ id: ref.id, configVersion: 1, warnings: validation.warnings });
+    } catch (err) {
+      sendError(res, err, "Error creando bot");
+    }
+  });
+
+  router.get("/:botId", async (req, res) => {
+    try {
+      const snap = await bots().doc(req.params.botId).get();
+      if (!snap.exists) return res.status(404).json({ error: "not_found" });
+      const data = snap.data();
+      // Se valida la versión migrada: así se ve qué fallaría al guardarlo por la API
+      const { config, migratedFrom } = migrateBotConfig(data);
+      res.json({
+        id: snap.id,
+        config: stripMetadata(data),
+        schemaVersion: Number(data.schemaVersion) || 0,
+        configVersion: Number(data.configVersion) || 0,
+        updatedAt: data.updatedAt || null,
+        updatedBy: data.updatedBy || null,
+        needsMigration: migratedFrom !== null,
+        validation: validateBotConfig(stripMetadata(config)),
+      });
+    } catch (err) {
+      sendError(res, err, `Error leyendo bot ${req.params.botId}`);
+    }
+  });
+
+  router.patch("/:botId", async (req, res) => {
+    try {
+      const { config, expectedVersion } = req.body || {};
+      if (!config || typeof config !== "object") return res.status(400).json({ error: "missing_config" });
+
+      const ref = bots().doc(req.params.botId);
+      const actor = actorOf(req);
+      const result = await db.runTransaction(async (tx) => {
+        const snap = await tx.get(ref);
+        if (!snap.exists) throw httpError(404, "not_found");
+        const before = snap.data();
+        checkVersion(before.configVersion, expectedVersion);
+
+        const next = applyPatch(stripMetadata(migrateBotConfig(before).config), config);
+        const validation = validateBotConfig(next);
+        if (!validation.valid) throw httpError(400, "invalid_config", validation);
+
+        const configVersion = (Number(before.configVersion) || 0) + 1;
+        writeWithHistory(tx, ref, { action: "update", actor, before, after: next, configVersion });
+        return { configVersion, warnings: validation.warnings, changed: Object.keys(diffBotConfig(before, next)) };
+      });
+      invalidateSecretsCache(BOTS, ref.id);
+      console.log(`[BOT_ADMIN] Bot ${ref.id} actualizado por ${actor} (v${result.configVersion}): ${result.changed.join(", ") || "sin cambios"}.`);
+      res.json({ id: ref.id, ...result });
+    } catch (err) {
+      sendError(res, err, `Error actualizando bot ${req.params.botId}`);
+    }
+  });
+
+  router.delete("/:botId", async (req, res) => {
+    try {
+      const ref = bots().doc(req.params.botId);
+      const actor = actorOf(req);
+      await db.runTransaction(async (tx) => {
+        const snap = await tx.get(ref);
+        if (!snap.exists) throw httpError(404, "not_found");
+        const before = snap.data();
+        checkVersion(before.configVersion, req.query.expectedVersion);
+        writeWithHistory(tx, ref, { action: "delete", actor, before, after: null, configVersion: (Number(before.configVersion) || 0) + 1 });
+      });
+      invalidateSecretsCache(BOTS, ref.id);
+      console.log(`[BOT_ADMIN] Bot ${ref.id} eliminado por ${actor}.`);
+      res.status(204).end();
+    } catch (err) {
+      sendError(res, err, `Error eliminando bot ${req.params.botId}`);
+    }
+  });
+
+  router.get("/:botId/history", async (req, res) => {
+    try {
+      const snap = await bots()
+        .doc(req.params.botId)
+        .collection(HISTORY)
+        .orderBy("at", "desc")
+        .limit(Math.min(Number(req.query.limit) || 50, 200))
+        .get();
+      res.json({ items: snap.docs.map((d) => ({ id: d.id, ...d.data() })) });
+    } catch (err) {
+      sendError(res, err, `Error leyendo historial de ${req.params.botId}`);
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,243 @@
+/*──────────────────── CONFIGURACIÓN DE BOTS (ESQUEMA VERSIONADO) ───────────────────*/
+// Esquema de los campos de InteracBotGPT que interpreta el backend. Lo usan la
+// API de administración (validación antes de escribir) y el arranque de la
+// conversación (migración de documentos antiguos y opciones del prompt).
+//
+// Cada documento escrito por la API lleva schemaVersion y configVersion (contador
+// de escrituras, para control de concurrencia). Los campos que el backend no
+// conoce (p. ej. los que usa solo el frontend) se conservan y se devuelven como
+// avisos, no como errores.
+
+import { validateToolArgs } from "./tool-schema.js";
+import { normalizeHttpToolDefinition } from "./http-tools.js";
+import { LANGUAGE_CODES, resolveBotLanguages } from "./languages.js";
+import { isValidTimeZone } from "./messages.js";
+import { validatePromptSections } from "./prompt-templates.js";
+import { EXPERIMENT_SCHEMA, validateExperiment } from "./experiments.js";
+import { KNOWLEDGE_CONFIG_SCHEMA } from "./knowledge.js";
+import { MODEL_SETTINGS_SCHEMA, validateModelSettings } from "./model-settings.js";
+
+export const BOT_SCHEMA_VERSION = 1;
+
+// Campos gestionados por la API: no se aceptan en el cuerpo de las peticiones
+export const BOT_METADATA_FIELDS = ["schemaVersion", "configVersion", "createdAt", "updatedAt", "updatedBy"];
+
+// Herramientas integradas: una httpTool no puede llamarse igual
+const BUILTIN_TOOL_NAMES = ["ejecutar_orden_n8n", "abrir_modal_agendamiento", "navegar_web", "search_properties"];
+
+const URL_FIELDS = ["n8nWebhookUrl", "supervisorWebhookUrl", "reportWebhookUrl", "reviraiApiUrl", "book.calendlyUrl"];
+const NAVIGATION_TAG_RE = /^[A-Za-z0-9_-]{1,64}$/;
+
+const url = (description) => ({ type: "string", format: "uri", maxLength: 2048, description });
+
+export const BOT_CONFIG_SCHEMA = {
+  type: "object",
+  required: ["userId"],
+  properties: {
+    userId: { type: "string", minLength: 1, description: "Creador del bot (cuenta propietaria)." },
+    Variable1: { type: "string", maxLength: 500, description: "Persona del asistente." },
+    Variable2: { type: "string", maxLength: 20000, description: "Instrucciones específicas de la tarea." },
+    Variable5: { type: "string", maxLength: 500, description: "Primera frase exacta del asistente." },
+    accionesDescription: { type: "string", maxLength: 4000, description: "Resumen de las acciones disponibles en n8n." },
+    language: { type: "string", enum: LANGUAGE_CODES, description: "Idioma principal de la conversación." },
+    supportedLanguages: {
+      type: "array",
+      maxItems: LANGUAGE_CODES.length,
+      items: { type: "string", enum: LANGUAGE_CODES },
+      description: "Otros idiomas en los que puede atender (detección por STT y cambio a mitad de llamada).",
+    },
+    timeZone: { type: "string", maxLength: 64, description: "Zona horaria IANA para las fechas de reservas sin zona del asistente." },
+    supervised: { type: "boolean", description: "Envía cada turno al webhook supervisor." },
+    n8nWebhookUrl: url("Webhook de n8n para ejecutar_orden_n8n."),
+    supervisorWebhookUrl: url("Webhook supervisor (por defecto el global)."),
+    reportWebhookUrl: url("Webhook del informe final (por defecto el global)."),
+    reviraiApiUrl: url("API de búsqueda de propiedades."),
+    book: {
+      type: "object",
+      description: "Agendado de citas con Cal.com.",
+      properties: {
+        calendlyUrl: url("URL de reserva de Cal.com."),
+        sistemaAgendado: { type: "boolean" },
+      },
+    },
+    webNav: { type: "boolean", description: "Activa la herramienta navegar_web." },
+    navigationMap: { type: "object", description: "Mapa { etiqueta: descripción } de secciones de la web." },
+    facturaADestinatario: { type: "boolean", description: "El uso se factura a la cuenta del usuario que conversa." },
+    toolCallPolicy: { type: "string", enum: ["single", "parallel"] },
+    modelSettings: MODEL_SETTINGS_SCHEMA,
+    failover: {
+      type: "object",
+      description: "Comportamiento cuando el modelo falla y se reintenta (o se pasa al de reserva).",
+      properties: {
+        filler: { type: "boolean", description: "Dice «un momento» en el idioma de la sesión mientras se reintenta." },
+      },
+    },
+    bargeIn: {
+      type: "object",
+      properties: {
+        enabled: { type: "boolean" },
+        minChars: { type: "integer", minimum: 1, maximum: 50 },
+      },
+    },
+    stt: { type: "object", properties: { provider: { type: "string" } } },
+    tts: {
+      type: "object",
+      properties: {
+        enabled: { type: "boolean" },
+        provider: { type: "string" },
+        voices: { type: "object", description: "Voz por idioma: { es: \"es-ES-Neural2-A\", en: ... }." },
+      },
+    },
+    httpTools: { type: "array", maxItems: 20, items: { type: "object" } },
+    promptTemplate: {
+      type: "object",
+      description: "Plantilla del prompt de sistema: versión fijada y secciones propias del bot.",
+      properties: {
+        id: { type: "string", minLength: 1, maxLength: 64 },
+        version: { type: "integer", minimum: 0, description: "Sin versión se usa la última publicada." },
+        sections: { type: "object", description: "{ sección: texto | { idioma: texto } }" },
+      },
+    },
+    experiment: EXPERIMENT_SCHEMA,
+    knowledge: KNOWLEDGE_CONFIG_SCHEMA,
+  },
+};
+
+const isPlainObject = (v) => !!v && typeof v === "object" && !Array.isArray(v);
+const getField = (obj, path) => path.split(".").reduce((acc, k) => (acc == null ? undefined : acc[k]), obj);
+
+/**
+ * Lleva un documento de bot a la versión actual del esquema. Devuelve
+ * { config, migratedFrom } (migratedFrom es null si ya estaba al día).
+ */
+export function migrateBotConfig(data) {
+  const config = { ...(data || {}) };
+  const from = Number(config.schemaVersion) || 0;
+  if (from >= BOT_SCHEMA_VERSION) return { config, migratedFrom: null };
+
+  // v0 → v1: documentos editados a mano (booleanos como texto, idioma con región)
+  if (from < 1) {
+    const toBool = (v) => (v === "true" ? true : v === "false" ? false : v);
+    for (const field of ["supervised", "webNav", "facturaADestinatario"]) {
+      if (field in config) config[field] = toBool(config[field]);
+    }
+    if (isPlainObject(config.book) && "sistemaAgendado" in config.book) {
+      config.book = { ...config.book, sistemaAgendado: toBool(config.book.sistemaAgendado) };
+    }
+    if (typeof config.language === "string") config.language = config.language.trim().toLowerCase().split(/[-_]/)[0];
+  }
+
+  config.schemaVersion = BOT_SCHEMA_VERSION;
+  return { config, migratedFrom: from };
+}
+
+/**
+ * Valida una configuración completa (ya fusionada con lo guardado).
+ * Devuelve { valid, errors, warnings } con el mismo formato de error que
+ * validateToolArgs.
+ */
+export function validateBotConfig(config) {
+  const { errors } = validateToolArgs(BOT_CONFIG_SCHEMA, config);
+  const warnings = [];
+
+  // Solo http(s): "uri" admite cualquier esquema
+  for (const field of URL_FIELDS) {
+    const value = getField(config, field);
+    if (typeof value !== "string" || value === "") continue;
+    if (!/^https?:\/\//i.test(value.trim())) {
+      if (!errors.some((e) => e.field === field)) errors.push({ field, code: "invalid_format", format: "uri", message: `«${field}» debe ser una URL http(s).` });
+    }
+  }
+
+  if (typeof config.timeZone === "string" && !isValidTimeZone(config.timeZone)) {
+    errors.push({ field: "timeZone", code: "invalid_format", message: `«timeZone» no es una zona horaria IANA válida (p. ej. "Europe/Madrid").` });
+  }
+
+  if (config.book?.sistemaAgendado === true && !config.book?.calendlyUrl) {
+    errors.push({ field: "book.calendlyUrl", code: "missing_required", message: "«book.calendlyUrl» es obligatorio con book.sistemaAgendado activo." });
+  }
+
+  if (config.navigationMap !== undefined && config.navigationMap !== null) {
+    if (!isPlainObject(config.navigationMap)) {
+      if (!errors.some((e) => e.field === "navigationMap")) errors.push({ field: "navigationMap", code: "invalid_type", message: "«navigationMap» debe ser un objeto { etiqueta: descripción }." });
+    } else {
+      for (const [tag, description] of Object.entries(config.navigationMap)) {
+        if (!NAVIGATION_TAG_RE.test(tag)) {
+          errors.push({ field: `navigationMap.${tag}`, code: "invalid_pattern", message: `La etiqueta «${tag}» solo admite letras, números, guiones y guiones bajos.` });
+        }
+        if (typeof description !== "string" || !description.trim()) {
+          errors.push({ field: `navigationMap.${tag}`, code: "invalid_type", message: `La descripción de «${tag}» debe ser un texto no vacío.` });
+        }
+      }
+    }
+  }
+  if (config.webNav === true && !(isPlainObject(config.navigationMap) && Object.keys(config.navigationMap).length > 0)) {
+    errors.push({ field: "navigationMap", code: "missing_required", message: "«navigationMap» necesita al menos una sección con webNav activo." });
+  }
+
+  if (Array.isArray(config.httpTools)) {
+    const names = new Set();
+    config.httpTools.forEach((raw, i) => {
+      try {
+        const def = normalizeHttpToolDefinition(raw);
+        if (BUILTIN_TOOL_NAMES.includes(def.name) || names.has(def.name)) {
+          errors.push({ field: `httpTools[${i}].name`, code: "duplicate_name", message: `El nombre «${def.name}» está repetido o reservado.` });
+        }
+        names.add(def.name);
+      } catch (err) {
+        errors.push({ field: `httpTools[${i}]`, code: "invalid_http_tool", message: `Herramienta HTTP inválida: ${err.message}.` });
+      }
+    });
+  }
+
+  if (config.promptTemplate?.sections !== undefined) {
+    for (const error of validatePromptSections(config.promptTemplate.sections, { field: "promptTemplate.sections" })) {
+      if (!errors.some((e) => e.field === error.field)) errors.push(error);
+    }
+  }
+
+  for (const error of [...validateModelSettings(config.modelSettings), ...validateExperiment(config.experiment)]) {
+    if (!errors.some((e) => e.field === error.field)) errors.push(error);
+  }
+
+  for (const field of Object.keys(config)) {
+    if (!BOT_CONFIG_SCHEMA.properties[field] && !BOT_METADATA_FIELDS.includes(field)) {
+      warnings.push({ field, code: "unknown_field", message: `El backend no interpreta «${field}»; se guarda tal cual.` });
+    }
+  }
+
+  return { valid: errors.length === 0, errors, warnings };
+}
+
+/**
+ * Opciones de makeStandardSystemPrompt derivadas del documento del bot. Las usan
+ * tanto el arranque de la conversación como la vista previa de la API.
+ */
+export function systemPromptOptions(botData) {
+  const navigationMap = botData.navigationMap || null;
+  const { primary, supported } = resolveBotLanguages(botData);
+  return {
+    hasN8n: !!botData.n8nWebhookUrl,
+    hasBooking: botData.book?.sistemaAgendado === true && !!botData.book?.calendlyUrl,
+    hasNavigation: botData.webNav === true && !!navigationMap && Object.keys(navigationMap).length > 0,
+    navigationMap,
+    language: primary,
+    supportedLanguages: supported,
+  };
+}
+
+/**
+ * Cambios campo a campo (primer nivel) entre dos versiones, para el historial.
+ * Los campos ausentes se registran como null.
+ */
+export function diffBotConfig(before, after) {
+  const changes = {};
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  for (const field of fields) {
+    if (BOT_METADATA_FIELDS.includes(field)) continue;
+    const a = before?.[field] ?? null;
+    const b = after?.[field] ?? null;
+    if (JSON.stringify(a) !== JSON.stringify(b)) changes[field] = { before: a, after: b };
+  }
+  return changes;
+}
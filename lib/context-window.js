@@ -0,0 +1,315 @@
+/*──────────────────── VENTANA DE CONTEXTO ───────────────────*/
+// Mantiene acotado lo que se envía al modelo en conversaciones largas:
+//
+//   - withContextWindow(chat, …) envuelve el chat de la sesión (misma interfaz
+//     que llm-providers.js) y lleva la cuenta de tokens del prompt con el
+//     usageMetadata de cada petición (o una estimación si no llega). Cuando el
+//     prompt pasa del presupuesto, los turnos antiguos se sustituyen por un
+//     resumen generado por el modelo y se conservan los últimos turnos del
+//     usuario tal cual.
+//   - createContextNotes(…) es el buffer de notas de [Contexto interno]: al pasar
+//     del máximo, las notas antiguas se funden en una sola nota-resumen en lugar
+//     de descartarse.
+//
+// El resumen se genera en segundo plano, sin bloquear la conversación; solo la
+// sustitución del historial espera a que no haya peticiones en curso, y las que
+// llegan mientras tanto esperan a que termine.
+//
+// Variables de entorno (se leen al crear cada pieza; dotenv se carga después de
+// los imports):
+//
+//   LLM_CONTEXT_TOKEN_BUDGET   tokens de prompt a partir de los que se resume (32000; 0 = nunca)
+//   LLM_CONTEXT_KEEP_TURNS     turnos recientes del usuario que no se resumen (4)
+//   LLM_CONTEXT_MAX_NOTES      notas de contexto interno antes de resumirlas (15)
+
+const MAX_RESULT_CHARS = 800;
+
+const envNumber = (name, fallback) => {
+  const v = Number(process.env[name]);
+  return process.env[name] !== undefined && process.env[name] !== "" && Number.isFinite(v) && v >= 0 ? v : fallback;
+};
+
+/**
+ * Presupuesto de tokens de la sesión: el del bot (modelSettings.contextTokenBudget)
+ * o el del proceso.
+ */
+export const contextTokenBudget = (botBudget = null) =>
+  Number.isInteger(botBudget) ? botBudget : envNumber("LLM_CONTEXT_TOKEN_BUDGET", 32000);
+
+/**
+ * Estimación de tokens (~4 caracteres por token) para cuando el proveedor no
+ * devuelve usageMetadata.
+ */
+export const estimateTokens = (value) => Math.ceil(JSON.stringify(value ?? "").length / 4);
+
+const truncate = (text, max) => (text.length > max ? `${text.slice(0, max)}…` : text);
+
+const isPlainUserTurn = (content) =>
+  content?.role === "user" &&
+  (content.parts || []).some((p) => typeof p?.text === "string") &&
+  !(content.parts || []).some((p) => p?.functionResponse);
+
+/**
+ * Índice desde el que se conserva el historial: el inicio del keepTurns-ésimo
+ * turno de texto del usuario empezando por el final. Así nunca se separa una
+ * llamada a herramienta de su respuesta. 0 si no hay nada que resumir.
+ */
+export function findCompactionCut(contents, keepTurns) {
+  let seen = 0;
+  for (let i = contents.length - 1; i > 0; i--) {
+    if (isPlainUserTurn(contents[i]) && ++seen >= Math.max(1, keepTurns)) return i;
+  }
+  return 0;
+}
+
+/**
+ * Historial en texto plano para el modelo que resume.
+ */
+export function renderTranscript(contents) {
+  const lines = [];
+  for (const content of contents) {
+    const speaker = content.role === "model" ? "ASISTENTE" : "USUARIO/SISTEMA";
+    for (const part of content.parts || []) {
+      if (typeof part?.text === "string" && part.text.trim() && !part.thought) {
+        lines.push(`${speaker}: ${part.text.trim()}`);
+      } else if (part?.functionCall) {
+        lines.push(`ASISTENTE → herramienta ${part.functionCall.name}(${JSON.stringify(part.functionCall.args || {})})`);
+      } else if (part?.functionResponse) {
+        const result = JSON.stringify(part.functionResponse.response?.content ?? part.functionResponse.response ?? null);
+        lines.push(`RESULTADO ${part.functionResponse.name}: ${truncate(result, MAX_RESULT_CHARS)}`);
+      }
+    }
+  }
+  return lines.join("\n");
+}
+
+/**
+ * Envuelve un chat con la contabilidad de tokens y la compactación del historial.
+ *
+ *   summarize(transcript) → Promise<string>   resumen de los turnos antiguos
+ *   summaryTurns(summary) → Content[]         turnos que sustituyen a los antiguos
+ *   onCompacted(info)                         tras cada compactación
+ *
+ * Añade a la interfaz contextStats().
+ */
+export function withContextWindow(chat, {
+  tokenBudget = contextTokenBudget(),
+  keepTurns = envNumber("LLM_CONTEXT_KEEP_TURNS", 4),
+  summarize,
+  summaryTurns,
+  onCompacted = null,
+} = {}) {
+  const stats = {
+    tokenBudget,
+    promptTokens: null,      // tokens del último prompt (+ respuesta, que pasa al historial)
+    peakPromptTokens: 0,
+    estimated: false,        // promptTokens es una estimación
+    compactions: 0,
+    summarizedContents: 0,
+    lastCompactedAt: null,
+  };
+  let inFlight = 0;
+  let idleWaiters = [];
+  let blocked = null;        // promesa mientras se sustituye el historial
+  let compacting = false;
+
+  const enter = async () => {
+    while (blocked) await blocked;
+    inFlight++;
+  };
+  const leave = () => {
+    inFlight--;
+    if (inFlight === 0) {
+      idleWaiters.forEach((resolve) => resolve());
+      idleWaiters = [];
+    }
+  };
+  const waitIdle = () => (inFlight === 0 ? Promise.resolve() : new Promise((resolve) => idleWaiters.push(resolve)));
+
+  async function observe(usage) {
+    if (Number.isFinite(usage?.promptTokenCount)) {
+      stats.promptTokens = usage.promptTokenCount + (usage.candidatesTokenCount || 0);
+      stats.estimated = false;
+    } else {
+      stats.promptTokens = estimateTokens(await chat.getHistory());
+      stats.estimated = true;
+    }
+    stats.peakPromptTokens = Math.max(stats.peakPromptTokens, stats.promptTokens);
+    if (tokenBudget > 0 && stats.promptTokens > tokenBudget && !compacting) {
+      compact().catch((err) => console.error("[CONTEXT] Error compactando el historial:", err.message));
+    }
+  }
+
+  async function compact() {
+    compacting = true;
+    let release = null;
+    try {
+      const before = await chat.getHistory();
+      const cut = findCompactionCut(before, keepTurns);
+      // Con solo dos turnos antiguos (p. ej. el resumen anterior) no se gana nada
+      if (cut <= 2) return;
+
+      const summary = String((await summarize(renderTranscript(before.slice(0, cut)))) || "").trim();
+      if (!summary) {
+        console.warn("[CONTEXT] El resumen llegó vacío; el historial se mantiene.");
+        return;
+      }
+
+      // Las peticiones nuevas esperan; se sustituye cuando acaben las que están en curso
+      blocked = new Promise((resolve) => { release = resolve; });
+      await waitIdle();
+      const current = await chat.getHistory();
+      // El historial solo crece por el final; si cambió por delante (reanudación,
+      // otro reemplazo) el resumen ya no corresponde
+      if (current.length < cut || JSON.stringify(current[cut - 1]) !== JSON.stringify(before[cut - 1])) {
+        console.warn("[CONTEXT] El historial cambió mientras se resumía; se descarta el resumen.");
+        return;
+      }
+      const next = [...summaryTurns(summary), ...current.slice(cut)];
+      await chat.replaceHistory(next);
+
+      const tokensBefore = stats.promptTokens;
+      stats.compactions++;
+      stats.summarizedContents += cut;
+      stats.lastCompactedAt = new Date().toISOString();
+      stats.promptTokens = estimateTokens(next);
+      stats.estimated = true;
+      console.log(`[CONTEXT] Historial compactado: ${cut} mensajes resumidos, ${current.length - cut} conservados (${tokensBefore} → ~${stats.promptTokens} tokens).`);
+      try {
+        onCompacted?.({ summarizedContents: cut, keptContents: current.length - cut, tokensBefore, estimatedTokensAfter: stats.promptTokens, summary });
+      } catch (e) {
+        console.error("[CONTEXT] Error en onCompacted:", e);
+      }
+    } finally {
+      blocked = null;
+      release?.();
+      compacting = false;
+    }
+  }
+
+  const trackStream = async function* (open) {
+    await enter();
+    let lastUsage = null;
+    try {
+      for await (const event of open()) {
+        if (event.type === "usage") lastUsage = event.usage;
+        yield event;
+      }
+    } finally {
+      leave();
+    }
+    await observe(lastUsage);
+  };
+  const trackOnce = async (open) => {
+    await enter();
+    let result;
+    try {
+      result = await open();
+    } finally {
+      leave();
+    }
+    await observe(result?.usage);
+    return result;
+  };
+  const track = (open, stream) => (stream ? trackStream(open) : trackOnce(open));
+
+  return {
+    ...chat,
+    get modelName() { return chat.modelName; },
+    streamTurn: (input) => trackStream(() => chat.streamTurn(input)),
+    sendMessage: (input) => trackOnce(() => chat.sendMessage(input)),
+    sendFunctionResponse: (name, payload, options = {}) =>
+      track(() => chat.sendFunctionResponse(name, payload, options), !!options.stream),
+    sendFunctionResponses: (responses, options = {}) =>
+      track(() => chat.sendFunctionResponses(responses, options), !!options.stream),
+    async getHistory() {
+      while (blocked) await blocked;
+      return chat.getHistory();
+    },
+    async appendHistory(contents) {
+      await enter();
+      try {
+        await chat.appendHistory(contents);
+      } finally {
+        leave();
+      }
+    },
+    async replaceHistory(contents) {
+      await enter();
+      try {
+        await chat.replaceHistory(contents);
+      } finally {
+        leave();
+      }
+    },
+    contextStats: () => ({ ...stats, compacting }),
+  };
+}
+
+/**
+ * Buffer de notas de contexto interno. Al pasar de maxNotes, todas salvo las
+ * keepRecent más recientes se sustituyen por la nota que devuelve
+ * summarize(notas). Si no hay resumen (sin summarize, error o texto vacío) se
+ * descartan las más antiguas, como antes.
+ */
+export function createContextNotes({
+  maxNotes = Math.max(2, envNumber("LLM_CONTEXT_MAX_NOTES", 15)),
+  keepRecent = Math.max(1, Math.floor(maxNotes / 3)),
+  summarize = null,
+} = {}) {
+  const notes = [];
+  let generation = 0;        // cambia con cada modificación que no sea añadir
+  let pending = null;
+  let compactions = 0;
+
+  const trimOldest = (limit) => {
+    if (notes.length <= limit) return;
+    notes.splice(0, notes.length - limit);
+    generation++;
+  };
+
+  function compact() {
+    const older = notes.slice(0, notes.length - keepRecent);
+    const startedAt = generation;
+    pending = Promise.resolve()
+      .then(() => summarize(older))
+      .then((summary) => {
+        const clean = String(summary || "").trim();
+        if (generation !== startedAt) return;
+        if (!clean) return trimOldest(maxNotes);
+        notes.splice(0, older.length, clean);
+        generation++;
+        compactions++;
+        console.log(`[CONTEXT] ${older.length} notas de contexto interno resumidas en una.`);
+      })
+      .catch((err) => {
+        console.warn("[CONTEXT] No se pudieron resumir las notas de contexto interno:", err.message);
+        if (generation === startedAt) trimOldest(maxNotes);
+      })
+      .finally(() => { pending = null; });
+  }
+
+  return {
+    push(note) {
+      const clean = String(note || "").trim();
+      if (!clean) return;
+      notes.push(clean);
+      if (notes.length <= maxNotes || pending) {
+        // Mientras se resume, el buffer puede crecer algo más, pero no sin límite
+        trimOldest(maxNotes * 2);
+        return;
+      }
+      if (summarize) compact();
+      else trimOldest(maxNotes);
+    },
+    list: () => [...notes],
+    get length() { return notes.length; },
+    replace(next = []) {
+      notes.splice(0, notes.length, ...next);
+      generation++;
+    },
+    // Para esperar al resumen en curso (tests, cierre)
+    settled: () => pending || Promise.resolve(),
+    stats: () => ({ notes: notes.length, maxNotes, compactions, compacting: !!pending }),
+  };
+}
@@ -0,0 +1,394 @@
+/*──────────────────── EXPERIMENTOS A/B ───────────────────*/
+// Un bot puede repartir sus conversaciones entre variantes que cambian la
+// plantilla del prompt, el modelo o los parámetros de generación:
+//
+//   experiment: {
+//     id: "flash-25",
+//     enabled?: true,
+//     variants: [
+//       { id: "control", weight: 50 },
+//       { id: "flash25", weight: 50, model: "gemini-2.5-flash",
+//         generationConfig: { temperature: 0.4 }, promptTemplate: { version: 3 } },
+//     ],
+//   }
+//
+// La asignación es estable por usuario: hash de experimento + interactingUserId
+// sobre los pesos, así que el mismo usuario cae en la misma variante mientras no
+// cambien los pesos. Una conversación reanudada conserva su variante; si el
+// experimento ha cambiado de id o ya no tiene esa variante, sigue sin experimento.
+//
+// Resultados por conversación, acumulados con FieldValue.increment como el uso:
+//
+//   Conversations/{id}.Experiment                → { id, variantId, outcomes: { métrica: n }, bookingIds }
+//   ExperimentResults/{botId}__{experimentId}    → { botId, experimentId, variants: { <variante>: { métrica: n } } }
+//
+// API de administración (montada en /admin/bots/:botId/experiments):
+//
+//   GET /                          → experimento configurado y experimentos con resultados
+//   GET /:experimentId/results     → métricas por variante
+
+import crypto from "crypto";
+import express from "express";
+import admin from "firebase-admin";
+import { GENERATION_CONFIG_SCHEMA } from "./llm-providers.js";
+import { validatePromptSections } from "./prompt-templates.js";
+
+export const EXPERIMENT_METRICS = [
+  "conversations",
+  "toolSuccesses",
+  "toolFailures",
+  "bookingsCompleted",
+  "userTurns",
+  "assistantTurns",
+  "durationSeconds",
+  "corrections",
+  "humanTakeovers",
+];
+
+const RESULTS = "ExperimentResults";
+const BOTS = "InteracBotGPT";
+const MAX_VARIANTS = 10;
+const ID_PATTERN = "^[A-Za-z0-9_-]{1,64}$";
+
+const EXPERIMENT_FLUSH_INTERVAL_MS = Number(process.env.EXPERIMENT_FLUSH_INTERVAL_MS) || 60000;
+
+export const EXPERIMENT_SCHEMA = {
+  type: "object",
+  required: ["id", "variants"],
+  description: "Experimento A/B: reparto de conversaciones entre variantes por peso.",
+  properties: {
+    id: { type: "string", pattern: ID_PATTERN },
+    enabled: { type: "boolean", description: "Sin desactivar, las conversaciones nuevas entran en el experimento." },
+    variants: {
+      type: "array",
+      minItems: 1,
+      maxItems: MAX_VARIANTS,
+      items: {
+        type: "object",
+        required: ["id", "weight"],
+        properties: {
+          id: { type: "string", pattern: ID_PATTERN },
+          weight: { type: "number", minimum: 0, description: "Peso relativo; con 0 no recibe conversaciones nuevas." },
+          model: { type: "string", minLength: 1, maxLength: 128, description: "Modelo de la variante (p. ej. gemini-2.5-flash)." },
+          generationConfig: GENERATION_CONFIG_SCHEMA,
+          promptTemplate: {
+            type: "object",
+            description: "Se superpone al promptTemplate del bot.",
+            properties: {
+              id: { type: "string", minLength: 1, maxLength: 64 },
+              version: { type: "integer", minimum: 0 },
+              sections: { type: "object" },
+            },
+          },
+        },
+      },
+    },
+  },
+};
+
+const emptyOutcomes = () => Object.fromEntries(EXPERIMENT_METRICS.map((m) => [m, 0]));
+const round = (n, decimals = 3) => Math.round(n * 10 ** decimals) / 10 ** decimals;
+const resultsRef = (db, botId, experimentId) => db.collection(RESULTS).doc(`${botId}__${experimentId}`);
+
+/**
+ * Comprobaciones que el esquema no cubre: ids de variante únicos, algún peso
+ * positivo, claves de generationConfig conocidas y secciones de plantilla.
+ */
+export function validateExperiment(experiment, field = "experiment") {
+  const errors = [];
+  if (!experiment || typeof experiment !== "object" || !Array.isArray(experiment.variants)) return errors;
+
+  const ids = new Set();
+  experiment.variants.forEach((variant, i) => {
+    const path = `${field}.variants[${i}]`;
+    if (!variant || typeof variant !== "object") return;
+    if (ids.has(variant.id)) {
+      errors.push({ field: `${path}.id`, code: "duplicate_name", message: `La variante «${variant.id}» está repetida.` });
+    }
+    ids.add(variant.id);
+    for (const key of Object.keys(variant.generationConfig || {})) {
+      if (!GENERATION_CONFIG_SCHEMA.properties[key]) {
+        errors.push({ field: `${path}.generationConfig.${key}`, code: "unknown_field", allowed: Object.keys(GENERATION_CONFIG_SCHEMA.properties), message: `«${key}» no es un parámetro de generación admitido.` });
+      }
+    }
+    if (variant.promptTemplate?.sections !== undefined) {
+      errors.push(...validatePromptSections(variant.promptTemplate.sections, { field: `${path}.promptTemplate.sections` }));
+    }
+  });
+  if (!experiment.variants.some((v) => Number(v?.weight) > 0)) {
+    errors.push({ field: `${field}.variants`, code: "invalid_weights", message: "Al menos una variante debe tener peso mayor que 0." });
+  }
+  return errors;
+}
+
+/**
+ * Variante de un sujeto (interactingUserId) por hash sobre los pesos, o null si
+ * ninguna variante tiene peso.
+ */
+export function assignVariant(experiment, subjectId) {
+  const variants = (experiment?.variants || []).filter((v) => Number(v.weight) > 0);
+  const total = variants.reduce((sum, v) => sum + Number(v.weight), 0);
+  if (total <= 0) return null;
+
+  const hash = crypto.createHash("sha256").update(`${experiment.id}:${subjectId}`).digest();
+  const point = (hash.readUInt32BE(0) / 0x100000000) * total;
+  let acc = 0;
+  for (const variant of variants) {
+    acc += Number(variant.weight);
+    if (point < acc) return variant;
+  }
+  return variants[variants.length - 1];
+}
+
+/**
+ * Variante de una conversación. Al reanudar (`resuming`) solo vale la asignación
+ * guardada (`previous`: { id, variantId }). Devuelve { experimentId, variant } o null.
+ */
+export function resolveExperimentAssignment(experiment, { subjectId, resuming = false, previous = null }) {
+  if (!experiment?.id || !Array.isArray(experiment.variants) || experiment.variants.length === 0) return null;
+  if (resuming) {
+    if (previous?.id !== experiment.id) return null;
+    const variant = experiment.variants.find((v) => v.id === previous.variantId);
+    return variant ? { experimentId: experiment.id, variant } : null;
+  }
+  if (experiment.enabled === false || !subjectId) return null;
+  const variant = assignVariant(experiment, subjectId);
+  return variant ? { experimentId: experiment.id, variant } : null;
+}
+
+/**
+ * Documento del bot con la plantilla de la variante superpuesta. Si la variante
+ * cambia de plantilla, no hereda la versión fijada para la del bot.
+ */
+export function applyVariantPromptTemplate(botData, variant) {
+  const override = variant?.promptTemplate;
+  if (!override) return botData;
+  const base = botData.promptTemplate || {};
+  const sameTemplate = !override.id || override.id === base.id;
+  const merged = {
+    ...(sameTemplate ? base : {}),
+    ...override,
+    sections: { ...(sameTemplate ? base.sections : {}), ...override.sections },
+  };
+  return { ...botData, promptTemplate: merged };
+}
+
+/**
+ * Medidor de resultados de una conversación en un experimento. Acumula en
+ * memoria y vuelca cada EXPERIMENT_FLUSH_INTERVAL_MS y al cerrar.
+ */
+export function createExperimentTracker({ db, botId, experimentId, variantId, conversationId }) {
+  let pending = emptyOutcomes();
+  let connectedSince = null;
+  let timer = null;
+  let flushChain = Promise.resolve();
+
+  const writeDeltas = async (delta) => {
+    const inc = admin.firestore.FieldValue.increment;
+    const nonZero = EXPERIMENT_METRICS.filter((m) => delta[m] > 0);
+    if (nonZero.length === 0) return;
+
+    const convUpdate = {};
+    const variantDelta = {};
+    for (const m of nonZero) {
+      convUpdate[`Experiment.outcomes.${m}`] = inc(round(delta[m]));
+      variantDelta[m] = inc(round(delta[m]));
+    }
+    const batch = db.batch();
+    batch.update(db.collection("Conversations").doc(conversationId), convUpdate);
+    batch.set(
+      resultsRef(db, botId, experimentId),
+      { botId, experimentId, updatedAt: admin.firestore.Timestamp.now(), variants: { [variantId]: variantDelta } },
+      { merge: true }
+    );
+    await batch.commit();
+  };
+
+  const record = (metric, amount = 1) => {
+    if (!EXPERIMENT_METRICS.includes(metric) || !amount || !Number.isFinite(amount)) return;
+    pending[metric] += amount;
+  };
+
+  // Segundos conectados desde el último volcado
+  const takeConnectedSeconds = () => {
+    if (!connectedSince) return;
+    const now = Date.now();
+    record("durationSeconds", (now - connectedSince) / 1000);
+    connectedSince = now;
+  };
+
+  const flush = () => {
+    takeConnectedSeconds();
+    const delta = pending;
+    pending = emptyOutcomes();
+    flushChain = flushChain.then(async () => {
+      try {
+        await writeDeltas(delta);
+      } catch (err) {
+        // Se reintenta en el siguiente volcado
+        console.error(`[EXPERIMENT] No se pudieron volcar los resultados de ${conversationId}:`, err.message);
+        for (const m of EXPERIMENT_METRICS) pending[m] += delta[m];
+      }
+    });
+    return flushChain;
+  };
+
+  return {
+    experimentId,
+    variantId,
+
+    record,
+
+    /** Turno registrado en el turnLog: longitud, herramientas y correcciones. */
+    recordTurn(turn) {
+      if (turn.role === "user") record("userTurns");
+      else if (turn.role === "assistant") record("assistantTurns");
+      else if (turn.role === "supervisor" && turn.correction) record("corrections");
+      else if (turn.role === "tool" && turn.tool) {
+        // Registro del turnLog (toTurnRecord): el resultado ya viene resumido en resultStatus
+        record(turn.tool.resultStatus === "success" ? "toolSuccesses" : "toolFailures");
+      }
+    },
+
+    start() {
+      if (timer) return;
+      connectedSince = Date.now();
+      timer = setInterval(() => { flush(); }, EXPERIMENT_FLUSH_INTERVAL_MS);
+      timer.unref?.();
+    },
+
+    async stop() {
+      if (timer) clearInterval(timer);
+      timer = null;
+      await flush();
+      connectedSince = null;
+    },
+
+    flush,
+  };
+}
+
+/**
+ * Resultado que llega fuera del socket (p. ej. el webhook de reserva). Lee la
+ * asignación de la conversación; `bookingId` evita contar dos veces la misma
+ * reserva si el webhook se reintenta. Devuelve true si se registró.
+ */
+export async function recordBookingOutcome(db, conversationId, bookingId = null) {
+  const convRef = db.collection("Conversations").doc(conversationId);
+  return db.runTransaction(async (tx) => {
+    const snap = await tx.get(convRef);
+    const experiment = snap.exists ? snap.data().Experiment : null;
+    if (!experiment?.id || !experiment.variantId) return false;
+    if (bookingId && (experiment.bookingIds || []).includes(String(bookingId))) return false;
+
+    const inc = admin.firestore.FieldValue.increment;
+    tx.update(convRef, {
+      "Experiment.outcomes.bookingsCompleted": inc(1),
+      ...(bookingId ? { "Experiment.bookingIds": admin.firestore.FieldValue.arrayUnion(String(bookingId)) } : {}),
+    });
+    tx.set(
+      resultsRef(db, snap.data().RobotId, experiment.id),
+      { botId: snap.data().RobotId, experimentId: experiment.id, updatedAt: admin.firestore.Timestamp.now(), variants: { [experiment.variantId]: { bookingsCompleted: inc(1) } } },
+      { merge: true }
+    );
+    return true;
+  });
+}
+
+/**
+ * Intervalo de Wilson al 95% para una proporción (éxitos / n).
+ */
+function wilsonInterval(successes, n) {
+  if (n <= 0) return null;
+  const z = 1.96;
+  const p = successes / n;
+  const denom = 1 + (z * z) / n;
+  const center = (p + (z * z) / (2 * n)) / denom;
+  const margin = (z * Math.sqrt((p * (1 - p)) / n + (z * z) / (4 * n * n))) / denom;
+  return [round(Math.max(0, center - margin), 4), round(Math.min(1, center + margin), 4)];
+}
+
+/**
+ * Contadores de una variante más las tasas derivadas.
+ */
+export function summarizeVariant(raw = {}) {
+  const c = emptyOutcomes();
+  for (const m of EXPERIMENT_METRICS) c[m] = Number(raw[m]) || 0;
+  const n = c.conversations;
+  const perConversation = (v) => (n > 0 ? round(v / n, 2) : null);
+  const toolCalls = c.toolSuccesses + c.toolFailures;
+  return {
+    ...c,
+    bookingRate: n > 0 ? round(c.bookingsCompleted / n, 4) : null,
+    bookingRateCi95: wilsonInterval(Math.min(c.bookingsCompleted, n), n),
+    toolSuccessRate: toolCalls > 0 ? round(c.toolSuccesses / toolCalls, 4) : null,
+    avgUserTurns: perConversation(c.userTurns),
+    avgAssistantTurns: perConversation(c.assistantTurns),
+    avgDurationSeconds: perConversation(c.durationSeconds),
+    correctionsPerConversation: perConversation(c.corrections),
+    humanTakeoverRate: n > 0 ? round(c.humanTakeovers / n, 4) : null,
+  };
+}
+
+/**
+ * Router de resultados (va detrás de requireAdmin).
+ */
+export function createExperimentRouter({ db }) {
+  const router = express.Router({ mergeParams: true });
+
+  router.get("/", async (req, res) => {
+    try {
+      const { botId } = req.params;
+      const [botSnap, results] = await Promise.all([
+        db.collection(BOTS).doc(botId).get(),
+        db.collection(RESULTS).where("botId", "==", botId).limit(100).get(),
+      ]);
+      if (!botSnap.exists) return res.status(404).json({ error: "not_found" });
+      res.json({
+        botId,
+        experiment: botSnap.data().experiment || null,
+        items: results.docs.map((d) => {
+          const { experimentId, updatedAt, variants = {} } = d.data();
+          const conversations = Object.values(variants).reduce((sum, v) => sum + (Number(v.conversations) || 0), 0);
+          return { experimentId, updatedAt: updatedAt || null, variants: Object.keys(variants), conversations };
+        }),
+      });
+    } catch (err) {
+      console.error(`[EXPERIMENT] Error listando experimentos de ${req.params.botId}:`, err);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  router.get("/:experimentId/results", async (req, res) => {
+    try {
+      const { botId, experimentId } = req.params;
+      const [botSnap, snap] = await Promise.all([
+        db.collection(BOTS).doc(botId).get(),
+        resultsRef(db, botId, experimentId).get(),
+      ]);
+      if (!snap.exists) return res.status(404).json({ error: "not_found" });
+
+      // Configuración actual de cada variante, si el experimento sigue en el bot
+      const current = botSnap.exists && botSnap.data().experiment?.id === experimentId ? botSnap.data().experiment : null;
+      const configured = new Map((current?.variants || []).map((v) => [v.id, v]));
+      const counters = snap.data().variants || {};
+      const variantIds = [...new Set([...configured.keys(), ...Object.keys(counters)])];
+
+      res.json({
+        botId,
+        experimentId,
+        active: !!current && current.enabled !== false,
+        updatedAt: snap.data().updatedAt || null,
+        variants: variantIds.map((id) => {
+          const { weight = null, model = null, generationConfig = null, promptTemplate = null } = configured.get(id) || {};
+          return { id, config: configured.has(id) ? { weight, model, generationConfig, promptTemplate } : null, ...summarizeVariant(counters[id]) };
+        }),
+      });
+    } catch (err) {
+      console.error(`[EXPERIMENT] Error leyendo resultados de ${req.params.experimentId}:`, err);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  return router;
+}
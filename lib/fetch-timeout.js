@@ -0,0 +1,36 @@
+/*──────────────────── FETCH CON TIMEOUT ───────────────────*/
+// node-fetch v3 ignora la opción `timeout` (era de la v2): el límite se impone
+// con un AbortController. El plazo cubre también la lectura del cuerpo, por eso
+// la respuesta se consume dentro de `read`.
+
+import fetch from "node-fetch";
+
+/**
+ * Timeout de una petición. `type` es el mismo que usaba node-fetch v2.
+ */
+export class FetchTimeoutError extends Error {
+  constructor(timeoutMs) {
+    super(`Tiempo de espera agotado (${timeoutMs} ms)`);
+    this.name = "FetchTimeoutError";
+    this.type = "request-timeout";
+    this.timeoutMs = timeoutMs;
+  }
+}
+
+/**
+ * fetch abortado a los timeoutMs. Devuelve lo que devuelva read(resp)
+ * (por defecto la respuesta, sin leer el cuerpo).
+ */
+export async function fetchWithTimeout(url, options = {}, timeoutMs, read = (resp) => resp) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+  try {
+    const resp = await fetch(url, { ...options, signal: controller.signal });
+    return await read(resp);
+  } catch (err) {
+    if (controller.signal.aborted) throw new FetchTimeoutError(timeoutMs);
+    throw err;
+  } finally {
+    clearTimeout(timer);
+  }
+}
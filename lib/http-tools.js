@@ -0,0 +1,284 @@
+/*──────────────────── HERRAMIENTAS HTTP DECLARATIVAS ───────────────────*/
+// Herramientas definidas por bot en el documento InteracBotGPT (campo httpTools),
+// para publicar integraciones sin desplegar el backend:
+//
+//   httpTools: [{
+//     name: "consultar_pedido",
+//     description: "Consulta el estado de un pedido por su número.",
+//     parameters: { type: "object", properties: { pedido: { type: "string" } }, required: ["pedido"] },
+//     request: {
+//       method: "GET",                                     // GET | POST | PUT | PATCH | DELETE
+//       url: "https://api.tienda.com/pedidos/{{args.pedido}}",
+//       headers: { "X-Bot": "{{context.botId}}" },
+//       query: { lang: "es" },                             // opcional
+//       body: { id: "{{args.pedido}}" },                   // opcional; por defecto los args (salvo GET/DELETE)
+//       timeoutMs: 10000
+//     },
+//     response: { path: "data.order", fields: { estado: "status", fecha: "eta" }, maxItems: 5, maxChars: 4000 },
+//     followUp: "data",                                    // silent | data | confirm
+//     instruction: "Explica al usuario el estado del pedido.",  // opcional (data / confirm)
+//     actionType: "generic"                                // opcional, para tool_execution_start
+//   }]
+//
+// Plantillas: {{args.x}}, {{context.conversationId}}, {{context.botId}},
+// {{context.userId}}. En la URL los valores se codifican y solo pueden ir en la
+// ruta o la query (el esquema, host y puerto son fijos); en body, un valor que
+// es exactamente una plantilla conserva su tipo (número, objeto...).
+
+import { fetchWithTimeout } from "./fetch-timeout.js";
+import { DEFAULT_LANGUAGE } from "./languages.js";
+import { message } from "./messages.js";
+
+export const HTTP_TOOL_FOLLOW_UPS = ["silent", "data", "confirm"];
+
+const ALLOWED_METHODS = ["GET", "POST", "PUT", "PATCH", "DELETE"];
+const TOOL_NAME_RE = /^[a-zA-Z_][a-zA-Z0-9_]{0,63}$/;
+const TEMPLATE_RE = /\{\{\s*([a-zA-Z_][\w.]*)\s*\}\}/g;
+// Esquema, host y puerto de una URL (todo lo anterior a la ruta)
+const URL_ORIGIN_RE = /^[a-zA-Z][a-zA-Z0-9+.-]*:\/\/[^/?#]*/;
+const DEFAULT_TIMEOUT_MS = 15000;
+const MAX_TIMEOUT_MS = 60000;
+const DEFAULT_MAX_CHARS = 8000;
+
+/**
+ * Lee una ruta con puntos ("data.items.0.name") de un objeto.
+ */
+export function getPath(obj, path) {
+  if (!path) return obj;
+  return String(path)
+    .split(".")
+    .reduce((acc, key) => (acc === null || acc === undefined ? undefined : acc[key]), obj);
+}
+
+function renderString(template, scope, encode = (v) => v) {
+  return String(template).replace(TEMPLATE_RE, (_, path) => {
+    const value = getPath(scope, path);
+    if (value === undefined || value === null) return "";
+    return encode(typeof value === "object" ? JSON.stringify(value) : String(value));
+  });
+}
+
+/**
+ * Sustituye plantillas en un valor (string, array u objeto).
+ */
+function renderValue(value, scope) {
+  if (typeof value === "string") {
+    const whole = value.match(/^\{\{\s*([a-zA-Z_][\w.]*)\s*\}\}$/);
+    if (whole) return getPath(scope, whole[1]) ?? null;
+    return renderString(value, scope);
+  }
+  if (Array.isArray(value)) return value.map((v) => renderValue(v, scope));
+  if (value && typeof value === "object") {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, renderValue(v, scope)]));
+  }
+  return value;
+}
+
+/**
+ * URL de la plantilla con las variables sustituidas por un marcador, o null si no es válida.
+ */
+function templateOrigin(template) {
+  try { return new URL(template.replace(TEMPLATE_RE, "x")); } catch (_) { return null; }
+}
+
+/**
+ * Valida una definición y la normaliza. Lanza Error con el motivo si no es válida.
+ */
+export function normalizeHttpToolDefinition(raw) {
+  if (!raw || typeof raw !== "object") throw new Error("la definición no es un objeto");
+  const name = String(raw.name || "");
+  if (!TOOL_NAME_RE.test(name)) throw new Error(`nombre inválido «${name}»`);
+
+  const request = raw.request || {};
+  const method = String(request.method || "POST").toUpperCase();
+  if (!ALLOWED_METHODS.includes(method)) throw new Error(`método HTTP no soportado «${request.method}»`);
+  if (!request.url || typeof request.url !== "string") throw new Error("falta request.url");
+  // El destino lo fija la definición: las plantillas solo pueden ir en la ruta o la query,
+  // nunca en el esquema, el host o el puerto (los argumentos los elige el modelo)
+  const originPart = request.url.match(URL_ORIGIN_RE)?.[0];
+  if (!originPart) throw new Error(`URL inválida «${request.url}»`);
+  if (originPart.includes("{{")) throw new Error(`no se admiten plantillas en el esquema, host o puerto de «${request.url}»`);
+  const protocol = templateOrigin(request.url)?.protocol;
+  if (!protocol) throw new Error(`URL inválida «${request.url}»`);
+  if (protocol !== "https:" && protocol !== "http:") throw new Error(`protocolo no permitido en «${request.url}»`);
+
+  const followUp = String(raw.followUp || "confirm").toLowerCase();
+  if (!HTTP_TOOL_FOLLOW_UPS.includes(followUp)) throw new Error(`followUp inválido «${raw.followUp}»`);
+
+  const parameters = raw.parameters && typeof raw.parameters === "object" ? raw.parameters : {};
+  const timeoutMs = Math.min(Number(request.timeoutMs) || DEFAULT_TIMEOUT_MS, MAX_TIMEOUT_MS);
+
+  return {
+    name,
+    description: String(raw.description || ""),
+    parameters: {
+      type: "object",
+      properties: parameters.properties || {},
+      required: Array.isArray(parameters.required) ? parameters.required : [],
+    },
+    request: {
+      method,
+      url: request.url,
+      headers: request.headers && typeof request.headers === "object" ? request.headers : {},
+      query: request.query && typeof request.query === "object" ? request.query : null,
+      body: request.body === undefined ? undefined : request.body,
+      timeoutMs,
+    },
+    response: {
+      path: raw.response?.path || "",
+      fields: raw.response?.fields && typeof raw.response.fields === "object" ? raw.response.fields : null,
+      maxItems: Number(raw.response?.maxItems) || null,
+      maxChars: Number(raw.response?.maxChars) || DEFAULT_MAX_CHARS,
+    },
+    followUp,
+    instruction: raw.instruction ? String(raw.instruction) : "",
+    actionType: raw.actionType ? String(raw.actionType) : "generic",
+  };
+}
+
+/**
+ * Parsea httpTools del documento del bot. Las definiciones inválidas o que
+ * chocan con herramientas ya registradas se descartan con un aviso en el log.
+ * Devuelve { tools, definitions }: tools en el formato de currentTools y
+ * definitions indexadas por nombre.
+ */
+export function parseHttpTools(rawList, { reservedNames = [], botId = "" } = {}) {
+  const tools = [];
+  const definitions = {};
+  if (!Array.isArray(rawList)) return { tools, definitions };
+
+  rawList.forEach((raw, i) => {
+    let def;
+    try {
+      def = normalizeHttpToolDefinition(raw);
+    } catch (err) {
+      console.warn(`[HTTP TOOLS] Bot ${botId}: herramienta #${i} descartada: ${err.message}`);
+      return;
+    }
+    if (reservedNames.includes(def.name) || definitions[def.name]) {
+      console.warn(`[HTTP TOOLS] Bot ${botId}: nombre «${def.name}» duplicado o reservado, se descarta.`);
+      return;
+    }
+    definitions[def.name] = def;
+    tools.push({ type: "function", name: def.name, description: def.description, parameters: def.parameters });
+  });
+
+  return { tools, definitions };
+}
+
+/**
+ * Aplica response.path / fields / maxItems al cuerpo de la respuesta.
+ */
+export function mapHttpToolResponse(def, body) {
+  let data = getPath(body, def.response.path);
+  const pick = (item) => {
+    if (!def.response.fields || !item || typeof item !== "object") return item;
+    return Object.fromEntries(
+      Object.entries(def.response.fields).map(([alias, path]) => [alias, getPath(item, path) ?? null])
+    );
+  };
+  if (Array.isArray(data)) {
+    if (def.response.maxItems) data = data.slice(0, def.response.maxItems);
+    return data.map(pick);
+  }
+  return pick(data);
+}
+
+/**
+ * Construye un handler genérico por definición. Los handlers siguen la misma
+ * forma que los de buildToolHandlers: (args, meta) → { status, ... }.
+ */
+export function buildHttpToolHandlers(definitions, getContext) {
+  const handlers = {};
+  for (const def of Object.values(definitions)) {
+    handlers[def.name] = async (args = {}, meta = {}) => {
+      const scope = { args: args || {}, context: { ...getContext(), toolCallId: meta.toolCallId || null } };
+      const { method, timeoutMs } = def.request;
+
+      let url;
+      try {
+        url = new URL(renderString(def.request.url, scope, encodeURIComponent));
+        if (def.request.query) {
+          for (const [k, v] of Object.entries(renderValue(def.request.query, scope))) {
+            if (v !== undefined && v !== null && v !== "") url.searchParams.set(k, typeof v === "object" ? JSON.stringify(v) : String(v));
+          }
+        }
+      } catch (err) {
+        return { status: "error", message: `URL inválida para ${def.name}: ${err.message}` };
+      }
+      // Defensa en profundidad: la URL final debe apuntar al mismo origen que la plantilla
+      const expectedOrigin = templateOrigin(def.request.url)?.origin;
+      if (url.origin !== expectedOrigin) {
+        console.warn(`[TOOL ${def.name}] Origen inesperado ${url.origin} (se esperaba ${expectedOrigin}); llamada bloqueada.`);
+        return { status: "error", message: `URL inválida para ${def.name}: el destino no coincide con la definición` };
+      }
+
+      const headers = { Accept: "application/json", ...renderValue(def.request.headers, scope) };
+      let body;
+      if (method !== "GET" && method !== "DELETE") {
+        body = JSON.stringify(def.request.body === undefined ? scope.args : renderValue(def.request.body, scope));
+        headers["Content-Type"] = headers["Content-Type"] || "application/json";
+      } else if (def.request.body !== undefined) {
+        console.warn(`[HTTP TOOLS] ${def.name}: request.body se ignora en ${method}.`);
+      }
+
+      console.log(`[TOOL ${def.name}] ${method} ${url.origin}${url.pathname} (timeout ${timeoutMs} ms)`);
+      try {
+        const { resp, text } = await fetchWithTimeout(url.toString(), { method, headers, body }, timeoutMs,
+          async (resp) => ({ resp, text: await resp.text() }));
+        let parsed = text;
+        try { parsed = text ? JSON.parse(text) : null; } catch (_) { /* respuesta en texto plano */ }
+
+        if (!resp.ok) {
+          console.warn(`[TOOL ${def.name}] El servicio respondió ${resp.status}.`);
+          return {
+            status: "error",
+            http_status: resp.status,
+            message: `El servicio respondió ${resp.status}`,
+            response: typeof parsed === "string" ? parsed.slice(0, 500) : parsed,
+          };
+        }
+
+        const data = typeof parsed === "string" ? parsed : mapHttpToolResponse(def, parsed);
+        return { status: "success", http_status: resp.status, data };
+      } catch (err) {
+        console.error(`[TOOL ${def.name} ERROR]`, err.message);
+        return { status: "error", message: err.type === "request-timeout" ? `Tiempo de espera agotado (${timeoutMs} ms)` : err.message };
+      }
+    };
+  }
+  return handlers;
+}
+
+/**
+ * Texto que recibe el modelo tras ejecutar la herramienta, según su política:
+ * - data: el resultado (recortado a maxChars) y la instrucción para presentarlo.
+ * - confirm: una confirmación breve del éxito o una disculpa si falló.
+ * - silent: solo se usa si el modelo no dijo nada antes de llamar a la herramienta.
+ * Los textos salen del catálogo de lib/messages.js en el idioma de la sesión.
+ */
+export function buildHttpToolFollowUpPrompt(def, result, language = DEFAULT_LANGUAGE) {
+  const name = def.name;
+  const ok = result?.status === "success";
+  if (!ok) {
+    return message(language, "tool.result.error", { name, message: result?.message || message(language, "tool.defaultError") });
+  }
+  switch (def.followUp) {
+    case "data": {
+      let json = JSON.stringify(result.data ?? null, null, 2);
+      if (json.length > def.response.maxChars) json = `${json.slice(0, def.response.maxChars)}\n${message(language, "tool.result.truncated")}`;
+      return message(language, "tool.result.data", {
+        name,
+        data: json,
+        instruction: def.instruction || message(language, "tool.result.dataInstruction"),
+      });
+    }
+    case "silent":
+      return message(language, "tool.result.silent", { name });
+    default:
+      return message(language, "tool.result.confirm", {
+        name,
+        instruction: def.instruction || message(language, "tool.result.confirmInstruction"),
+      });
+  }
+}
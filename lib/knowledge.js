@@ -0,0 +1,573 @@
+/*──────────────────── BASE DE CONOCIMIENTO ───────────────────*/
+// Documentos de cada bot troceados en pasajes e indexados con BM25 en memoria,
+// para que el modelo consulte la información del negocio con la herramienta
+// consultar_base_conocimiento en lugar de llevarla entera en el prompt:
+//
+//   KnowledgeBases/{botId}                      → { documentCount, chunkCount, updatedAt }
+//   KnowledgeBases/{botId}/Documents/{docId}    → { title, type, source, contentHash, chars, chunkCount,
+//                                                  createdAt, createdBy }
+//   KnowledgeBases/{botId}/Chunks/{docId}_{n}   → { docId, index, heading, text }
+//
+// Tipos de documento: text, markdown, html y pdf_text (el texto ya extraído del
+// PDF, con \f entre páginas). Cada pasaje se identifica como "{docId}#{n}": es
+// el ID que devuelve la herramienta y el que el modelo cita en su respuesta como
+// [[docId#n]]. Las citas se quitan del texto que ve y oye el usuario y quedan en
+// el turno del asistente (citations).
+//
+// API de administración (montada en /admin/bots/:botId/knowledge):
+//
+//   GET    /                   → resumen y documentos
+//   POST   /documents          → { id?, title, type, content, source? } ingesta (con id, sustituye)
+//   DELETE /documents/:docId   → borra el documento y sus pasajes
+//   GET    /search?q=&limit=   → prueba de recuperación
+//
+// Variables de entorno: KNOWLEDGE_CACHE_MS (vida del índice en memoria, 5 min).
+
+import crypto from "crypto";
+import express from "express";
+import admin from "firebase-admin";
+import { validateToolArgs } from "./tool-schema.js";
+
+export const KNOWLEDGE_TOOL_NAME = "consultar_base_conocimiento";
+export const DOCUMENT_TYPES = ["text", "markdown", "html", "pdf_text"];
+
+const KNOWLEDGE_BASES = "KnowledgeBases";
+const DOCUMENTS = "Documents";
+const CHUNKS = "Chunks";
+const DOC_ID_RE = /^[A-Za-z0-9_-]{1,64}$/;
+const MAX_CONTENT_CHARS = 1000000;
+const CHUNK_MAX_CHARS = 1000;
+const CHUNK_OVERLAP_CHARS = 200;
+const BATCH_SIZE = 400;
+const DEFAULT_RESULTS = 4;
+const MAX_RESULTS = 8;
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+const CITATION_RE = /\[\[([A-Za-z0-9_-]{1,64}#\d{1,5})\]\]/g;
+// Principio de una cita que aún no ha llegado entera al final de un delta
+const PARTIAL_CITATION_RE = /\[(?:\[[A-Za-z0-9_-]{0,64}(?:#\d{0,5}\]?)?)?$/;
+
+/**
+ * Configuración del bot (InteracBotGPT.knowledge). La herramienta se registra si
+ * el bot tiene documentos y no la desactiva.
+ */
+export const KNOWLEDGE_CONFIG_SCHEMA = {
+  type: "object",
+  description: "Base de conocimiento del bot (documentos en /admin/bots/:botId/knowledge).",
+  properties: {
+    enabled: { type: "boolean", description: "false desactiva la herramienta aunque haya documentos." },
+    maxResults: { type: "integer", minimum: 1, maximum: MAX_RESULTS, description: `Pasajes por consulta (${DEFAULT_RESULTS} por defecto).` },
+  },
+};
+
+export const DOCUMENT_SCHEMA = {
+  type: "object",
+  required: ["title", "type", "content"],
+  properties: {
+    id: { type: "string", pattern: DOC_ID_RE.source },
+    title: { type: "string", minLength: 1, maxLength: 200 },
+    type: { type: "string", enum: DOCUMENT_TYPES },
+    content: { type: "string", minLength: 1, maxLength: MAX_CONTENT_CHARS },
+    source: { type: "string", maxLength: 2048, description: "URL o nombre del fichero original." },
+  },
+};
+
+/*──────────────────── EXTRACCIÓN Y TROCEADO ───────────────────*/
+
+const HTML_ENTITIES = {
+  amp: "&", lt: "<", gt: ">", quot: "\"", apos: "'", nbsp: " ", euro: "€", iexcl: "¡", iquest: "¿",
+  ordm: "º", ordf: "ª", laquo: "«", raquo: "»", ndash: "–", mdash: "—", hellip: "…",
+  lsquo: "‘", rsquo: "’", ldquo: "“", rdquo: "”", copy: "©", reg: "®",
+};
+// Vocales acentuadas, ñ y ç (&aacute;, &Ntilde;, &uuml;...)
+for (const [suffix, mark] of [["acute", "\u0301"], ["grave", "\u0300"], ["uml", "\u0308"], ["circ", "\u0302"], ["tilde", "\u0303"], ["cedil", "\u0327"]]) {
+  for (const letter of "aeiounycAEIOUNYC") {
+    const composed = (letter + mark).normalize("NFC");
+    if (composed.length === 1) HTML_ENTITIES[letter + suffix] = composed;
+  }
+}
+
+const decodeEntities = (text) =>
+  text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, code) => {
+    if (code[0] === "#") {
+      const n = code[1] === "x" || code[1] === "X" ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+      return Number.isFinite(n) ? String.fromCodePoint(n) : match;
+    }
+    return HTML_ENTITIES[code] ?? HTML_ENTITIES[code.toLowerCase()] ?? match;
+  });
+
+// Marca de encabezado interna: las secciones se cortan por ella
+const HEADING_MARK = "\u0000H:";
+
+function markdownToText(md) {
+  return md
+    .replace(/^```.*$/gm, "")
+    .replace(/^(#{1,6})\s+(.+?)\s*#*\s*$/gm, (_, hashes, title) => (hashes.length <= 3 ? `\n\n${HEADING_MARK}${title}\n\n` : `\n\n${title}\n\n`))
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, "$1")
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, "$1")
+    .replace(/^[ \t]{0,3}>[ \t]?/gm, "")
+    .replace(/^[ \t]*(?:[-*+]|\d+[.)])[ \t]+/gm, "")
+    .replace(/^[ \t]*\|?(?:[ \t]*:?-{3,}:?[ \t]*\|)+[ \t]*$/gm, "")
+    .replace(/\|/g, " ")
+    .replace(/(\*\*|__|\*|_|`)(\S(?:.*?\S)?)\1/g, "$2");
+}
+
+function htmlToText(html) {
+  return decodeEntities(
+    html
+      .replace(/<!--[\s\S]*?-->/g, "")
+      .replace(/<(script|style|noscript|svg|head)\b[\s\S]*?<\/\1>/gi, "")
+      .replace(/<h([1-3])\b[^>]*>([\s\S]*?)<\/h\1>/gi, (_, __, title) => `\n\n${HEADING_MARK}${title.replace(/<[^>]+>/g, "").trim()}\n\n`)
+      .replace(/<br\s*\/?>/gi, "\n")
+      .replace(/<\/?(p|div|section|article|header|footer|li|ul|ol|tr|table|h[4-6]|blockquote|pre|dd|dt)\b[^>]*>/gi, "\n\n")
+      .replace(/<\/t[dh]>/gi, " ")
+      .replace(/<[^>]+>/g, "")
+  );
+}
+
+function pdfTextToText(text) {
+  return text
+    .replace(/\f/g, "\n\n")
+    // Palabras partidas con guion a final de línea
+    .replace(/(\p{L})-\n(\p{L})/gu, "$1$2")
+    // Saltos de línea dentro de un párrafo
+    .replace(/([^\n])\n(?!\n)/g, "$1 ");
+}
+
+/**
+ * Texto del documento en secciones [{ heading, paragraphs }] según su tipo.
+ */
+export function extractSections(content, type) {
+  const raw = String(content || "").replace(/\r\n?/g, "\n");
+  const text = type === "markdown" ? markdownToText(raw)
+    : type === "html" ? htmlToText(raw)
+    : type === "pdf_text" ? pdfTextToText(raw)
+    : raw;
+
+  const sections = [];
+  let current = { heading: null, lines: [] };
+  for (const block of text.split(/\n{2,}/)) {
+    const clean = block.replace(/[ \t]+/g, " ").replace(/ *\n */g, "\n").trim();
+    if (!clean) continue;
+    if (clean.startsWith(HEADING_MARK)) {
+      if (current.lines.length > 0) sections.push(current);
+      current = { heading: clean.slice(HEADING_MARK.length).trim() || null, lines: [] };
+    } else {
+      current.lines.push(clean);
+    }
+  }
+  if (current.lines.length > 0) sections.push(current);
+  return sections.map(({ heading, lines }) => ({ heading, paragraphs: lines }));
+}
+
+// Trozos de como mucho maxChars: por frases y, si una frase no cabe, por palabras
+function splitLong(paragraph, maxChars) {
+  if (paragraph.length <= maxChars) return [paragraph];
+  const pieces = [];
+  let current = "";
+  const push = (piece) => {
+    if (current && current.length + 1 + piece.length > maxChars) {
+      pieces.push(current);
+      current = "";
+    }
+    current = current ? `${current} ${piece}` : piece;
+  };
+  for (const sentence of paragraph.split(/(?<=[.!?;:])\s+/)) {
+    if (sentence.length <= maxChars) {
+      push(sentence);
+      continue;
+    }
+    for (const word of sentence.split(/\s+/)) push(word.slice(0, maxChars));
+  }
+  if (current) pieces.push(current);
+  return pieces;
+}
+
+/**
+ * Trocea las secciones en pasajes de hasta maxChars sin partir párrafos si se
+ * puede. Cada pasaje empieza con el último trozo del anterior de la misma
+ * sección si es corto (solape), para no perder el contexto en los cortes.
+ */
+export function chunkSections(sections, { maxChars = CHUNK_MAX_CHARS, overlapChars = CHUNK_OVERLAP_CHARS } = {}) {
+  const chunks = [];
+  for (const { heading, paragraphs } of sections) {
+    const pieces = paragraphs.flatMap((p) => splitLong(p, maxChars));
+    let current = [];
+    let length = 0;
+    for (const piece of pieces) {
+      if (current.length > 0 && length + piece.length + 1 > maxChars) {
+        chunks.push({ heading, text: current.join("\n") });
+        const tail = current[current.length - 1];
+        current = tail.length <= overlapChars && tail.length + piece.length + 1 <= maxChars ? [tail] : [];
+        length = current.reduce((sum, p) => sum + p.length + 1, 0);
+      }
+      current.push(piece);
+      length += piece.length + 1;
+    }
+    if (current.length > 0) chunks.push({ heading, text: current.join("\n") });
+  }
+  return chunks.map((chunk, index) => ({ index, ...chunk }));
+}
+
+/*──────────────────── BM25 ───────────────────*/
+
+// Palabras vacías (es/en) que no aportan a la búsqueda
+const STOPWORDS = new Set((
+  "de la que el en y a los del se las por un para con no una su al lo como mas pero sus le ya o este si porque esta entre cuando muy sin sobre tambien me hasta hay donde quien desde todo nos durante todos uno les ni contra otros ese eso ante ellos e esto mi antes algunos unos yo otro otras otra tanto esa estos mucho quienes nada muchos cual cuales poco ella estar estas algunas algo nosotros mis tu te ti tus ellas es son ser fue han ha tiene tienen puede hacer cuanto cuanta cuantos cuantas " +
+  "the of and to in is it that for on with as are was be at by this an or from which can what how do does you your we our they their have has"
+).split(/\s+/));
+
+const normalize = (text) => String(text || "").toLowerCase().normalize("NFD").replace(/[\u0300-\u036f]/g, "");
+
+// Plurales: "planes" → "plan", "precios" → "precio"
+const singular = (term) => {
+  if (term.length <= 3 || !term.endsWith("s")) return term;
+  return term.length > 4 && /[lnrdj]es$/.test(term) ? term.slice(0, -2) : term.slice(0, -1);
+};
+
+/**
+ * Términos de búsqueda: minúsculas, sin tildes, sin palabras vacías y en
+ * singular para que "precios" encuentre "precio".
+ */
+export function tokenize(text) {
+  const terms = [];
+  for (const raw of normalize(text).match(/[a-z0-9]+/g) || []) {
+    if (raw.length < 2 || STOPWORDS.has(raw)) continue;
+    terms.push(singular(raw));
+  }
+  return terms;
+}
+
+/**
+ * Índice BM25 en memoria sobre pasajes { id, title, heading, text, ... }. El
+ * título del documento y el encabezado de la sección cuentan como texto del pasaje.
+ */
+export function createBm25Index(passages) {
+  const docs = passages.map((passage) => {
+    const terms = tokenize(`${passage.title || ""} ${passage.heading || ""} ${passage.text}`);
+    const tf = new Map();
+    for (const t of terms) tf.set(t, (tf.get(t) || 0) + 1);
+    return { passage, tf, length: terms.length };
+  });
+  const df = new Map();
+  for (const { tf } of docs) for (const t of tf.keys()) df.set(t, (df.get(t) || 0) + 1);
+  const avgLength = docs.reduce((sum, d) => sum + d.length, 0) / (docs.length || 1);
+  const idf = (t) => Math.log(1 + (docs.length - (df.get(t) || 0) + 0.5) / ((df.get(t) || 0) + 0.5));
+
+  return {
+    size: docs.length,
+    search(query, limit = DEFAULT_RESULTS) {
+      const terms = [...new Set(tokenize(query))].filter((t) => df.has(t));
+      if (terms.length === 0) return [];
+      const scored = [];
+      for (const doc of docs) {
+        let score = 0;
+        for (const t of terms) {
+          const f = doc.tf.get(t);
+          if (!f) continue;
+          score += idf(t) * (f * (BM25_K1 + 1)) / (f + BM25_K1 * (1 - BM25_B + BM25_B * (doc.length / (avgLength || 1))));
+        }
+        if (score > 0) scored.push({ ...doc.passage, score: Math.round(score * 1000) / 1000 });
+      }
+      return scored.sort((a, b) => b.score - a.score).slice(0, limit);
+    },
+  };
+}
+
+/*──────────────────── CITAS ───────────────────*/
+
+/**
+ * Filtro de citas para una respuesta en stream: push(delta) devuelve el texto
+ * visible (sin las marcas [[docId#n]]), reteniendo el final del delta si puede
+ * ser el principio de una marca; flush() devuelve lo retenido al acabar.
+ * cited() da los IDs citados, sin repetir y en orden de aparición.
+ */
+export function createCitationFilter() {
+  let pending = "";
+  const cited = [];
+  const strip = (text) => text.replace(CITATION_RE, (_, id) => {
+    if (!cited.includes(id)) cited.push(id);
+    return "";
+  });
+
+  return {
+    push(delta) {
+      const text = strip(pending + delta);
+      // Posible marca sin cerrar al final: se retiene hasta el siguiente delta
+      const open = text.search(PARTIAL_CITATION_RE);
+      const keepFrom = open === -1 ? text.length : open;
+      pending = text.slice(keepFrom);
+      return text.slice(0, keepFrom);
+    },
+    flush() {
+      const rest = strip(pending);
+      pending = "";
+      return rest;
+    },
+    cited: () => [...cited],
+  };
+}
+
+/**
+ * Limpia el texto final de una respuesta: sin marcas y sin los espacios que
+ * dejan delante de la puntuación.
+ */
+export const stripCitations = (text) => String(text || "").replace(CITATION_RE, "").replace(/[ \t]+([.,;:!?])/g, "$1").replace(/[ \t]{2,}/g, " ");
+
+/*──────────────────── ALMACÉN ───────────────────*/
+
+const contentHash = (text) => crypto.createHash("sha256").update(text).digest("hex").slice(0, 16);
+
+/**
+ * Almacén de la base de conocimiento con un índice BM25 en memoria por bot.
+ */
+export function createKnowledgeStore({ db }) {
+  const cacheMs = Number(process.env.KNOWLEDGE_CACHE_MS) || 5 * 60 * 1000;
+  const base = (botId) => db.collection(KNOWLEDGE_BASES).doc(botId);
+  const indexes = new Map(); // botId → { index, at, loading }
+  // Generación del índice por bot: una carga que termina después de una
+  // invalidación (ingest/remove) no vuelve a dejar en caché el índice viejo
+  const generations = new Map();
+  const generationOf = (botId) => generations.get(botId) || 0;
+
+  function invalidateIndex(botId) {
+    generations.set(botId, generationOf(botId) + 1);
+    indexes.delete(botId);
+  }
+
+  async function deleteChunks(botId, docId) {
+    const snap = await base(botId).collection(CHUNKS).where("docId", "==", docId).get();
+    for (let i = 0; i < snap.docs.length; i += BATCH_SIZE) {
+      const batch = db.batch();
+      snap.docs.slice(i, i + BATCH_SIZE).forEach((d) => batch.delete(d.ref));
+      await batch.commit();
+    }
+    return snap.size;
+  }
+
+  // Los totales se recalculan desde los documentos (pocos por bot)
+  async function refreshSummary(botId) {
+    const docs = await base(botId).collection(DOCUMENTS).get();
+    const summary = {
+      documentCount: docs.size,
+      chunkCount: docs.docs.reduce((sum, d) => sum + (Number(d.data().chunkCount) || 0), 0),
+      updatedAt: admin.firestore.Timestamp.now(),
+    };
+    await base(botId).set(summary, { merge: true });
+    return summary;
+  }
+
+  async function loadIndex(botId) {
+    const [docs, chunks] = await Promise.all([
+      base(botId).collection(DOCUMENTS).get(),
+      base(botId).collection(CHUNKS).get(),
+    ]);
+    const documents = new Map(docs.docs.map((d) => [d.id, d.data()]));
+    const passages = chunks.docs
+      .map((d) => d.data())
+      .filter((c) => documents.has(c.docId))
+      .map((c) => ({
+        id: `${c.docId}#${c.index}`,
+        docId: c.docId,
+        title: documents.get(c.docId).title || "",
+        source: documents.get(c.docId).source || null,
+        heading: c.heading || null,
+        text: c.text,
+      }));
+    console.log(`[KNOWLEDGE] Índice de ${botId} cargado: ${documents.size} documentos, ${passages.length} pasajes.`);
+    return createBm25Index(passages);
+  }
+
+  async function getIndex(botId) {
+    const cached = indexes.get(botId);
+    if (cached?.index && Date.now() - cached.at < cacheMs) return cached.index;
+    if (cached?.loading) return cached.loading;
+    const generation = generationOf(botId);
+    const current = () => generationOf(botId) === generation;
+    const loading = loadIndex(botId)
+      .then((index) => {
+        if (current()) indexes.set(botId, { index, at: Date.now() });
+        return index;
+      })
+      .catch((err) => {
+        if (current()) indexes.delete(botId);
+        throw err;
+      });
+    indexes.set(botId, { ...cached, loading });
+    return loading;
+  }
+
+  return {
+    /** Resumen del bot ({ documentCount, chunkCount, updatedAt }) o null si no tiene base. */
+    async summary(botId) {
+      const snap = await base(botId).get();
+      return snap.exists ? snap.data() : null;
+    },
+
+    async listDocuments(botId) {
+      const snap = await base(botId).collection(DOCUMENTS).orderBy("createdAt", "desc").limit(500).get();
+      return snap.docs.map((d) => ({ id: d.id, ...d.data() }));
+    },
+
+    /**
+     * Trocea e indexa un documento. Con `id` de un documento existente lo
+     * sustituye. Devuelve { id, chunkCount, replaced, unchanged }.
+     */
+    async ingest(botId, { id = null, title, type, content, source = null, actor = "admin" }) {
+      const sections = extractSections(content, type);
+      const chunks = chunkSections(sections);
+      const hash = contentHash(`${type}\n${content}`);
+      const docRef = id ? base(botId).collection(DOCUMENTS).doc(id) : base(botId).collection(DOCUMENTS).doc();
+      const existing = id ? await docRef.get() : null;
+      if (existing?.exists && existing.data().contentHash === hash && existing.data().title === title) {
+        return { id: docRef.id, chunkCount: existing.data().chunkCount, replaced: false, unchanged: true };
+      }
+      if (existing?.exists) await deleteChunks(botId, docRef.id);
+
+      for (let i = 0; i < chunks.length; i += BATCH_SIZE) {
+        const batch = db.batch();
+        for (const chunk of chunks.slice(i, i + BATCH_SIZE)) {
+          batch.set(base(botId).collection(CHUNKS).doc(`${docRef.id}_${String(chunk.index).padStart(4, "0")}`), {
+            docId: docRef.id,
+            index: chunk.index,
+            heading: chunk.heading,
+            text: chunk.text,
+          });
+        }
+        await batch.commit();
+      }
+      await docRef.set({
+        title,
+        type,
+        source: source || null,
+        contentHash: hash,
+        chars: content.length,
+        chunkCount: chunks.length,
+        createdAt: admin.firestore.Timestamp.now(),
+        createdBy: actor,
+      });
+      await refreshSummary(botId);
+      invalidateIndex(botId);
+      return { id: docRef.id, chunkCount: chunks.length, replaced: !!existing?.exists, unchanged: false };
+    },
+
+    /** Borra un documento y sus pasajes. false si no existía. */
+    async remove(botId, docId) {
+      const docRef = base(botId).collection(DOCUMENTS).doc(docId);
+      const snap = await docRef.get();
+      if (!snap.exists) return false;
+      await deleteChunks(botId, docId);
+      await docRef.delete();
+      await refreshSummary(botId);
+      invalidateIndex(botId);
+      return true;
+    },
+
+    /** Olvida el índice en memoria del bot (se recarga en la siguiente búsqueda). */
+    invalidate: invalidateIndex,
+
+    /** Pasajes más relevantes para la consulta: [{ id, docId, title, source, heading, text, score }]. */
+    async search(botId, query, { limit = DEFAULT_RESULTS } = {}) {
+      const index = await getIndex(botId);
+      return index.search(query, Math.min(Math.max(1, limit), MAX_RESULTS));
+    },
+  };
+}
+
+/*──────────────────── HERRAMIENTA ───────────────────*/
+
+/**
+ * Declaración de la herramienta para el modelo.
+ */
+export function knowledgeToolDeclaration({ maxResults = DEFAULT_RESULTS } = {}) {
+  return {
+    type: "function",
+    name: KNOWLEDGE_TOOL_NAME,
+    description: "Busca en la base de conocimiento del negocio (documentación, FAQs, precios, políticas) y devuelve los pasajes más relevantes con su ID. Úsala antes de responder preguntas concretas sobre el negocio que no estén en tus instrucciones. No inventes datos que no aparezcan en los pasajes.",
+    parameters: {
+      type: "object",
+      properties: {
+        consulta: { type: "string", minLength: 2, maxLength: 500, description: "Lo que quieres saber, con las palabras clave de la pregunta del usuario." },
+        max_resultados: { type: "integer", minimum: 1, maximum: MAX_RESULTS, description: `Número de pasajes (por defecto ${maxResults}).` },
+      },
+      required: ["consulta"],
+    },
+  };
+}
+
+/*──────────────────── API DE ADMINISTRACIÓN ───────────────────*/
+
+/**
+ * Router de la base de conocimiento de un bot (va detrás de requireAdmin y de
+ * un express.json con límite amplio para los documentos).
+ */
+export function createKnowledgeRouter({ db, store }) {
+  const router = express.Router({ mergeParams: true });
+  const actorOf = (req) => String(req.headers["x-admin-actor"] || "admin").slice(0, 200);
+  const botExists = async (botId) => (await db.collection("InteracBotGPT").doc(botId).get()).exists;
+
+  router.get("/", async (req, res) => {
+    try {
+      const { botId } = req.params;
+      if (!(await botExists(botId))) return res.status(404).json({ error: "not_found" });
+      const [summary, documents] = await Promise.all([store.summary(botId), store.listDocuments(botId)]);
+      res.json({ botId, documentCount: summary?.documentCount || 0, chunkCount: summary?.chunkCount || 0, updatedAt: summary?.updatedAt || null, documents });
+    } catch (err) {
+      console.error(`[KNOWLEDGE] Error listando la base de ${req.params.botId}:`, err);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  router.post("/documents", async (req, res) => {
+    try {
+      const { botId } = req.params;
+      const { errors } = validateToolArgs(DOCUMENT_SCHEMA, req.body);
+      for (const key of Object.keys(req.body || {})) {
+        if (!DOCUMENT_SCHEMA.properties[key]) {
+          errors.push({ field: key, code: "unknown_field", allowed: Object.keys(DOCUMENT_SCHEMA.properties), message: `«${key}» no es un campo admitido.` });
+        }
+      }
+      if (errors.length > 0) return res.status(400).json({ error: "invalid_document", errors });
+      if (!(await botExists(botId))) return res.status(404).json({ error: "not_found" });
+
+      const { id = null, title, type, content, source = null } = req.body;
+      const actor = actorOf(req);
+      const result = await store.ingest(botId, { id, title, type, content, source, actor });
+      if (result.chunkCount === 0) {
+        console.warn(`[KNOWLEDGE] El documento "${title}" de ${botId} no tiene texto indexable.`);
+      }
+      console.log(`[KNOWLEDGE] Documento "${title}" (${type}) ${result.unchanged ? "sin cambios" : result.replaced ? "sustituido" : "añadido"} en ${botId} por ${actor}: ${result.chunkCount} pasajes.`);
+      res.status(result.replaced || result.unchanged ? 200 : 201).json(result);
+    } catch (err) {
+      console.error(`[KNOWLEDGE] Error ingiriendo documento en ${req.params.botId}:`, err);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  router.delete("/documents/:docId", async (req, res) => {
+    try {
+      const { botId, docId } = req.params;
+      if (!(await store.remove(botId, docId))) return res.status(404).json({ error: "not_found" });
+      console.log(`[KNOWLEDGE] Documento ${docId} de ${botId} borrado por ${actorOf(req)}.`);
+      res.json({ id: docId, deleted: true });
+    } catch (err) {
+      console.error(`[KNOWLEDGE] Error borrando ${req.params.docId} de ${req.params.botId}:`, err);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  router.get("/search", async (req, res) => {
+    try {
+      const query = String(req.query.q || "").trim();
+      if (!query) return res.status(400).json({ error: "missing_query" });
+      const results = await store.search(req.params.botId, query, { limit: Number(req.query.limit) || DEFAULT_RESULTS });
+      res.json({ query, results });
+    } catch (err) {
+      console.error(`[KNOWLEDGE] Error buscando en ${req.params.botId}:`, err);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  return router;
+}
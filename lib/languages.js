@@ -0,0 +1,75 @@
+/*──────────────────── IDIOMAS ───────────────────*/
+// Idiomas que admite el backend. Cada bot declara su idioma principal
+// (`language`) y, opcionalmente, la lista de idiomas en los que puede atender
+// (`supportedLanguages`, códigos base: ["es", "ca", "en"]). El STT recibe el
+// principal como languageCode y el resto como alternativeLanguageCodes para
+// detectar en cuál habla el usuario.
+
+export const LANGUAGES = {
+  es: { locale: "es-ES", name: "español", englishName: "Spanish" },
+  en: { locale: "en-US", name: "English", englishName: "English" },
+  ca: { locale: "ca-ES", name: "català", englishName: "Catalan" },
+  fr: { locale: "fr-FR", name: "français", englishName: "French" },
+  de: { locale: "de-DE", name: "Deutsch", englishName: "German" },
+  it: { locale: "it-IT", name: "italiano", englishName: "Italian" },
+  pt: { locale: "pt-PT", name: "português", englishName: "Portuguese" },
+};
+
+export const LANGUAGE_CODES = Object.keys(LANGUAGES);
+export const DEFAULT_LANGUAGE = "es";
+
+// Google Speech admite como máximo 3 idiomas alternativos
+const MAX_ALTERNATIVE_LANGUAGES = 3;
+
+/**
+ * Código base ("ca-es" → "ca"; también el nombre en inglés que devuelve Whisper,
+ * "catalan" → "ca"). Devuelve null si no es un idioma admitido.
+ */
+export function baseLanguage(code) {
+  if (!code) return null;
+  const base = String(code).trim().toLowerCase().split(/[-_]/)[0];
+  if (LANGUAGES[base]) return base;
+  return LANGUAGE_CODES.find((c) => LANGUAGES[c].englishName.toLowerCase() === base) || null;
+}
+
+/**
+ * Locale BCP-47 para STT/TTS: "en" → "en-US"; un código con región se respeta
+ * ("en-gb" → "en-GB"). Sin idioma, el locale por defecto.
+ */
+export function toLocale(code) {
+  if (!code) return LANGUAGES[DEFAULT_LANGUAGE].locale;
+  const [base, region] = String(code).trim().split(/[-_]/);
+  const lower = base.toLowerCase();
+  if (region) return `${lower}-${region.toUpperCase()}`;
+  return LANGUAGES[lower]?.locale || String(code);
+}
+
+export const languageName = (code) => LANGUAGES[baseLanguage(code) || DEFAULT_LANGUAGE].name;
+
+/**
+ * Idiomas del bot: { primary, supported } con el principal siempre el primero.
+ */
+export function resolveBotLanguages(botData = {}) {
+  const primary = baseLanguage(botData.language) || DEFAULT_LANGUAGE;
+  const declared = Array.isArray(botData.supportedLanguages) ? botData.supportedLanguages : [];
+  const supported = [primary];
+  for (const code of declared) {
+    const base = baseLanguage(code);
+    if (base && !supported.includes(base)) supported.push(base);
+  }
+  return { primary, supported };
+}
+
+/**
+ * Configuración de idioma del stream STT: el actual como principal y el resto
+ * de idiomas del bot como alternativos.
+ */
+export function sttLanguageConfig(current, supported = []) {
+  const languageCode = toLocale(current);
+  const currentBase = baseLanguage(current);
+  const alternativeLanguageCodes = supported
+    .filter((code) => code !== currentBase)
+    .slice(0, MAX_ALTERNATIVE_LANGUAGES)
+    .map(toLocale);
+  return { languageCode, alternativeLanguageCodes };
+}
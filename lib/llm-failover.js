@@ -0,0 +1,283 @@
+/*──────────────────── FAILOVER DEL MODELO ───────────────────*/
+// Envuelve un chat del proveedor LLM con la misma interfaz (ver llm-providers.js)
+// para sobrevivir a errores transitorios de Vertex en cada petición:
+//
+//   - Reintento con backoff exponencial ante 429/5xx, cortes de red y timeouts.
+//   - Timeout hasta el primer evento del stream (LLM_FIRST_TOKEN_TIMEOUT_MS) y
+//     entre eventos (LLM_STREAM_IDLE_TIMEOUT_MS).
+//   - Cambio al siguiente modelo de la lista (LLM_FALLBACK_MODELS) con el mismo
+//     historial cuando el actual agota sus intentos.
+//   - Circuit breaker por modelo, compartido por todas las sesiones del proceso:
+//     tras LLM_BREAKER_FAILURES fallos seguidos el modelo queda fuera durante
+//     LLM_BREAKER_COOLDOWN_MS; después se deja pasar una petición de prueba.
+//
+// Solo se reintenta mientras el stream no haya emitido nada: si el fallo llega
+// con la respuesta a medias, el error sube a la sesión. En cualquier caso el chat
+// se rehace desde el historial previo al turno, porque el SDK de Vertex deja la
+// sesión bloqueada tras un stream colgado.
+//
+// Variables de entorno (se leen al crear cada pieza; dotenv se carga después de
+// los imports):
+//
+//   LLM_FALLBACK_MODELS          modelos de reserva, por orden ("gemini-2.5-flash")
+//   LLM_ATTEMPTS_PER_MODEL       intentos por modelo y turno (2)
+//   LLM_RETRY_BASE_MS            primer backoff; se dobla en cada intento (400)
+//   LLM_FIRST_TOKEN_TIMEOUT_MS   espera máxima del primer evento (12000)
+//   LLM_STREAM_IDLE_TIMEOUT_MS   espera máxima entre eventos (20000)
+//   LLM_REQUEST_TIMEOUT_MS       peticiones sin stream (30000)
+//   LLM_BREAKER_FAILURES         fallos seguidos que abren el circuito (3)
+//   LLM_BREAKER_COOLDOWN_MS      tiempo con el circuito abierto (60000)
+
+const RETRYABLE_STATUS = [408, 429, 500, 502, 503, 504];
+const RETRYABLE_MESSAGE_RE = /\b(408|429|500|502|503|504)\b|RESOURCE_EXHAUSTED|UNAVAILABLE|DEADLINE_EXCEEDED|INTERNAL|ECONNRESET|ETIMEDOUT|EAI_AGAIN|socket hang up|fetch failed|network/i;
+const MAX_BACKOFF_MS = 5000;
+
+const envNumber = (name, fallback) => {
+  const v = Number(process.env[name]);
+  return Number.isFinite(v) && v >= 0 ? v : fallback;
+};
+
+/**
+ * Modelos de reserva configurados (LLM_FALLBACK_MODELS, separados por comas).
+ */
+export function fallbackModelsFromEnv() {
+  const raw = process.env.LLM_FALLBACK_MODELS ?? "gemini-2.5-flash";
+  return raw.split(",").map((m) => m.trim()).filter(Boolean);
+}
+
+/**
+ * Error de timeout propio; cuenta como transitorio.
+ */
+export class LlmTimeoutError extends Error {
+  constructor(stage, ms) {
+    super(`El modelo no respondió en ${ms} ms (${stage}).`);
+    this.name = "LlmTimeoutError";
+    this.code = "llm_timeout";
+    this.stage = stage;
+  }
+}
+
+/**
+ * ¿Merece la pena reintentar? 429/5xx de Vertex (código numérico o en el
+ * mensaje del SDK), errores de red y nuestros timeouts.
+ */
+export function isRetryableLlmError(err) {
+  if (!err) return false;
+  if (err instanceof LlmTimeoutError) return true;
+  const status = Number(err.code ?? err.status ?? err.statusCode);
+  if (RETRYABLE_STATUS.includes(status)) return true;
+  return RETRYABLE_MESSAGE_RE.test(String(err.message || ""));
+}
+
+/**
+ * Circuit breaker por modelo: closed → open (tras N fallos seguidos) →
+ * half-open (pasado el enfriamiento, una petición de prueba) → closed/open.
+ */
+export function createCircuitBreaker({
+  failureThreshold = envNumber("LLM_BREAKER_FAILURES", 3),
+  cooldownMs = envNumber("LLM_BREAKER_COOLDOWN_MS", 60000),
+  now = () => Date.now(),
+} = {}) {
+  const models = new Map(); // modelo → { failures, openedAt, probing }
+  const stateOf = (model) => {
+    if (!models.has(model)) models.set(model, { failures: 0, openedAt: null, probing: false });
+    return models.get(model);
+  };
+
+  return {
+    /** ¿Se puede usar el modelo? En half-open solo deja pasar una petición. */
+    isAvailable(model) {
+      const s = stateOf(model);
+      if (s.openedAt === null) return true;
+      if (now() - s.openedAt < cooldownMs || s.probing) return false;
+      s.probing = true;
+      return true;
+    },
+    recordSuccess(model) {
+      const s = stateOf(model);
+      if (s.openedAt !== null) console.log(`[LLM] Circuito de ${model} cerrado de nuevo.`);
+      Object.assign(s, { failures: 0, openedAt: null, probing: false });
+    },
+    recordFailure(model) {
+      const s = stateOf(model);
+      s.failures++;
+      if (s.probing || (s.openedAt === null && s.failures >= failureThreshold)) {
+        console.warn(`[LLM] Circuito de ${model} abierto durante ${cooldownMs} ms (${s.failures} fallos seguidos).`);
+        Object.assign(s, { openedAt: now(), probing: false });
+      }
+    },
+    describe() {
+      return Object.fromEntries([...models].map(([model, s]) => [
+        model,
+        { state: s.openedAt === null ? "closed" : now() - s.openedAt < cooldownMs ? "open" : "half_open", failures: s.failures },
+      ]));
+    },
+  };
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Backoff exponencial con jitter: base, 2·base, 4·base... (±25%)
+const backoffMs = (base, attempt) => Math.min(MAX_BACKOFF_MS, base * 2 ** attempt) * (0.75 + Math.random() * 0.5);
+
+const withTimeout = (promise, ms, stage) => {
+  if (!ms) return promise;
+  // La promesa abandonada puede rechazar más tarde: que no quede sin capturar
+  promise.catch(() => {});
+  let timer;
+  return Promise.race([
+    promise,
+    new Promise((_, reject) => { timer = setTimeout(() => reject(new LlmTimeoutError(stage, ms)), ms); }),
+  ]).finally(() => clearTimeout(timer));
+};
+
+// Las thought signatures solo las acepta el modelo que las generó
+const stripThoughtSignatures = (history) =>
+  history.map((content) => ({
+    ...content,
+    parts: (content.parts || []).map(({ thoughtSignature, ...part }) => {
+      if (part.functionResponse?.thoughtSignature) {
+        const { thoughtSignature: _, ...functionResponse } = part.functionResponse;
+        return { ...part, functionResponse };
+      }
+      return part;
+    }),
+  }));
+
+/**
+ * Chat con reintentos y cambio de modelo. `chatConfig` es el de
+ * provider.startChat; `models` la lista por preferencia (el primero es el del
+ * bot o la variante). `onRetry({ attempt, model, nextModel, error, delayMs, stream })`
+ * avisa antes de cada reintento (attempt empieza en 1 dentro de cada turno).
+ */
+export function createResilientChat({ provider, chatConfig, models, breaker, onRetry = null }) {
+  const candidates = [...new Set(models.filter(Boolean))];
+  if (candidates.length === 0) candidates.push(provider.modelName || "default");
+  const attemptsPerModel = Math.max(1, envNumber("LLM_ATTEMPTS_PER_MODEL", 2));
+  const retryBaseMs = envNumber("LLM_RETRY_BASE_MS", 400);
+  const firstTokenTimeoutMs = envNumber("LLM_FIRST_TOKEN_TIMEOUT_MS", 12000);
+  const idleTimeoutMs = envNumber("LLM_STREAM_IDLE_TIMEOUT_MS", 20000);
+  const requestTimeoutMs = envNumber("LLM_REQUEST_TIMEOUT_MS", 30000);
+
+  let currentModel = candidates[0];
+  let chat = provider.startChat({ ...chatConfig, model: currentModel });
+  // Historial confirmado (el del último turno que terminó bien)
+  let history = [...(chatConfig.history || [])];
+
+  const rebuild = (model) => {
+    if (model !== currentModel) {
+      console.warn(`[LLM] Cambio de modelo: ${currentModel} → ${model}.`);
+      history = stripThoughtSignatures(history);
+    }
+    // Copia: la sesión del SDK escribe directamente en el array que recibe.
+    // scriptCursor solo lo tiene el proveedor con guion: el chat nuevo sigue en el mismo punto
+    chat = provider.startChat({ ...chatConfig, model, history: [...history], scriptCursor: chat.scriptCursor });
+    currentModel = model;
+  };
+
+  // Orden de intentos del turno: cada modelo disponible attemptsPerModel veces.
+  // Si todos tienen el circuito abierto se prueba igualmente el preferido.
+  const planAttempts = () => {
+    const available = candidates.filter((m) => breaker.isAvailable(m));
+    const order = available.length > 0 ? available : [candidates[0]];
+    return order.flatMap((m) => Array(attemptsPerModel).fill(m));
+  };
+
+  const beforeAttempt = (model, index) => {
+    if (index > 0 || model !== currentModel) rebuild(model);
+  };
+
+  const afterSuccess = async (model) => {
+    breaker.recordSuccess(model);
+    history = [...(await chat.getHistory())];
+  };
+
+  // Devuelve el índice del siguiente intento del plan (o lanza el error)
+  const handleFailure = async (err, plan, index, { stream, attempt }) => {
+    const model = plan[index];
+    const retryable = isRetryableLlmError(err);
+    if (retryable) breaker.recordFailure(model);
+    // El chat puede haber quedado bloqueado por el SDK: se rehace para el siguiente turno
+    rebuild(model);
+    // Si el circuito se acaba de abrir, no se gastan más intentos en ese modelo
+    let next = index + 1;
+    while (next < plan.length && plan[next] === model && !breaker.isAvailable(model)) next++;
+    if (!retryable || next >= plan.length) throw err;
+
+    const nextModel = plan[next];
+    const delayMs = nextModel === model ? backoffMs(retryBaseMs, attempt - 1) : 0;
+    console.warn(`[LLM] ${model} falló (${err.message}). Reintento ${attempt} con ${nextModel}${delayMs ? ` en ${Math.round(delayMs)} ms` : ""}.`);
+    try { onRetry?.({ attempt, model, nextModel, error: err, delayMs, stream }); } catch (e) { console.error("[LLM] Error en onRetry:", e); }
+    if (delayMs) await sleep(delayMs);
+    return next;
+  };
+
+  const runStream = async function* (invoke) {
+    const plan = planAttempts();
+    for (let index = 0, attempt = 1; index < plan.length; attempt++) {
+      beforeAttempt(plan[index], attempt - 1);
+      const iterator = invoke(chat)[Symbol.asyncIterator]();
+      let emitted = false;
+      let settled = false;
+      try {
+        while (true) {
+          const next = await withTimeout(iterator.next(), emitted ? idleTimeoutMs : firstTokenTimeoutMs, emitted ? "stream" : "first_token");
+          if (next.done) break;
+          emitted = true;
+          yield next.value;
+        }
+        settled = true;
+        await afterSuccess(plan[index]);
+        return;
+      } catch (err) {
+        settled = true;
+        Promise.resolve(iterator.return?.()).catch(() => {});
+        // Con parte de la respuesta ya emitida no se puede repetir el turno
+        if (emitted) {
+          if (isRetryableLlmError(err)) breaker.recordFailure(plan[index]);
+          rebuild(plan[index]);
+          throw err;
+        }
+        index = await handleFailure(err, plan, index, { stream: true, attempt });
+      } finally {
+        // La sesión dejó de leer (barge-in): se cierra el stream del proveedor
+        if (!settled) Promise.resolve(iterator.return?.()).catch(() => {});
+      }
+    }
+  };
+
+  const runOnce = async (invoke) => {
+    const plan = planAttempts();
+    for (let index = 0, attempt = 1; index < plan.length; attempt++) {
+      beforeAttempt(plan[index], attempt - 1);
+      try {
+        const result = await withTimeout(invoke(chat), requestTimeoutMs, "request");
+        await afterSuccess(plan[index]);
+        return result;
+      } catch (err) {
+        index = await handleFailure(err, plan, index, { stream: false, attempt });
+      }
+    }
+  };
+
+  const run = (invoke, stream) => (stream ? runStream(invoke) : runOnce(invoke));
+
+  return {
+    get modelName() { return chat.modelName || currentModel; },
+    streamTurn: (input) => runStream((c) => c.streamTurn(input)),
+    sendMessage: (input) => runOnce((c) => c.sendMessage(input)),
+    sendFunctionResponse: (name, payload, options = {}) =>
+      run((c) => c.sendFunctionResponse(name, payload, options), !!options.stream),
+    sendFunctionResponses: (responses, options = {}) =>
+      run((c) => c.sendFunctionResponses(responses, options), !!options.stream),
+    getHistory: () => chat.getHistory(),
+    async appendHistory(contents) {
+      await chat.appendHistory(contents);
+      history = [...(await chat.getHistory())];
+    },
+    async replaceHistory(contents) {
+      history = [...contents];
+      rebuild(currentModel);
+    },
+  };
+}
@@ -0,0 +1,377 @@
+/*──────────────────── PROVEEDORES LLM ───────────────────*/
+// Capa de proveedores para el modelo conversacional. La lógica de sesión
+// (/realtime-ws) solo habla con esta interfaz y nunca con el SDK del vendor:
+//
+//   provider.startChat({ systemInstruction, functionDeclarations, toolConfig, history,
+//                        model?, generationConfig?, safetySettings? }) → chat (chat.modelName: modelo usado)
+//   chat.streamTurn(input)                               → async iterable de eventos
+//   chat.sendMessage(input)                              → Promise<{ text, usage? }>
+//   chat.sendFunctionResponse(name, payload, options)    → igual que streamTurn / sendMessage
+//   chat.sendFunctionResponses(responses, options)       → varias respuestas en un solo mensaje
+//   chat.getHistory()                                    → Promise<Content[]>
+//   chat.appendHistory(contents)                         → añade turnos al historial sin llamar al modelo
+//   chat.replaceHistory(contents)                        → sustituye el historial (compactación del contexto)
+//
+// Eventos normalizados del stream:
+//   { type: "text", text }
+//   { type: "function_call", functionCall: { name, args }, thoughtSignature }
+//   { type: "thought_signature", thoughtSignature }
+//   { type: "usage", usage }
+//
+// El historial se expresa siempre en formato Content de Gemini ({ role, parts }),
+// que es el que se persiste y se reutiliza al reconstruir un chat. Igual con
+// generationConfig: se acepta el formato de Gemini (GENERATION_CONFIG_SCHEMA).
+
+import fs from "fs";
+
+/**
+ * Parámetros de generación que se pueden fijar por conversación (esquema de
+ * validateToolArgs). Cualquier otra clave se rechaza al validar.
+ */
+export const GENERATION_CONFIG_SCHEMA = {
+  type: "object",
+  properties: {
+    temperature: { type: "number", minimum: 0, maximum: 2 },
+    topP: { type: "number", minimum: 0, maximum: 1 },
+    topK: { type: "integer", minimum: 1, maximum: 100 },
+    maxOutputTokens: { type: "integer", minimum: 1, maximum: 65536 },
+    presencePenalty: { type: "number", minimum: -2, maximum: 2 },
+    frequencyPenalty: { type: "number", minimum: -2, maximum: 2 },
+    thinkingConfig: {
+      type: "object",
+      properties: { thinkingBudget: { type: "integer", minimum: -1, maximum: 32768 } },
+    },
+  },
+};
+
+/**
+ * Normaliza la entrada de un turno a un array de parts.
+ */
+function toParts(input) {
+  if (Array.isArray(input)) {
+    return input.map((p) => (typeof p === "string" ? { text: p } : p));
+  }
+  return [{ text: (input ?? "").toString() }];
+}
+
+/**
+ * Construye el objeto functionResponse en el formato que espera Vertex AI.
+ */
+function buildFunctionResponseParts(name, payload, { thoughtSignature = null, extraText = null } = {}) {
+  const functionResponseObj = {
+    name: name,
+    response: {
+      name: name,
+      content: payload
+    }
+  };
+
+  // Para modelos con "thinking" (Gemini 2.5+), incluir thought_signature si existe
+  if (thoughtSignature) {
+    functionResponseObj.thoughtSignature = thoughtSignature;
+  }
+
+  const parts = [{ functionResponse: functionResponseObj }];
+  // Texto adicional (instrucciones) en el mismo mensaje que el resultado
+  if (extraText) parts.push({ text: extraText });
+  return parts;
+}
+
+/**
+ * Respuesta multi-part a varias llamadas del mismo turno (llamadas en paralelo).
+ * responses: [{ name, payload, thoughtSignature? }], en el orden de las llamadas.
+ */
+function buildMultiFunctionResponseParts(responses, { extraText = null } = {}) {
+  const parts = responses.flatMap(({ name, payload, thoughtSignature = null }) =>
+    buildFunctionResponseParts(name, payload, { thoughtSignature })
+  );
+  if (extraText) parts.push({ text: extraText });
+  return parts;
+}
+
+/*──────────────────── VERTEX AI / GEMINI ───────────────────*/
+
+/**
+ * Recorre el stream de Vertex y lo traduce a eventos normalizados.
+ * Mantiene el logging detallado por chunk que usábamos para depurar.
+ */
+async function* normalizeVertexStream(stream, logTag = "GEMINI STREAM") {
+  let chunkIndex = 0;
+  for await (const chunk of stream) {
+    chunkIndex++;
+
+    if (!chunk || typeof chunk !== "object") {
+      console.warn(`[${logTag} #${chunkIndex}] Chunk inválido:`, chunk);
+      continue;
+    }
+
+    console.log(`[${logTag} #${chunkIndex}] Chunk recibido:`, JSON.stringify(chunk, null, 2));
+
+    if (chunk.finishReason) {
+      console.log(`[${logTag} #${chunkIndex}] Finish reason: ${chunk.finishReason}`);
+    }
+    if (chunk.blockedReason) {
+      console.warn(`[${logTag} #${chunkIndex}] Blocked reason: ${chunk.blockedReason}`);
+    }
+    if (chunk.usageMetadata) {
+      yield { type: "usage", usage: chunk.usageMetadata };
+    }
+
+    const candidates = Array.isArray(chunk.candidates) ? chunk.candidates : [];
+
+    for (const cand of candidates) {
+      if (cand?.finishReason) {
+        console.log(`[${logTag} #${chunkIndex}] Candidate finish reason: ${cand.finishReason}`);
+      }
+
+      if (!cand || !cand.content || !Array.isArray(cand.content.parts)) {
+        console.warn(`[${logTag} #${chunkIndex}] Candidato sin parts válidas:`, cand);
+        continue;
+      }
+
+      for (const part of cand.content.parts) {
+        if (!part) continue;
+
+        // Texto del asistente (delta)
+        if (typeof part.text === "string" && part.text.length > 0 && !part.thought) {
+          yield { type: "text", text: part.text };
+        }
+
+        // thought_signature para modelos con "thinking" (Gemini 2.5+)
+        if (part.thought && part.thoughtSignature) {
+          yield { type: "thought_signature", thoughtSignature: part.thoughtSignature };
+        }
+
+        // Llamada a herramienta (la firma puede venir dentro del propio functionCall)
+        if (part.functionCall) {
+          yield {
+            type: "function_call",
+            functionCall: part.functionCall,
+            thoughtSignature: part.functionCall.thoughtSignature || part.thoughtSignature || null
+          };
+        }
+      }
+    }
+  }
+  console.log(`[${logTag}] Total chunks: ${chunkIndex}`);
+}
+
+/**
+ * Extrae el texto plano de una respuesta no-stream de Vertex.
+ */
+function textFromVertexResponse(response) {
+  const parts = response?.candidates?.[0]?.content?.parts || [];
+  return parts
+    .filter((p) => typeof p?.text === "string" && !p.thought)
+    .map((p) => p.text)
+    .join("");
+}
+
+/**
+ * Proveedor Vertex AI (Gemini). Recibe el GenerativeModel ya resuelto y,
+ * opcionalmente, `getModel(nombre)` para chats que piden otro modelo.
+ */
+export function createVertexProvider({ model, modelName = "", getModel = null }) {
+  if (!model) throw new Error("createVertexProvider: falta el modelo de Vertex AI.");
+  const models = new Map([[modelName, model]]);
+
+  const resolveModel = (name) => {
+    if (!name || name === modelName) return { chatModel: model, chatModelName: modelName };
+    if (!getModel) {
+      console.warn(`[GEMINI] No se puede cambiar al modelo ${name}: se usa ${modelName}.`);
+      return { chatModel: model, chatModelName: modelName };
+    }
+    if (!models.has(name)) models.set(name, getModel(name));
+    return { chatModel: models.get(name), chatModelName: name };
+  };
+
+  return {
+    name: "vertex",
+    modelName,
+
+    startChat({ systemInstruction = "", functionDeclarations = [], toolConfig = null, history = [], model: requestedModel = null, generationConfig = null, safetySettings = [] } = {}) {
+      const { chatModel, chatModelName } = resolveModel(requestedModel);
+      const chatConfig = {
+        systemInstruction: { parts: [{ text: systemInstruction }] },
+        ...(history.length > 0 ? { history } : {}),
+        ...(generationConfig && Object.keys(generationConfig).length > 0 ? { generationConfig } : {}),
+        ...(safetySettings?.length > 0 ? { safetySettings } : {})
+      };
+      if (functionDeclarations.length > 0) {
+        chatConfig.tools = [{ functionDeclarations }];
+        if (toolConfig) chatConfig.toolConfig = toolConfig;
+      }
+
+      let session = chatModel.startChat(chatConfig);
+
+      const sendStreamed = async function* (parts, logTag) {
+        const result = await session.sendMessageStream(parts);
+        yield* normalizeVertexStream(result.stream, logTag);
+      };
+      const sendOnce = async (parts) => {
+        const result = await session.sendMessage(parts);
+        return {
+          text: textFromVertexResponse(result?.response),
+          usage: result?.response?.usageMetadata || null,
+          raw: result
+        };
+      };
+
+      return {
+        modelName: chatModelName,
+        streamTurn(input) {
+          return sendStreamed(toParts(input), "GEMINI STREAM");
+        },
+        sendMessage(input) {
+          return sendOnce(toParts(input));
+        },
+        sendFunctionResponse(name, payload, { stream = false, thoughtSignature = null, extraText = null } = {}) {
+          const parts = buildFunctionResponseParts(name, payload, { thoughtSignature, extraText });
+          return stream ? sendStreamed(parts, "GEMINI FUNCTION RESPONSE") : sendOnce(parts);
+        },
+        sendFunctionResponses(responses, { stream = false, extraText = null } = {}) {
+          const parts = buildMultiFunctionResponseParts(responses, { extraText });
+          return stream ? sendStreamed(parts, "GEMINI FUNCTION RESPONSES") : sendOnce(parts);
+        },
+        getHistory() {
+          return session.getHistory();
+        },
+        // El SDK no permite escribir en el historial: se rehace la sesión con él
+        async appendHistory(contents) {
+          const history = [...(await session.getHistory()), ...contents];
+          session = chatModel.startChat({ ...chatConfig, history });
+        },
+        async replaceHistory(contents) {
+          session = chatModel.startChat({ ...chatConfig, history: [...contents] });
+        }
+      };
+    }
+  };
+}
+
+/*──────────────────── PROVEEDOR SCRIPTED (OFFLINE) ───────────────────*/
+
+/**
+ * Normaliza un guion: acepta un array de turnos o { turns, fallbackText }.
+ * Cada turno: { deltas?: string[], text?: string, functionCalls?: [{ name, args }], usage? }
+ */
+function normalizeScript(script) {
+  const raw = Array.isArray(script) ? { turns: script } : (script || {});
+  const turns = Array.isArray(raw.turns) ? raw.turns : [];
+  return {
+    turns: turns.map((t, i) => {
+      if (!t || typeof t !== "object") throw new Error(`Guion LLM inválido: turno #${i} no es un objeto.`);
+      const deltas = Array.isArray(t.deltas) ? t.deltas.map(String) : (t.text ? [String(t.text)] : []);
+      const functionCalls = Array.isArray(t.functionCalls) ? t.functionCalls : [];
+      for (const fc of functionCalls) {
+        if (!fc?.name) throw new Error(`Guion LLM inválido: functionCall sin nombre en turno #${i}.`);
+      }
+      return { deltas, functionCalls, usage: t.usage || null };
+    }),
+    fallbackText: typeof raw.fallbackText === "string" ? raw.fallbackText : ""
+  };
+}
+
+/**
+ * Carga un guion JSON desde disco (LLM_SCRIPT_FILE).
+ */
+export function loadScriptFile(filePath) {
+  const content = fs.readFileSync(filePath, "utf8");
+  return JSON.parse(content);
+}
+
+/**
+ * Proveedor determinista que reproduce un guion de deltas de texto y llamadas
+ * a herramientas. Cada chat lleva su propia posición en el guion: cada turno
+ * que espera respuesta en stream (streamTurn o sendFunctionResponse con stream)
+ * consume la siguiente entrada; los sendMessage sin stream solo quedan
+ * registrados en el historial. Cuando el guion se agota se responde con
+ * `fallbackText`. Un chat rehecho continúa donde iba el anterior si recibe su
+ * posición en `scriptCursor`.
+ */
+export function createScriptedProvider({ script } = {}) {
+  const { turns, fallbackText } = normalizeScript(script);
+
+  return {
+    name: "scripted",
+    modelName: "scripted",
+
+    startChat({ history = [], scriptCursor = 0 } = {}) {
+      const chatHistory = [...history];
+      let cursor = Math.max(0, Number(scriptCursor) || 0);
+
+      const nextTurn = () => {
+        if (cursor < turns.length) return turns[cursor++];
+        return { deltas: fallbackText ? [fallbackText] : [], functionCalls: [], usage: null };
+      };
+
+      const replay = async function* (parts) {
+        chatHistory.push({ role: "user", parts });
+        const turn = nextTurn();
+        const modelParts = [];
+        for (const delta of turn.deltas) {
+          modelParts.push({ text: delta });
+          yield { type: "text", text: delta };
+        }
+        for (const fc of turn.functionCalls) {
+          const functionCall = { name: fc.name, args: fc.args || {} };
+          modelParts.push({ functionCall });
+          yield { type: "function_call", functionCall, thoughtSignature: null };
+        }
+        if (turn.usage) yield { type: "usage", usage: turn.usage };
+        chatHistory.push({ role: "model", parts: modelParts.length > 0 ? modelParts : [{ text: "" }] });
+      };
+      const record = async (parts) => {
+        chatHistory.push({ role: "user", parts });
+        return { text: "" };
+      };
+
+      return {
+        modelName: "scripted",
+        // Posición en el guion: para inspeccionar en tests y para rehacer el chat sin repetir turnos
+        get scriptCursor() { return cursor; },
+        streamTurn(input) {
+          return replay(toParts(input));
+        },
+        sendMessage(input) {
+          return record(toParts(input));
+        },
+        sendFunctionResponse(name, payload, { stream = false, thoughtSignature = null, extraText = null } = {}) {
+          const parts = buildFunctionResponseParts(name, payload, { thoughtSignature, extraText });
+          return stream ? replay(parts) : record(parts);
+        },
+        sendFunctionResponses(responses, { stream = false, extraText = null } = {}) {
+          const parts = buildMultiFunctionResponseParts(responses, { extraText });
+          return stream ? replay(parts) : record(parts);
+        },
+        async getHistory() {
+          return [...chatHistory];
+        },
+        async appendHistory(contents) {
+          chatHistory.push(...contents);
+        },
+        async replaceHistory(contents) {
+          chatHistory.splice(0, chatHistory.length, ...contents);
+        }
+      };
+    }
+  };
+}
+
+/*──────────────────── REGISTRO ───────────────────*/
+
+/**
+ * Crea el proveedor indicado por nombre. Para añadir un vendor nuevo basta con
+ * registrar aquí su factoría; la sesión no necesita cambios.
+ */
+export function createLlmProvider(name, deps = {}) {
+  switch (String(name || "vertex").toLowerCase()) {
+    case "vertex":
+    case "gemini":
+      return createVertexProvider(deps);
+    case "scripted":
+      return createScriptedProvider(deps);
+    default:
+      throw new Error(`Proveedor LLM desconocido: ${name}`);
+  }
+}
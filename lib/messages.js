@@ -0,0 +1,430 @@
+/*──────────────────── MENSAJES DEL SERVIDOR POR IDIOMA ───────────────────*/
+// Catálogo de los textos que genera el servidor, por idioma:
+//
+//   USER_MESSAGES   → lo que ve/oye el usuario (confirmaciones deterministas,
+//                     despedidas, títulos por defecto). Todos los idiomas de LANGUAGES.
+//   SYSTEM_MESSAGES → instrucciones y notas de contexto que se inyectan al modelo.
+//                     Solo es y en: el resto usa en (el prompt de sistema ya fija
+//                     el idioma de respuesta).
+//
+// Los valores admiten {{slot}} como las plantillas de prompts/. Las fechas de
+// las reservas se formatean en la zona horaria del asistente (Cal.com) o, si no
+// viene, en la del bot (`timeZone`).
+
+import { baseLanguage, toLocale, DEFAULT_LANGUAGE } from "./languages.js";
+import { renderTemplate } from "./prompt-templates.js";
+
+const FALLBACK_SYSTEM_LANGUAGE = "en";
+
+export const USER_MESSAGES = {
+  es: {
+    "quota.farewell": "Lo siento, este asistente ha alcanzado su límite de uso por ahora, así que tengo que terminar aquí la conversación. ¡Gracias por tu tiempo!",
+    "email.sentTo": "¡Listo! Ya te envié el email con la información a {{recipient}}. Revisa tu bandeja de entrada.",
+    "email.sent": "¡Listo! Ya te envié el email con la información. Revisa tu bandeja de entrada.",
+    "booking.defaultTitle": "Tu cita",
+    "failover.filler": "Un momento, por favor.",
+    "llm.unavailable": "Lo siento, estoy teniendo un problema técnico y no he podido responderte. ¿Me lo puedes repetir en unos segundos?",
+    "tool.invalidArgs": "Lo siento, no he podido completar esa acción porque falta algún dato o no es correcto. ¿Me lo puedes indicar de nuevo?",
+  },
+  en: {
+    "quota.farewell": "I'm sorry, this assistant has reached its usage limit for now, so I have to end our conversation here. Thank you for your time!",
+    "email.sentTo": "Done! I've sent the email with the information to {{recipient}}. Please check your inbox.",
+    "email.sent": "Done! I've sent the email with the information. Please check your inbox.",
+    "booking.defaultTitle": "Your appointment",
+    "failover.filler": "One moment, please.",
+    "llm.unavailable": "I'm sorry, I'm having a technical problem and couldn't answer you. Could you say that again in a few seconds?",
+    "tool.invalidArgs": "I'm sorry, I couldn't complete that action because some information is missing or incorrect. Could you give it to me again?",
+  },
+  ca: {
+    "quota.farewell": "Ho sento, aquest assistent ha arribat al seu límit d'ús de moment, així que he d'acabar aquí la conversa. Gràcies pel teu temps!",
+    "email.sentTo": "Fet! Ja t'he enviat el correu amb la informació a {{recipient}}. Revisa la safata d'entrada.",
+    "email.sent": "Fet! Ja t'he enviat el correu amb la informació. Revisa la safata d'entrada.",
+    "booking.defaultTitle": "La teva cita",
+    "failover.filler": "Un moment, si us plau.",
+    "llm.unavailable": "Ho sento, tinc un problema tècnic i no t'he pogut respondre. M'ho pots repetir d'aquí a uns segons?",
+    "tool.invalidArgs": "Ho sento, no he pogut completar aquesta acció perquè falta alguna dada o no és correcta. Me la pots tornar a indicar?",
+  },
+  fr: {
+    "quota.farewell": "Désolé, cet assistant a atteint sa limite d'utilisation pour le moment, je dois donc terminer notre conversation ici. Merci pour votre temps !",
+    "email.sentTo": "C'est fait ! Je vous ai envoyé l'e-mail avec les informations à {{recipient}}. Consultez votre boîte de réception.",
+    "email.sent": "C'est fait ! Je vous ai envoyé l'e-mail avec les informations. Consultez votre boîte de réception.",
+    "booking.defaultTitle": "Votre rendez-vous",
+    "failover.filler": "Un instant, s'il vous plaît.",
+    "llm.unavailable": "Désolé, je rencontre un problème technique et je n'ai pas pu vous répondre. Pouvez-vous répéter dans quelques secondes ?",
+    "tool.invalidArgs": "Désolé, je n'ai pas pu effectuer cette action car une information manque ou est incorrecte. Pouvez-vous me la redonner ?",
+  },
+  de: {
+    "quota.farewell": "Es tut mir leid, dieser Assistent hat sein Nutzungslimit vorerst erreicht, daher muss ich unser Gespräch hier beenden. Vielen Dank für Ihre Zeit!",
+    "email.sentTo": "Erledigt! Ich habe Ihnen die E-Mail mit den Informationen an {{recipient}} gesendet. Bitte sehen Sie in Ihrem Posteingang nach.",
+    "email.sent": "Erledigt! Ich habe Ihnen die E-Mail mit den Informationen gesendet. Bitte sehen Sie in Ihrem Posteingang nach.",
+    "booking.defaultTitle": "Ihr Termin",
+    "failover.filler": "Einen Moment, bitte.",
+    "llm.unavailable": "Es tut mir leid, ich habe gerade ein technisches Problem und konnte Ihnen nicht antworten. Können Sie das in ein paar Sekunden wiederholen?",
+    "tool.invalidArgs": "Es tut mir leid, ich konnte diese Aktion nicht ausführen, weil eine Angabe fehlt oder nicht stimmt. Können Sie sie mir noch einmal nennen?",
+  },
+  it: {
+    "quota.farewell": "Mi dispiace, questo assistente ha raggiunto il suo limite di utilizzo per ora, quindi devo terminare qui la conversazione. Grazie per il tuo tempo!",
+    "email.sentTo": "Fatto! Ti ho inviato l'email con le informazioni a {{recipient}}. Controlla la tua casella di posta.",
+    "email.sent": "Fatto! Ti ho inviato l'email con le informazioni. Controlla la tua casella di posta.",
+    "booking.defaultTitle": "Il tuo appuntamento",
+    "failover.filler": "Un momento, per favore.",
+    "llm.unavailable": "Mi dispiace, ho un problema tecnico e non sono riuscito a risponderti. Puoi ripetere tra qualche secondo?",
+    "tool.invalidArgs": "Mi dispiace, non sono riuscito a completare questa azione perché manca qualche dato o non è corretto. Puoi indicarmelo di nuovo?",
+  },
+  pt: {
+    "quota.farewell": "Lamento, este assistente atingiu o seu limite de utilização por agora, por isso tenho de terminar aqui a conversa. Obrigado pelo seu tempo!",
+    "email.sentTo": "Pronto! Já lhe enviei o email com a informação para {{recipient}}. Verifique a sua caixa de entrada.",
+    "email.sent": "Pronto! Já lhe enviei o email com a informação. Verifique a sua caixa de entrada.",
+    "booking.defaultTitle": "A sua marcação",
+    "failover.filler": "Um momento, por favor.",
+    "llm.unavailable": "Lamento, estou com um problema técnico e não consegui responder-lhe. Pode repetir daqui a uns segundos?",
+    "tool.invalidArgs": "Lamento, não consegui concluir essa ação porque falta algum dado ou não está correto. Pode indicar-mo de novo?",
+  },
+};
+
+export const SYSTEM_MESSAGES = {
+  es: {
+    // Contexto interno
+    "context.header": "[Contexto interno del sistema: acciones recientes]",
+    "context.languageChanged": "El usuario ha pasado a hablar en {{language}}: responde a partir de ahora en {{language}}.",
+    "context.interrupted": "El usuario interrumpió tu última respuesta; solo llegó a oír: \"{{partial}}\".",
+    "context.interruptedSilent": "El usuario interrumpió tu última respuesta antes de que dijeras nada.",
+    "context.navigation": "Navegación web realizada: seccion_tag=\"{{tag}}\".",
+    "context.emailSentTo": "Email enviado correctamente a {{recipient}} (confirmación determinística del servidor).",
+    "context.emailSent": "Email enviado correctamente (confirmación determinística del servidor).",
+    "context.humanReleased": "Un operador humano ({{operator}}) atendió la conversación en tu lugar. Lo que dijo al usuario: {{said}}.",
+    "context.humanSilent": "(no escribió nada al usuario)",
+    "context.humanSummary": " Resumen del operador: {{summary}}.",
+    "context.humanResume": " Retoma tú la conversación a partir de aquí, coherente con lo que dijo el operador y sin repetirlo.",
+
+    // Turnos del supervisor en el registro de la conversación
+    "turn.humanTakeover": "Un operador humano ({{operator}}) toma el control de la conversación.",
+    "turn.humanReleased": "El operador humano ({{operator}}) devuelve el control al asistente.",
+    "turn.correctionFailed": "Corrección fallida ({{mode}}): {{error}}",
+    "turn.retracted": "Mensaje retirado.",
+    "turn.retractedNote": "Mensaje retirado: {{note}}",
+    "turn.replaced": "Mensaje sustituido.",
+    "turn.replacedNote": "Mensaje sustituido: {{note}}",
+    "turn.redoTool": "Repetir {{name}} con argumentos corregidos.",
+    "turn.redoToolNote": "Repetir {{name}} con argumentos corregidos: {{note}}",
+    "context.retracted": "El supervisor retiró tu último mensaje (\"{{text}}\"); el usuario ya no lo ve.{{reason}} No lo repitas ni lo menciones.",
+    "context.retractedReason": " Motivo: {{reason}}.",
+    "context.tour": "[Contexto: He dicho al usuario lo siguiente durante el tour] \"{{text}}\"",
+    "context.summary": "[Resumen de la conversación anterior, generado por el sistema]\n{{summary}}",
+    "context.summaryAck": "Entendido. Continúo la conversación teniendo en cuenta este resumen.",
+    "context.notesSummary": "Resumen de acciones anteriores: {{summary}}",
+
+    // Base de conocimiento
+    "knowledge.cite": "Responde con la información de estos pasajes que sea relevante, de forma natural y breve. Justo después de cada frase basada en un pasaje añade su ID entre dobles corchetes, por ejemplo [[{{example}}]]: el sistema lo retira antes de mostrar o leer la respuesta, así que no menciones los IDs ni los pasajes de ninguna otra forma. Si los pasajes no responden a la pregunta, dilo y no inventes.",
+    "knowledge.empty": "No hay pasajes relevantes en la base de conocimiento. Di al usuario que no tienes esa información y ofrécele otra ayuda; no inventes.",
+    "knowledge.error": "Error consultando la base de conocimiento: {{error}}",
+
+    // Resúmenes de la ventana de contexto
+    "summary.history": "Resumes el principio de una conversación entre un asistente comercial y un usuario para que el asistente pueda continuarla sin el historial completo. Las líneas USUARIO/SISTEMA incluyen notas internas entre corchetes; RESULTADO es lo que devolvió una herramienta. Si aparece un resumen anterior, intégralo. Escribe en el idioma de la conversación, en viñetas breves y sin inventar nada, con estas secciones:\n- Datos del usuario: nombre, email, teléfono, empresa, necesidades y cualquier otro dato capturado, literal.\n- Acciones realizadas: herramientas ejecutadas y su resultado (emails enviados, datos guardados, reservas, navegación).\n- Pendiente: datos que faltan por pedir o confirmar, preguntas sin responder y compromisos del asistente.\n- Contexto: tema de la conversación, tono y preferencias del usuario.",
+    "summary.notes": "Condensa estas notas internas del sistema sobre una conversación en una sola nota breve (máximo 3 frases). Conserva las acciones realizadas y sus resultados, los datos concretos (emails, secciones, nombres) y cualquier instrucción que siga vigente. No inventes nada.",
+
+    // Resultados de herramientas
+    "tool.unknown": "La herramienta «{{name}}» no existe.",
+    "tool.cancelled": "El usuario interrumpió la respuesta; la acción NO se ejecutó.",
+    "tool.parallelError": "Error ejecutando herramientas: {{error}}",
+    "tool.duplicate": "Llamada idéntica a otra de este turno; no se repitió.",
+    "tool.fallbackResult": "El resultado de la herramienta {{name}} fue: {{payload}}",
+    "tool.result.saved": "[RESULTADO DE HERRAMIENTA \"{{name}}\": ÉXITO - Los datos fueron guardados]\n\nConfirma brevemente que los datos YA se guardaron (1 frase).",
+    "tool.result.callback": "[RESULTADO DE HERRAMIENTA \"{{name}}\": ÉXITO - La solicitud fue registrada]\n\nConfirma brevemente que la solicitud YA se registró (1 frase).",
+    "tool.result.success": "[RESULTADO DE HERRAMIENTA \"{{name}}\": ÉXITO]\n\nConfirma brevemente que la acción YA se realizó (1 frase).",
+    "tool.result.queued": "[RESULTADO DE HERRAMIENTA \"{{name}}\": EN COLA - {{message}}]\n\nIndica brevemente que la solicitud quedó registrada y se procesará en unos minutos (1 frase). No digas que ya se completó.",
+    "tool.result.error": "[RESULTADO DE HERRAMIENTA \"{{name}}\": ERROR - {{message}}]\n\nDiscúlpate brevemente por el error y ofrece ayuda.",
+    "tool.result.data": "[RESULTADO DE HERRAMIENTA \"{{name}}\"]\n\n{{data}}\n\n{{instruction}}",
+    "tool.result.dataInstruction": "Presenta este resultado al usuario de forma natural y conversacional, con los datos más relevantes. No leas JSON ni nombres de campos.",
+    "tool.result.confirm": "[RESULTADO DE HERRAMIENTA \"{{name}}\": ÉXITO]\n\n{{instruction}}",
+    "tool.result.confirmInstruction": "Confirma brevemente que la acción YA se realizó (1 frase).",
+    "tool.result.silent": "[SISTEMA: La acción \"{{name}}\" se completó. Continúa la conversación con naturalidad sin mencionar detalles técnicos.]",
+    "tool.result.truncated": "…(recortado)",
+    "tool.defaultError": "Hubo un problema",
+    "tool.navigation.ok": "[SISTEMA: Acabas de navegar al usuario a la sección \"{{section}}\". Responde brevemente confirmando la navegación y/o explicando lo que puede ver allí.]",
+    "tool.navigation.error": "[SISTEMA: Hubo un problema al navegar: {{error}}. Discúlpate brevemente y ofrece alternativas.]",
+    "tool.navigation.defaultSection": "solicitada",
+    "tool.navigation.defaultError": "sección no encontrada",
+
+    // Validación de argumentos de herramientas (lib/tool-schema.js)
+    "validation.notObject": "Los argumentos deben ser un objeto.",
+    "validation.type": "«{{field}}» debe ser de tipo {{expected}}.",
+    "validation.enum": "«{{field}}» debe ser uno de: {{allowed}}.",
+    "validation.format": "«{{field}}» debe ser {{hint}}.",
+    "validation.pattern": "«{{field}}» no tiene el formato esperado.",
+    "validation.minLength": "«{{field}}» debe tener al menos {{limit}} caracteres.",
+    "validation.maxLength": "«{{field}}» debe tener como máximo {{limit}} caracteres.",
+    "validation.minimum": "«{{field}}» debe ser ≥ {{limit}}.",
+    "validation.maximum": "«{{field}}» debe ser ≤ {{limit}}.",
+    "validation.minItems": "«{{field}}» debe tener al menos {{limit}} elementos.",
+    "validation.maxItems": "«{{field}}» debe tener como máximo {{limit}} elementos.",
+    "validation.required": "Falta el campo obligatorio «{{field}}».",
+    "validation.hint.email": "un email válido (nombre@dominio.com)",
+    "validation.hint.phone": "un teléfono válido (solo dígitos, espacios y +, mínimo 6 dígitos)",
+    "validation.hint.date": "una fecha AAAA-MM-DD",
+    "validation.hint.date-time": "una fecha-hora ISO-8601",
+    "validation.hint.uri": "una URL completa",
+    "validation.schema.format": "Debe ser {{hint}}.",
+    "validation.schema.minLength": "Mínimo {{limit}} caracteres.",
+    "validation.schema.maxLength": "Máximo {{limit}} caracteres.",
+    "validation.retry": "La herramienta «{{name}}» NO se ejecutó: los argumentos no son válidos. Corrige la llamada con los datos que ya tienes{{ask}}. No inventes datos.",
+    "validation.retryAsk": " o pide al usuario: {{fields}}",
+    "validation.giveUp": "La herramienta «{{name}}» NO se ejecutó tras {{attempt}} intentos. No vuelvas a llamarla en este turno: pide al usuario los datos que faltan o son incorrectos.",
+
+    // Seguimiento tras herramienta
+    "followUp.email": "[SISTEMA: El email se envió correctamente. Da SOLO una confirmación breve de 1 frase como \"Listo, el email ha sido enviado. Revisa tu bandeja de entrada.\" y si quieres pregunta si necesita algo más. NO repitas el contenido del email ni lo que ibas a enviar.]",
+    "followUp.saved": "[SISTEMA: Los datos se guardaron correctamente. Da SOLO una confirmación breve de 1 frase y continúa.]",
+    "followUp.callback": "[SISTEMA: La solicitud de llamada se registró. Da SOLO una confirmación breve.]",
+    "followUp.success": "[SISTEMA: La acción se completó con éxito. Da una confirmación MUY BREVE (1 frase máximo).]",
+    "followUp.error": "[SISTEMA: Hubo un problema con la acción. Discúlpate brevemente y ofrece ayuda.]",
+
+    // Búsqueda de propiedades
+    "search.results": "[RESULTADO DE BÚSQUEDA DE PROPIEDADES - {{count}} encontradas]\n\n{{summary}}\n\nPresenta estos resultados al usuario de forma natural y conversacional. Menciona los datos más relevantes: precio, ubicación, habitaciones, superficie y características destacadas. Si la propiedad tiene descripción interesante, comparte los detalles más útiles. No menciones imágenes ni URLs.",
+    "search.empty": "[BÚSQUEDA DE PROPIEDADES - 0 resultados]\nNo se encontraron propiedades con los filtros: {{filters}}\n\nInforma al usuario que no hay resultados y sugiere ampliar la búsqueda (mayor presupuesto, otra zona, menos filtros).",
+    "search.error": "[ERROR EN BÚSQUEDA DE PROPIEDADES: {{error}}]\n\nDiscúlpate brevemente e invita al usuario a reformular su búsqueda.",
+    "search.defaultError": "No se pudieron buscar propiedades",
+    "search.heading": "{{index}}. **{{type}}** en {{city}} ({{province}})",
+    "search.price": "   Precio: {{price}} ({{frequency}})",
+    "search.priceOnRequest": "Consultar",
+    "search.sale": "venta",
+    "search.rooms": "   {{bedrooms}} habitaciones, {{bathrooms}} baños",
+    "search.surfaceBuilt": "   Superficie construida: {{value}}m²",
+    "search.surfacePlot": "   Parcela: {{value}}m²",
+    "search.pool": "   Piscina: Sí",
+    "search.newBuild": "   Obra nueva: Sí",
+    "search.ref": "   Ref: {{value}}",
+    "search.description": "   Descripción: {{value}}",
+    "search.features": "   Características: {{value}}",
+
+    // Correcciones del supervisor
+    "correction.replaced": "[SUPERVISOR: tu último mensaje se ha sustituido por el siguiente texto aprobado. Continúa a partir de él.]",
+    "correction.redoTool": "[CORRECCIÓN DEL SUPERVISOR: vuelve a ejecutar la herramienta \"{{name}}\" con los argumentos corregidos {{args}}{{guidance}}]\n\nCuando tengas el resultado, informa al usuario brevemente (1-2 frases). No digas que estás corrigiendo nada ni te disculpes.",
+    "correction.retractedHistory": "[Respuesta retirada por el supervisor: el usuario ya no la ve. No la repitas.]",
+    "correction.guidance": ". Indicaciones del supervisor: {{message}}",
+    "correction.append": `
+      INSTRUCCIÓN DE CORRECCIÓN URGENTE:
+      Tu respuesta anterior contenía un error que ha sido detectado por tu sistema de supervisión interno.
+      Tu tarea AHORA es generar una nueva respuesta al usuario donde hagas lo siguiente, en este orden:
+      1. Discúlpate amablemente por la confusión o el error en tu mensaje anterior. Puedes mencionar que tu sistema lo ha detectado para ser transparente.
+      2. Proporciona la información correcta o realiza la acción correcta basándote en la siguiente directiva de tu supervisor: "{{message}}"
+      3. Continúa la conversación de forma natural después de haber corregido el error.
+      4. MUY IMPORTANTE: Todo lo anterior es solo para respuestas equivocadas y corregidas por el supervisor: Si el error corresponde a una ejecución incorrecta de una herramienta, no digas que estás corrigiendo nada, simplemente indica que estás en proceso de realizar la acción y vuelve a ejecutarla correctamente según las indicaciones del supervisor.
+    `,
+
+    // Reservas
+    "booking.confirmed": "INSTRUCCIÓN: El usuario acaba de agendar una cita con éxito. Los detalles son: \"{{title}}\" para el {{date}} (hora de {{timeZone}}).\n1) Confirma verbalmente la cita mencionando día y hora.\n2) Indica que recibirá un email del sistema con el enlace a Google Meet para la videoconferencia y que le permite añadir la cita a su calendario.\n3) Pregunta si necesita algo más.",
+    "booking.confirmedNoDate": "INSTRUCCIÓN: El usuario acaba de agendar una cita con éxito.\n1) Confirma verbalmente la cita.\n2) Indica que recibirá un email del sistema con el enlace a Google Meet para la videoconferencia y que le permite añadir la cita a su calendario.\n3) Pregunta si necesita algo más.",
+    "booking.trigger": "Ok, entendido. Procede a confirmar la cita al usuario.",
+    "booking.fallbackConfirmed": "INSTRUCCIÓN: El usuario acaba de agendar una cita con éxito. Detalles: \"{{title}}\" para el {{date}} (hora de {{timeZone}}).\n1) Confirma verbalmente la cita mencionando día y hora.\n2) Indica que recibirá un email con los detalles.\n3) Pregunta si necesita algo más.",
+    "booking.fallbackConfirmedNoDate": "INSTRUCCIÓN: El usuario acaba de agendar una cita con éxito.\n1) Confirma verbalmente la cita.\n2) Indica que recibirá un email con los detalles.\n3) Pregunta si necesita algo más.",
+    "booking.closedDefault": "Usuario cerró sin agendar.",
+    "booking.closed": `[EVENTO DEL SISTEMA: El frontend acaba de informar que el usuario CERRÓ la ventana de agendamiento SIN seleccionar ninguna cita. El mensaje del frontend fue: "{{details}}"]
+
+CONTEXTO: El usuario tenía abierta la ventana para agendar una cita pero la cerró sin elegir ningún horario. Esto puede ser porque:
+- Cambió de opinión
+- No encontró un horario que le convenga
+- Fue un error y quiere volver a intentarlo
+
+TU RESPUESTA DEBE:
+1) Reconocer amablemente que cerró la ventana (sin juzgar)
+2) Ofrecer que si quiere volver a ver los horarios, solo tiene que pedírtelo
+3) Dejar claro que no hay problema si prefiere hacerlo en otro momento
+4) Preguntar en qué más puedes ayudar
+
+EJEMPLO: "Veo que cerraste la ventana de agendado. Si fue un error o quieres volver a ver los horarios disponibles, solo dímelo. Si prefieres agendar en otro momento, no hay ningún problema. ¿Hay algo más en lo que pueda ayudarte?"
+
+⚠️ IMPORTANTE: NO llames a ninguna herramienta en esta respuesta. Solo responde con texto.`,
+    "booking.respond": "Responde al usuario según las instrucciones anteriores.",
+  },
+
+  en: {
+    "context.header": "[Internal system context: recent actions]",
+    "context.languageChanged": "The user has switched to {{language}}: reply in {{language}} from now on.",
+    "context.interrupted": "The user interrupted your last reply; they only heard: \"{{partial}}\".",
+    "context.interruptedSilent": "The user interrupted your last reply before you said anything.",
+    "context.navigation": "Web navigation done: seccion_tag=\"{{tag}}\".",
+    "context.emailSentTo": "Email sent successfully to {{recipient}} (deterministic server confirmation).",
+    "context.emailSent": "Email sent successfully (deterministic server confirmation).",
+    "context.humanReleased": "A human operator ({{operator}}) handled the conversation in your place. What they told the user: {{said}}.",
+    "context.humanSilent": "(they did not write anything to the user)",
+    "context.humanSummary": " Operator's summary: {{summary}}.",
+    "context.humanResume": " Take the conversation back from here, consistent with what the operator said and without repeating it.",
+
+    "turn.humanTakeover": "A human operator ({{operator}}) takes over the conversation.",
+    "turn.humanReleased": "The human operator ({{operator}}) hands control back to the assistant.",
+    "turn.correctionFailed": "Correction failed ({{mode}}): {{error}}",
+    "turn.retracted": "Message withdrawn.",
+    "turn.retractedNote": "Message withdrawn: {{note}}",
+    "turn.replaced": "Message replaced.",
+    "turn.replacedNote": "Message replaced: {{note}}",
+    "turn.redoTool": "Repeat {{name}} with corrected arguments.",
+    "turn.redoToolNote": "Repeat {{name}} with corrected arguments: {{note}}",
+    "context.retracted": "The supervisor withdrew your last message (\"{{text}}\"); the user no longer sees it.{{reason}} Do not repeat or mention it.",
+    "context.retractedReason": " Reason: {{reason}}.",
+    "context.tour": "[Context: I told the user the following during the tour] \"{{text}}\"",
+    "context.summary": "[Summary of the earlier conversation, generated by the system]\n{{summary}}",
+    "context.summaryAck": "Understood. I will continue the conversation with this summary in mind.",
+    "context.notesSummary": "Summary of earlier actions: {{summary}}",
+
+    "knowledge.cite": "Answer with the relevant information from these passages, naturally and briefly. Right after each sentence based on a passage add its ID in double square brackets, for example [[{{example}}]]: the system removes it before showing or reading the reply, so do not mention the IDs or the passages in any other way. If the passages do not answer the question, say so and do not make anything up.",
+    "knowledge.empty": "There are no relevant passages in the knowledge base. Tell the user you do not have that information and offer other help; do not make anything up.",
+    "knowledge.error": "Error querying the knowledge base: {{error}}",
+
+    "summary.history": "You summarize the beginning of a conversation between a sales assistant and a user so the assistant can continue it without the full history. USUARIO/SISTEMA lines include internal notes in brackets; RESULTADO is what a tool returned. If an earlier summary appears, merge it in. Write in the language of the conversation, in short bullet points and without inventing anything, with these sections:\n- User data: name, email, phone, company, needs and any other captured data, verbatim.\n- Actions taken: tools executed and their result (emails sent, data saved, bookings, navigation).\n- Pending: data still to ask for or confirm, unanswered questions and commitments made by the assistant.\n- Context: topic of the conversation, tone and user preferences.",
+    "summary.notes": "Condense these internal system notes about a conversation into a single short note (3 sentences at most). Keep the actions taken and their results, concrete data (emails, sections, names) and any instruction that still applies. Do not invent anything.",
+
+    "tool.unknown": "The tool «{{name}}» does not exist.",
+    "tool.cancelled": "The user interrupted the reply; the action was NOT executed.",
+    "tool.parallelError": "Error running tools: {{error}}",
+    "tool.duplicate": "Identical to another call in this turn; it was not repeated.",
+    "tool.fallbackResult": "The result of the tool {{name}} was: {{payload}}",
+    "tool.result.saved": "[TOOL RESULT \"{{name}}\": SUCCESS - The data was saved]\n\nBriefly confirm that the data HAS BEEN saved (1 sentence).",
+    "tool.result.callback": "[TOOL RESULT \"{{name}}\": SUCCESS - The request was registered]\n\nBriefly confirm that the request HAS BEEN registered (1 sentence).",
+    "tool.result.success": "[TOOL RESULT \"{{name}}\": SUCCESS]\n\nBriefly confirm that the action HAS BEEN done (1 sentence).",
+    "tool.result.queued": "[TOOL RESULT \"{{name}}\": QUEUED - {{message}}]\n\nBriefly say that the request has been registered and will be processed in a few minutes (1 sentence). Do not say it is already done.",
+    "tool.result.error": "[TOOL RESULT \"{{name}}\": ERROR - {{message}}]\n\nBriefly apologize for the error and offer help.",
+    "tool.result.data": "[TOOL RESULT \"{{name}}\"]\n\n{{data}}\n\n{{instruction}}",
+    "tool.result.dataInstruction": "Present this result to the user in a natural, conversational way, with the most relevant data. Do not read out JSON or field names.",
+    "tool.result.confirm": "[TOOL RESULT \"{{name}}\": SUCCESS]\n\n{{instruction}}",
+    "tool.result.confirmInstruction": "Briefly confirm that the action HAS BEEN done (1 sentence).",
+    "tool.result.silent": "[SYSTEM: The action \"{{name}}\" was completed. Continue the conversation naturally without mentioning technical details.]",
+    "tool.result.truncated": "…(truncated)",
+    "tool.defaultError": "Something went wrong",
+    "tool.navigation.ok": "[SYSTEM: You just took the user to the \"{{section}}\" section. Reply briefly confirming the navigation and/or explaining what they can see there.]",
+    "tool.navigation.error": "[SYSTEM: There was a problem navigating: {{error}}. Briefly apologize and offer alternatives.]",
+    "tool.navigation.defaultSection": "requested",
+    "tool.navigation.defaultError": "section not found",
+
+    "validation.notObject": "The arguments must be an object.",
+    "validation.type": "«{{field}}» must be of type {{expected}}.",
+    "validation.enum": "«{{field}}» must be one of: {{allowed}}.",
+    "validation.format": "«{{field}}» must be {{hint}}.",
+    "validation.pattern": "«{{field}}» does not have the expected format.",
+    "validation.minLength": "«{{field}}» must have at least {{limit}} characters.",
+    "validation.maxLength": "«{{field}}» must have at most {{limit}} characters.",
+    "validation.minimum": "«{{field}}» must be ≥ {{limit}}.",
+    "validation.maximum": "«{{field}}» must be ≤ {{limit}}.",
+    "validation.minItems": "«{{field}}» must have at least {{limit}} items.",
+    "validation.maxItems": "«{{field}}» must have at most {{limit}} items.",
+    "validation.required": "The required field «{{field}}» is missing.",
+    "validation.hint.email": "a valid email (name@domain.com)",
+    "validation.hint.phone": "a valid phone number (only digits, spaces and +, at least 6 digits)",
+    "validation.hint.date": "a YYYY-MM-DD date",
+    "validation.hint.date-time": "an ISO-8601 date-time",
+    "validation.hint.uri": "a full URL",
+    "validation.schema.format": "Must be {{hint}}.",
+    "validation.schema.minLength": "At least {{limit}} characters.",
+    "validation.schema.maxLength": "At most {{limit}} characters.",
+    "validation.retry": "The tool «{{name}}» was NOT executed: the arguments are not valid. Fix the call with the data you already have{{ask}}. Do not make up data.",
+    "validation.retryAsk": " or ask the user for: {{fields}}",
+    "validation.giveUp": "The tool «{{name}}» was NOT executed after {{attempt}} attempts. Do not call it again in this turn: ask the user for the missing or incorrect data.",
+
+    "followUp.email": "[SYSTEM: The email was sent successfully. Give ONLY a brief 1-sentence confirmation such as \"Done, the email has been sent. Please check your inbox.\" and optionally ask if they need anything else. Do NOT repeat the content of the email or what you were going to send.]",
+    "followUp.saved": "[SYSTEM: The data was saved successfully. Give ONLY a brief 1-sentence confirmation and continue.]",
+    "followUp.callback": "[SYSTEM: The callback request was registered. Give ONLY a brief confirmation.]",
+    "followUp.success": "[SYSTEM: The action completed successfully. Give a VERY BRIEF confirmation (1 sentence max).]",
+    "followUp.error": "[SYSTEM: There was a problem with the action. Briefly apologize and offer help.]",
+
+    "search.results": "[PROPERTY SEARCH RESULT - {{count}} found]\n\n{{summary}}\n\nPresent these results to the user in a natural, conversational way. Mention the most relevant data: price, location, bedrooms, surface area and standout features. If the property has an interesting description, share the most useful details. Do not mention images or URLs.",
+    "search.empty": "[PROPERTY SEARCH - 0 results]\nNo properties were found with the filters: {{filters}}\n\nTell the user there are no results and suggest broadening the search (higher budget, another area, fewer filters).",
+    "search.error": "[PROPERTY SEARCH ERROR: {{error}}]\n\nBriefly apologize and invite the user to rephrase their search.",
+    "search.defaultError": "Properties could not be searched",
+    "search.heading": "{{index}}. **{{type}}** in {{city}} ({{province}})",
+    "search.price": "   Price: {{price}} ({{frequency}})",
+    "search.priceOnRequest": "On request",
+    "search.sale": "sale",
+    "search.rooms": "   {{bedrooms}} bedrooms, {{bathrooms}} bathrooms",
+    "search.surfaceBuilt": "   Built area: {{value}}m²",
+    "search.surfacePlot": "   Plot: {{value}}m²",
+    "search.pool": "   Pool: Yes",
+    "search.newBuild": "   New build: Yes",
+    "search.ref": "   Ref: {{value}}",
+    "search.description": "   Description: {{value}}",
+    "search.features": "   Features: {{value}}",
+
+    "correction.replaced": "[SUPERVISOR: your last message has been replaced with the following approved text. Continue from it.]",
+    "correction.redoTool": "[SUPERVISOR CORRECTION: run the tool \"{{name}}\" again with the corrected arguments {{args}}{{guidance}}]\n\nOnce you have the result, briefly tell the user (1-2 sentences). Do not say you are correcting anything and do not apologize.",
+    "correction.retractedHistory": "[Reply withdrawn by the supervisor: the user no longer sees it. Do not repeat it.]",
+    "correction.guidance": ". Supervisor's guidance: {{message}}",
+    "correction.append": `
+      URGENT CORRECTION INSTRUCTION:
+      Your previous reply contained an error that was detected by your internal supervision system.
+      Your task NOW is to write a new reply to the user doing the following, in this order:
+      1. Kindly apologize for the confusion or the error in your previous message. You may mention that your system detected it, to be transparent.
+      2. Give the correct information or perform the correct action based on the following directive from your supervisor: "{{message}}"
+      3. Continue the conversation naturally after correcting the error.
+      4. VERY IMPORTANT: All of the above applies only to wrong replies corrected by the supervisor. If the error was an incorrect tool execution, do not say you are correcting anything; just say you are in the process of performing the action and run it again correctly following the supervisor's guidance.
+    `,
+
+    "booking.confirmed": "INSTRUCTION: The user has just booked an appointment successfully. The details are: \"{{title}}\" on {{date}} ({{timeZone}} time).\n1) Confirm the appointment verbally, mentioning the day and time.\n2) Say they will receive an email from the system with the Google Meet link for the video call, which also lets them add the appointment to their calendar.\n3) Ask if they need anything else.",
+    "booking.confirmedNoDate": "INSTRUCTION: The user has just booked an appointment successfully.\n1) Confirm the appointment verbally.\n2) Say they will receive an email from the system with the Google Meet link for the video call, which also lets them add the appointment to their calendar.\n3) Ask if they need anything else.",
+    "booking.trigger": "Ok, understood. Go ahead and confirm the appointment to the user.",
+    "booking.fallbackConfirmed": "INSTRUCTION: The user has just booked an appointment successfully. Details: \"{{title}}\" on {{date}} ({{timeZone}} time).\n1) Confirm the appointment verbally, mentioning the day and time.\n2) Say they will receive an email with the details.\n3) Ask if they need anything else.",
+    "booking.fallbackConfirmedNoDate": "INSTRUCTION: The user has just booked an appointment successfully.\n1) Confirm the appointment verbally.\n2) Say they will receive an email with the details.\n3) Ask if they need anything else.",
+    "booking.closedDefault": "User closed without booking.",
+    "booking.closed": `[SYSTEM EVENT: The frontend has just reported that the user CLOSED the scheduling window WITHOUT choosing any appointment. The frontend message was: "{{details}}"]
+
+CONTEXT: The user had the scheduling window open but closed it without picking a time slot. This may be because:
+- They changed their mind
+- They couldn't find a time that suits them
+- It was a mistake and they want to try again
+
+YOUR REPLY MUST:
+1) Kindly acknowledge that they closed the window (without judging)
+2) Offer to show the time slots again if they just ask
+3) Make clear it's no problem if they prefer to do it another time
+4) Ask what else you can help with
+
+EXAMPLE: "I see you closed the scheduling window. If it was a mistake or you'd like to see the available times again, just let me know. If you'd rather book another time, that's no problem at all. Is there anything else I can help you with?"
+
+⚠️ IMPORTANT: Do NOT call any tool in this reply. Reply with text only.`,
+    "booking.respond": "Reply to the user following the instructions above.",
+  },
+};
+
+/**
+ * Texto del catálogo en el idioma indicado. Los mensajes al usuario caen al
+ * idioma por defecto; las instrucciones al modelo, a inglés.
+ */
+export function message(language, key, vars = {}) {
+  const lang = baseLanguage(language) || DEFAULT_LANGUAGE;
+  const text = USER_MESSAGES[lang]?.[key]
+    ?? USER_MESSAGES[DEFAULT_LANGUAGE][key]
+    ?? SYSTEM_MESSAGES[lang]?.[key]
+    ?? SYSTEM_MESSAGES[FALLBACK_SYSTEM_LANGUAGE][key];
+  if (text === undefined) throw new Error(`Mensaje desconocido: ${key}`);
+  return renderTemplate(text, vars);
+}
+
+/**
+ * Traductor ligado a un idioma que puede cambiar (idioma actual de la sesión).
+ */
+export const createTranslator = (getLanguage) => (key, vars) => message(getLanguage(), key, vars);
+
+/*──────────────────── FECHAS Y ZONAS HORARIAS ───────────────────*/
+
+// Zona por defecto de los bots sin `timeZone` (lectura diferida: dotenv carga después)
+export const defaultTimeZone = () => process.env.DEFAULT_TIME_ZONE || "Europe/Madrid";
+
+export function isValidTimeZone(timeZone) {
+  if (!timeZone || typeof timeZone !== "string") return false;
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch (_) {
+    return false;
+  }
+}
+
+/**
+ * Fecha y hora legibles en el idioma y la zona indicados. Usa la primera zona
+ * válida de `timeZones` (p. ej. [asistente, bot]). Devuelve { text, timeZone }
+ * o null si la fecha no es válida.
+ */
+export function formatDateTime(iso, { language, timeZones = [] } = {}) {
+  const date = iso ? new Date(iso) : null;
+  if (!date || Number.isNaN(date.getTime())) return null;
+  const timeZone = timeZones.find(isValidTimeZone) || defaultTimeZone();
+  const text = new Intl.DateTimeFormat(toLocale(language), { timeZone, dateStyle: "full", timeStyle: "short" }).format(date);
+  return { text, timeZone };
+}
@@ -0,0 +1,156 @@
+/*──────────────────── AJUSTES DEL MODELO POR BOT ───────────────────*/
+// Modelo y parámetros de generación de cada bot (InteracBotGPT.modelSettings):
+//
+//   modelSettings: {
+//     model?: "gemini-2.5-flash",
+//     temperature?, topP?, maxOutputTokens?,
+//     thinkingBudget?: n,                 (-1 = dinámico, 0 = sin thinking)
+//     functionCallingMode?: "AUTO" | "ANY" | "NONE",
+//     safetySettings?: [{ category: "HARM_CATEGORY_...", threshold: "BLOCK_..." }],
+//     contextTokenBudget?: n,             (tokens de prompt antes de resumir el historial; 0 = nunca)
+//   }
+//
+// Precedencia: valores por defecto del proceso (GEMINI_MODEL,
+// GEMINI_FUNCTION_CALL_MODE) < modelSettings del bot < variante del experimento
+// A/B (model, generationConfig). La configuración efectiva queda en
+// Conversations.ModelSettings. Los ajustes del bot que no pasan la validación
+// se descartan (con aviso en el log) y se usan los valores por defecto.
+
+import { GENERATION_CONFIG_SCHEMA } from "./llm-providers.js";
+import { validateToolArgs } from "./tool-schema.js";
+
+export const FUNCTION_CALLING_MODES = ["AUTO", "ANY", "NONE"];
+export const HARM_CATEGORIES = [
+  "HARM_CATEGORY_HATE_SPEECH",
+  "HARM_CATEGORY_DANGEROUS_CONTENT",
+  "HARM_CATEGORY_HARASSMENT",
+  "HARM_CATEGORY_SEXUALLY_EXPLICIT",
+];
+export const HARM_BLOCK_THRESHOLDS = ["BLOCK_LOW_AND_ABOVE", "BLOCK_MEDIUM_AND_ABOVE", "BLOCK_ONLY_HIGH", "BLOCK_NONE", "OFF"];
+
+const { temperature, topP, maxOutputTokens } = GENERATION_CONFIG_SCHEMA.properties;
+
+export const MODEL_SETTINGS_SCHEMA = {
+  type: "object",
+  description: "Modelo y parámetros de generación del bot.",
+  properties: {
+    model: { type: "string", pattern: "^[A-Za-z0-9._/-]{1,128}$", description: "Sin modelo se usa GEMINI_MODEL." },
+    temperature,
+    topP,
+    maxOutputTokens,
+    thinkingBudget: { type: "integer", minimum: -1, maximum: 32768, description: "Tokens de thinking (-1 dinámico, 0 desactivado)." },
+    functionCallingMode: { type: "string", enum: FUNCTION_CALLING_MODES, description: "Sin modo se usa GEMINI_FUNCTION_CALL_MODE (AUTO)." },
+    safetySettings: {
+      type: "array",
+      maxItems: HARM_CATEGORIES.length,
+      items: {
+        type: "object",
+        required: ["category", "threshold"],
+        properties: {
+          category: { type: "string", enum: HARM_CATEGORIES },
+          threshold: { type: "string", enum: HARM_BLOCK_THRESHOLDS },
+        },
+      },
+    },
+    contextTokenBudget: { type: "integer", minimum: 0, maximum: 1048576, description: "Sin presupuesto se usa LLM_CONTEXT_TOKEN_BUDGET." },
+  },
+};
+
+/**
+ * Comprobaciones que el esquema no cubre: campos desconocidos y categorías de
+ * seguridad repetidas.
+ */
+export function validateModelSettings(settings, field = "modelSettings") {
+  const errors = [];
+  if (!settings || typeof settings !== "object" || Array.isArray(settings)) return errors;
+  for (const key of Object.keys(settings)) {
+    if (!MODEL_SETTINGS_SCHEMA.properties[key]) {
+      errors.push({ field: `${field}.${key}`, code: "unknown_field", allowed: Object.keys(MODEL_SETTINGS_SCHEMA.properties), message: `«${key}» no es un ajuste de modelo admitido.` });
+    }
+  }
+  if (Array.isArray(settings.safetySettings)) {
+    const seen = new Set();
+    settings.safetySettings.forEach((s, i) => {
+      if (seen.has(s?.category)) {
+        errors.push({ field: `${field}.safetySettings[${i}].category`, code: "duplicate_name", message: `La categoría «${s.category}» está repetida.` });
+      }
+      seen.add(s?.category);
+    });
+  }
+  return errors;
+}
+
+/**
+ * Ajustes del bot sin los campos que no pasan el esquema ni validateModelSettings.
+ * Devuelve { settings, errors }.
+ */
+export function sanitizeModelSettings(settings, field = "modelSettings") {
+  if (settings === undefined || settings === null) return { settings: {}, errors: [] };
+  if (typeof settings !== "object" || Array.isArray(settings)) {
+    return { settings: {}, errors: [{ field, code: "invalid_type", expected: "object", message: "modelSettings debe ser un objeto." }] };
+  }
+  const errors = [
+    ...validateToolArgs(MODEL_SETTINGS_SCHEMA, settings).errors.map((e) => ({ ...e, field: `${field}.${e.field}` })),
+    ...validateModelSettings(settings, field),
+  ];
+  // Se descarta el ajuste entero (p. ej. todo safetySettings si falla una entrada)
+  const invalid = new Set(errors.map((e) => e.field.slice(field.length + 1).split(/[.[]/)[0]));
+  const clean = Object.fromEntries(Object.entries(settings).filter(([key]) => !invalid.has(key)));
+  return { settings: clean, errors };
+}
+
+const defaultFunctionCallingMode = () => {
+  const mode = (process.env.GEMINI_FUNCTION_CALL_MODE || "AUTO").toUpperCase();
+  return FUNCTION_CALLING_MODES.includes(mode) ? mode : "AUTO";
+};
+
+// Une dos generationConfig; thinkingConfig se mezcla campo a campo
+const mergeGenerationConfig = (base, override) => {
+  const merged = { ...base, ...override };
+  if (base.thinkingConfig || override.thinkingConfig) {
+    merged.thinkingConfig = { ...base.thinkingConfig, ...override.thinkingConfig };
+  }
+  return merged;
+};
+
+/**
+ * Configuración efectiva del modelo para una conversación:
+ * { model, generationConfig, safetySettings, functionCallingMode, contextTokenBudget }.
+ * `contextTokenBudget` es null si el bot no lo fija (el del proceso).
+ * `model` es null si no lo fija ni el bot ni la variante (el del proveedor).
+ */
+export function resolveModelSettings(botData = {}, variant = null) {
+  const { settings, errors } = sanitizeModelSettings(botData.modelSettings);
+  if (errors.length > 0) {
+    console.warn("[MODEL SETTINGS] Ajustes del bot inválidos, se usan los valores por defecto:",
+      errors.map((e) => `${e.field}: ${e.message}`).join(" "));
+  }
+
+  const botConfig = {};
+  for (const key of ["temperature", "topP", "maxOutputTokens"]) {
+    if (typeof settings[key] === "number") botConfig[key] = settings[key];
+  }
+  // El SDK de Vertex no tipa thinkingConfig, pero lo envía tal cual a la API
+  if (Number.isInteger(settings.thinkingBudget)) botConfig.thinkingConfig = { thinkingBudget: settings.thinkingBudget };
+
+  return {
+    model: variant?.model || settings.model || null,
+    generationConfig: mergeGenerationConfig(botConfig, variant?.generationConfig || {}),
+    safetySettings: Array.isArray(settings.safetySettings) ? settings.safetySettings.map(({ category, threshold }) => ({ category, threshold })) : [],
+    functionCallingMode: FUNCTION_CALLING_MODES.includes(settings.functionCallingMode) ? settings.functionCallingMode : defaultFunctionCallingMode(),
+    contextTokenBudget: Number.isInteger(settings.contextTokenBudget) ? settings.contextTokenBudget : null,
+  };
+}
+
+/**
+ * toolConfig de Vertex para un modo de llamada a funciones:
+ * - AUTO: NO se permite allowedFunctionNames
+ * - ANY : se restringe a las funciones declaradas
+ * - NONE: prohibidas las herramientas
+ */
+export function buildToolConfig(mode, functionDeclarations = []) {
+  if (mode === "ANY") {
+    return { functionCallingConfig: { mode: "ANY", allowedFunctionNames: functionDeclarations.map((f) => f.name) } };
+  }
+  return { functionCallingConfig: { mode: mode === "NONE" ? "NONE" : "AUTO" } };
+}
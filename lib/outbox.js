@@ -0,0 +1,418 @@
+/*──────────────────── OUTBOX DE WEBHOOKS SALIENTES ───────────────────*/
+// Todo webhook saliente (órdenes de herramientas, turnos de supervisión, informes
+// finales) se persiste antes de enviarse, para no perder nada si n8n se reinicia:
+//
+//   WebhookOutbox/{id}       → { url, headers, body, idempotencyKey, kind, conversationId,
+//                                botId, status: "pending" | "delivered", attempts,
+//                                nextAttemptAt, lastError, lastStatus, createdAt, deliveredAt }
+//   WebhookDeadLetters/{id}  → entregas agotadas, con el historial del último error
+//
+// El id del documento es el hash de la clave de idempotencia, así que encolar dos
+// veces el mismo evento no duplica la entrega; la clave viaja en Idempotency-Key.
+// Un worker recoge los pendientes (índice compuesto status + nextAttemptAt), los
+// reclama con una transacción (lease) y reintenta con backoff exponencial,
+// limitando las entregas simultáneas por URL. Los 4xx (salvo 408/429) no se
+// reintentan. Cada intento se corta antes de que venza el lease, y los cuerpos
+// que no caben en un documento de Firestore (1 MiB) se recortan al encolarlos.
+
+import crypto from "crypto";
+import admin from "firebase-admin";
+import { fetchWithTimeout } from "./fetch-timeout.js";
+
+const OUTBOX = "WebhookOutbox";
+const DEAD_LETTERS = "WebhookDeadLetters";
+
+const envNumber = (name, fallback) => Number(process.env[name]) || fallback;
+
+export const OUTBOX_DEFAULTS = {
+  maxAttempts: envNumber("OUTBOX_MAX_ATTEMPTS", 8),
+  baseDelayMs: envNumber("OUTBOX_BASE_DELAY_MS", 2000),
+  maxDelayMs: envNumber("OUTBOX_MAX_DELAY_MS", 10 * 60 * 1000),
+  perUrlConcurrency: envNumber("OUTBOX_PER_URL_CONCURRENCY", 2),
+  pollIntervalMs: envNumber("OUTBOX_POLL_INTERVAL_MS", 5000),
+  leaseMs: envNumber("OUTBOX_LEASE_MS", 60000),
+  maxBodyBytes: envNumber("OUTBOX_MAX_BODY_BYTES", 512 * 1024),
+  batchSize: 20,
+};
+
+const MAX_STORED_RESPONSE_CHARS = 2000;
+const TRUNCATED_MARK = "…(recortado)";
+const MIN_TRIMMED_STRING_CHARS = 1000;
+
+const hashKey = (key) => crypto.createHash("sha256").update(String(key)).digest("hex").slice(0, 40);
+
+// Límite de concurrencia por URL (sin query string)
+const urlSlot = (url) => {
+  try {
+    const u = new URL(url);
+    return `${u.origin}${u.pathname}`;
+  } catch (_) {
+    return String(url);
+  }
+};
+
+/**
+ * Retraso antes del intento `attempt` (1 = primer reintento), con jitter del ±20%.
+ */
+export function backoffDelay(attempt, { baseDelayMs, maxDelayMs } = OUTBOX_DEFAULTS) {
+  const raw = Math.min(baseDelayMs * 2 ** Math.max(0, attempt - 1), maxDelayMs);
+  return Math.round(raw * (0.8 + Math.random() * 0.4));
+}
+
+const isRetryableStatus = (status) => status === 408 || status === 429 || status >= 500;
+
+const byteLength = (value) => Buffer.byteLength(JSON.stringify(value));
+
+// Copia con los textos de más de `cap` caracteres recortados
+const capStrings = (value, cap) => {
+  if (typeof value === "string") return value.length > cap ? value.slice(0, cap) + TRUNCATED_MARK : value;
+  if (Array.isArray(value)) return value.map((v) => capStrings(v, cap));
+  if (value && typeof value === "object") {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, capStrings(v, cap)]));
+  }
+  return value;
+};
+
+const longestString = (value) => {
+  if (typeof value === "string") return value.length;
+  if (value && typeof value === "object") return Math.max(0, ...Object.values(value).map(longestString));
+  return 0;
+};
+
+// Array más pesado del cuerpo (con más de un elemento): { parent, key, size }
+function heaviestArray(parent, key, best = null) {
+  const value = parent[key];
+  if (!value || typeof value !== "object") return best;
+  if (Array.isArray(value) && value.length > 1) {
+    const size = byteLength(value);
+    if (!best || size > best.size) best = { parent, key, size };
+  }
+  for (const k of Object.keys(value)) best = heaviestArray(value, k, best);
+  return best;
+}
+
+/**
+ * Serializa el cuerpo de un webhook dentro de maxBytes. Si no cabe, recorta los
+ * textos largos (todos al mismo tope, el mayor que quepa) y, si con textos cortos
+ * sigue sin caber, se queda con la mitad más reciente del array más pesado hasta
+ * que quepa. El cuerpo recortado lleva truncated: true y cuántos elementos se
+ * quitaron (droppedTurns, los del array `turns` de los informes; droppedItems,
+ * los de cualquier otro). Devuelve { payload, truncated }.
+ */
+export function fitBody(body, maxBytes = OUTBOX_DEFAULTS.maxBodyBytes) {
+  const payload = typeof body === "string" ? body : JSON.stringify(body ?? {});
+  if (Buffer.byteLength(payload) <= maxBytes) return { payload, truncated: false };
+  if (typeof body === "string") throw new Error(`outbox: cuerpo de ${Buffer.byteLength(payload)} bytes, máximo ${maxBytes}.`);
+
+  let root = JSON.parse(payload);
+  const isObject = root && typeof root === "object" && !Array.isArray(root);
+  if (isObject) root.truncated = true;
+
+  // Búsqueda binaria del tope de caracteres por texto
+  let low = MIN_TRIMMED_STRING_CHARS;
+  let high = longestString(root);
+  if (byteLength(capStrings(root, low)) > maxBytes) {
+    high = low;
+  } else {
+    while (high - low > 100) {
+      const mid = Math.floor((low + high) / 2);
+      if (byteLength(capStrings(root, mid)) <= maxBytes) low = mid;
+      else high = mid;
+    }
+  }
+  root = capStrings(root, low);
+  // Cuántos elementos se quitaron: los de `turns` (informes) aparte, para que el
+  // receptor sepa que el informe está incompleto
+  if (isObject) Object.assign(root, { droppedTurns: 0, droppedItems: 0 });
+
+  const holder = { root };
+  for (let round = 0; round < 32 && byteLength(holder.root) > maxBytes; round++) {
+    const list = heaviestArray(holder, "root");
+    if (!list) break;
+    const value = list.parent[list.key];
+    const dropped = Math.floor(value.length / 2);
+    list.parent[list.key] = value.slice(dropped);
+    if (isObject) {
+      if (list.parent === root && list.key === "turns") root.droppedTurns += dropped;
+      else root.droppedItems += dropped;
+    }
+  }
+  const trimmed = JSON.stringify(holder.root);
+  if (Buffer.byteLength(trimmed) > maxBytes) {
+    throw new Error(`outbox: no se pudo recortar el cuerpo por debajo de ${maxBytes} bytes.`);
+  }
+  return { payload: trimmed, truncated: true };
+}
+
+/**
+ * Crea el outbox sobre Firestore. `signRequest({ id, ...entry })` (opcional)
+ * devuelve cabeceras extra calculadas en cada intento (p. ej. firmas con timestamp).
+ */
+export function createOutbox({ db, options = {}, signRequest = null }) {
+  const cfg = { ...OUTBOX_DEFAULTS, ...options };
+  const inFlight = new Map(); // slot de URL → entregas en curso
+  let timer = null;
+  let polling = false;
+
+  const collection = () => db.collection(OUTBOX);
+
+  const acquire = (url) => {
+    const slot = urlSlot(url);
+    const n = inFlight.get(slot) || 0;
+    if (n >= cfg.perUrlConcurrency) return null;
+    inFlight.set(slot, n + 1);
+    return () => {
+      const left = (inFlight.get(slot) || 1) - 1;
+      if (left <= 0) inFlight.delete(slot);
+      else inFlight.set(slot, left);
+    };
+  };
+
+  /**
+   * Persiste un webhook. Devuelve { id, duplicate }.
+   */
+  async function enqueue({ url, body, headers = {}, kind = "generic", conversationId = null, botId = null, idempotencyKey = null, timeoutMs = 15000 }) {
+    if (!url) throw new Error("outbox.enqueue: falta url.");
+    const { payload, truncated } = fitBody(body, cfg.maxBodyBytes);
+    const key = idempotencyKey || `${kind}:${url}:${hashKey(payload)}`;
+    const id = hashKey(key);
+    if (truncated) {
+      console.warn(`[OUTBOX] Cuerpo de ${kind} ${id} recortado a ${Buffer.byteLength(payload)} bytes (máximo ${cfg.maxBodyBytes}).`);
+    }
+    const now = admin.firestore.Timestamp.now();
+    try {
+      await collection().doc(id).create({
+        url,
+        method: "POST",
+        headers,
+        body: payload,
+        bodyTruncated: truncated,
+        idempotencyKey: key,
+        kind,
+        conversationId,
+        botId,
+        timeoutMs,
+        status: "pending",
+        attempts: 0,
+        nextAttemptAt: now,
+        lastError: null,
+        lastStatus: null,
+        createdAt: now,
+        deliveredAt: null,
+      });
+      return { id, duplicate: false };
+    } catch (err) {
+      // ALREADY_EXISTS: el mismo evento ya estaba encolado
+      if (err.code === 6) {
+        console.log(`[OUTBOX] ${kind} ${id} ya estaba encolado (idempotencyKey repetida).`);
+        return { id, duplicate: true };
+      }
+      throw err;
+    }
+  }
+
+  // Reclama la entrada si sigue pendiente y vencida; el lease evita que otra instancia la coja
+  async function claim(id) {
+    const ref = collection().doc(id);
+    return db.runTransaction(async (tx) => {
+      const snap = await tx.get(ref);
+      if (!snap.exists) return null;
+      const entry = snap.data();
+      if (entry.status !== "pending") return null;
+      if (entry.nextAttemptAt?.toMillis() > Date.now()) return null;
+      tx.update(ref, { nextAttemptAt: admin.firestore.Timestamp.fromMillis(Date.now() + cfg.leaseMs) });
+      return entry;
+    });
+  }
+
+  async function moveToDeadLetters(id, entry, attempts, lastError, lastStatus) {
+    const batch = db.batch();
+    batch.set(db.collection(DEAD_LETTERS).doc(id), {
+      ...entry,
+      status: "dead",
+      attempts,
+      lastError,
+      lastStatus,
+      deadAt: admin.firestore.Timestamp.now(),
+    });
+    batch.delete(collection().doc(id));
+    await batch.commit();
+    console.error(`[OUTBOX] ${entry.kind} ${id} → dead letter tras ${attempts} intentos (${lastStatus || "sin respuesta"}: ${lastError}).`);
+  }
+
+  // Un intento de entrega de una entrada ya reclamada
+  async function attempt(id, entry) {
+    const attempts = (entry.attempts || 0) + 1;
+    const ref = collection().doc(id);
+    let status = null;
+    let responseText = "";
+    let error = null;
+
+    try {
+      const extra = signRequest ? await signRequest({ id, ...entry }) : {};
+      // El intento tiene que acabar (y anotarse) antes de que venza el lease;
+      // si no, otra instancia podría reclamar la entrada y entregarla dos veces
+      const timeoutMs = Math.min(entry.timeoutMs || 15000, Math.floor(cfg.leaseMs / 2));
+      const resp = await fetchWithTimeout(entry.url, {
+        method: entry.method || "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "Idempotency-Key": entry.idempotencyKey,
+          ...(entry.headers || {}),
+          ...extra,
+        },
+        body: entry.body,
+      }, timeoutMs, async (resp) => {
+        responseText = (await resp.text()).slice(0, MAX_STORED_RESPONSE_CHARS);
+        return resp;
+      });
+      status = resp.status;
+      if (!resp.ok) error = `HTTP ${status}`;
+    } catch (err) {
+      error = err.message;
+    }
+
+    if (!error) {
+      await ref.update({
+        status: "delivered",
+        attempts,
+        lastStatus: status,
+        lastError: null,
+        deliveredAt: admin.firestore.Timestamp.now(),
+      });
+      console.log(`[OUTBOX] ${entry.kind} ${id} entregado (intento ${attempts}, ${status}).`);
+      return { ok: true, delivered: true, status, body: responseText, attempts };
+    }
+
+    const retryable = status === null || isRetryableStatus(status);
+    if (!retryable || attempts >= cfg.maxAttempts) {
+      await moveToDeadLetters(id, entry, attempts, error, status);
+      return { ok: false, delivered: false, dead: true, status, body: responseText, error, attempts };
+    }
+
+    const delay = backoffDelay(attempts, cfg);
+    await ref.update({
+      attempts,
+      lastStatus: status,
+      lastError: error,
+      nextAttemptAt: admin.firestore.Timestamp.fromMillis(Date.now() + delay),
+    });
+    console.warn(`[OUTBOX] ${entry.kind} ${id} falló (intento ${attempts}/${cfg.maxAttempts}: ${error}). Reintento en ${delay} ms.`);
+    return { ok: false, delivered: false, dead: false, status, body: responseText, error, attempts, retryInMs: delay };
+  }
+
+  /**
+   * Intenta entregar ya una entrada (p. ej. una orden de herramienta cuyo
+   * resultado espera el modelo). Si falla queda en el outbox para el worker.
+   */
+  async function deliverNow(id) {
+    const snap = await collection().doc(id).get();
+    if (!snap.exists) return { ok: false, delivered: false, error: "no_encontrado" };
+    if (snap.data().status === "delivered") return { ok: true, delivered: true, duplicate: true, status: snap.data().lastStatus };
+
+    const release = acquire(snap.data().url);
+    if (!release) return { ok: false, delivered: false, queued: true, error: "concurrencia por URL agotada" };
+    try {
+      const entry = await claim(id);
+      if (!entry) return { ok: false, delivered: false, queued: true, error: "entrada en curso o programada" };
+      return await attempt(id, entry);
+    } finally {
+      release();
+    }
+  }
+
+  /**
+   * Encola y dispara la entrega en segundo plano (disparar y olvidar, pero persistido).
+   */
+  async function send(message) {
+    const { id, duplicate } = await enqueue(message);
+    if (!duplicate) deliverNow(id).catch((err) => console.error(`[OUTBOX] Error entregando ${id}:`, err.message));
+    return { id, duplicate };
+  }
+
+  // Una pasada del worker: entradas pendientes vencidas
+  async function poll() {
+    if (polling) return;
+    polling = true;
+    try {
+      const snap = await collection()
+        .where("status", "==", "pending")
+        .where("nextAttemptAt", "<=", admin.firestore.Timestamp.now())
+        .orderBy("nextAttemptAt")
+        .limit(cfg.batchSize)
+        .get();
+      await Promise.all(snap.docs.map(async (doc) => {
+        const release = acquire(doc.data().url);
+        if (!release) return; // se recogerá en la siguiente pasada
+        try {
+          const entry = await claim(doc.id);
+          if (entry) await attempt(doc.id, entry);
+        } catch (err) {
+          console.error(`[OUTBOX] Error procesando ${doc.id}:`, err.message);
+        } finally {
+          release();
+        }
+      }));
+    } catch (err) {
+      console.error("[OUTBOX] Error en la pasada del worker:", err.message);
+    } finally {
+      polling = false;
+    }
+  }
+
+  return {
+    enqueue,
+    send,
+    deliverNow,
+    poll,
+
+    start() {
+      if (timer) return;
+      timer = setInterval(poll, cfg.pollIntervalMs);
+      timer.unref?.();
+      console.log(`[OUTBOX] Worker iniciado (cada ${cfg.pollIntervalMs} ms, ${cfg.perUrlConcurrency} entregas simultáneas por URL).`);
+    },
+
+    stop() {
+      if (timer) clearInterval(timer);
+      timer = null;
+    },
+
+    /**
+     * Dead letters más recientes, filtrables por kind / conversationId / botId.
+     */
+    async listDeadLetters({ limit = 50, kind = null, conversationId = null, botId = null } = {}) {
+      let query = db.collection(DEAD_LETTERS);
+      if (kind) query = query.where("kind", "==", kind);
+      if (conversationId) query = query.where("conversationId", "==", conversationId);
+      if (botId) query = query.where("botId", "==", botId);
+      const snap = await query.orderBy("deadAt", "desc").limit(Math.min(Number(limit) || 50, 200)).get();
+      return snap.docs.map((d) => ({ id: d.id, ...d.data() }));
+    },
+
+    /**
+     * Devuelve un dead letter al outbox (misma clave de idempotencia, contador a 0)
+     * y lo intenta entregar. Devuelve el resultado del intento o null si no existe.
+     */
+    async replayDeadLetter(id) {
+      const deadRef = db.collection(DEAD_LETTERS).doc(id);
+      const snap = await deadRef.get();
+      if (!snap.exists) return null;
+      const { deadAt, status, ...entry } = snap.data();
+      const now = admin.firestore.Timestamp.now();
+      const batch = db.batch();
+      batch.set(collection().doc(id), {
+        ...entry,
+        status: "pending",
+        attempts: 0,
+        nextAttemptAt: now,
+        replayedAt: now,
+        deliveredAt: null,
+      });
+      batch.delete(deadRef);
+      await batch.commit();
+      console.log(`[OUTBOX] Dead letter ${id} (${entry.kind}) devuelto al outbox.`);
+      return deliverNow(id);
+    },
+  };
+}
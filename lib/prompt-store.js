@@ -0,0 +1,218 @@
+/*──────────────────── PLANTILLAS DE PROMPT VERSIONADAS ───────────────────*/
+// Versiones publicadas de las plantillas del prompt de sistema, en Firestore:
+//
+//   PromptTemplates/{templateId}               → { latestVersion, updatedAt, updatedBy }
+//   PromptTemplates/{templateId}/Versions/{n}  → { version, sections: { <idioma>: { <sección>: texto } },
+//                                                  notes, createdAt, createdBy }
+//
+// Las versiones son inmutables y numeradas desde 1; la 0 es la integrada
+// (prompts/). Una versión solo tiene que traer las secciones que cambia: el resto
+// sale de la integrada. Cada bot elige en `promptTemplate`:
+//
+//   { id?: "standard", version?: n, sections?: { <sección>: texto | { <idioma>: texto } } }
+//
+// Sin versión fijada se usa la última publicada. La versión con la que arranca
+// cada conversación queda en Conversations.PromptTemplate.
+//
+// API de administración (montada en /admin/prompt-templates):
+//
+//   GET  /                                   → plantillas publicadas
+//   GET  /:templateId                        → última versión e historial de versiones
+//   GET  /:templateId/versions/:version      → secciones de una versión (0 = integrada)
+//   POST /:templateId/versions               → { sections, notes?, expectedLatestVersion? } publica la siguiente
+
+import crypto from "crypto";
+import express from "express";
+import admin from "firebase-admin";
+import {
+  DEFAULT_TEMPLATE_ID,
+  BUILTIN_TEMPLATE_VERSION,
+  PROMPT_SECTIONS,
+  composePromptTemplate,
+  validatePromptSections,
+  builtinPromptSections,
+} from "./prompt-templates.js";
+
+const TEMPLATES = "PromptTemplates";
+const VERSIONS = "Versions";
+const TEMPLATE_ID_RE = /^[A-Za-z0-9_-]{1,64}$/;
+
+// La última versión se relee como mucho cada minuto; las versiones no cambian
+const LATEST_TTL_MS = Number(process.env.PROMPT_TEMPLATE_CACHE_MS) || 60 * 1000;
+
+const httpError = (status, error, extra = {}) => Object.assign(new Error(error), { status, body: { error, ...extra } });
+
+const sendError = (res, err, logPrefix) => {
+  if (err.status) return res.status(err.status).json(err.body);
+  console.error(`[PROMPTS] ${logPrefix}:`, err);
+  return res.status(500).json({ error: err.message });
+};
+
+// Huella del prompt final, para saber si dos conversaciones usaron el mismo texto
+export const promptHash = (text) => crypto.createHash("sha256").update(String(text)).digest("hex").slice(0, 16);
+
+/**
+ * Almacén de plantillas con caché en memoria.
+ */
+export function createPromptTemplateStore({ db }) {
+  const templates = () => db.collection(TEMPLATES);
+  const versionCache = new Map(); // "id@n" → datos de la versión
+  const latestCache = new Map();  // id → { version, at }
+
+  async function latestVersion(templateId) {
+    const cached = latestCache.get(templateId);
+    if (cached && Date.now() - cached.at < LATEST_TTL_MS) return cached.version;
+    const snap = await templates().doc(templateId).get();
+    const version = snap.exists ? Number(snap.data().latestVersion) || BUILTIN_TEMPLATE_VERSION : BUILTIN_TEMPLATE_VERSION;
+    latestCache.set(templateId, { version, at: Date.now() });
+    return version;
+  }
+
+  async function getVersion(templateId, version) {
+    if (version === BUILTIN_TEMPLATE_VERSION) {
+      return { version, sections: builtinPromptSections(), notes: "Plantilla integrada (prompts/)", createdAt: null, createdBy: null };
+    }
+    const key = `${templateId}@${version}`;
+    if (versionCache.has(key)) return versionCache.get(key);
+    const snap = await templates().doc(templateId).collection(VERSIONS).doc(String(version)).get();
+    if (!snap.exists) return null;
+    const data = snap.data();
+    versionCache.set(key, data);
+    return data;
+  }
+
+  return {
+    latestVersion,
+    getVersion,
+
+    /**
+     * Plantilla efectiva para un bot. `version` fuerza una versión concreta (la
+     * registrada en la conversación, al reanudar). Si la versión pedida no existe
+     * se usa la integrada y se avisa en el log.
+     */
+    async resolve(botData, { language, version = null } = {}) {
+      const config = botData.promptTemplate || {};
+      const templateId = config.id || DEFAULT_TEMPLATE_ID;
+      let resolvedVersion = version ?? (Number.isInteger(config.version) ? config.version : null);
+      try {
+        if (resolvedVersion === null) resolvedVersion = await latestVersion(templateId);
+        const stored = await getVersion(templateId, resolvedVersion);
+        if (!stored) {
+          console.warn(`[PROMPTS] La versión ${resolvedVersion} de "${templateId}" no existe; se usa la integrada.`);
+          resolvedVersion = BUILTIN_TEMPLATE_VERSION;
+        }
+        const template = composePromptTemplate(language, {
+          storedSections: resolvedVersion === BUILTIN_TEMPLATE_VERSION ? null : stored.sections,
+          overrides: config.sections,
+        });
+        return { templateId, version: resolvedVersion, ...template };
+      } catch (err) {
+        // Sin Firestore la conversación sigue con la plantilla integrada
+        console.error(`[PROMPTS] Error leyendo la plantilla "${templateId}", se usa la integrada:`, err.message);
+        return { templateId, version: BUILTIN_TEMPLATE_VERSION, ...composePromptTemplate(language, { overrides: config.sections }) };
+      }
+    },
+
+    /**
+     * Publica la siguiente versión de una plantilla. Devuelve { version }.
+     */
+    async publish(templateId, { sections, notes = "", actor = "admin", expectedLatestVersion = null }) {
+      const ref = templates().doc(templateId);
+      const version = await db.runTransaction(async (tx) => {
+        const snap = await tx.get(ref);
+        const current = snap.exists ? Number(snap.data().latestVersion) || 0 : 0;
+        if (expectedLatestVersion !== null && expectedLatestVersion !== undefined && Number(expectedLatestVersion) !== current) {
+          throw httpError(409, "version_conflict", { latestVersion: current });
+        }
+        const next = current + 1;
+        const now = admin.firestore.Timestamp.now();
+        tx.set(ref, { latestVersion: next, updatedAt: now, updatedBy: actor }, { merge: true });
+        tx.create(ref.collection(VERSIONS).doc(String(next)), {
+          version: next,
+          sections,
+          notes: String(notes || "").slice(0, 2000),
+          createdAt: now,
+          createdBy: actor,
+        });
+        return next;
+      });
+      latestCache.set(templateId, { version, at: Date.now() });
+      return { version };
+    },
+  };
+}
+
+/**
+ * Router de administración de plantillas (va detrás de requireAdmin).
+ */
+export function createPromptTemplateRouter({ db, store }) {
+  const router = express.Router();
+  const templates = () => db.collection(TEMPLATES);
+  const actorOf = (req) => String(req.headers["x-admin-actor"] || "admin").slice(0, 200);
+
+  router.get("/", async (_, res) => {
+    try {
+      const snap = await templates().limit(200).get();
+      res.json({
+        sections: PROMPT_SECTIONS,
+        items: snap.docs.map((d) => ({ id: d.id, latestVersion: Number(d.data().latestVersion) || 0, updatedAt: d.data().updatedAt || null })),
+      });
+    } catch (err) {
+      sendError(res, err, "Error listando plantillas");
+    }
+  });
+
+  router.get("/:templateId", async (req, res) => {
+    try {
+      const ref = templates().doc(req.params.templateId);
+      const [snap, versions] = await Promise.all([
+        ref.get(),
+        ref.collection(VERSIONS).orderBy("version", "desc").limit(Math.min(Number(req.query.limit) || 50, 200)).get(),
+      ]);
+      res.json({
+        id: req.params.templateId,
+        latestVersion: snap.exists ? Number(snap.data().latestVersion) || 0 : BUILTIN_TEMPLATE_VERSION,
+        versions: versions.docs.map((d) => {
+          const { version, notes, createdAt, createdBy, sections } = d.data();
+          return { version, notes, createdAt, createdBy, languages: Object.keys(sections || {}) };
+        }),
+      });
+    } catch (err) {
+      sendError(res, err, `Error leyendo plantilla ${req.params.templateId}`);
+    }
+  });
+
+  router.get("/:templateId/versions/:version", async (req, res) => {
+    try {
+      const version = Number(req.params.version);
+      if (!Number.isInteger(version) || version < 0) return res.status(400).json({ error: "invalid_version" });
+      const data = await store.getVersion(req.params.templateId, version);
+      if (!data) return res.status(404).json({ error: "not_found" });
+      res.json({ id: req.params.templateId, ...data });
+    } catch (err) {
+      sendError(res, err, `Error leyendo versión de ${req.params.templateId}`);
+    }
+  });
+
+  router.post("/:templateId/versions", async (req, res) => {
+    try {
+      const { templateId } = req.params;
+      if (!TEMPLATE_ID_RE.test(templateId)) return res.status(400).json({ error: "invalid_template_id" });
+      const { sections, notes = "", expectedLatestVersion = null } = req.body || {};
+      const errors = validatePromptSections(sections, { perLanguage: true });
+      if (errors.length === 0 && Object.keys(sections).length === 0) {
+        errors.push({ field: "sections", code: "missing_required", message: "La versión debe traer al menos un idioma." });
+      }
+      if (errors.length > 0) return res.status(400).json({ error: "invalid_sections", errors });
+
+      const actor = actorOf(req);
+      const { version } = await store.publish(templateId, { sections, notes, actor, expectedLatestVersion });
+      console.log(`[PROMPTS] Plantilla "${templateId}" v${version} publicada por ${actor} (${Object.keys(sections).join(", ")}).`);
+      res.status(201).json({ id: templateId, version });
+    } catch (err) {
+      sendError(res, err, `Error publicando versión de ${req.params.templateId}`);
+    }
+  });
+
+  return router;
+}
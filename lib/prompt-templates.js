@@ -0,0 +1,230 @@
+/*──────────────────── PLANTILLAS DEL PROMPT DE SISTEMA ───────────────────*/
+// El prompt estándar vive en prompts/system.<idioma>.md, una plantilla por
+// idioma dividida en secciones:
+//
+//   <!-- section: core -->        cuerpo principal ({{persona}}, {{dataPolicy}}, {{n8n}},
+//                                 {{booking}}, {{navigation}}, {{firstLine}})
+//   <!-- section: dataPolicy -->  política de datos (email escrito, confirmaciones)
+//   <!-- section: n8n -->         herramienta ejecutar_orden_n8n ({{accionesDesc}})
+//   <!-- section: booking -->     agendado con Cal.com
+//   <!-- section: navigation -->  navegación web ({{sectionsList}})
+//   <!-- section: firstLine -->   primera frase obligatoria ({{firstSentence}})
+//   <!-- section: specificHeader -->, <!-- section: defaultPersona -->
+//   <!-- section: languages -->   bots multilingües ({{languageList}})
+//   <!-- section: languageDirective --> idioma de respuesta cuando se usa la
+//                                 plantilla de otro idioma ({{languageName}})
+//
+// El contenido de una sección es literal (incluidas las líneas en blanco) hasta
+// la línea de la siguiente sección. Los idiomas sin plantilla propia usan la
+// inglesa con languageDirective.
+//
+// Estos ficheros son la versión 0 (integrada) de la plantilla "standard". Las
+// versiones publicadas por la API (lib/prompt-store.js) y las secciones propias
+// de cada bot se superponen a ella sección a sección con composePromptTemplate.
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { LANGUAGES, baseLanguage, languageName, DEFAULT_LANGUAGE } from "./languages.js";
+
+export const DEFAULT_TEMPLATE_ID = "standard";
+export const BUILTIN_TEMPLATE_VERSION = 0;
+export const PROMPT_SECTIONS = [
+  "core",
+  "dataPolicy",
+  "n8n",
+  "booking",
+  "navigation",
+  "firstLine",
+  "specificHeader",
+  "defaultPersona",
+  "languages",
+  "languageDirective",
+];
+const MAX_SECTION_CHARS = 20000;
+
+const PROMPTS_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "../prompts");
+const FALLBACK_TEMPLATE_LANGUAGE = "en";
+const SECTION_RE = /^<!-- section: ([\w-]+) -->$/;
+const SLOT_RE = /\{\{(\w+)\}\}/g;
+
+const cache = new Map();
+
+/**
+ * Parte el texto de una plantilla en secciones { nombre: contenido }.
+ */
+export function parsePromptTemplate(text) {
+  const sections = {};
+  let current = null;
+  let lines = [];
+  const flush = () => {
+    if (current) sections[current] = lines.join("\n");
+  };
+  const body = text.endsWith("\n") ? text.slice(0, -1) : text;
+  for (const line of body.split("\n")) {
+    const marker = line.match(SECTION_RE);
+    if (marker) {
+      flush();
+      current = marker[1];
+      lines = [];
+    } else if (current) {
+      lines.push(line);
+    }
+  }
+  flush();
+  return sections;
+}
+
+/**
+ * Plantilla del idioma indicado (con caché). Devuelve { language, templateLanguage, sections }.
+ */
+export function loadPromptTemplate(language) {
+  const lang = baseLanguage(language) || DEFAULT_LANGUAGE;
+  if (cache.has(lang)) return cache.get(lang);
+
+  const file = (code) => path.join(PROMPTS_DIR, `system.${code}.md`);
+  const templateLanguage = fs.existsSync(file(lang)) ? lang : FALLBACK_TEMPLATE_LANGUAGE;
+  const template = {
+    language: lang,
+    templateLanguage,
+    sections: parsePromptTemplate(fs.readFileSync(file(templateLanguage), "utf8")),
+  };
+  cache.set(lang, template);
+  return template;
+}
+
+/**
+ * Plantilla efectiva de un idioma: la integrada, con las secciones de una versión
+ * publicada (`storedSections`: { <idioma>: { <sección>: texto } }) y las propias
+ * del bot (`overrides`: { <sección>: texto | { <idioma>: texto } }) encima.
+ * Devuelve el formato de loadPromptTemplate más `overridden` (secciones del bot).
+ */
+export function composePromptTemplate(language, { storedSections = null, overrides = null } = {}) {
+  const builtin = loadPromptTemplate(language);
+  // Una versión publicada puede traer un idioma que no tiene fichero propio
+  const templateLanguage = storedSections?.[builtin.language] ? builtin.language : builtin.templateLanguage;
+  const sections = { ...builtin.sections, ...(storedSections?.[templateLanguage] || {}) };
+
+  const overridden = [];
+  for (const [name, value] of Object.entries(overrides || {})) {
+    const text = typeof value === "string" ? value : (value?.[templateLanguage] ?? value?.[builtin.language]);
+    if (!PROMPT_SECTIONS.includes(name) || typeof text !== "string") continue;
+    sections[name] = text;
+    overridden.push(name);
+  }
+  return { language: builtin.language, templateLanguage, sections, overridden };
+}
+
+/**
+ * Valida secciones de plantilla. Con `perLanguage` el formato es el de una
+ * versión publicada ({ <idioma>: { <sección>: texto } }); sin él, el de las
+ * secciones propias de un bot. Errores con el formato de validateToolArgs.
+ */
+export function validatePromptSections(sections, { field = "sections", perLanguage = false } = {}) {
+  const errors = [];
+  const isObject = (v) => !!v && typeof v === "object" && !Array.isArray(v);
+  const checkText = (text, path) => {
+    if (typeof text !== "string") {
+      errors.push({ field: path, code: "invalid_type", message: `«${path}» debe ser un texto.` });
+    } else if (text.length > MAX_SECTION_CHARS) {
+      errors.push({ field: path, code: "too_long", message: `«${path}» supera los ${MAX_SECTION_CHARS} caracteres.` });
+    }
+  };
+  const checkSection = (name, path) => {
+    if (PROMPT_SECTIONS.includes(name)) return true;
+    errors.push({ field: path, code: "unknown_section", allowed: PROMPT_SECTIONS, message: `«${name}» no es una sección de plantilla.` });
+    return false;
+  };
+  const checkLanguage = (code, path) => {
+    if (baseLanguage(code) === code) return true;
+    errors.push({ field: path, code: "invalid_enum", message: `«${code}» no es un idioma admitido.` });
+    return false;
+  };
+
+  if (!isObject(sections)) {
+    errors.push({ field, code: "invalid_type", message: `«${field}» debe ser un objeto.` });
+    return errors;
+  }
+  for (const [key, value] of Object.entries(sections)) {
+    const path = `${field}.${key}`;
+    if (perLanguage) {
+      if (!checkLanguage(key, path)) continue;
+      if (!isObject(value)) {
+        errors.push({ field: path, code: "invalid_type", message: `«${path}» debe ser un objeto { sección: texto }.` });
+        continue;
+      }
+      for (const [name, text] of Object.entries(value)) {
+        if (checkSection(name, `${path}.${name}`)) checkText(text, `${path}.${name}`);
+      }
+    } else if (checkSection(key, path)) {
+      if (isObject(value)) {
+        for (const [code, text] of Object.entries(value)) {
+          if (checkLanguage(code, `${path}.${code}`)) checkText(text, `${path}.${code}`);
+        }
+      } else {
+        checkText(value, path);
+      }
+    }
+  }
+  return errors;
+}
+
+/**
+ * Secciones de la versión integrada para los idiomas con fichero propio.
+ */
+export function builtinPromptSections() {
+  const sections = {};
+  for (const code of Object.keys(LANGUAGES)) {
+    const template = loadPromptTemplate(code);
+    if (template.templateLanguage === code) sections[code] = template.sections;
+  }
+  return sections;
+}
+
+/**
+ * Sustituye {{slot}} en una sola pasada: los valores insertados no se vuelven a
+ * interpretar (el texto del bot puede contener llaves).
+ */
+export function renderTemplate(text, vars = {}) {
+  return String(text || "").replace(SLOT_RE, (match, key) => (key in vars ? String(vars[key] ?? "") : match));
+}
+
+/**
+ * Prompt de sistema de un bot con una plantilla ya cargada. `opts` son las
+ * opciones de systemPromptOptions (herramientas activas e idiomas).
+ */
+export function renderSystemPrompt(template, botData, opts = {}) {
+  const s = template.sections;
+  const navigationMap = opts.navigationMap || {};
+
+  let navigation = "";
+  if (opts.hasNavigation && Object.keys(navigationMap).length > 0) {
+    // Formato simplificado: { "etiqueta": "descripción" }
+    const sectionsList = Object.entries(navigationMap)
+      .map(([tag, description]) => `- "${tag}": ${description}`)
+      .join("\n");
+    navigation = renderTemplate(s.navigation, { sectionsList });
+  }
+
+  const core = renderTemplate(s.core, {
+    persona: botData.Variable1 || s.defaultPersona,
+    dataPolicy: s.dataPolicy || "",
+    n8n: opts.hasN8n ? renderTemplate(s.n8n, { accionesDesc: botData.accionesDescription || "" }) : "",
+    booking: opts.hasBooking ? s.booking : "",
+    navigation,
+    firstLine: botData.Variable5 ? `\n${renderTemplate(s.firstLine, { firstSentence: botData.Variable5 })}` : "",
+  });
+
+  // Bloques de idioma, entre el cuerpo y las instrucciones específicas
+  const supported = opts.supportedLanguages || [];
+  const extras = [];
+  if (supported.length > 1 && s.languages) {
+    extras.push(renderTemplate(s.languages, { languageList: supported.map(languageName).join(", ") }));
+  }
+  if (template.templateLanguage !== template.language && s.languageDirective) {
+    extras.push(renderTemplate(s.languageDirective, { languageName: LANGUAGES[template.language].englishName }));
+  }
+  const specific = botData.Variable2 ? `\n\n${s.specificHeader}\n${botData.Variable2}` : "";
+
+  return core + extras.map((block) => `\n${block}\n`).join("") + specific;
+}
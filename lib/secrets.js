@@ -0,0 +1,132 @@
+/*──────────────────── SECRETOS POR BOT / CREADOR ───────────────────*/
+// Secretos de supervisor (/inject-correction), de firma de Cal.com
+// (/webhook/booking-completed) y de firma de los webhooks salientes a n8n,
+// fuera del documento del bot:
+//
+//   BotSecrets/{botId}          → secretos de un bot concreto
+//   CreatorSecrets/{creadorId}  → secretos compartidos por todos los bots del creador
+//
+//   { supervisor: [{ keyId, secret, active, expiresAt? }],
+//     calcom:     [{ keyId, secret, active, expiresAt? }],
+//     outbound:   [{ keyId, secret, active, expiresAt? }] }
+//
+// Para rotar sin cortes se añade la clave nueva (active: true), se actualiza el
+// emisor y después se desactiva la antigua; mientras, ambas son válidas. Si el
+// bot no tiene claves de un tipo se usan las del creador, y si tampoco, las de
+// entorno (SUPERVISOR_SECRET / CALCOM_WEBHOOK_SECRET / OUTBOUND_SIGNING_SECRET,
+// keyId "env").
+
+import crypto from "crypto";
+
+export const SECRET_KINDS = ["supervisor", "calcom", "outbound"];
+
+// Se leen al usarse: dotenv se carga después de los imports
+const ENV_SECRET_VARS = {
+  supervisor: "SUPERVISOR_SECRET",
+  calcom: "CALCOM_WEBHOOK_SECRET",
+  outbound: "OUTBOUND_SIGNING_SECRET",
+};
+const envSecret = (kind) => process.env[ENV_SECRET_VARS[kind]] || "";
+
+const CACHE_TTL_MS = Number(process.env.SECRETS_CACHE_TTL_MS) || 60000;
+const cache = new Map();
+
+async function readSecretsDoc(db, collection, id) {
+  if (!id) return null;
+  const cacheKey = `${collection}/${id}`;
+  const hit = cache.get(cacheKey);
+  if (hit && hit.expiresAt > Date.now()) return hit.data;
+  const snap = await db.collection(collection).doc(id).get();
+  const data = snap.exists ? snap.data() : null;
+  cache.set(cacheKey, { data, expiresAt: Date.now() + CACHE_TTL_MS });
+  return data;
+}
+
+function activeKeysFrom(doc, kind, scope) {
+  const list = Array.isArray(doc?.[kind]) ? doc[kind] : [];
+  const now = Date.now();
+  return list
+    .filter((k) => k && k.secret && k.active !== false)
+    .filter((k) => {
+      const exp = k.expiresAt?.toMillis ? k.expiresAt.toMillis() : (k.expiresAt ? Date.parse(k.expiresAt) : null);
+      return !exp || exp > now;
+    })
+    .map((k) => ({ keyId: String(k.keyId || "sin-id"), secret: String(k.secret), scope }));
+}
+
+/**
+ * Claves activas de un tipo para un bot: las del bot, o las del creador, o las de entorno.
+ */
+export async function getActiveKeys(db, { botId = null, creatorId = null } = {}, kind) {
+  if (!SECRET_KINDS.includes(kind)) throw new Error(`Tipo de secreto desconocido: ${kind}`);
+
+  const botKeys = activeKeysFrom(await readSecretsDoc(db, "BotSecrets", botId), kind, "bot");
+  if (botKeys.length > 0) return botKeys;
+  const creatorKeys = activeKeysFrom(await readSecretsDoc(db, "CreatorSecrets", creatorId), kind, "creator");
+  if (creatorKeys.length > 0) return creatorKeys;
+  return envSecret(kind) ? [{ keyId: "env", secret: envSecret(kind), scope: "env" }] : [];
+}
+
+/**
+ * Claves del bot de una conversación (RobotId / CreadorBot del documento Conversations).
+ * Devuelve { keys, botId, creatorId, found }.
+ */
+export async function getConversationKeys(db, conversationId, kind) {
+  const snap = await db.collection("Conversations").doc(conversationId).get();
+  if (!snap.exists) return { keys: [], botId: null, creatorId: null, found: false };
+  const conv = snap.data();
+  const botId = conv.RobotId || null;
+  const creatorId = conv.CreadorBot || null;
+  return { keys: await getActiveKeys(db, { botId, creatorId }, kind), botId, creatorId, found: true };
+}
+
+/**
+ * Claves de un bot cuando solo se conoce su id (el creador se lee del documento
+ * del bot, directamente: la caché es solo para los documentos de secretos).
+ */
+export async function getBotKeys(db, botId, kind) {
+  const snap = botId ? await db.collection("InteracBotGPT").doc(botId).get() : null;
+  const creatorId = snap?.exists ? snap.data().userId || null : null;
+  return getActiveKeys(db, { botId, creatorId }, kind);
+}
+
+const safeEqual = (a, b) => {
+  const bufA = Buffer.from(String(a));
+  const bufB = Buffer.from(String(b));
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+};
+
+/**
+ * Secreto compartido en cabecera. Si el emisor indica keyId, solo se prueba esa
+ * clave. Devuelve la clave que coincide o null.
+ */
+export function matchSharedSecret(keys, provided, keyId = null) {
+  if (!provided) return null;
+  const candidates = keyId ? keys.filter((k) => k.keyId === keyId) : keys;
+  return candidates.find((k) => safeEqual(k.secret, provided)) || null;
+}
+
+/**
+ * Firma HMAC-SHA256 en hex (admite el prefijo "sha256="). Devuelve la clave que
+ * la genera o null.
+ */
+export function matchHmacSignature(keys, rawBody, signature) {
+  if (!signature) return null;
+  const received = String(signature).replace(/^sha256=/, "");
+  return keys.find((k) => safeEqual(crypto.createHmac("sha256", k.secret).update(rawBody).digest("hex"), received)) || null;
+}
+
+/**
+ * Identificadores para los logs de firmas rechazadas (nunca el secreto).
+ */
+export function describeKeys(keys) {
+  return keys.length > 0 ? keys.map((k) => `${k.scope}:${k.keyId}`).join(", ") : "(ninguna)";
+}
+
+/**
+ * Olvida la caché (p. ej. tras rotar claves desde la API de administración).
+ */
+export function invalidateSecretsCache(collection = null, id = null) {
+  if (collection && id) cache.delete(`${collection}/${id}`);
+  else cache.clear();
+}
@@ -0,0 +1,114 @@
+/*──────────────────── EVENTOS DE SESIÓN EN VIVO (SSE) ───────────────────*/
+// Réplica de lo que ve el cliente de una conversación (transcripciones parciales,
+// respuestas del asistente, herramientas...) para los paneles de operaciones,
+// como server-sent events:
+//
+//   event: <type del mensaje>   data: <mismo JSON que recibe el cliente>
+//
+// Al suscribirse se envía primero un evento "session" con el estado actual, y
+// cada turno registrado llega además como evento "turn". Solo se replican los
+// tipos de MIRRORED_EVENT_TYPES: nunca session_info (lleva el resume token) ni
+// el audio.
+
+export const MIRRORED_EVENT_TYPES = [
+  "transcript",
+  "assistant_delta",
+  "assistant_final",
+  "assistant_interrupted",
+  "tool_execution_start",
+  "tool_execution_end",
+  "tool_validation_error",
+  "schedule_appointment_action",
+  "booking_completed",
+  "quota_exceeded",
+  "language_changed",
+  "assistant_filler",
+  "error",
+  // Solo para observadores
+  "turn",
+  "model_failover",
+  "context_compacted",
+  "human_takeover",
+  "human_released",
+  "session",
+  "session_ended",
+];
+
+const HEARTBEAT_MS = Number(process.env.SESSION_EVENTS_HEARTBEAT_MS) || 15000;
+
+/**
+ * Hub de suscriptores SSE por conversationId.
+ */
+export function createSessionEventHub() {
+  const subscribers = new Map(); // conversationId → Set<res>
+  let nextEventId = 1;
+
+  const write = (res, event) => {
+    try {
+      res.write(`id: ${nextEventId++}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+    } catch (_) {}
+  };
+
+  return {
+    /**
+     * Replica un evento a los observadores de la conversación (los tipos no
+     * replicables se ignoran).
+     */
+    publish(conversationId, event) {
+      const set = subscribers.get(conversationId);
+      if (!set || set.size === 0 || !MIRRORED_EVENT_TYPES.includes(event?.type)) return;
+      const stamped = { ...event, at: new Date().toISOString() };
+      for (const res of set) write(res, stamped);
+    },
+
+    /**
+     * Abre el stream SSE de una petición Express y lo suscribe. `snapshot` es el
+     * primer evento "session" (estado actual de la conversación).
+     */
+    subscribe(conversationId, req, res, snapshot) {
+      res.set({
+        "Content-Type": "text/event-stream",
+        "Cache-Control": "no-cache, no-transform",
+        Connection: "keep-alive",
+        // Sin buffering en proxies (nginx / Cloud Run)
+        "X-Accel-Buffering": "no",
+      });
+      res.flushHeaders?.();
+      res.write("retry: 3000\n\n");
+
+      if (!subscribers.has(conversationId)) subscribers.set(conversationId, new Set());
+      subscribers.get(conversationId).add(res);
+      write(res, { type: "session", ...snapshot, at: new Date().toISOString() });
+
+      const heartbeat = setInterval(() => {
+        try { res.write(": ping\n\n"); } catch (_) {}
+      }, HEARTBEAT_MS);
+      heartbeat.unref?.();
+
+      req.on("close", () => {
+        clearInterval(heartbeat);
+        const set = subscribers.get(conversationId);
+        set?.delete(res);
+        if (set && set.size === 0) subscribers.delete(conversationId);
+      });
+    },
+
+    /**
+     * Fin de la conversación: último evento y cierre de los streams.
+     */
+    end(conversationId, event = {}) {
+      const set = subscribers.get(conversationId);
+      if (!set) return;
+      const stamped = { type: "session_ended", ...event, at: new Date().toISOString() };
+      for (const res of set) {
+        write(res, stamped);
+        try { res.end(); } catch (_) {}
+      }
+      subscribers.delete(conversationId);
+    },
+
+    count(conversationId) {
+      return subscribers.get(conversationId)?.size || 0;
+    },
+  };
+}
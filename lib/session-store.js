@@ -0,0 +1,126 @@
+/*──────────────────── SESIONES REANUDABLES ───────────────────*/
+// Permite que un cliente que pierde el socket (típico en móvil) vuelva a la misma
+// conversación. Al crear la conversación se entrega un resume token al cliente;
+// en Firestore solo guardamos su hash. El estado de la sesión (historial del
+// modelo, notas internas, pausa) se guarda en Conversations/{id}/Session/state y
+// el informe final se retrasa un periodo de gracia por si el cliente vuelve.
+
+import crypto from "crypto";
+
+export const SESSION_RESUME_GRACE_MS = Number(process.env.SESSION_RESUME_GRACE_MS) || 120000;
+
+const hashToken = (token) => crypto.createHash("sha256").update(String(token)).digest("hex");
+
+/**
+ * Genera un token de reanudación. El token solo viaja al cliente.
+ */
+export function generateResumeToken() {
+  const token = crypto.randomBytes(32).toString("base64url");
+  return { token, hash: hashToken(token) };
+}
+
+/**
+ * Compara un token recibido con el hash guardado (tiempo constante).
+ */
+export function verifyResumeToken(token, expectedHash) {
+  if (!token || !expectedHash) return false;
+  const a = Buffer.from(hashToken(token));
+  const b = Buffer.from(String(expectedHash));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+function sessionStateRef(db, conversationId) {
+  return db.collection("Conversations").doc(conversationId).collection("Session").doc("state");
+}
+
+/**
+ * Guarda una instantánea del estado de la sesión. El historial se serializa a
+ * JSON porque Firestore no admite arrays anidados ni valores undefined.
+ */
+export async function saveSessionState(db, conversationId, state, updatedAt) {
+  await sessionStateRef(db, conversationId).set({
+    historyJson: JSON.stringify(state.history || []),
+    internalContextNotes: state.internalContextNotes || [],
+    isPausedForUserAction: !!state.isPausedForUserAction,
+    lastBookingIdProcessed: state.lastBookingIdProcessed || null,
+    lastBookingStartISO: state.lastBookingStartISO || null,
+    humanTakeover: state.humanTakeover || null,
+    language: state.language || null,
+    promptTemplate: state.promptTemplate || null,
+    experiment: state.experiment || null,
+    updatedAt,
+  });
+}
+
+/**
+ * Carga la última instantánea guardada (o null si no existe).
+ */
+export async function loadSessionState(db, conversationId) {
+  const snap = await sessionStateRef(db, conversationId).get();
+  if (!snap.exists) return null;
+  const data = snap.data();
+  let history = [];
+  try {
+    history = JSON.parse(data.historyJson || "[]");
+  } catch (e) {
+    console.warn(`[SESSION] Historial corrupto para ${conversationId}, se reanuda sin historial:`, e.message);
+  }
+  return {
+    history,
+    internalContextNotes: Array.isArray(data.internalContextNotes) ? data.internalContextNotes : [],
+    isPausedForUserAction: data.isPausedForUserAction === true,
+    lastBookingIdProcessed: data.lastBookingIdProcessed || null,
+    lastBookingStartISO: data.lastBookingStartISO || null,
+    humanTakeover: data.humanTakeover || null,
+    language: data.language || null,
+    promptTemplate: data.promptTemplate || null,
+    experiment: data.experiment || null,
+  };
+}
+
+/*──────────────── INFORMES DIFERIDOS ────────────────*/
+// Temporizadores de informe final pendientes, por conversationId.
+const deferredReports = new Map();
+
+/**
+ * Programa el informe final tras el periodo de gracia. Si ya había uno, se reemplaza.
+ */
+export function scheduleDeferredReport(conversationId, fire, delayMs = SESSION_RESUME_GRACE_MS) {
+  cancelDeferredReport(conversationId);
+  const timer = setTimeout(() => {
+    deferredReports.delete(conversationId);
+    Promise.resolve()
+      .then(fire)
+      .catch((err) => console.error(`[SESSION] Error en informe diferido de ${conversationId}:`, err));
+  }, delayMs);
+  deferredReports.set(conversationId, { timer, fire });
+}
+
+/**
+ * Cancela el informe pendiente (el cliente ha reanudado). Devuelve su función
+ * fire, para poder reprogramarlo si la reanudación no llega a completarse, o
+ * null si no había ninguno.
+ */
+export function cancelDeferredReport(conversationId) {
+  const pending = deferredReports.get(conversationId);
+  if (!pending) return null;
+  clearTimeout(pending.timer);
+  deferredReports.delete(conversationId);
+  return pending.fire;
+}
+
+/**
+ * Dispara ya todos los informes pendientes (apagado del servidor). La sesión no
+ * se cierra: si el cliente reanuda en otra instancia, habrá un informe nuevo al final.
+ */
+export async function flushDeferredReports() {
+  const pending = [...deferredReports.entries()];
+  deferredReports.clear();
+  await Promise.allSettled(
+    pending.map(([conversationId, { timer, fire }]) => {
+      clearTimeout(timer);
+      console.log(`[SESSION] Disparando informe pendiente de ${conversationId} por apagado.`);
+      return fire({ shuttingDown: true });
+    })
+  );
+}
@@ -0,0 +1,392 @@
+/*──────────────────── PROVEEDORES STT ───────────────────*/
+// Reconocimiento de voz detrás de una interfaz común:
+//
+//   provider.sampleRateHertz                                   // PCM esperado (para medir audio)
+//   provider.startStream({ languageCode, alternativeLanguageCodes?, onResult, onError, onEnd }) → stream
+//   stream.write(buffer)   // audio PCM16 mono del navegador
+//   stream.end()
+//   stream.isActive()
+//
+// onResult recibe { transcript, isFinal, confidence, languageCode }, que es lo que
+// consume onSpeechData en /realtime-ws. Con alternativeLanguageCodes (bots
+// multilingües) el backend detecta el idioma y languageCode es el reconocido.
+// Cada bot elige backend en el campo `stt`
+// de su documento InteracBotGPT:
+//
+//   stt: { provider: "google",  model?, encoding?, sampleRateHertz? }
+//   stt: { provider: "whisper", url, headers?, sampleRateHertz?, silenceMs?, interimIntervalMs? }
+//   stt: { provider: "fake",    fixture? | fixtureFile? }
+//
+// fixtureFile es solo para pruebas: se lee dentro de STT_FIXTURES_DIR y se
+// ignora si esa variable no está definida.
+
+import fs from "fs";
+import path from "path";
+import WebSocket from "ws";
+import { fetchWithTimeout } from "./fetch-timeout.js";
+
+const DEFAULT_SAMPLE_RATE = 24000;
+const DEFAULT_ENCODING = "LINEAR16";
+
+/*──────────────────── GOOGLE SPEECH-TO-TEXT ───────────────────*/
+
+/**
+ * Proveedor Google Cloud Speech (streamingRecognize).
+ */
+export function createGoogleSttProvider({ speechClient, config = {} }) {
+  if (!speechClient) throw new Error("createGoogleSttProvider: falta SpeechClient.");
+  const model = config.model || "latest_long";
+  const encoding = config.encoding || DEFAULT_ENCODING;
+  const sampleRateHertz = Number(config.sampleRateHertz) || DEFAULT_SAMPLE_RATE;
+
+  return {
+    name: "google",
+    sampleRateHertz,
+    describe: () => `google (${model}, ${sampleRateHertz / 1000}kHz, interims)`,
+
+    startStream({ languageCode, alternativeLanguageCodes = [], onResult, onError, onEnd }) {
+      const request = {
+        config: {
+          encoding,
+          sampleRateHertz,
+          languageCode,
+          ...(alternativeLanguageCodes.length > 0 ? { alternativeLanguageCodes } : {}),
+          model,
+          enableAutomaticPunctuation: true,
+          maxAlternatives: 1,
+        },
+        interimResults: true,
+      };
+
+      const recognizeStream = speechClient
+        .streamingRecognize(request)
+        .on("error", (err) => onError?.(err))
+        .on("data", (data) => {
+          const result = data.results?.[0];
+          if (!result) return;
+          const alt = result.alternatives?.[0] || {};
+          onResult?.({
+            transcript: alt.transcript || "",
+            isFinal: !!result.isFinal,
+            confidence: typeof alt.confidence === "number" ? alt.confidence : null,
+            languageCode: result.languageCode || languageCode,
+          });
+        })
+        .on("end", () => onEnd?.());
+
+      return {
+        write: (buf) => recognizeStream.write(buf),
+        end: () => recognizeStream.end(),
+        isActive: () => !recognizeStream.writableEnded && !recognizeStream.destroyed,
+      };
+    },
+  };
+}
+
+/*──────────────────── WHISPER AUTOALOJADO (WS / HTTP) ───────────────────*/
+
+/**
+ * Normaliza un mensaje de un servidor de transcripción tipo Whisper.
+ * Acepta { text | transcript, isFinal | is_final | type: "final", confidence }.
+ */
+function normalizeRemoteResult(msg, languageCode) {
+  const transcript = msg?.text ?? msg?.transcript ?? "";
+  const isFinal = msg?.isFinal ?? msg?.is_final ?? (msg?.type === "final");
+  return {
+    transcript: String(transcript),
+    isFinal: !!isFinal,
+    confidence: typeof msg?.confidence === "number" ? msg.confidence : null,
+    languageCode: msg?.language || msg?.languageCode || languageCode,
+  };
+}
+
+/**
+ * Envuelve PCM16 mono en un contenedor WAV para los endpoints HTTP.
+ */
+function pcmToWav(pcm, sampleRate) {
+  const header = Buffer.alloc(44);
+  header.write("RIFF", 0);
+  header.writeUInt32LE(36 + pcm.length, 4);
+  header.write("WAVE", 8);
+  header.write("fmt ", 12);
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(1, 20);            // PCM
+  header.writeUInt16LE(1, 22);            // mono
+  header.writeUInt32LE(sampleRate, 24);
+  header.writeUInt32LE(sampleRate * 2, 28);
+  header.writeUInt16LE(2, 32);
+  header.writeUInt16LE(16, 34);
+  header.write("data", 36);
+  header.writeUInt32LE(pcm.length, 40);
+  return Buffer.concat([header, pcm]);
+}
+
+/**
+ * Energía RMS de un bloque PCM16 (0..1), para detectar silencio en modo HTTP.
+ */
+function pcmRms(buf) {
+  const samples = Math.floor(buf.length / 2);
+  if (samples === 0) return 0;
+  let sum = 0;
+  for (let i = 0; i < samples; i++) {
+    const v = buf.readInt16LE(i * 2) / 32768;
+    sum += v * v;
+  }
+  return Math.sqrt(sum / samples);
+}
+
+/**
+ * Modo WebSocket: el audio se reenvía tal cual en frames binarios y el servidor
+ * devuelve mensajes JSON con transcripciones parciales y finales.
+ */
+function startWhisperWsStream({ url, headers, sampleRateHertz, languageCode, alternativeLanguageCodes, onResult, onError, onEnd }) {
+  const socket = new WebSocket(url, { headers });
+  const pending = [];
+  let ended = false;
+
+  socket.on("open", () => {
+    socket.send(JSON.stringify({
+      type: "config",
+      // Con alternativas el servidor detecta el idioma entre los candidatos
+      language: alternativeLanguageCodes.length > 0 ? null : languageCode,
+      languages: [languageCode, ...alternativeLanguageCodes],
+      sample_rate: sampleRateHertz,
+      encoding: "pcm_s16le",
+    }));
+    while (pending.length > 0) socket.send(pending.shift());
+    if (ended) socket.send(JSON.stringify({ type: "end" }));
+  });
+  socket.on("message", (data, isBinary) => {
+    if (isBinary) return;
+    try {
+      onResult?.(normalizeRemoteResult(JSON.parse(data.toString()), languageCode));
+    } catch (e) {
+      console.warn("[STT whisper-ws] Mensaje no-JSON ignorado:", String(data).slice(0, 200));
+    }
+  });
+  socket.on("error", (err) => onError?.(err));
+  socket.on("close", () => onEnd?.());
+
+  return {
+    write: (buf) => {
+      if (ended) return;
+      if (socket.readyState === WebSocket.OPEN) socket.send(buf);
+      else pending.push(buf);
+    },
+    end: () => {
+      if (ended) return;
+      ended = true;
+      if (socket.readyState === WebSocket.OPEN) {
+        socket.send(JSON.stringify({ type: "end" }));
+        socket.close(1000, "stt_end");
+      } else if (socket.readyState === WebSocket.CONNECTING) {
+        // Se enviará "end" al abrir; cerramos por seguridad si nunca abre.
+        setTimeout(() => { try { socket.close(1000, "stt_end"); } catch (_) {} }, 5000);
+      }
+    },
+    isActive: () => !ended && socket.readyState !== WebSocket.CLOSING && socket.readyState !== WebSocket.CLOSED,
+  };
+}
+
+/**
+ * Modo HTTP: acumula el segmento de voz y lo envía como WAV (multipart) a un
+ * endpoint tipo /v1/audio/transcriptions. Emite parciales periódicos y un final
+ * al detectar silencio o al cerrar el stream.
+ */
+function startWhisperHttpStream({ url, headers, sampleRateHertz, languageCode, alternativeLanguageCodes, silenceMs, silenceThreshold, interimIntervalMs, timeoutMs, onResult, onError, onEnd }) {
+  let segment = [];
+  let segmentBytes = 0;
+  let hasSpeech = false;
+  let silentBytes = 0;
+  let lastInterimAt = 0;
+  let interimInFlight = false;
+  let ended = false;
+  let finalChain = Promise.resolve();
+  const bytesPerMs = (sampleRateHertz * 2) / 1000;
+
+  const transcribe = async (pcm) => {
+    const form = new FormData();
+    form.append("file", new Blob([pcmToWav(pcm, sampleRateHertz)], { type: "audio/wav" }), "audio.wav");
+    // Sin "language" Whisper detecta el idioma (bots multilingües)
+    if (alternativeLanguageCodes.length === 0) form.append("language", String(languageCode).split("-")[0]);
+    form.append("response_format", alternativeLanguageCodes.length > 0 ? "verbose_json" : "json");
+    return fetchWithTimeout(url, { method: "POST", headers, body: form }, timeoutMs, (resp) => {
+      if (!resp.ok) throw new Error(`Servidor STT respondió ${resp.status}`);
+      return resp.json();
+    });
+  };
+
+  const flushFinal = () => {
+    if (!hasSpeech || segmentBytes === 0) {
+      segment = []; segmentBytes = 0; silentBytes = 0;
+      return;
+    }
+    const pcm = Buffer.concat(segment);
+    segment = []; segmentBytes = 0; hasSpeech = false; silentBytes = 0;
+    // Serializamos los finales para que lleguen en orden
+    finalChain = finalChain
+      .then(() => transcribe(pcm))
+      .then((body) => onResult?.({ ...normalizeRemoteResult(body, languageCode), isFinal: true }))
+      .catch((err) => onError?.(err));
+  };
+
+  const maybeInterim = () => {
+    if (!interimIntervalMs || interimInFlight || !hasSpeech) return;
+    const now = Date.now();
+    if (now - lastInterimAt < interimIntervalMs) return;
+    lastInterimAt = now;
+    interimInFlight = true;
+    transcribe(Buffer.concat(segment))
+      .then((body) => onResult?.({ ...normalizeRemoteResult(body, languageCode), isFinal: false }))
+      .catch((err) => console.warn("[STT whisper-http] Parcial fallido:", err.message))
+      .finally(() => { interimInFlight = false; });
+  };
+
+  return {
+    write: (buf) => {
+      if (ended) return;
+      segment.push(buf);
+      segmentBytes += buf.length;
+      if (pcmRms(buf) >= silenceThreshold) {
+        hasSpeech = true;
+        silentBytes = 0;
+      } else {
+        silentBytes += buf.length;
+      }
+      if (hasSpeech && silentBytes / bytesPerMs >= silenceMs) flushFinal();
+      else maybeInterim();
+    },
+    end: () => {
+      if (ended) return;
+      ended = true;
+      flushFinal();
+      finalChain.finally(() => onEnd?.());
+    },
+    isActive: () => !ended,
+  };
+}
+
+/**
+ * Proveedor para servidores Whisper autoalojados. Usa WebSocket si la URL es
+ * ws:// o wss://, y HTTP por segmentos en caso contrario.
+ */
+export function createWhisperSttProvider({ config = {} }) {
+  const url = String(config.url || "").trim();
+  if (!url) throw new Error("STT whisper: falta stt.url en la configuración del bot.");
+  const isWs = /^wss?:\/\//i.test(url);
+  const sampleRateHertz = Number(config.sampleRateHertz) || DEFAULT_SAMPLE_RATE;
+  const headers = config.headers && typeof config.headers === "object" ? config.headers : {};
+
+  return {
+    name: "whisper",
+    sampleRateHertz,
+    describe: () => `whisper (${isWs ? "ws" : "http"}, ${sampleRateHertz / 1000}kHz)`,
+
+    startStream({ languageCode, alternativeLanguageCodes = [], onResult, onError, onEnd }) {
+      if (isWs) {
+        return startWhisperWsStream({ url, headers, sampleRateHertz, languageCode, alternativeLanguageCodes, onResult, onError, onEnd });
+      }
+      return startWhisperHttpStream({
+        url,
+        headers,
+        sampleRateHertz,
+        languageCode,
+        alternativeLanguageCodes,
+        silenceMs: Number(config.silenceMs) || 700,
+        silenceThreshold: Number(config.silenceThreshold) || 0.01,
+        interimIntervalMs: config.interimIntervalMs === undefined ? 1500 : Number(config.interimIntervalMs),
+        timeoutMs: Number(config.timeoutMs) || 15000,
+        onResult,
+        onError,
+        onEnd,
+      });
+    },
+  };
+}
+
+/*──────────────────── FAKE (FIXTURES, SIN RED) ───────────────────*/
+
+// El nombre viene del documento del bot: nunca se sale del directorio de fixtures
+function readFixtureFile(name) {
+  const dir = process.env.STT_FIXTURES_DIR;
+  if (!dir) {
+    console.warn("[STT fake] fixtureFile ignorado: STT_FIXTURES_DIR no está definido (solo pruebas).");
+    return null;
+  }
+  const base = path.resolve(dir);
+  const file = path.resolve(base, String(name));
+  if (!file.startsWith(base + path.sep)) throw new Error(`fixtureFile fuera de STT_FIXTURES_DIR: ${name}`);
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+/**
+ * Proveedor sin red que reproduce transcripciones de un fixture:
+ *   [{ transcript, isFinal?, confidence?, delayMs? }, ...]  o  { results: [...] }
+ * Los resultados se emiten en orden al iniciar el stream; el audio recibido se ignora.
+ */
+export function createFakeSttProvider({ config = {} }) {
+  let fixture = config.fixture;
+  if (!fixture && config.fixtureFile) fixture = readFixtureFile(config.fixtureFile);
+  const results = Array.isArray(fixture) ? fixture : (fixture?.results || []);
+
+  return {
+    name: "fake",
+    sampleRateHertz: Number(config.sampleRateHertz) || DEFAULT_SAMPLE_RATE,
+    describe: () => `fake (${results.length} resultados)`,
+
+    startStream({ languageCode, onResult, onEnd }) {
+      let active = true;
+      let timer = null;
+      let index = 0;
+
+      const emitNext = () => {
+        if (!active) return;
+        if (index >= results.length) {
+          active = false;
+          onEnd?.();
+          return;
+        }
+        const r = results[index++];
+        timer = setTimeout(() => {
+          if (!active) return;
+          onResult?.({
+            transcript: String(r.transcript ?? r.text ?? ""),
+            isFinal: r.isFinal !== false,
+            confidence: typeof r.confidence === "number" ? r.confidence : null,
+            languageCode: r.languageCode || languageCode,
+          });
+          emitNext();
+        }, Number(r.delayMs) || 0);
+      };
+      emitNext();
+
+      return {
+        write: () => {},
+        end: () => {
+          active = false;
+          if (timer) clearTimeout(timer);
+        },
+        isActive: () => active,
+      };
+    },
+  };
+}
+
+/*──────────────────── REGISTRO ───────────────────*/
+
+/**
+ * Crea el proveedor STT según la configuración `stt` del bot (Google por defecto).
+ */
+export function createSttProvider(config = {}, deps = {}) {
+  const providerName = String(config?.provider || "google").toLowerCase();
+  switch (providerName) {
+    case "google":
+      return createGoogleSttProvider({ ...deps, config });
+    case "whisper":
+      return createWhisperSttProvider({ config });
+    case "fake":
+      return createFakeSttProvider({ config });
+    default:
+      throw new Error(`Proveedor STT desconocido: ${config.provider}`);
+  }
+}
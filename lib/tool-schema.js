@@ -0,0 +1,186 @@
+/*──────────────────── VALIDACIÓN DE ARGUMENTOS DE HERRAMIENTAS ───────────────────*/
+// Antes de ejecutar una herramienta, los args que produjo el modelo se validan
+// contra el esquema de parámetros declarado (subconjunto de JSON Schema):
+//
+//   type (string | number | integer | boolean | array | object), required, enum,
+//   format (email | phone | date | date-time | uri), pattern, minLength, maxLength,
+//   minimum, maximum, minItems, maxItems, items, properties
+//
+// Los errores se devuelven estructurados para enviarlos al modelo como
+// functionResponse y que corrija la llamada o pida al usuario el dato que falta.
+// Los textos salen del catálogo (validation.*) en el idioma indicado; por
+// defecto, el idioma por defecto (validación de configuración en la API de admin).
+
+import { DEFAULT_LANGUAGE } from "./languages.js";
+import { message } from "./messages.js";
+
+const FORMAT_CHECKS = {
+  email: (v) => /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/.test(v),
+  phone: (v) => /^\+?[0-9 ().-]{6,24}$/.test(v) && (v.match(/\d/g) || []).length >= 6,
+  date: (v) => /^\d{4}-\d{2}-\d{2}$/.test(v) && !Number.isNaN(Date.parse(v)),
+  "date-time": (v) => /^\d{4}-\d{2}-\d{2}T/.test(v) && !Number.isNaN(Date.parse(v)),
+  uri: (v) => { try { return !!new URL(v).protocol; } catch (_) { return false; } },
+};
+
+const formatHint = (language, format) => message(language, `validation.hint.${format}`);
+
+// Palabras clave que el esquema de Vertex acepta tal cual en functionDeclarations
+const MODEL_SCHEMA_KEYS = ["type", "description", "nullable", "enum", "items", "properties", "required", "minItems", "maxItems", "minimum", "maximum"];
+const MODEL_SCHEMA_FORMATS = ["date-time", "enum", "float", "double", "int32", "int64"];
+
+const typeOf = (v) => {
+  if (v === null) return "null";
+  if (Array.isArray(v)) return "array";
+  if (Number.isInteger(v)) return "integer";
+  return typeof v;
+};
+
+const isEmpty = (v) => v === undefined || v === null || v === "";
+
+function matchesType(expected, value) {
+  const actual = typeOf(value);
+  switch (String(expected || "").toLowerCase()) {
+    case "":
+      return true;
+    case "number":
+      return actual === "number" || actual === "integer";
+    default:
+      return actual === String(expected).toLowerCase();
+  }
+}
+
+function validateValue(schema, value, path, errors, language) {
+  if (!schema || typeof schema !== "object") return;
+  const t = (key, vars = {}) => message(language, key, { field: path, ...vars });
+
+  if (schema.type && !matchesType(schema.type, value)) {
+    errors.push({ field: path, code: "invalid_type", expected: String(schema.type).toLowerCase(), received: typeOf(value), message: t("validation.type", { expected: String(schema.type).toLowerCase() }) });
+    return;
+  }
+  if (Array.isArray(schema.enum) && schema.enum.length > 0 && !schema.enum.includes(value)) {
+    errors.push({ field: path, code: "invalid_enum", allowed: schema.enum, message: t("validation.enum", { allowed: schema.enum.join(", ") }) });
+    return;
+  }
+
+  if (typeof value === "string") {
+    if (schema.format && FORMAT_CHECKS[schema.format] && !FORMAT_CHECKS[schema.format](value.trim())) {
+      errors.push({ field: path, code: "invalid_format", format: schema.format, message: t("validation.format", { hint: formatHint(language, schema.format) }) });
+    }
+    if (schema.pattern) {
+      let re = null;
+      try { re = new RegExp(schema.pattern); } catch (_) { /* patrón mal declarado: se ignora */ }
+      if (re && !re.test(value)) errors.push({ field: path, code: "invalid_pattern", pattern: schema.pattern, message: t("validation.pattern") });
+    }
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push({ field: path, code: "too_short", message: t("validation.minLength", { limit: schema.minLength }) });
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push({ field: path, code: "too_long", message: t("validation.maxLength", { limit: schema.maxLength }) });
+    }
+  }
+
+  if (typeof value === "number") {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ field: path, code: "too_small", message: t("validation.minimum", { limit: schema.minimum }) });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ field: path, code: "too_large", message: t("validation.maximum", { limit: schema.maximum }) });
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ field: path, code: "too_few_items", message: t("validation.minItems", { limit: schema.minItems }) });
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push({ field: path, code: "too_many_items", message: t("validation.maxItems", { limit: schema.maxItems }) });
+    }
+    if (schema.items) value.forEach((item, i) => validateValue(schema.items, item, `${path}[${i}]`, errors, language));
+  }
+
+  if (typeOf(value) === "object" && (schema.properties || schema.required)) {
+    validateObject(schema, value, path, errors, language);
+  }
+}
+
+function validateObject(schema, obj, basePath, errors, language) {
+  const properties = schema.properties || {};
+  const required = Array.isArray(schema.required) ? schema.required : [];
+  const prefix = basePath ? `${basePath}.` : "";
+
+  for (const field of required) {
+    if (isEmpty(obj[field])) {
+      errors.push({ field: `${prefix}${field}`, code: "missing_required", message: message(language, "validation.required", { field: `${prefix}${field}` }) });
+    }
+  }
+  for (const [field, propSchema] of Object.entries(properties)) {
+    const value = obj[field];
+    // Un opcional vacío equivale a no enviarlo
+    if (isEmpty(value)) continue;
+    validateValue(propSchema, value, `${prefix}${field}`, errors, language);
+  }
+}
+
+/**
+ * Valida args contra el esquema de parámetros de una herramienta.
+ * Devuelve { valid, errors: [{ field, code, message, ... }] } (message en `language`).
+ */
+export function validateToolArgs(parametersSchema, args, { language = DEFAULT_LANGUAGE } = {}) {
+  const errors = [];
+  if (!parametersSchema || typeof parametersSchema !== "object") return { valid: true, errors };
+  if (typeOf(args) !== "object") {
+    errors.push({ field: "", code: "invalid_type", expected: "object", received: typeOf(args), message: message(language, "validation.notObject") });
+    return { valid: false, errors };
+  }
+  validateObject(parametersSchema, args, "", errors, language);
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * functionResponse que recibe el modelo cuando los args no son válidos.
+ */
+export function buildValidationErrorPayload(toolName, errors, { attempt, maxAttempts, language = DEFAULT_LANGUAGE }) {
+  const canRetry = attempt < maxAttempts;
+  const missing = errors.filter((e) => e.code === "missing_required").map((e) => e.field);
+  return {
+    status: "invalid_arguments",
+    tool: toolName,
+    attempt,
+    maxAttempts,
+    errors,
+    message: canRetry
+      ? message(language, "validation.retry", {
+        name: toolName,
+        ask: missing.length ? message(language, "validation.retryAsk", { fields: missing.join(", ") }) : "",
+      })
+      : message(language, "validation.giveUp", { name: toolName, attempt }),
+  };
+}
+
+/**
+ * Adapta un esquema de parámetros al subconjunto que admite Vertex en
+ * functionDeclarations. Las restricciones que no admite (format email/phone,
+ * pattern, longitudes...) se validan aquí y se describen al modelo como pista.
+ */
+export function toModelSchema(schema, language = DEFAULT_LANGUAGE) {
+  if (!schema || typeof schema !== "object") return schema;
+  const out = {};
+  const hints = [];
+  for (const [key, value] of Object.entries(schema)) {
+    if (key === "properties" && value && typeof value === "object") {
+      out.properties = Object.fromEntries(Object.entries(value).map(([k, v]) => [k, toModelSchema(v, language)]));
+    } else if (key === "items") {
+      out.items = toModelSchema(value, language);
+    } else if (key === "format") {
+      if (MODEL_SCHEMA_FORMATS.includes(value)) out.format = value;
+      else if (FORMAT_CHECKS[value]) hints.push(message(language, "validation.schema.format", { hint: formatHint(language, value) }));
+    } else if (key === "minLength" || key === "maxLength" || key === "pattern") {
+      if (key === "minLength") hints.push(message(language, "validation.schema.minLength", { limit: value }));
+      if (key === "maxLength") hints.push(message(language, "validation.schema.maxLength", { limit: value }));
+    } else if (MODEL_SCHEMA_KEYS.includes(key)) {
+      out[key] = value;
+    }
+  }
+  if (hints.length > 0) out.description = [out.description, ...hints].filter(Boolean).join(" ");
+  return out;
+}
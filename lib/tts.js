@@ -0,0 +1,368 @@
+/*──────────────────── TEXT-TO-SPEECH EN SERVIDOR ───────────────────*/
+// Etapa opcional que convierte el stream de Gemini en audio por frases y lo
+// envía por el mismo WebSocket como mensajes binarios. Protocolo hacia el cliente:
+//
+//   { type: "assistant_audio_start", utteranceId, format: { encoding, sampleRateHertz, channels } }
+//   { type: "assistant_audio_marks", utteranceId, sentenceIndex, text, offsetMs, durationMs, words?, visemes? }
+//   <frames binarios con el audio de esa frase>
+//   { type: "assistant_audio_end", utteranceId, durationMs, interrupted }
+//
+// Configuración por bot (InteracBotGPT.tts):
+//   { enabled, provider: "google" | "fake", voice, languageCode?, speakingRate?, pitch?,
+//     format: "pcm" | "opus", sampleRateHertz?, marks: "words" | "visemes" | "both" | "none",
+//     voices?: { <idioma>: voz } }
+//
+// `voices` da la voz de cada idioma en bots multilingües (cambio de idioma a mitad
+// de llamada con setLanguage); sin entrada se usa `voice` si es del mismo idioma
+// o la voz por defecto del locale.
+//
+// Interfaz de proveedor:
+//   provider.synthesize({ text, languageCode, voice, speakingRate, pitch, format, sampleRateHertz })
+//     → { audio: Buffer, encoding, sampleRateHertz, durationMs, words: [{ word, startMs, endMs }] }
+
+import crypto from "crypto";
+import textToSpeech from "@google-cloud/text-to-speech";
+
+const DEFAULT_SAMPLE_RATE = 24000;
+const PCM_FRAME_MS = 100;
+
+/*──────────────────── UTILIDADES DE TEXTO ───────────────────*/
+
+/**
+ * Limpia el markdown que Gemini suele emitir (negritas, títulos, código).
+ */
+function cleanForSpeech(text) {
+  return String(text || "")
+    .replace(/```[\s\S]*?```/g, " ")
+    .replace(/[*_#`>]+/g, "")
+    .replace(/\[([^\]]+)\]\([^)]+\)/g, "$1")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/**
+ * Separa las frases completas del buffer. Solo corta cuando el signo de cierre va
+ * seguido de espacio, para no partir decimales ni teléfonos ("3.5", "612.345").
+ * Las frases muy cortas se acumulan con la siguiente.
+ */
+export function splitSentences(buffer, minLength = 12) {
+  const sentences = [];
+  const boundary = /[.!?…;:]+["')»]*\s+|\n+/g;
+  let start = 0;
+  let match;
+  while ((match = boundary.exec(buffer)) !== null) {
+    const end = match.index + match[0].length;
+    const candidate = buffer.slice(start, end);
+    if (candidate.trim().length >= minLength) {
+      sentences.push(candidate.trim());
+      start = end;
+    }
+  }
+  return { sentences, rest: buffer.slice(start) };
+}
+
+function splitWords(text) {
+  return text.split(/\s+/).filter(Boolean);
+}
+
+/*──────────────────── VISEMAS ───────────────────*/
+
+// Aproximación grafema → visema (conjunto tipo Oculus), suficiente para lip-sync.
+const VISEME_BY_CHAR = {
+  p: "PP", b: "PP", m: "PP",
+  f: "FF", v: "FF",
+  t: "DD", d: "DD",
+  k: "kk", g: "kk", c: "kk", q: "kk", j: "kk", x: "kk",
+  s: "SS", z: "SS",
+  n: "nn", "ñ": "nn", l: "nn",
+  r: "RR",
+  a: "aa", "á": "aa",
+  e: "E", "é": "E",
+  i: "ih", "í": "ih", y: "ih",
+  o: "oh", "ó": "oh",
+  u: "ou", "ú": "ou", "ü": "ou", w: "ou",
+};
+
+/**
+ * Reparte la duración de cada palabra entre sus visemas.
+ */
+export function wordsToVisemes(words) {
+  const visemes = [];
+  for (const w of words) {
+    const seq = [...w.word.toLowerCase()].map((ch) => VISEME_BY_CHAR[ch]).filter(Boolean);
+    if (seq.length === 0) continue;
+    const step = (w.endMs - w.startMs) / seq.length;
+    seq.forEach((viseme, i) => {
+      visemes.push({
+        viseme,
+        startMs: Math.round(w.startMs + i * step),
+        endMs: Math.round(w.startMs + (i + 1) * step),
+      });
+    });
+  }
+  return visemes;
+}
+
+/*──────────────────── PROVEEDOR GOOGLE ───────────────────*/
+
+function escapeXml(s) {
+  return s.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+}
+
+/**
+ * Extrae el PCM de un WAV (Google devuelve LINEAR16 con cabecera RIFF).
+ */
+function stripWavHeader(buf) {
+  if (buf.length < 12 || buf.toString("ascii", 0, 4) !== "RIFF") return buf;
+  let offset = 12;
+  while (offset + 8 <= buf.length) {
+    const id = buf.toString("ascii", offset, offset + 4);
+    const size = buf.readUInt32LE(offset + 4);
+    if (id === "data") return buf.subarray(offset + 8, offset + 8 + size);
+    offset += 8 + size;
+  }
+  return buf;
+}
+
+// Un único cliente gRPC para todo el proceso (se crea al primer uso)
+let sharedGoogleClient = null;
+
+/**
+ * Proveedor Google Cloud Text-to-Speech (v1beta1, para obtener marcas temporales
+ * por palabra mediante <mark/> en SSML).
+ */
+export function createGoogleTtsProvider({ client } = {}) {
+  const ttsClient = client || (sharedGoogleClient ||= new textToSpeech.v1beta1.TextToSpeechClient());
+
+  return {
+    name: "google",
+
+    async synthesize({ text, languageCode, voice, speakingRate = 1, pitch = 0, format = "pcm", sampleRateHertz = DEFAULT_SAMPLE_RATE }) {
+      const words = splitWords(text);
+      const ssml = `<speak>${words.map((w, i) => `<mark name="${i}"/>${escapeXml(w)}`).join(" ")}</speak>`;
+      const isOpus = format === "opus";
+
+      const [response] = await ttsClient.synthesizeSpeech({
+        input: { ssml },
+        voice: { languageCode, ...(voice ? { name: voice } : {}) },
+        audioConfig: {
+          audioEncoding: isOpus ? "OGG_OPUS" : "LINEAR16",
+          sampleRateHertz,
+          speakingRate,
+          pitch,
+        },
+        enableTimePointing: ["SSML_MARK"],
+      });
+
+      const raw = Buffer.from(response.audioContent || []);
+      const audio = isOpus ? raw : stripWavHeader(raw);
+      const starts = new Map(
+        (response.timepoints || []).map((tp) => [Number(tp.markName), Math.round(Number(tp.timeSeconds || 0) * 1000)])
+      );
+      const lastStart = starts.size > 0 ? Math.max(...starts.values()) : 0;
+      const durationMs = isOpus
+        ? lastStart + 400 // OGG no trae duración directa; estimamos la última palabra
+        : Math.round((audio.length / 2 / sampleRateHertz) * 1000);
+
+      return {
+        audio,
+        encoding: isOpus ? "ogg_opus" : "pcm_s16le",
+        sampleRateHertz,
+        durationMs,
+        words: words.map((word, i) => ({
+          word,
+          startMs: starts.get(i) ?? 0,
+          endMs: starts.get(i + 1) ?? durationMs,
+        })),
+      };
+    },
+  };
+}
+
+/*──────────────────── PROVEEDOR LOCAL (FAKE) ───────────────────*/
+
+/**
+ * Proveedor local sin red: genera silencio PCM con la duración que tendría la
+ * frase a ~150 palabras/minuto y tiempos por palabra sintéticos. Sirve para
+ * probar el protocolo y el lip-sync sin TTS en la nube.
+ */
+export function createFakeTtsProvider({ wordsPerMinute = 150 } = {}) {
+  return {
+    name: "fake",
+
+    async synthesize({ text, speakingRate = 1, sampleRateHertz = DEFAULT_SAMPLE_RATE }) {
+      const words = splitWords(text);
+      const msPerWord = 60000 / (wordsPerMinute * (speakingRate || 1));
+      const durationMs = Math.round(words.length * msPerWord);
+      const samples = Math.round((durationMs / 1000) * sampleRateHertz);
+      return {
+        audio: Buffer.alloc(samples * 2),
+        encoding: "pcm_s16le",
+        sampleRateHertz,
+        durationMs,
+        words: words.map((word, i) => ({
+          word,
+          startMs: Math.round(i * msPerWord),
+          endMs: Math.round((i + 1) * msPerWord),
+        })),
+      };
+    },
+  };
+}
+
+/**
+ * Crea el proveedor TTS configurado en el bot.
+ */
+export function createTtsProvider(config = {}, deps = {}) {
+  switch (String(config?.provider || "google").toLowerCase()) {
+    case "google":
+      return createGoogleTtsProvider(deps);
+    case "fake":
+    case "local":
+      return createFakeTtsProvider(config);
+    default:
+      throw new Error(`Proveedor TTS desconocido: ${config.provider}`);
+  }
+}
+
+/*──────────────────── PIPELINE POR CONEXIÓN ───────────────────*/
+
+/**
+ * Pipeline TTS de una conexión. Cada respuesta del asistente es una "utterance":
+ * se le van pasando deltas con push(), las frases completas se sintetizan en
+ * paralelo y se envían en orden. Todas las utterances comparten una cola, de modo
+ * que el audio de dos turnos consecutivos nunca se mezcla.
+ */
+export function createTtsPipeline({ provider, config = {}, languageCode, sendJson, sendBinary }) {
+  const format = config.format === "opus" ? "opus" : "pcm";
+  const sampleRateHertz = Number(config.sampleRateHertz) || DEFAULT_SAMPLE_RATE;
+  const marks = config.marks || "both";
+  const voiceFor = (locale) => {
+    const lang = String(locale || "").split("-")[0].toLowerCase();
+    if (config.voices?.[lang]) return config.voices[lang];
+    if (!config.voice) return null;
+    // Los nombres de voz de Google empiezan por el locale ("es-ES-Neural2-A")
+    return config.voice.toLowerCase().startsWith(`${lang}-`) || !/^[a-z]{2,3}-/i.test(config.voice) ? config.voice : null;
+  };
+  const voiceOptions = {
+    languageCode: config.languageCode || languageCode,
+    voice: config.voices?.[String(languageCode || "").split("-")[0].toLowerCase()] || config.voice || null,
+    speakingRate: Number(config.speakingRate) || 1,
+    pitch: Number(config.pitch) || 0,
+    format,
+    sampleRateHertz,
+  };
+  let queue = Promise.resolve();
+  const live = new Set();
+
+  const emitAudio = (audio, encoding) => {
+    if (encoding !== "pcm_s16le") {
+      sendBinary(audio);
+      return;
+    }
+    const frameBytes = Math.round((sampleRateHertz * 2 * PCM_FRAME_MS) / 1000);
+    for (let i = 0; i < audio.length; i += frameBytes) {
+      sendBinary(audio.subarray(i, i + frameBytes));
+    }
+  };
+
+  const startUtterance = () => {
+    const utteranceId = crypto.randomUUID();
+    let buffer = "";
+    let sentenceIndex = 0;
+    let offsetMs = 0;
+    let started = false;
+    let aborted = false;
+    let finished = false;
+
+    const enqueue = (task) => {
+      queue = queue.then(() => (aborted ? undefined : task())).catch((err) => {
+        console.error(`[TTS ERROR] utterance ${utteranceId}:`, err?.message || err);
+      });
+      return queue;
+    };
+
+    const ensureStarted = () => {
+      if (started) return;
+      started = true;
+      sendJson({
+        type: "assistant_audio_start",
+        utteranceId,
+        format: { encoding: format === "opus" ? "ogg_opus" : "pcm_s16le", sampleRateHertz, channels: 1 },
+      });
+    };
+
+    const queueSentence = (raw) => {
+      const text = cleanForSpeech(raw);
+      if (!text) return;
+      const index = sentenceIndex++;
+      // La síntesis arranca ya; el envío respeta el orden de la cola
+      const synth = provider.synthesize({ text, ...voiceOptions });
+      synth.catch(() => {});
+      enqueue(async () => {
+        const result = await synth;
+        if (aborted) return;
+        ensureStarted();
+        sendJson({
+          type: "assistant_audio_marks",
+          utteranceId,
+          sentenceIndex: index,
+          text,
+          offsetMs,
+          durationMs: result.durationMs,
+          ...(marks === "words" || marks === "both" ? { words: result.words } : {}),
+          ...(marks === "visemes" || marks === "both" ? { visemes: wordsToVisemes(result.words) } : {}),
+        });
+        emitAudio(result.audio, result.encoding);
+        offsetMs += result.durationMs;
+      });
+    };
+
+    const utterance = {
+      utteranceId,
+      push(delta) {
+        if (aborted || finished) return;
+        buffer += delta;
+        const { sentences, rest } = splitSentences(buffer);
+        buffer = rest;
+        sentences.forEach(queueSentence);
+      },
+      finish() {
+        if (aborted || finished) return queue;
+        finished = true;
+        queueSentence(buffer);
+        buffer = "";
+        return enqueue(async () => {
+          live.delete(utterance);
+          if (started) sendJson({ type: "assistant_audio_end", utteranceId, durationMs: offsetMs, interrupted: false });
+        });
+      },
+      abort() {
+        if (aborted) return;
+        aborted = true;
+        live.delete(utterance);
+        if (started) sendJson({ type: "assistant_audio_end", utteranceId, durationMs: offsetMs, interrupted: true });
+      },
+    };
+    live.add(utterance);
+    return utterance;
+  };
+
+  return {
+    startUtterance,
+    /** Atajo para textos completos (confirmaciones deterministas del servidor). */
+    speak(text) {
+      const u = startUtterance();
+      u.push(text);
+      return u.finish();
+    },
+    abortAll() {
+      for (const u of [...live]) u.abort();
+    },
+    /** Cambio de idioma: afecta a las frases que se sinteticen a partir de ahora. */
+    setLanguage(locale) {
+      voiceOptions.languageCode = locale;
+      voiceOptions.voice = voiceFor(locale);
+    },
+  };
+}
@@ -0,0 +1,160 @@
+/*──────────────────── TURNOS ESTRUCTURADOS ───────────────────*/
+// Cada turno de la conversación se guarda como un documento propio en
+// Conversations/{id}/Turns/{seq}. BotTranscripcion se deriva de estos registros
+// (mismo formato de líneas de siempre) y solo se materializa al cerrar la sesión,
+// así las escrituras por turno se mantienen pequeñas en llamadas largas.
+//
+// Registro de turno:
+//   { seq, role: "user" | "assistant" | "supervisor" | "tool",
+//     source: "voice" | "text" | "model" | "server" | "tour" | "human" | "supervisor" | null,
+//     text, startedAt, endedAt, sttConfidence,
+//     tool: { name, args, resultStatus, resultJson } | null,
+//     citations: [{ id, docId, title, source }] | null,   (pasajes de la base de conocimiento citados)
+//     interrupted, correction, retracted }
+//
+// Un turno retirado por el supervisor (retracted) se conserva en Turns para
+// auditoría pero deja de aparecer en el transcript.
+
+import admin from "firebase-admin";
+
+const MAX_TOOL_RESULT_CHARS = 20000;
+
+const turnsCollection = (db, conversationId) =>
+  db.collection("Conversations").doc(conversationId).collection("Turns");
+
+const turnDocId = (seq) => String(seq).padStart(6, "0");
+
+/**
+ * Línea de transcript heredada para un turno (formato de BotTranscripcion).
+ */
+export function formatTurnLine(turn) {
+  switch (turn.role) {
+    case "user":
+      return turn.source === "text" ? `USUARIO (con texto): ${turn.text}` : `USUARIO (por voz): ${turn.text}`;
+    case "assistant":
+      if (turn.interrupted) return `AI-BOT (interrumpido): ${turn.text}`;
+      if (turn.source === "tour") return `AI-BOT (Tour): ${turn.text}`;
+      if (turn.source === "human") return `OPERADOR HUMANO: ${turn.text}`;
+      return `AI-BOT: ${turn.text}`;
+    case "supervisor":
+      return `SUPERVISOR: ${turn.text}`;
+    case "tool":
+      return `Ejecución De Herramienta Por Parte Del Agente: ${turn.tool?.name}(${JSON.stringify(turn.tool?.args || {})}) - Resultado: ${turn.tool?.resultStatus || "unknown"}`;
+    default:
+      return turn.text || "";
+  }
+}
+
+/**
+ * Deriva BotTranscripcion a partir de los turnos.
+ */
+export function buildTranscript(turns) {
+  return turns.filter((t) => !t.retracted).map((t) => `\n${formatTurnLine(t)}`).join("");
+}
+
+/**
+ * Versión JSON de los turnos para webhooks (timestamps en ISO-8601).
+ */
+export function serializeTurns(turns) {
+  const iso = (ts) => (ts?.toDate ? ts.toDate().toISOString() : ts || null);
+  return turns.map((t) => ({ ...t, startedAt: iso(t.startedAt), endedAt: iso(t.endedAt) }));
+}
+
+/**
+ * Normaliza un turno para Firestore (sin undefined y con el resultado de la
+ * herramienta serializado, que puede traer estructuras que Firestore no admite).
+ */
+function toTurnRecord(seq, turn, now) {
+  const tool = turn.tool
+    ? {
+        name: turn.tool.name,
+        args: JSON.parse(JSON.stringify(turn.tool.args || {})),
+        resultStatus: turn.tool.result?.status || "unknown",
+        resultJson: JSON.stringify(turn.tool.result ?? null).slice(0, MAX_TOOL_RESULT_CHARS),
+      }
+    : null;
+  return {
+    seq,
+    role: turn.role,
+    source: turn.source || null,
+    text: String(turn.text || ""),
+    startedAt: turn.startedAt || now,
+    endedAt: turn.endedAt || now,
+    sttConfidence: typeof turn.sttConfidence === "number" ? turn.sttConfidence : null,
+    tool,
+    citations: Array.isArray(turn.citations) && turn.citations.length > 0
+      ? turn.citations.map(({ id, docId, title, source }) => ({ id, docId, title: title || "", source: source || null }))
+      : null,
+    interrupted: !!turn.interrupted,
+    correction: !!turn.correction,
+    retracted: !!turn.retracted,
+  };
+}
+
+/**
+ * Lee todos los turnos de una conversación en orden.
+ */
+export async function loadTurns(db, conversationId) {
+  const snap = await turnsCollection(db, conversationId).orderBy("seq").get();
+  return snap.docs.map((d) => d.data());
+}
+
+/**
+ * Registro de turnos de una conexión. Mantiene los turnos en memoria para
+ * derivar el transcript sin releer Firestore y escribe cada turno por separado.
+ * `onAppend(record)` (opcional) recibe cada turno nuevo (p. ej. para replicarlo en vivo).
+ */
+export function createTurnLog({ db, now, onAppend = null }) {
+  let conversationId = null;
+  let turns = [];
+  let nextSeq = 1;
+
+  return {
+    /** Asocia el log a una conversación (nueva o reanudada con sus turnos previos). */
+    attach(convId, previousTurns = []) {
+      conversationId = convId;
+      turns = [...previousTurns];
+      nextSeq = turns.reduce((max, t) => Math.max(max, Number(t.seq) || 0), 0) + 1;
+    },
+
+    /**
+     * Añade un turno y lo persiste. Devuelve el registro (la escritura no bloquea).
+     */
+    append(turn) {
+      const record = toTurnRecord(nextSeq++, turn, now());
+      turns.push(record);
+      onAppend?.(record);
+      if (conversationId) {
+        // Solo el contador y la marca de tiempo: el transcript se materializa al cerrar
+        const convRef = db.collection("Conversations").doc(conversationId);
+        Promise.all([
+          turnsCollection(db, conversationId).doc(turnDocId(record.seq)).set(record),
+          convRef.update({ TurnCount: admin.firestore.FieldValue.increment(1), Timestamp: record.endedAt }),
+        ]).catch((err) => console.error(`[DB ERROR] Al guardar turno #${record.seq} (${record.role}):`, err.message));
+      }
+      return record;
+    },
+
+    /**
+     * Actualiza campos de un turno ya registrado (p. ej. retirado por el supervisor).
+     */
+    update(seq, patch) {
+      const record = turns.find((t) => t.seq === seq);
+      if (!record) return null;
+      Object.assign(record, patch);
+      if (conversationId) {
+        turnsCollection(db, conversationId).doc(turnDocId(seq)).update(patch)
+          .catch((err) => console.error(`[DB ERROR] Al actualizar turno #${seq}:`, err.message));
+      }
+      return record;
+    },
+
+    list() {
+      return [...turns];
+    },
+
+    transcript() {
+      return buildTranscript(turns);
+    },
+  };
+}
@@ -0,0 +1,306 @@
+/*──────────────────── MEDICIÓN DE USO Y CUOTAS ───────────────────*/
+// Contadores reales por conversación: segundos de audio enviados a STT, tokens
+// de entrada/salida de Gemini (usageMetadata), invocaciones de herramientas y
+// minutos de conexión. Los acumulados se vuelcan con FieldValue.increment en:
+//
+//   Conversations/{id}                       → Usage.*, MinutosUsoConv
+//   UsageBots/{botId}/Periods/{YYYY-MM}      → totales del bot
+//   UsageAccounts/{cuenta}/Periods/{YYYY-MM} → totales de la cuenta facturada
+//                                              (+ desglose bots.{botId}.*)
+//
+// La cuenta facturada es el CreadorBot, o el usuario que interactúa cuando el
+// bot tiene facturaADestinatario. En ese caso el periodo del CreadorBot también
+// recibe el uso, pero en billedToRecipients.* (informativo, no cuenta para su
+// cuota), para que el creador vea todo lo que consumen sus bots.
+//
+// Los límites del plan se leen de UsageAccounts/{cuenta}.limits o, si no hay,
+// de Plans/{planId}.limits:
+//
+//   limits: { audioSeconds?, inputTokens?, outputTokens?, toolCalls?, minutes?, conversations? }
+//
+// Un límite ausente o no numérico significa "sin límite".
+
+import admin from "firebase-admin";
+
+export const USAGE_METRICS = ["audioSeconds", "inputTokens", "outputTokens", "toolCalls", "minutes", "conversations"];
+
+const USAGE_FLUSH_INTERVAL_MS = Number(process.env.USAGE_FLUSH_INTERVAL_MS) || 30000;
+
+const emptyCounters = () => Object.fromEntries(USAGE_METRICS.map((m) => [m, 0]));
+
+const round = (n, decimals = 3) => Math.round(n * 10 ** decimals) / 10 ** decimals;
+
+/**
+ * Periodo de facturación actual (mes natural en UTC), p. ej. "2025-03".
+ */
+export function currentPeriod(date = new Date()) {
+  return date.toISOString().slice(0, 7);
+}
+
+/**
+ * Cuenta a la que se factura el uso de una conversación.
+ */
+export function resolveBilledAccount({ creatorId, interactingUserId, facturaADestinatario }) {
+  return facturaADestinatario ? interactingUserId : creatorId;
+}
+
+const accountPeriodRef = (db, accountId, period) =>
+  db.collection("UsageAccounts").doc(accountId).collection("Periods").doc(period);
+
+const botPeriodRef = (db, botId, period) =>
+  db.collection("UsageBots").doc(botId).collection("Periods").doc(period);
+
+function normalizeLimits(raw) {
+  const limits = {};
+  for (const m of USAGE_METRICS) {
+    const v = Number(raw?.[m]);
+    if (raw?.[m] !== undefined && raw?.[m] !== null && Number.isFinite(v)) limits[m] = v;
+  }
+  return limits;
+}
+
+function countersFrom(data) {
+  const used = emptyCounters();
+  for (const m of USAGE_METRICS) used[m] = Number(data?.[m]) || 0;
+  return used;
+}
+
+/**
+ * Primera métrica cuyo uso alcanza el límite (o null).
+ */
+export function findExceededMetric(limits, used) {
+  for (const m of USAGE_METRICS) {
+    if (limits[m] !== undefined && used[m] >= limits[m]) return m;
+  }
+  return null;
+}
+
+/**
+ * Lee límites y uso del periodo de una cuenta. Sin cuenta, o sin límites, todo se permite.
+ */
+export async function checkQuota(db, accountId, period = currentPeriod()) {
+  if (!accountId) return { allowed: true, exceeded: null, limits: {}, used: emptyCounters() };
+
+  const [accountSnap, periodSnap] = await Promise.all([
+    db.collection("UsageAccounts").doc(accountId).get(),
+    accountPeriodRef(db, accountId, period).get(),
+  ]);
+  const account = accountSnap.exists ? accountSnap.data() : {};
+  let rawLimits = account.limits || null;
+  if (!rawLimits && account.planId) {
+    const planSnap = await db.collection("Plans").doc(account.planId).get();
+    rawLimits = planSnap.exists ? planSnap.data().limits : null;
+  }
+
+  const limits = normalizeLimits(rawLimits);
+  const used = countersFrom(periodSnap.exists ? periodSnap.data() : null);
+  const exceeded = findExceededMetric(limits, used);
+  return { allowed: !exceeded, exceeded, limits, used };
+}
+
+/**
+ * Medidor de una conversación. Acumula deltas en memoria y los vuelca cada
+ * USAGE_FLUSH_INTERVAL_MS y al cerrar. `baseline` es el uso del periodo leído
+ * en checkQuota; tras cada volcado se relee para ver el consumo de otras
+ * sesiones de la misma cuenta. onQuotaExceeded(metric) se llama una sola vez.
+ */
+export function createUsageMeter({
+  db,
+  conversationId,
+  botId,
+  creatorId = null,
+  billedAccountId,
+  limits = {},
+  baseline = null,
+  onQuotaExceeded = null,
+}) {
+  const totals = emptyCounters();   // toda la conexión
+  let pending = emptyCounters();    // aún sin volcar
+  let used = baseline ? { ...baseline } : emptyCounters();
+  let connectedSince = null;
+  let timer = null;
+  let flushChain = Promise.resolve();
+  let exceededMetric = null;
+
+  const add = (metric, amount) => {
+    if (!amount || !Number.isFinite(amount)) return;
+    totals[metric] += amount;
+    pending[metric] += amount;
+    checkLimits();
+  };
+
+  const checkLimits = () => {
+    if (exceededMetric) return;
+    const projected = {};
+    for (const m of USAGE_METRICS) projected[m] = used[m] + pending[m];
+    // "conversations" solo se comprueba al iniciar: la sesión en curso ya cuenta
+    const { conversations, ...liveLimits } = limits;
+    const metric = findExceededMetric(liveLimits, projected);
+    if (metric) {
+      exceededMetric = metric;
+      console.warn(`[USAGE] Cuota de ${metric} agotada para la cuenta ${billedAccountId} (conversación ${conversationId}).`);
+      try { onQuotaExceeded?.(metric); } catch (e) { console.error("[USAGE] Error en onQuotaExceeded:", e); }
+    }
+  };
+
+  // Minutos conectados desde el último volcado
+  const takeConnectedMinutes = () => {
+    if (!connectedSince) return;
+    const now = Date.now();
+    add("minutes", (now - connectedSince) / 60000);
+    connectedSince = now;
+  };
+
+  const writeDeltas = async (delta) => {
+    const inc = admin.firestore.FieldValue.increment;
+    const period = currentPeriod();
+    const nonZero = USAGE_METRICS.filter((m) => delta[m] > 0);
+    if (nonZero.length === 0) return;
+
+    const convUpdate = {};
+    const rollup = { updatedAt: admin.firestore.Timestamp.now() };
+    const botBreakdown = {};
+    for (const m of nonZero) {
+      const v = round(delta[m]);
+      convUpdate[`Usage.${m}`] = inc(v);
+      rollup[m] = inc(v);
+      botBreakdown[m] = inc(v);
+    }
+    if (delta.minutes > 0) convUpdate.MinutosUsoConv = inc(round(delta.minutes));
+
+    const batch = db.batch();
+    batch.update(db.collection("Conversations").doc(conversationId), convUpdate);
+    if (botId) {
+      batch.set(
+        botPeriodRef(db, botId, period),
+        { ...rollup, botId, creatorId: creatorId || null, period },
+        { merge: true }
+      );
+    }
+    if (billedAccountId) {
+      batch.set(
+        accountPeriodRef(db, billedAccountId, period),
+        { ...rollup, period, ...(botId ? { bots: { [botId]: botBreakdown } } : {}) },
+        { merge: true }
+      );
+    }
+    if (creatorId && creatorId !== billedAccountId) {
+      batch.set(
+        accountPeriodRef(db, creatorId, period),
+        { period, updatedAt: rollup.updatedAt, billedToRecipients: botBreakdown },
+        { merge: true }
+      );
+    }
+    await batch.commit();
+  };
+
+  const flush = () => {
+    takeConnectedMinutes();
+    const delta = pending;
+    pending = emptyCounters();
+    flushChain = flushChain
+      .then(async () => {
+        try {
+          await writeDeltas(delta);
+          for (const m of USAGE_METRICS) used[m] += delta[m];
+        } catch (err) {
+          // Se reintenta en el siguiente volcado
+          console.error(`[USAGE] No se pudo volcar el uso de ${conversationId}:`, err.message);
+          for (const m of USAGE_METRICS) pending[m] += delta[m];
+          return;
+        }
+        if (billedAccountId && Object.keys(limits).length > 0) {
+          try {
+            const snap = await accountPeriodRef(db, billedAccountId, currentPeriod()).get();
+            used = countersFrom(snap.exists ? snap.data() : null);
+            checkLimits();
+          } catch (err) {
+            console.warn(`[USAGE] No se pudo releer el uso de ${billedAccountId}:`, err.message);
+          }
+        }
+      });
+    return flushChain;
+  };
+
+  return {
+    get exceededMetric() { return exceededMetric; },
+
+    /** Audio PCM16 mono enviado al STT. */
+    addAudioBytes(bytes, sampleRateHertz) {
+      if (!bytes || !sampleRateHertz) return;
+      add("audioSeconds", bytes / (sampleRateHertz * 2));
+    },
+
+    /** usageMetadata de Gemini (los tokens de "thinking" cuentan como salida). */
+    addTokens(usage) {
+      if (!usage) return;
+      add("inputTokens", Number(usage.promptTokenCount) || 0);
+      add("outputTokens", (Number(usage.candidatesTokenCount) || 0) + (Number(usage.thoughtsTokenCount) || 0));
+    },
+
+    addToolCall() {
+      add("toolCalls", 1);
+    },
+
+    addConversation() {
+      add("conversations", 1);
+    },
+
+    start() {
+      if (timer) return;
+      connectedSince = Date.now();
+      timer = setInterval(() => { flush(); }, USAGE_FLUSH_INTERVAL_MS);
+      timer.unref?.();
+    },
+
+    /** Detiene el medidor y vuelca lo pendiente (incluidos los minutos conectados). */
+    async stop() {
+      if (timer) clearInterval(timer);
+      timer = null;
+      await flush();
+      connectedSince = null;
+    },
+
+    flush,
+
+    totals() {
+      return { ...totals };
+    },
+  };
+}
+
+/**
+ * Envuelve un chat del proveedor LLM para contabilizar los tokens de cada
+ * respuesta. En stream, Vertex repite usageMetadata acumulado en los chunks,
+ * así que solo cuenta el último evento de uso de cada turno.
+ */
+export function withUsageMetering(chat, getMeter) {
+  const meterStream = async function* (stream) {
+    let lastUsage = null;
+    try {
+      for await (const event of stream) {
+        if (event.type === "usage") lastUsage = event.usage;
+        yield event;
+      }
+    } finally {
+      if (lastUsage) getMeter()?.addTokens(lastUsage);
+    }
+  };
+  const meterOnce = async (promise) => {
+    const result = await promise;
+    if (result?.usage) getMeter()?.addTokens(result.usage);
+    return result;
+  };
+  const meter = (ret) => (typeof ret?.[Symbol.asyncIterator] === "function" ? meterStream(ret) : meterOnce(ret));
+
+  return {
+    ...chat,
+    // El chat con failover cambia de modelo sobre la marcha
+    get modelName() { return chat.modelName; },
+    streamTurn: (input) => meterStream(chat.streamTurn(input)),
+    sendMessage: (input) => meterOnce(chat.sendMessage(input)),
+    sendFunctionResponse: (name, payload, options) => meter(chat.sendFunctionResponse(name, payload, options)),
+    sendFunctionResponses: (responses, options) => meter(chat.sendFunctionResponses(responses, options)),
+    getHistory: () => chat.getHistory(),
+  };
+}
@@ -0,0 +1,93 @@
+/*──────────────────── FIRMA DE WEBHOOKS SALIENTES ───────────────────*/
+// Todo lo que enviamos a n8n (órdenes de herramientas, turnos de supervisión,
+// informes) va firmado con la clave del bot, siguiendo el esquema de
+// Standard Webhooks:
+//
+//   webhook-id:        id estable del mensaje (el mismo en cada reintento)
+//   webhook-timestamp: segundos Unix del intento
+//   webhook-signature: "v1,<base64(HMAC-SHA256(secret, `${id}.${timestamp}.${body}`))>"
+//
+// Durante una rotación se firma con todas las claves activas, separadas por
+// espacios, para que el receptor acepte con cualquiera de ellas.
+//
+// Este módulo no tiene dependencias fuera de `crypto`: verifyWebhook y
+// createReplayCache se pueden copiar tal cual en el receptor (p. ej. un nodo
+// Code de n8n) para comprobar las peticiones.
+
+import crypto from "crypto";
+
+export const SIGNATURE_VERSION = "v1";
+export const DEFAULT_TOLERANCE_SECONDS = 300;
+
+const hmac = (secret, content) => crypto.createHmac("sha256", secret).update(content).digest("base64");
+
+/**
+ * Cabeceras de firma para un cuerpo ya serializado.
+ * keys: [{ keyId, secret }] (se firma con todas).
+ */
+export function signWebhook({ id, body, keys, timestamp = Math.floor(Date.now() / 1000) }) {
+  const content = `${id}.${timestamp}.${body}`;
+  return {
+    "webhook-id": id,
+    "webhook-timestamp": String(timestamp),
+    "webhook-signature": keys.map((k) => `${SIGNATURE_VERSION},${hmac(k.secret, content)}`).join(" "),
+  };
+}
+
+/**
+ * Caché en memoria de webhook-id ya aceptados, para rechazar repeticiones
+ * dentro de la ventana de tolerancia.
+ */
+export function createReplayCache({ ttlSeconds = DEFAULT_TOLERANCE_SECONDS } = {}) {
+  const seen = new Map();
+  return {
+    has(id) {
+      const expiresAt = seen.get(id);
+      if (!expiresAt) return false;
+      if (expiresAt < Date.now()) {
+        seen.delete(id);
+        return false;
+      }
+      return true;
+    },
+    add(id) {
+      seen.set(id, Date.now() + ttlSeconds * 1000);
+      // Limpieza perezosa
+      if (seen.size > 10000) {
+        const now = Date.now();
+        for (const [k, exp] of seen) if (exp < now) seen.delete(k);
+      }
+    },
+  };
+}
+
+/**
+ * Verifica una petición firmada. `secrets` es una lista de secretos válidos;
+ * `body` debe ser el cuerpo crudo (string o Buffer). Devuelve { ok, reason }.
+ */
+export function verifyWebhook({ headers, body, secrets, toleranceSeconds = DEFAULT_TOLERANCE_SECONDS, replayCache = null, now = Date.now() }) {
+  const get = (name) => headers?.[name] ?? headers?.[name.toLowerCase()] ?? (typeof headers?.get === "function" ? headers.get(name) : undefined);
+  const id = get("webhook-id");
+  const timestamp = Number(get("webhook-timestamp"));
+  const signatureHeader = get("webhook-signature");
+
+  if (!id || !timestamp || !signatureHeader) return { ok: false, reason: "missing_headers" };
+  if (Math.abs(now / 1000 - timestamp) > toleranceSeconds) return { ok: false, reason: "timestamp_out_of_tolerance" };
+  if (replayCache?.has(id)) return { ok: false, reason: "replayed" };
+
+  const content = `${id}.${timestamp}.${Buffer.isBuffer(body) ? body.toString("utf8") : String(body)}`;
+  const received = String(signatureHeader)
+    .split(" ")
+    .map((s) => s.split(","))
+    .filter(([version, sig]) => version === SIGNATURE_VERSION && sig)
+    .map(([, sig]) => Buffer.from(sig));
+
+  const ok = (secrets || []).some((secret) => {
+    const expected = Buffer.from(hmac(secret, content));
+    return received.some((sig) => sig.length === expected.length && crypto.timingSafeEqual(sig, expected));
+  });
+  if (!ok) return { ok: false, reason: "invalid_signature" };
+
+  replayCache?.add(id);
+  return { ok: true };
+}
@@ -0,0 +1,34 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import admin from "firebase-admin";
+import { createExperimentTracker } from "../lib/experiments.js";
+import { createTurnLog } from "../lib/turns.js";
+import { createFakeFirestore } from "./helpers/fake-firestore.js";
+
+const { FieldValue } = admin.firestore;
+
+test("recordTurn cuenta las herramientas a partir de los registros del turnLog", async () => {
+  const db = createFakeFirestore({ "Conversations/conv1": { RobotId: "bot1" } });
+  const tracker = createExperimentTracker({ db, botId: "bot1", experimentId: "exp1", variantId: "a", conversationId: "conv1" });
+  // Sin conversación asociada el turnLog no escribe en Firestore
+  const turnLog = createTurnLog({ db, now: () => new Date(), onAppend: (record) => tracker.recordTurn(record) });
+
+  turnLog.append({ role: "user", source: "voice", text: "Quiero reservar" });
+  turnLog.append({ role: "tool", source: "model", text: "", tool: { name: "buscar", args: {}, result: { status: "success", data: [] } } });
+  turnLog.append({ role: "tool", source: "model", text: "", tool: { name: "buscar", args: {}, result: { status: "error", message: "timeout" } } });
+  turnLog.append({ role: "tool", source: "model", text: "", tool: { name: "reservar", args: {}, result: { status: "success" } } });
+  turnLog.append({ role: "assistant", source: "model", text: "Hecho." });
+
+  await tracker.flush();
+
+  const { outcomes } = db.data("Conversations/conv1").Experiment;
+  assert.deepEqual(Object.keys(outcomes).sort(), ["assistantTurns", "toolFailures", "toolSuccesses", "userTurns"]);
+  assert.ok(outcomes.toolSuccesses.isEqual(FieldValue.increment(2)));
+  assert.ok(outcomes.toolFailures.isEqual(FieldValue.increment(1)));
+  assert.ok(outcomes.userTurns.isEqual(FieldValue.increment(1)));
+  assert.ok(outcomes.assistantTurns.isEqual(FieldValue.increment(1)));
+
+  const variant = db.data("ExperimentResults/bot1__exp1").variants.a;
+  assert.ok(variant.toolSuccesses.isEqual(FieldValue.increment(2)));
+  assert.ok(variant.toolFailures.isEqual(FieldValue.increment(1)));
+});
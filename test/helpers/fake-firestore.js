@@ -0,0 +1,182 @@
+// Firestore en memoria para los tests: documentos por ruta, consultas con
+// where/orderBy/limit, batches y transacciones (sin contención). Guarda lo que
+// se escribe tal cual: los Timestamp se comparan por toMillis() y los
+// FieldValue (increment, arrayUnion...) se conservan como centinelas, para
+// comprobarlos con su isEqual público.
+//
+//   const db = createFakeFirestore({ "Conversations/c1": { RobotId: "bot1" } });
+//   db.data("Conversations/c1")   → copia del documento (o undefined)
+//   db.paths("WebhookOutbox")     → rutas de los documentos de una colección
+//   db.onRead = async (path) => … → se espera en cada lectura, después de tomar los datos
+
+const COMPARATORS = {
+  "==": (a, b) => a === b,
+  "!=": (a, b) => a !== b,
+  "<": (a, b) => a < b,
+  "<=": (a, b) => a <= b,
+  ">": (a, b) => a > b,
+  ">=": (a, b) => a >= b,
+  "in": (a, b) => b.includes(a),
+};
+
+const comparable = (value) => (typeof value?.toMillis === "function" ? value.toMillis() : value);
+
+const clone = (value) => {
+  if (Array.isArray(value)) return value.map(clone);
+  if (value && typeof value === "object" && Object.getPrototypeOf(value) === Object.prototype) {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, clone(v)]));
+  }
+  return value; // Timestamp, FieldValue, Date...
+};
+
+const getField = (data, field) => field.split(".").reduce((obj, key) => obj?.[key], data);
+
+function setField(data, field, value) {
+  const keys = field.split(".");
+  let obj = data;
+  for (const key of keys.slice(0, -1)) {
+    if (!obj[key] || typeof obj[key] !== "object") obj[key] = {};
+    obj = obj[key];
+  }
+  obj[keys.at(-1)] = clone(value);
+}
+
+const isPlainObject = (v) => v && typeof v === "object" && Object.getPrototypeOf(v) === Object.prototype;
+
+function mergeInto(target, source) {
+  for (const [key, value] of Object.entries(source)) {
+    if (isPlainObject(value) && isPlainObject(target[key])) mergeInto(target[key], value);
+    else target[key] = clone(value);
+  }
+  return target;
+}
+
+const firestoreError = (code, message) => Object.assign(new Error(message), { code });
+
+export function createFakeFirestore(initial = {}) {
+  const docs = new Map(Object.entries(initial).map(([path, data]) => [path, clone(data)]));
+  let autoId = 0;
+
+  const snapshot = (path) => {
+    const data = docs.get(path);
+    const stored = data === undefined ? undefined : clone(data);
+    return {
+      id: path.split("/").at(-1),
+      ref: docRef(path),
+      exists: stored !== undefined,
+      data: () => (stored === undefined ? undefined : clone(stored)),
+    };
+  };
+
+  // Escrituras: se aplican al momento (sueltas) o al confirmar (batch / transacción)
+  const write = {
+    set(path, data, { merge = false } = {}) {
+      docs.set(path, merge && docs.has(path) ? mergeInto(docs.get(path), data) : mergeInto({}, data));
+    },
+    update(path, data) {
+      if (!docs.has(path)) throw firestoreError(5, `NOT_FOUND: ${path}`);
+      const doc = docs.get(path);
+      for (const [field, value] of Object.entries(data)) setField(doc, field, value);
+    },
+    create(path, data) {
+      if (docs.has(path)) throw firestoreError(6, `ALREADY_EXISTS: ${path}`);
+      docs.set(path, mergeInto({}, data));
+    },
+    delete(path) {
+      docs.delete(path);
+    },
+  };
+
+  const read = async (take) => {
+    const result = take();
+    await db.onRead?.(result);
+    return result;
+  };
+
+  function docRef(path) {
+    return {
+      id: path.split("/").at(-1),
+      path,
+      collection: (name) => collectionRef(`${path}/${name}`),
+      get: () => read(() => snapshot(path)),
+      set: async (data, options) => write.set(path, data, options),
+      update: async (data) => write.update(path, data),
+      create: async (data) => write.create(path, data),
+      delete: async () => write.delete(path),
+    };
+  }
+
+  function query(path, { filters = [], order = [], max = null } = {}) {
+    const run = () => {
+      let matches = [...docs.keys()]
+        .filter((p) => p.startsWith(`${path}/`) && !p.slice(path.length + 1).includes("/"))
+        .filter((p) => filters.every(({ field, op, value }) =>
+          COMPARATORS[op](comparable(getField(docs.get(p), field)), comparable(value))));
+      for (const { field, direction } of [...order].reverse()) {
+        const sign = direction === "desc" ? -1 : 1;
+        matches = matches.sort((a, b) => {
+          const x = comparable(getField(docs.get(a), field));
+          const y = comparable(getField(docs.get(b), field));
+          return x === y ? 0 : (x < y ? -sign : sign);
+        });
+      }
+      if (max !== null) matches = matches.slice(0, max);
+      const list = matches.map(snapshot);
+      return { docs: list, size: list.length, empty: list.length === 0 };
+    };
+    return {
+      path,
+      where: (field, op, value) => query(path, { filters: [...filters, { field, op, value }], order, max }),
+      orderBy: (field, direction = "asc") => query(path, { filters, order: [...order, { field, direction }], max }),
+      limit: (n) => query(path, { filters, order, max: n }),
+      get: () => read(run),
+      run,
+    };
+  }
+
+  function collectionRef(path) {
+    return {
+      ...query(path),
+      id: path.split("/").at(-1),
+      doc: (id = `auto${++autoId}`) => docRef(`${path}/${id}`),
+    };
+  }
+
+  // Operaciones diferidas de un batch o una transacción
+  const pendingWrites = () => {
+    const ops = [];
+    return {
+      ops,
+      set(ref, data, options) { ops.push(() => write.set(ref.path, data, options)); return this; },
+      update(ref, data) { ops.push(() => write.update(ref.path, data)); return this; },
+      create(ref, data) { ops.push(() => write.create(ref.path, data)); return this; },
+      delete(ref) { ops.push(() => write.delete(ref.path)); return this; },
+    };
+  };
+
+  const db = {
+    onRead: null,
+
+    collection: (name) => collectionRef(name),
+
+    batch() {
+      const batch = pendingWrites();
+      batch.commit = async () => { for (const op of batch.ops) op(); };
+      return batch;
+    },
+
+    async runTransaction(fn) {
+      const tx = pendingWrites();
+      tx.get = async (target) => (typeof target.run === "function" ? target.run() : snapshot(target.path));
+      const result = await fn(tx);
+      for (const op of tx.ops) op();
+      return result;
+    },
+
+    data: (path) => (docs.has(path) ? clone(docs.get(path)) : undefined),
+
+    paths: (collection) => [...docs.keys()].filter((p) => p.startsWith(`${collection}/`) && !p.slice(collection.length + 1).includes("/")),
+  };
+
+  return db;
+}
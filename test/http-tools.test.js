@@ -0,0 +1,22 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { normalizeHttpToolDefinition, buildHttpToolHandlers } from "../lib/http-tools.js";
+
+const definition = (url) => ({ name: "consultar", request: { method: "GET", url } });
+
+test("normalizeHttpToolDefinition rechaza plantillas en el esquema, host o puerto", () => {
+  for (const url of ["https://{{args.host}}/pedidos", "https://api.tienda.com{{args.ruta}}", "https://api.tienda.com:{{args.puerto}}/"]) {
+    assert.throws(() => normalizeHttpToolDefinition(definition(url)), /plantillas/, url);
+  }
+  const def = normalizeHttpToolDefinition(definition("https://api.tienda.com/pedidos/{{args.pedido}}?q={{args.q}}"));
+  assert.equal(def.request.url, "https://api.tienda.com/pedidos/{{args.pedido}}?q={{args.q}}");
+});
+
+test("el handler bloquea una URL renderizada con otro origen que la plantilla", async () => {
+  // Definición que no pasó por normalizeHttpToolDefinition
+  const def = { name: "consultar", request: { method: "GET", url: "https://{{args.host}}/pedidos", headers: {}, query: null, timeoutMs: 1000 } };
+  const handlers = buildHttpToolHandlers({ consultar: def }, () => ({}));
+  const result = await handlers.consultar({ host: "169.254.169.254" });
+  assert.equal(result.status, "error");
+  assert.match(result.message, /destino no coincide/);
+});
@@ -0,0 +1,32 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createKnowledgeStore } from "../lib/knowledge.js";
+import { createFakeFirestore } from "./helpers/fake-firestore.js";
+
+test("una carga del índice que termina tras una invalidación no deja en caché el índice viejo", async () => {
+  const db = createFakeFirestore({
+    "KnowledgeBases/bot1/Documents/d1": { title: "Horarios" },
+    "KnowledgeBases/bot1/Chunks/d1_0000": { docId: "d1", index: 0, text: "Abrimos de lunes a viernes." },
+  });
+  // Las lecturas toman los datos y esperan a que se abra la puerta
+  let release;
+  const gate = new Promise((resolve) => { release = resolve; });
+  db.onRead = () => gate;
+  const store = createKnowledgeStore({ db });
+
+  // Carga en curso con los datos viejos
+  const stale = store.search("bot1", "lunes");
+
+  // Llega un documento nuevo mientras tanto; ingest invalida el índice
+  const base = db.collection("KnowledgeBases").doc("bot1");
+  await base.collection("Documents").doc("d1").delete();
+  await base.collection("Chunks").doc("d1_0000").delete();
+  await base.collection("Documents").doc("d2").set({ title: "Precios" });
+  await base.collection("Chunks").doc("d2_0000").set({ docId: "d2", index: 0, text: "La consulta cuesta cincuenta euros." });
+  store.invalidate("bot1");
+  release();
+  await stale;
+
+  const results = await store.search("bot1", "consulta euros");
+  assert.deepEqual(results.map((p) => p.docId), ["d2"]);
+});
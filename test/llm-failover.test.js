@@ -0,0 +1,108 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createCircuitBreaker, createResilientChat } from "../lib/llm-failover.js";
+
+// Sin esperas entre reintentos
+process.env.LLM_RETRY_BASE_MS = "0";
+
+const unavailable = () => Object.assign(new Error("503 Service Unavailable"), { code: 503 });
+
+/**
+ * Proveedor cuyo stream sigue `plan`: una entrada por llamada a streamTurn, con
+ * los textos a emitir y, opcionalmente, el error con el que corta después.
+ */
+function plannedProvider(plan) {
+  const calls = [];
+  return {
+    calls,
+    modelName: "m1",
+    startChat({ model, history = [] } = {}) {
+      const chatHistory = [...history];
+      return {
+        modelName: model,
+        async *streamTurn(input) {
+          const step = plan[calls.length] || { texts: ["ok"] };
+          calls.push(model);
+          chatHistory.push({ role: "user", parts: [{ text: input }] });
+          for (const text of step.texts || []) yield { type: "text", text };
+          if (step.error) throw step.error;
+          chatHistory.push({ role: "model", parts: (step.texts || []).map((text) => ({ text })) });
+        },
+        async getHistory() { return [...chatHistory]; },
+      };
+    },
+  };
+}
+
+const drain = async (stream) => {
+  const texts = [];
+  for await (const event of stream) if (event.type === "text") texts.push(event.text);
+  return texts;
+};
+
+test("el circuit breaker pasa de closed a open, half-open y closed de nuevo", () => {
+  let clock = 0;
+  const breaker = createCircuitBreaker({ failureThreshold: 2, cooldownMs: 1000, now: () => clock });
+
+  assert.equal(breaker.isAvailable("m1"), true);
+  breaker.recordFailure("m1");
+  assert.equal(breaker.isAvailable("m1"), true);
+  breaker.recordFailure("m1");
+  assert.deepEqual(breaker.describe().m1, { state: "open", failures: 2 });
+  assert.equal(breaker.isAvailable("m1"), false);
+
+  // Pasado el enfriamiento solo entra una petición de prueba
+  clock = 1000;
+  assert.equal(breaker.describe().m1.state, "half_open");
+  assert.equal(breaker.isAvailable("m1"), true);
+  assert.equal(breaker.isAvailable("m1"), false);
+
+  breaker.recordSuccess("m1");
+  assert.deepEqual(breaker.describe().m1, { state: "closed", failures: 0 });
+  assert.equal(breaker.isAvailable("m1"), true);
+});
+
+test("una prueba fallida en half-open vuelve a abrir el circuito", () => {
+  let clock = 0;
+  const breaker = createCircuitBreaker({ failureThreshold: 1, cooldownMs: 1000, now: () => clock });
+  breaker.recordFailure("m1");
+  clock = 1000;
+  assert.equal(breaker.isAvailable("m1"), true);
+  breaker.recordFailure("m1");
+  assert.equal(breaker.describe().m1.state, "open");
+  assert.equal(breaker.isAvailable("m1"), false);
+});
+
+test("un fallo antes del primer evento se reintenta y acaba en el modelo de reserva", async () => {
+  const provider = plannedProvider([{ error: unavailable() }, { error: unavailable() }, { texts: ["hola"] }]);
+  const retries = [];
+  const chat = createResilientChat({
+    provider,
+    chatConfig: {},
+    models: ["m1", "m2"],
+    breaker: createCircuitBreaker({ failureThreshold: 5 }),
+    onRetry: ({ model, nextModel }) => retries.push(`${model}→${nextModel}`),
+  });
+
+  assert.deepEqual(await drain(chat.streamTurn("hola")), ["hola"]);
+  assert.deepEqual(provider.calls, ["m1", "m1", "m2"]);
+  assert.deepEqual(retries, ["m1→m1", "m1→m2"]);
+});
+
+test("no se reintenta si el stream ya emitió parte de la respuesta", async () => {
+  const provider = plannedProvider([{ texts: ["Claro, "], error: unavailable() }]);
+  const breaker = createCircuitBreaker({ failureThreshold: 5 });
+  const retries = [];
+  const chat = createResilientChat({ provider, chatConfig: {}, models: ["m1", "m2"], breaker, onRetry: (info) => retries.push(info) });
+
+  const texts = [];
+  await assert.rejects(async () => {
+    for await (const event of chat.streamTurn("hola")) texts.push(event.text);
+  }, /503/);
+
+  assert.deepEqual(texts, ["Claro, "]);
+  assert.deepEqual(provider.calls, ["m1"]);
+  assert.equal(retries.length, 0);
+  // El fallo cuenta para el circuito del modelo
+  assert.equal(breaker.describe().m1.failures, 1);
+});
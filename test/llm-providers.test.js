@@ -0,0 +1,33 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createScriptedProvider } from "../lib/llm-providers.js";
+
+const drain = async (stream) => {
+  let text = "";
+  for await (const event of stream) if (event.type === "text") text += event.text;
+  return text;
+};
+
+const script = { turns: [{ text: "uno" }, { text: "dos" }], fallbackText: "fin" };
+
+test("cada chat del proveedor con guion tiene su propia posición", async () => {
+  const provider = createScriptedProvider({ script });
+  const a = provider.startChat();
+  const b = provider.startChat();
+
+  assert.equal(await drain(a.streamTurn("hola")), "uno");
+  assert.equal(await drain(b.streamTurn("hola")), "uno");
+  assert.equal(await drain(a.streamTurn("sigue")), "dos");
+  assert.equal(await drain(a.streamTurn("sigue")), "fin");
+  assert.equal(a.scriptCursor, 2);
+  assert.equal(b.scriptCursor, 1);
+});
+
+test("un chat rehecho con scriptCursor continúa el guion", async () => {
+  const provider = createScriptedProvider({ script });
+  const first = provider.startChat();
+  await drain(first.streamTurn("hola"));
+
+  const rebuilt = provider.startChat({ history: await first.getHistory(), scriptCursor: first.scriptCursor });
+  assert.equal(await drain(rebuilt.streamTurn("sigue")), "dos");
+});
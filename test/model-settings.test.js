@@ -0,0 +1,19 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { resolveModelSettings } from "../lib/model-settings.js";
+
+test("resolveModelSettings descarta los ajustes inválidos del bot y usa los valores por defecto", () => {
+  const resolved = resolveModelSettings({
+    modelSettings: {
+      model: "gemini 2.5 flash",
+      temperature: 7,
+      topP: 0.5,
+      functionCallingMode: "ANY",
+      safetySettings: [{ category: "HARM_CATEGORY_INVENTADA", threshold: "BLOCK_NONE" }],
+    },
+  });
+  assert.equal(resolved.model, null);
+  assert.deepEqual(resolved.generationConfig, { topP: 0.5 });
+  assert.deepEqual(resolved.safetySettings, []);
+  assert.equal(resolved.functionCallingMode, "ANY");
+});
@@ -0,0 +1,121 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import http from "node:http";
+import admin from "firebase-admin";
+import { createOutbox, fitBody } from "../lib/outbox.js";
+import { createFakeFirestore } from "./helpers/fake-firestore.js";
+
+const { Timestamp } = admin.firestore;
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Webhook local que responde con los códigos de `statuses` (el último se repite).
+ */
+async function startWebhook(statuses = [200]) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => { body += chunk; });
+    req.on("end", () => {
+      requests.push({ headers: req.headers, body });
+      res.statusCode = statuses[Math.min(requests.length - 1, statuses.length - 1)];
+      res.end("{}");
+    });
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}/hook`,
+    requests,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
+
+test("una entrada con el lease de otra instancia no se entrega hasta que vence", async (t) => {
+  const webhook = await startWebhook([200]);
+  t.after(webhook.close);
+  const db = createFakeFirestore();
+  const outbox = createOutbox({ db, options: { leaseMs: 200 } });
+
+  const { id } = await outbox.enqueue({ url: webhook.url, body: { hola: 1 }, kind: "test" });
+  // Otra instancia la reclamó y se cayó a mitad de la entrega
+  await db.collection("WebhookOutbox").doc(id).update({ nextAttemptAt: Timestamp.fromMillis(Date.now() + 200) });
+
+  const blocked = await outbox.deliverNow(id);
+  assert.equal(blocked.queued, true);
+  await outbox.poll();
+  assert.equal(webhook.requests.length, 0);
+  assert.equal(db.data(`WebhookOutbox/${id}`).status, "pending");
+
+  await sleep(250);
+  await outbox.poll();
+  assert.equal(webhook.requests.length, 1);
+  assert.equal(webhook.requests[0].headers["idempotency-key"], db.data(`WebhookOutbox/${id}`).idempotencyKey);
+  assert.equal(db.data(`WebhookOutbox/${id}`).status, "delivered");
+  assert.equal(db.data(`WebhookOutbox/${id}`).attempts, 1);
+});
+
+test("reclamar una entrada le pone un lease que impide entregarla dos veces", async (t) => {
+  const webhook = await startWebhook([500]);
+  t.after(webhook.close);
+  const db = createFakeFirestore();
+  const outbox = createOutbox({ db, options: { leaseMs: 60000, baseDelayMs: 60000 } });
+
+  const { id } = await outbox.enqueue({ url: webhook.url, body: {}, kind: "test" });
+  const first = await outbox.deliverNow(id);
+  assert.equal(first.dead, false);
+  assert.ok(first.retryInMs > 0);
+  // El reintento está programado: ni el worker ni otra entrega inmediata lo adelantan
+  await outbox.poll();
+  assert.equal((await outbox.deliverNow(id)).queued, true);
+  assert.equal(webhook.requests.length, 1);
+  assert.equal(db.data(`WebhookOutbox/${id}`).attempts, 1);
+});
+
+test("al agotar los intentos la entrada pasa a dead letters y se puede reenviar", async (t) => {
+  const webhook = await startWebhook([503, 503, 200]);
+  t.after(webhook.close);
+  const db = createFakeFirestore();
+  const outbox = createOutbox({ db, options: { maxAttempts: 2, baseDelayMs: 1, maxDelayMs: 1 } });
+
+  const { id } = await outbox.enqueue({ url: webhook.url, body: { informe: true }, kind: "report", conversationId: "conv1" });
+  assert.equal((await outbox.deliverNow(id)).dead, false);
+  await sleep(10);
+  await outbox.poll();
+
+  assert.equal(db.data(`WebhookOutbox/${id}`), undefined);
+  const dead = db.data(`WebhookDeadLetters/${id}`);
+  assert.equal(dead.status, "dead");
+  assert.equal(dead.attempts, 2);
+  assert.equal(dead.lastStatus, 503);
+  assert.deepEqual((await outbox.listDeadLetters({ conversationId: "conv1" })).map((d) => d.id), [id]);
+
+  const replay = await outbox.replayDeadLetter(id);
+  assert.equal(replay.delivered, true);
+  assert.equal(db.data(`WebhookDeadLetters/${id}`), undefined);
+  assert.equal(db.data(`WebhookOutbox/${id}`).status, "delivered");
+  assert.equal(webhook.requests.length, 3);
+});
+
+test("un 4xx no se reintenta: pasa directamente a dead letters", async (t) => {
+  const webhook = await startWebhook([400]);
+  t.after(webhook.close);
+  const db = createFakeFirestore();
+  const outbox = createOutbox({ db });
+
+  const { id } = await outbox.enqueue({ url: webhook.url, body: {}, kind: "test" });
+  const result = await outbox.deliverNow(id);
+  assert.equal(result.dead, true);
+  assert.equal(db.data(`WebhookDeadLetters/${id}`).attempts, 1);
+});
+
+test("fitBody marca el cuerpo recortado con los turnos descartados", () => {
+  const turns = Array.from({ length: 40 }, (_, seq) => ({ seq, text: "x".repeat(900) }));
+  const { payload, truncated } = fitBody({ conversationId: "conv1", turns }, 10000);
+  const body = JSON.parse(payload);
+  assert.equal(truncated, true);
+  assert.equal(body.truncated, true);
+  assert.equal(body.droppedTurns + body.turns.length, 40);
+  assert.ok(body.droppedTurns > 0);
+  assert.equal(body.turns[0].seq, body.droppedTurns);
+  assert.ok(Buffer.byteLength(payload) <= 10000);
+});
@@ -0,0 +1,35 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { validateToolArgs, buildValidationErrorPayload } from "../lib/tool-schema.js";
+import { message } from "../lib/messages.js";
+
+const schema = {
+  type: "object",
+  properties: { personas: { type: "integer", maximum: 2 }, tipo: { enum: ["casa", "piso"] } },
+  required: ["email"],
+};
+
+test("validateToolArgs devuelve los mensajes del catálogo en el idioma pedido", () => {
+  const args = { personas: 5, tipo: "local" };
+  const en = validateToolArgs(schema, args, { language: "en" });
+  assert.equal(en.valid, false);
+  assert.deepEqual(en.errors.map((e) => e.message), [
+    message("en", "validation.required", { field: "email" }),
+    message("en", "validation.maximum", { field: "personas", limit: 2 }),
+    message("en", "validation.enum", { field: "tipo", allowed: "casa, piso" }),
+  ]);
+  // Sin idioma, el por defecto (validación de configuración)
+  assert.equal(validateToolArgs(schema, args).errors[0].message, message("es", "validation.required", { field: "email" }));
+});
+
+test("buildValidationErrorPayload avisa al modelo en el idioma de la sesión", () => {
+  const errors = [{ field: "email", code: "missing_required" }];
+  assert.equal(
+    buildValidationErrorPayload("guardar", errors, { attempt: 1, maxAttempts: 2, language: "en" }).message,
+    message("en", "validation.retry", { name: "guardar", ask: message("en", "validation.retryAsk", { fields: "email" }) }),
+  );
+  assert.equal(
+    buildValidationErrorPayload("guardar", errors, { attempt: 2, maxAttempts: 2, language: "en" }).message,
+    message("en", "validation.giveUp", { name: "guardar", attempt: 2 }),
+  );
+});